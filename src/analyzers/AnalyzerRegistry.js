@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Registry of language analyzers
+ */
+
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { GenericAnalyzer } from './GenericAnalyzer.js';
+import { JavaScriptAnalyzer } from './JavaScriptAnalyzer.js';
+import { PythonAnalyzer } from './PythonAnalyzer.js';
+import { PhpAnalyzer } from './PhpAnalyzer.js';
+import { JavaAnalyzer } from './JavaAnalyzer.js';
+import { GoAnalyzer } from './GoAnalyzer.js';
+import { RustAnalyzer } from './RustAnalyzer.js';
+
+/**
+ * Methods every analyzer must implement
+ */
+const REQUIRED_METHODS = ['detect', 'analyze', 'extractSymbols', 'extractImports', 'extractDocs', 'computeComplexity', 'isRelativeImport'];
+
+/**
+ * Registry selecting the analyzer for a file. Analyzers registered later take
+ * precedence, so plugins can replace the built-in analyzers as well as add new languages.
+ */
+export class AnalyzerRegistry {
+    /**
+     * Create a new registry
+     * @param {Object} [options] - Registry options
+     * @param {LanguageAnalyzer} [options.fallback] - Analyzer used when no registered analyzer claims a file
+     */
+    constructor(options = {}) {
+        this.analyzers = [];
+        this.fallback = options.fallback || new GenericAnalyzer();
+        this.loadedPlugins = new Set();
+    }
+
+    /**
+     * Register an analyzer, replacing any analyzer with the same name
+     * @param {LanguageAnalyzer} analyzer - Analyzer instance
+     * @returns {AnalyzerRegistry} This registry
+     */
+    register(analyzer) {
+        const missing = REQUIRED_METHODS.filter(method => typeof analyzer[method] !== 'function');
+        if (missing.length > 0) {
+            throw new Error(`Analyzer ${analyzer.name || analyzer.constructor.name} is missing: ${missing.join(', ')}`);
+        }
+        if (!analyzer.name) {
+            throw new Error(`Analyzer ${analyzer.constructor.name} must have a name`);
+        }
+
+        this.unregister(analyzer.name);
+        this.analyzers.unshift(analyzer);
+        return this;
+    }
+
+    /**
+     * Remove an analyzer
+     * @param {string} name - Analyzer name
+     * @returns {boolean} True if an analyzer was removed
+     */
+    unregister(name) {
+        const index = this.analyzers.findIndex(analyzer => analyzer.name === name);
+        if (index === -1) return false;
+
+        this.analyzers.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Get the analyzer for a file
+     * @param {Object} file - File with language and extension
+     * @returns {LanguageAnalyzer} Matching analyzer, or the fallback
+     */
+    getAnalyzer(file) {
+        return this.analyzers.find(analyzer => analyzer.detect(file)) || this.fallback;
+    }
+
+    /**
+     * Get all registered analyzers, highest precedence first
+     * @returns {LanguageAnalyzer[]} Analyzers
+     */
+    getAnalyzers() {
+        return [...this.analyzers];
+    }
+
+    /**
+     * Get the language of an extension claimed by a registered analyzer
+     * @param {string} extension - File extension without dot
+     * @returns {string|null} Language name, or null if no analyzer claims the extension
+     */
+    getLanguageForExtension(extension) {
+        const analyzer = this.analyzers.find(candidate => (candidate.extensions || []).includes(extension));
+        return analyzer && analyzer.languages && analyzer.languages.length > 0 ? analyzer.languages[0] : null;
+    }
+
+    /**
+     * Load and register analyzer plugins.
+     * A plugin module default-exports an analyzer class (constructed without arguments) or instance.
+     * @param {string[]} specifiers - Module paths (relative to baseDir) or package names
+     * @param {string} baseDir - Directory used to resolve relative paths and packages
+     * @returns {Promise<LanguageAnalyzer[]>} Newly registered analyzers
+     */
+    async loadPlugins(specifiers = [], baseDir = process.cwd()) {
+        const registered = [];
+
+        for (const specifier of specifiers) {
+            const url = this.resolvePlugin(specifier, baseDir);
+            if (this.loadedPlugins.has(url)) continue;
+
+            try {
+                const module = await import(url);
+                const exported = module.default || module.analyzer;
+                const analyzer = typeof exported === 'function' ? new exported() : exported;
+
+                if (!analyzer || typeof analyzer !== 'object') {
+                    throw new Error('module must default-export an analyzer class or instance');
+                }
+
+                this.register(analyzer);
+                this.loadedPlugins.add(url);
+                registered.push(analyzer);
+            } catch (error) {
+                console.warn(`Warning: Could not load analyzer plugin ${specifier}: ${error.message}`);
+            }
+        }
+
+        return registered;
+    }
+
+    /**
+     * Resolve a plugin specifier to an importable URL
+     * @param {string} specifier - Module path or package name
+     * @param {string} baseDir - Directory used for resolution
+     * @returns {string} File URL or the bare specifier
+     * @private
+     */
+    resolvePlugin(specifier, baseDir) {
+        if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+            return pathToFileURL(path.resolve(baseDir, specifier)).href;
+        }
+
+        // Resolve packages from the project first, then from svc-indexer itself
+        try {
+            const require = createRequire(path.join(path.resolve(baseDir), 'package.json'));
+            return pathToFileURL(require.resolve(specifier)).href;
+        } catch (error) {
+            return specifier;
+        }
+    }
+}
+
+/**
+ * Create a registry with the built-in analyzers
+ * @returns {AnalyzerRegistry} Registry
+ */
+export function createDefaultRegistry() {
+    const registry = new AnalyzerRegistry();
+
+    [
+        new JavaScriptAnalyzer(),
+        new PythonAnalyzer(),
+        new PhpAnalyzer(),
+        new JavaAnalyzer(),
+        new GoAnalyzer(),
+        new RustAnalyzer()
+    ].forEach(analyzer => registry.register(analyzer));
+
+    return registry;
+}
+
+/**
+ * Shared registry used by the indexing services
+ */
+export const analyzerRegistry = createDefaultRegistry();
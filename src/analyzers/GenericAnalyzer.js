@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Fallback analyzer for languages without a dedicated analyzer
+ */
+
+import { LanguageAnalyzer } from './LanguageAnalyzer.js';
+
+/**
+ * Languages using `#` line comments
+ */
+const HASH_COMMENT_LANGUAGES = ['ruby', 'shell', 'powershell', 'yaml'];
+
+/**
+ * Data and markup languages, which declare no symbols
+ */
+const NON_CODE_LANGUAGES = ['html', 'css', 'scss', 'sass', 'json', 'xml', 'yaml', 'markdown', 'unknown'];
+
+/**
+ * Import patterns by language, the first capture group is the imported module
+ */
+const IMPORT_PATTERNS = {
+    csharp: [/^\s*using\s+(?:static\s+)?([\w.]+)\s*;/gm],
+    ruby: [/^\s*require(?:_relative)?\s*\(?\s*['"]([^'"]+)['"]/gm],
+    c: [/^\s*#\s*include\s*[<"]([^>"]+)[>"]/gm],
+    cpp: [/^\s*#\s*include\s*[<"]([^>"]+)[>"]/gm],
+    kotlin: [/^\s*import\s+([\w.]+(?:\.\*)?)/gm],
+    swift: [/^\s*import\s+(?:\w+\s+)?([\w.]+)/gm]
+};
+
+/**
+ * Analyzer using language-agnostic patterns. Claims every file, so it must be the registry fallback.
+ */
+export class GenericAnalyzer extends LanguageAnalyzer {
+    constructor() {
+        super();
+        this.name = 'generic';
+    }
+
+    /**
+     * The generic analyzer accepts any file
+     * @returns {boolean} Always true
+     */
+    detect() {
+        return true;
+    }
+
+    /**
+     * Extract classes and functions using common declaration keywords
+     * @param {string} content - File content
+     * @param {Object} [file] - File being analyzed
+     * @returns {Object[]} Symbols
+     */
+    extractSymbols(content, file = {}) {
+        if (NON_CODE_LANGUAGES.includes(file.language)) return [];
+
+        const { masked } = this.maskCode(content, this.getMaskOptions(file));
+        const locate = this.createLineLocator(content);
+        const symbols = [];
+        const patterns = [
+            { kind: 'class', regex: /\b(?:class|struct|interface|module|protocol)\s+([A-Za-z_]\w*)/g },
+            { kind: 'function', regex: /\b(?:function|def|func|fun|fn)\s+([A-Za-z_]\w*)/g }
+        ];
+
+        patterns.forEach(({ kind, regex }) => {
+            let match;
+            while ((match = regex.exec(masked)) !== null) {
+                symbols.push(this.createSymbol({
+                    kind,
+                    name: match[1],
+                    startLine: locate(match.index),
+                    doc: this.findPrecedingDocBlock(content, match.index),
+                    exported: true
+                }));
+            }
+        });
+
+        return symbols.sort((a, b) => a.startLine - b.startLine);
+    }
+
+    /**
+     * Extract imports for languages with a known import syntax
+     * @param {string} content - File content
+     * @param {Object} [file] - File being analyzed
+     * @returns {Object[]} Import records
+     */
+    extractImports(content, file = {}) {
+        const patterns = IMPORT_PATTERNS[file.language] || [];
+        const locate = this.createLineLocator(content);
+        const imports = [];
+
+        patterns.forEach(pattern => {
+            const regex = new RegExp(pattern.source, pattern.flags);
+            let match;
+            while ((match = regex.exec(content)) !== null) {
+                imports.push({ source: match[1], line: locate(match.index), kind: 'import', names: [] });
+            }
+        });
+
+        return imports;
+    }
+
+    /**
+     * Add C# XML docs, or use `#` comments for scripting languages
+     * @param {Object} [file] - File being analyzed
+     * @returns {RegExp[]} Global patterns
+     */
+    getDocPatterns(file = {}) {
+        if (file.language === 'csharp') return [/\/\/\/.*$/gm, ...this.docPatterns];
+        if (HASH_COMMENT_LANGUAGES.includes(file.language)) return [/#.*$/gm];
+        return this.docPatterns;
+    }
+
+    /**
+     * Use `#` comments for scripting languages
+     * @param {Object} [file] - File being analyzed
+     * @returns {Object} Options for maskCode()
+     */
+    getMaskOptions(file = {}) {
+        return HASH_COMMENT_LANGUAGES.includes(file.language)
+            ? { lineComments: ['#'], blockComments: [], quotes: ['"', "'"] }
+            : this.maskOptions;
+    }
+}
@@ -0,0 +1,257 @@
+/**
+ * @fileoverview Symbol and import extraction for Go sources
+ */
+
+import { LanguageAnalyzer } from './LanguageAnalyzer.js';
+
+/**
+ * Analyzer for Go files: packages, imports, types, functions and methods with receivers
+ */
+export class GoAnalyzer extends LanguageAnalyzer {
+    constructor() {
+        super();
+        this.name = 'go';
+        this.languages = ['go'];
+        this.extensions = ['go'];
+        this.docPatterns = [
+            /\/\*[\s\S]*?\*\//g, // Block comments
+            /\/\/.*$/gm          // Line comments
+        ];
+        this.complexityKeywords = ['if', 'else', 'switch', 'case', 'for', 'select', 'go', 'defer'];
+    }
+
+    /**
+     * Extract the package clause, types, functions and methods
+     * @param {string} content - Source code
+     * @returns {Object[]} Symbols
+     */
+    extractSymbols(content) {
+        const { masked } = this.maskCode(content);
+        const locate = this.createLineLocator(content);
+        const lines = content.split('\n');
+        const symbols = [];
+        let match;
+
+        const packageMatch = masked.match(/^package\s+(\w+)/m);
+        if (packageMatch) {
+            const line = locate(packageMatch.index);
+            symbols.push(this.createSymbol({
+                kind: 'package',
+                name: packageMatch[1],
+                startLine: line,
+                doc: this.findPrecedingLineComments(lines, line - 1, '//'),
+                exported: true
+            }));
+        }
+
+        const functionPattern = /^func\s*(?:\(([^)]*)\)\s*)?(\w+)\s*(?:\[[^\]]*\]\s*)?\(/gm;
+        while ((match = functionPattern.exec(masked)) !== null) {
+            const openIndex = match.index + match[0].length - 1;
+            const closeIndex = this.findClosing(masked, openIndex);
+            const block = this.findFunctionBody(masked, closeIndex + 1);
+            const receiver = match[1] ? this.parseReceiver(match[1]) : null;
+            const name = match[2];
+            const line = locate(match.index);
+
+            symbols.push(this.createSymbol({
+                kind: receiver ? 'method' : 'function',
+                name,
+                startLine: line,
+                endLine: locate(block ? block.end : closeIndex),
+                params: this.splitParams(content.slice(openIndex + 1, closeIndex)),
+                doc: this.findPrecedingLineComments(lines, line - 1, '//'),
+                visibility: this.getVisibility(name),
+                exported: !receiver && this.isExported(name),
+                parent: receiver ? receiver.type : null,
+                extra: receiver ? { receiver: match[1].replace(/\s+/g, ' ').trim(), pointerReceiver: receiver.pointer } : {}
+            }));
+        }
+
+        this.extractTypes(content, masked, locate, lines).forEach(symbol => symbols.push(symbol));
+
+        return symbols.sort((a, b) => a.startLine - b.startLine);
+    }
+
+    /**
+     * Extract single and grouped import declarations
+     * @param {string} content - Source code
+     * @returns {Object[]} Import records
+     */
+    extractImports(content) {
+        const { code } = this.maskCode(content);
+        const locate = this.createLineLocator(content);
+        const imports = [];
+        const specPattern = /(?:^|\n)[ \t]*(?:import[ \t]+)?([\w.]+[ \t]+)?"([^"]+)"/g;
+        const declarationPattern = /^import\s*(\([\s\S]*?\)|[^\n]+)/gm;
+        let match;
+
+        while ((match = declarationPattern.exec(code)) !== null) {
+            const offset = match.index;
+            const body = match[0];
+            let spec;
+
+            specPattern.lastIndex = 0;
+            while ((spec = specPattern.exec(body)) !== null) {
+                const alias = spec[1] ? spec[1].trim() : null;
+                const source = spec[2];
+                imports.push({
+                    source,
+                    line: locate(offset + spec.index + spec[0].indexOf('"')),
+                    kind: alias === '_' ? 'side-effect' : alias === '.' ? 'dot' : 'import',
+                    names: [alias && alias !== '_' && alias !== '.' ? alias : source.split('/').pop()]
+                });
+            }
+        }
+
+        return imports;
+    }
+
+    /**
+     * Go imports are module paths; only `./` style paths are relative
+     * @param {string} source - Import source
+     * @returns {boolean} True for relative paths
+     */
+    isRelativeImport(source) {
+        return source.startsWith('./') || source.startsWith('../');
+    }
+
+    /**
+     * Extract type declarations, including grouped `type ( ... )` blocks
+     * @param {string} content - Source code
+     * @param {string} masked - Masked code
+     * @param {Function} locate - Line locator
+     * @param {string[]} lines - Source lines
+     * @returns {Object[]} Symbols
+     * @private
+     */
+    extractTypes(content, masked, locate, lines) {
+        const symbols = [];
+        const specs = [];
+        let match;
+
+        const singlePattern = /^type\s+(\w+)/gm;
+        while ((match = singlePattern.exec(masked)) !== null) {
+            specs.push({ name: match[1], index: match.index + match[0].length - match[1].length });
+        }
+
+        const groupPattern = /^type\s*\(/gm;
+        while ((match = groupPattern.exec(masked)) !== null) {
+            const openIndex = match.index + match[0].length - 1;
+            const closeIndex = this.findClosing(masked, openIndex);
+            const body = masked.slice(openIndex + 1, closeIndex);
+            const specPattern = /^[ \t]*(\w+)\b/gm;
+            let spec;
+
+            // Only the first token at group depth 0 names a type
+            let depth = 0;
+            let cursor = 0;
+            while ((spec = specPattern.exec(body)) !== null) {
+                depth += this.countDepth(body.slice(cursor, spec.index));
+                cursor = spec.index;
+                if (depth === 0) specs.push({ name: spec[1], index: openIndex + 1 + spec.index + spec[0].indexOf(spec[1]) });
+            }
+        }
+
+        specs.forEach(({ name, index }) => {
+            const rest = masked.slice(index + name.length);
+            const definition = rest.match(/^\s*(?:\[[^\]]*\]\s*)?(=\s*)?(struct|interface|func|[\w.*[\]]+)/);
+            const typeKind = definition ? definition[2] : 'type';
+            const block = ['struct', 'interface'].includes(typeKind)
+                ? this.findBlock(masked, index + name.length)
+                : null;
+            const line = locate(index);
+
+            symbols.push(this.createSymbol({
+                kind: typeKind === 'struct' ? 'struct' : typeKind === 'interface' ? 'interface' : 'type',
+                name,
+                startLine: line,
+                endLine: block ? locate(block.end) : line,
+                doc: this.findPrecedingLineComments(lines, line - 1, '//'),
+                visibility: this.getVisibility(name),
+                exported: this.isExported(name),
+                extra: definition && definition[1] ? { alias: true } : {}
+            }));
+        });
+
+        return symbols;
+    }
+
+    /**
+     * Find the body of a function, skipping the result list
+     * @param {string} masked - Masked code
+     * @param {number} fromIndex - Index after the parameter list
+     * @returns {{start: number, end: number}|null} Brace indexes, or null for declarations without a body
+     * @private
+     */
+    findFunctionBody(masked, fromIndex) {
+        for (let i = fromIndex; i < masked.length; i++) {
+            const char = masked[i];
+            if (char === '(') i = this.findClosing(masked, i);
+            else if (char === '{') {
+                // `interface{}` and `struct{}` in result types are not the body
+                const before = masked.slice(fromIndex, i);
+                if (/\b(interface|struct)\s*$/.test(before)) {
+                    i = this.findClosing(masked, i);
+                    continue;
+                }
+                return { start: i, end: this.findClosing(masked, i) };
+            } else if (char === '\n') {
+                // Multi-line signatures only break inside parentheses, which are skipped above
+                return null;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse a method receiver
+     * @param {string} text - Receiver text, e.g. `s *Server` or `l List[T]`
+     * @returns {{type: string, pointer: boolean}} Receiver base type
+     * @private
+     */
+    parseReceiver(text) {
+        const parts = text.trim().split(/\s+/);
+        const typeText = parts[parts.length - 1];
+
+        return {
+            type: typeText.replace(/^\*/, '').replace(/\[.*$/, ''),
+            pointer: typeText.startsWith('*')
+        };
+    }
+
+    /**
+     * Count the change in bracket depth over a text
+     * @param {string} text - Masked code
+     * @returns {number} Depth change
+     * @private
+     */
+    countDepth(text) {
+        let depth = 0;
+        for (const char of text) {
+            if ('({['.includes(char)) depth++;
+            else if (')}]'.includes(char)) depth--;
+        }
+        return depth;
+    }
+
+    /**
+     * Go exports identifiers starting with an upper-case letter
+     * @param {string} name - Identifier
+     * @returns {boolean} True if exported
+     * @private
+     */
+    isExported(name) {
+        return /^[A-Z]/.test(name);
+    }
+
+    /**
+     * Get the visibility implied by the identifier case
+     * @param {string} name - Identifier
+     * @returns {string} public or package
+     * @private
+     */
+    getVisibility(name) {
+        return this.isExported(name) ? 'public' : 'package';
+    }
+}
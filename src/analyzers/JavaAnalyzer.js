@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Symbol and import extraction for Java sources
+ */
+
+import { LanguageAnalyzer } from './LanguageAnalyzer.js';
+
+/**
+ * Keywords that look like method names when followed by a parenthesis
+ */
+const CONTROL_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'synchronized', 'return', 'new', 'throw', 'else', 'try', 'do', 'assert', 'super', 'this']);
+
+/**
+ * Type declaration keywords, a record header looks like a method returning `record`
+ */
+const TYPE_KEYWORDS = new Set(['class', 'interface', 'enum', 'record']);
+
+/**
+ * Analyzer for Java files: packages, imports, types, methods and annotations
+ */
+export class JavaAnalyzer extends LanguageAnalyzer {
+    constructor() {
+        super();
+        this.name = 'java';
+        this.languages = ['java'];
+        this.extensions = ['java'];
+        this.docPatterns = [
+            /\/\*\*[\s\S]*?\*\//g, // Javadoc
+            /\/\/.*$/gm            // Line comments
+        ];
+        this.maskOptions = {
+            quotes: ['"', "'"]
+        };
+    }
+
+    /**
+     * Extract the package, types, constructors and methods
+     * @param {string} content - Source code
+     * @returns {Object[]} Symbols
+     */
+    extractSymbols(content) {
+        const { masked } = this.maskCode(content);
+        const locate = this.createLineLocator(content);
+        const symbols = [];
+        let match;
+
+        const packageMatch = masked.match(/^\s*package\s+([\w.]+)\s*;/m);
+        if (packageMatch) {
+            symbols.push(this.createSymbol({
+                kind: 'package',
+                name: packageMatch[1],
+                startLine: locate(packageMatch.index + packageMatch[0].indexOf('package')),
+                exported: true
+            }));
+        }
+
+        const types = [];
+        const typePattern = /((?:\b(?:public|protected|private|static|abstract|final|sealed|non-sealed|strictfp)\s+)*)(class|interface|enum|record|@interface)\s+(\w+)([^{;]*)\{/g;
+        while ((match = typePattern.exec(masked)) !== null) {
+            const start = match.index + match[0].length - 1;
+            const end = this.findClosing(masked, start);
+            const owner = this.findEnclosing(types, match.index);
+            const modifiers = match[1].trim().split(/\s+/);
+            const heritage = match[4];
+            const extendsMatch = heritage.match(/\bextends\s+([\w.<>,\s]+?)(?=\s+implements\b|\s+permits\b|$)/);
+            const implementsMatch = heritage.match(/\bimplements\s+([\w.<>,\s]+?)(?=\s+permits\b|$)/);
+            const kind = match[2] === '@interface' ? 'annotation' : match[2];
+
+            const symbol = this.createSymbol({
+                kind,
+                name: match[3],
+                startLine: locate(match.index),
+                endLine: locate(end),
+                doc: this.findPrecedingDocBlock(content, match.index),
+                visibility: this.getVisibility(modifiers),
+                exported: !owner && modifiers.includes('public'),
+                parent: owner ? owner.symbol.name : null,
+                decorators: this.findAnnotations(content, match.index),
+                static: modifiers.includes('static'),
+                extra: {
+                    ...(extendsMatch ? { extends: extendsMatch[1].trim() } : {}),
+                    ...(implementsMatch ? { implements: this.splitParams(implementsMatch[1]) } : {})
+                }
+            });
+
+            types.push({ symbol, start, end });
+            symbols.push(symbol);
+        }
+
+        // Declarations start a line or follow a brace or semicolon, as in `class A { void f() {} }`
+        const methodPattern = /(?:^|(?<=[{};]))[ \t]*((?:(?:public|protected|private|static|abstract|final|synchronized|native|default|strictfp)\s+)*)(?:<[^>]*>\s*)?(?:([\w.$]+(?:\s*<[^;{}()]*>)?(?:\s*\[\s*\])*)\s+)?(\w+)\s*\(/gm;
+        while ((match = methodPattern.exec(masked)) !== null) {
+            const returnType = match[2];
+            const name = match[3];
+            if (CONTROL_KEYWORDS.has(name) || (returnType && (CONTROL_KEYWORDS.has(returnType) || TYPE_KEYWORDS.has(returnType)))) continue;
+
+            const owner = this.findEnclosing(types, match.index);
+            if (!owner) continue;
+
+            // Without a return type only a constructor is a declaration
+            if (!returnType && name !== owner.symbol.name) continue;
+
+            const openIndex = match.index + match[0].length - 1;
+            const closeIndex = this.findClosing(masked, openIndex);
+            const tail = masked.slice(closeIndex + 1).match(/^\s*(?:throws\s+[\w.,\s<>]+?)?\s*(?:default\s+[^;]+)?([{;])/);
+            if (!tail) continue;
+
+            const modifiers = match[1].trim().split(/\s+/);
+            const isInterface = ['interface', 'annotation'].includes(owner.symbol.kind);
+            if (tail[1] === ';' && !isInterface && !modifiers.includes('abstract') && !modifiers.includes('native')) continue;
+
+            const block = tail[1] === '{' ? this.findBlock(masked, closeIndex + 1) : null;
+            const startIndex = match.index + match[0].search(/\S/);
+
+            symbols.push(this.createSymbol({
+                kind: returnType ? 'method' : 'constructor',
+                name,
+                startLine: locate(startIndex),
+                endLine: locate(block ? block.end : closeIndex),
+                params: this.splitParams(content.slice(openIndex + 1, closeIndex)),
+                doc: this.findPrecedingDocBlock(content, startIndex),
+                visibility: isInterface && !modifiers.includes('private') ? 'public' : this.getVisibility(modifiers),
+                exported: false,
+                parent: owner.symbol.name,
+                decorators: this.findAnnotations(content, startIndex),
+                static: modifiers.includes('static'),
+                extra: returnType ? { returns: returnType.replace(/\s+/g, '') } : {}
+            }));
+
+            // Method bodies hold no further declarations we report
+            if (block) methodPattern.lastIndex = block.end;
+        }
+
+        return symbols.sort((a, b) => a.startLine - b.startLine);
+    }
+
+    /**
+     * Extract import statements
+     * @param {string} content - Source code
+     * @returns {Object[]} Import records
+     */
+    extractImports(content) {
+        const { masked } = this.maskCode(content);
+        const locate = this.createLineLocator(content);
+        const imports = [];
+        const pattern = /^\s*import\s+(static\s+)?([\w.]+(?:\.\*)?)\s*;/gm;
+        let match;
+
+        while ((match = pattern.exec(masked)) !== null) {
+            const source = match[2];
+            imports.push({
+                source,
+                line: locate(match.index + match[0].indexOf('import')),
+                kind: match[1] ? 'static' : 'import',
+                names: [source.split('.').pop()]
+            });
+        }
+
+        return imports;
+    }
+
+    /**
+     * Java imports are fully qualified, there are no relative imports
+     * @returns {boolean} Always false
+     */
+    isRelativeImport() {
+        return false;
+    }
+
+    /**
+     * Get the visibility from modifiers
+     * @param {string[]} modifiers - Declaration modifiers
+     * @returns {string} public, protected, private or package
+     * @private
+     */
+    getVisibility(modifiers) {
+        const visibility = ['public', 'protected', 'private'].find(modifier => modifiers.includes(modifier));
+        return visibility || 'package';
+    }
+
+    /**
+     * Get the annotations preceding a declaration
+     * @param {string} content - Source code
+     * @param {number} index - Start of the declaration (after any annotations on the same line)
+     * @returns {string[]} Annotations without the leading @
+     * @private
+     */
+    findAnnotations(content, index) {
+        const annotations = [];
+        let before = content.slice(0, index).replace(/\s+$/, '');
+        let match;
+
+        while ((match = before.match(/@([\w.]+(?:\([^()]*(?:\([^()]*\)[^()]*)*\))?)$/)) !== null) {
+            annotations.unshift(match[1]);
+            before = before.slice(0, match.index).replace(/\s+$/, '');
+        }
+
+        return annotations;
+    }
+}
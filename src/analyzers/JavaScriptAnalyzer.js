@@ -0,0 +1,608 @@
+/**
+ * @fileoverview Parser-based symbol extraction for JavaScript and TypeScript
+ */
+
+import { parse } from '@babel/parser';
+import { LanguageAnalyzer } from './LanguageAnalyzer.js';
+
+/**
+ * Maximum length of a rendered parameter before it is truncated
+ */
+const MAX_PARAM_LENGTH = 80;
+
+/**
+ * Analyzer extracting symbols, imports and exports from JS/TS/JSX/TSX sources using an AST
+ */
+export class JavaScriptAnalyzer extends LanguageAnalyzer {
+    constructor() {
+        super();
+        this.name = 'javascript';
+        this.languages = ['javascript', 'typescript'];
+        this.extensions = ['js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'mts', 'cts'];
+    }
+
+    /**
+     * Parse source code into a Babel AST
+     * @param {string} content - Source code
+     * @param {string} [extension='js'] - File extension, selects the TypeScript and JSX plugins
+     * @returns {Object|null} AST or null if the source cannot be parsed
+     */
+    parse(content, extension = 'js') {
+        const isTypeScript = ['ts', 'tsx', 'mts', 'cts'].includes(extension);
+        const plugins = ['decorators-legacy', 'classProperties', 'classPrivateProperties', 'classPrivateMethods', 'dynamicImport'];
+
+        if (isTypeScript) {
+            plugins.push('typescript');
+            // Angle-bracket type assertions in .ts files conflict with JSX
+            if (extension === 'tsx') plugins.push('jsx');
+        } else {
+            plugins.push('jsx');
+        }
+
+        try {
+            return parse(content, {
+                sourceType: 'unambiguous',
+                errorRecovery: true,
+                allowReturnOutsideFunction: true,
+                allowImportExportEverywhere: true,
+                allowAwaitOutsideFunction: true,
+                plugins
+            });
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Analyze a source file
+     * @param {string} content - Source code
+     * @param {Object} [file] - File being analyzed, its extension selects the parser plugins
+     * @returns {Object} Symbols, imports and exports
+     */
+    analyze(content, file = {}) {
+        const ast = this.parse(content, file.extension || 'js');
+        if (!ast) return this.analyzeWithoutAST(content);
+
+        const context = {
+            content,
+            symbols: [],
+            imports: [],
+            exports: [],
+            exportedLocals: new Map()
+        };
+
+        ast.program.body.forEach(statement => this.visitStatement(statement, context));
+        this.collectCalls(ast.program, context);
+
+        // `export { a, b as c }` without a source marks earlier declarations as exported
+        context.symbols.forEach(symbol => {
+            if (!symbol.parent && context.exportedLocals.has(symbol.name)) {
+                symbol.exported = true;
+                if (context.exportedLocals.get(symbol.name) === 'default') symbol.default = true;
+            }
+        });
+
+        return {
+            symbols: context.symbols,
+            imports: context.imports,
+            exports: [...new Set(context.exports)]
+        };
+    }
+
+    /**
+     * Extract symbols from source code
+     * @param {string} content - Source code
+     * @param {Object} [file] - File being analyzed
+     * @returns {Object[]} Symbols
+     */
+    extractSymbols(content, file = {}) {
+        return this.analyze(content, file).symbols;
+    }
+
+    /**
+     * Extract imports from source code
+     * @param {string} content - Source code
+     * @param {Object} [file] - File being analyzed
+     * @returns {Object[]} Import records
+     */
+    extractImports(content, file = {}) {
+        return this.analyze(content, file).imports;
+    }
+
+    /**
+     * Extract the comments of the source, each once and in order. They are read from
+     * the syntax tree, so `//` inside strings such as URLs is not taken for a comment.
+     * @param {string} content - Source code
+     * @param {Object} [file] - File being analyzed, its extension selects the parser plugins
+     * @returns {string} Comments joined by newlines
+     */
+    extractDocs(content, file = {}) {
+        const ast = this.parse(content, file.extension || 'js');
+        if (!ast) return super.extractDocs(content, file);
+
+        return ast.comments
+            .map(comment => comment.type === 'CommentBlock' ? `/*${comment.value}*/` : `//${comment.value}`)
+            .join('\n')
+            .trim();
+    }
+
+    /**
+     * Fall back to pattern matching when the source cannot be parsed
+     * @param {string} content - Source code
+     * @returns {Object} Imports only, symbols cannot be recovered reliably
+     * @private
+     */
+    analyzeWithoutAST(content) {
+        const { code } = this.maskCode(content);
+        const locate = this.createLineLocator(content);
+        const imports = [];
+        const patterns = [
+            { regex: /\bimport\s+(?:[^'"]*?\s+from\s+)?['"]([^'"]+)['"]/g, kind: 'static' },
+            { regex: /\brequire\s*\(\s*['"]([^'"]+)['"]\s*\)/g, kind: 'require' }
+        ];
+
+        patterns.forEach(({ regex, kind }) => {
+            let match;
+            while ((match = regex.exec(code)) !== null) {
+                imports.push({ source: match[1], line: locate(match.index), kind, names: [] });
+            }
+        });
+
+        return { symbols: [], imports, exports: [] };
+    }
+
+    /**
+     * Visit a top-level statement
+     * @param {Object} node - Statement node
+     * @param {Object} context - Analysis context
+     * @private
+     */
+    visitStatement(node, context) {
+        switch (node.type) {
+            case 'ImportDeclaration':
+                context.imports.push({
+                    source: node.source.value,
+                    line: node.loc.start.line,
+                    kind: node.importKind === 'type' ? 'type' : 'static',
+                    names: node.specifiers.map(specifier => specifier.local.name)
+                });
+                break;
+
+            case 'ExportNamedDeclaration':
+                if (node.declaration) {
+                    this.visitDeclaration(node.declaration, context, { exported: true, outer: node });
+                }
+
+                if (node.source) {
+                    context.imports.push({
+                        source: node.source.value,
+                        line: node.loc.start.line,
+                        kind: 'reexport',
+                        names: node.specifiers.map(specifier => this.getName(specifier.exported))
+                    });
+                }
+
+                node.specifiers.forEach(specifier => {
+                    const exportedName = this.getName(specifier.exported);
+                    context.exports.push(exportedName);
+
+                    if (!node.source && specifier.local) {
+                        context.exportedLocals.set(specifier.local.name, exportedName);
+                    }
+                });
+                break;
+
+            case 'ExportDefaultDeclaration': {
+                const declaration = node.declaration;
+
+                if (declaration.type === 'Identifier') {
+                    context.exportedLocals.set(declaration.name, 'default');
+                } else if (this.isDeclaration(declaration)) {
+                    this.visitDeclaration(declaration, context, { exported: true, isDefault: true, outer: node });
+                } else if (this.isFunctionNode(declaration)) {
+                    context.symbols.push(this.createFunctionSymbol(declaration, 'default', context, {
+                        exported: true,
+                        isDefault: true,
+                        outer: node
+                    }));
+                }
+
+                context.exports.push('default');
+                break;
+            }
+
+            case 'ExportAllDeclaration':
+                context.imports.push({
+                    source: node.source.value,
+                    line: node.loc.start.line,
+                    kind: 'reexport',
+                    names: node.exported ? [this.getName(node.exported)] : ['*']
+                });
+                if (node.exported) context.exports.push(this.getName(node.exported));
+                break;
+
+            case 'ExpressionStatement':
+                this.visitCommonJSExport(node.expression, context);
+                break;
+
+            case 'TSExportAssignment':
+                context.exports.push('default');
+                if (node.expression.type === 'Identifier') {
+                    context.exportedLocals.set(node.expression.name, 'default');
+                }
+                break;
+
+            default:
+                if (this.isDeclaration(node)) {
+                    this.visitDeclaration(node, context, { exported: false, outer: node });
+                }
+        }
+    }
+
+    /**
+     * Visit a declaration and record its symbols
+     * @param {Object} node - Declaration node
+     * @param {Object} context - Analysis context
+     * @param {Object} options - Export information
+     * @param {boolean} options.exported - Whether the declaration is exported
+     * @param {boolean} [options.isDefault=false] - Whether it is the default export
+     * @param {Object} options.outer - Outermost node, carries leading comments
+     * @private
+     */
+    visitDeclaration(node, context, options) {
+        switch (node.type) {
+            case 'FunctionDeclaration':
+            case 'TSDeclareFunction': {
+                const name = node.id ? node.id.name : 'default';
+                context.symbols.push(this.createFunctionSymbol(node, name, context, options));
+                if (options.exported) context.exports.push(options.isDefault ? 'default' : name);
+                break;
+            }
+
+            case 'ClassDeclaration':
+                this.visitClass(node, context, options);
+                break;
+
+            case 'VariableDeclaration':
+                node.declarations.forEach(declarator => {
+                    if (declarator.id.type !== 'Identifier') return;
+
+                    const name = declarator.id.name;
+                    const init = declarator.init;
+
+                    if (init && this.isFunctionNode(init)) {
+                        context.symbols.push(this.createFunctionSymbol(init, name, context, options, declarator));
+                    } else if (init && init.type === 'ClassExpression') {
+                        this.visitClass(init, context, options, name);
+                    } else if (options.exported) {
+                        context.symbols.push(this.createNodeSymbol('variable', name, declarator, context, options));
+                    }
+
+                    if (options.exported) context.exports.push(name);
+                });
+                break;
+
+            case 'TSInterfaceDeclaration':
+                context.symbols.push(this.createNodeSymbol('interface', node.id.name, node, context, options));
+                if (options.exported) context.exports.push(node.id.name);
+                break;
+
+            case 'TSTypeAliasDeclaration':
+                context.symbols.push(this.createNodeSymbol('type', node.id.name, node, context, options));
+                if (options.exported) context.exports.push(node.id.name);
+                break;
+
+            case 'TSEnumDeclaration':
+                context.symbols.push(this.createNodeSymbol('enum', node.id.name, node, context, options));
+                if (options.exported) context.exports.push(node.id.name);
+                break;
+
+            case 'TSModuleDeclaration': {
+                const name = node.id.type === 'Identifier' ? node.id.name : node.id.value;
+                context.symbols.push(this.createNodeSymbol('namespace', name, node, context, options));
+                if (options.exported) context.exports.push(name);
+                break;
+            }
+
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Visit a class and its members
+     * @param {Object} node - Class node
+     * @param {Object} context - Analysis context
+     * @param {Object} options - Export information
+     * @param {string} [fallbackName] - Name to use for anonymous class expressions
+     * @private
+     */
+    visitClass(node, context, options, fallbackName = null) {
+        const className = node.id ? node.id.name : (fallbackName || 'default');
+        const classSymbol = this.createNodeSymbol('class', className, node, context, options);
+
+        if (node.superClass) {
+            classSymbol.extends = context.content.slice(node.superClass.start, node.superClass.end);
+        }
+
+        context.symbols.push(classSymbol);
+        if (options.exported) context.exports.push(options.isDefault ? 'default' : className);
+
+        node.body.body.forEach(member => {
+            const isMethod = ['ClassMethod', 'ClassPrivateMethod', 'TSDeclareMethod'].includes(member.type);
+            const isProperty = ['ClassProperty', 'ClassPrivateProperty', 'ClassAccessorProperty'].includes(member.type);
+            if (!isMethod && !isProperty) return;
+
+            const name = this.getName(member.key);
+            const memberOptions = { exported: false, outer: member };
+            let symbol;
+
+            if (isMethod) {
+                const kind = member.kind === 'constructor' ? 'constructor'
+                    : member.kind === 'get' || member.kind === 'set' ? 'accessor'
+                        : 'method';
+                symbol = this.createFunctionSymbol(member, name, context, memberOptions);
+                symbol.kind = kind;
+            } else if (member.value && this.isFunctionNode(member.value)) {
+                symbol = this.createFunctionSymbol(member.value, name, context, memberOptions, member);
+                symbol.kind = 'method';
+            } else {
+                symbol = this.createNodeSymbol('property', name, member, context, memberOptions);
+            }
+
+            symbol.parent = className;
+            symbol.visibility = this.getVisibility(member);
+            if (member.static) symbol.static = true;
+
+            context.symbols.push(symbol);
+        });
+    }
+
+    /**
+     * Record CommonJS exports (`module.exports = ...`, `exports.name = ...`)
+     * @param {Object} expression - Expression node
+     * @param {Object} context - Analysis context
+     * @private
+     */
+    visitCommonJSExport(expression, context) {
+        if (expression.type !== 'AssignmentExpression' || expression.left.type !== 'MemberExpression') return;
+
+        const target = context.content.slice(expression.left.start, expression.left.end);
+
+        if (target === 'module.exports') {
+            if (expression.right.type === 'ObjectExpression') {
+                expression.right.properties.forEach(property => {
+                    if (property.key) context.exports.push(this.getName(property.key));
+                });
+            } else {
+                context.exports.push('default');
+                if (expression.right.type === 'Identifier') {
+                    context.exportedLocals.set(expression.right.name, 'default');
+                }
+            }
+        } else {
+            const match = target.match(/^(?:module\.)?exports\.([A-Za-z_$][\w$]*)$/);
+            if (match) {
+                context.exports.push(match[1]);
+                if (this.isFunctionNode(expression.right)) {
+                    context.symbols.push(this.createFunctionSymbol(expression.right, match[1], context, {
+                        exported: true,
+                        outer: expression
+                    }));
+                }
+            }
+        }
+    }
+
+    /**
+     * Walk the whole tree to find require() and dynamic import() calls
+     * @param {Object} root - Root node
+     * @param {Object} context - Analysis context
+     * @private
+     */
+    collectCalls(root, context) {
+        const stack = [root];
+
+        while (stack.length > 0) {
+            const node = stack.pop();
+
+            if (node.type === 'CallExpression' || node.type === 'ImportExpression') {
+                const source = this.getCallSource(node);
+                if (source) {
+                    context.imports.push({
+                        source: source.value,
+                        line: node.loc.start.line,
+                        kind: source.kind,
+                        names: []
+                    });
+                }
+            }
+
+            for (const key of Object.keys(node)) {
+                if (key === 'loc' || key.endsWith('Comments')) continue;
+
+                const value = node[key];
+                if (Array.isArray(value)) {
+                    for (let i = value.length - 1; i >= 0; i--) {
+                        if (value[i] && typeof value[i].type === 'string') stack.push(value[i]);
+                    }
+                } else if (value && typeof value.type === 'string') {
+                    stack.push(value);
+                }
+            }
+        }
+    }
+
+    /**
+     * Get the module specifier of a require() or import() call
+     * @param {Object} node - Call node
+     * @returns {{value: string, kind: string}|null} Specifier and import kind
+     * @private
+     */
+    getCallSource(node) {
+        let argument;
+        let kind;
+
+        if (node.type === 'ImportExpression') {
+            argument = node.source;
+            kind = 'dynamic';
+        } else if (node.callee.type === 'Import') {
+            argument = node.arguments[0];
+            kind = 'dynamic';
+        } else if (node.callee.type === 'Identifier' && node.callee.name === 'require') {
+            argument = node.arguments[0];
+            kind = 'require';
+        } else {
+            return null;
+        }
+
+        if (!argument) return null;
+        if (argument.type === 'StringLiteral') return { value: argument.value, kind };
+        if (argument.type === 'TemplateLiteral' && argument.expressions.length === 0) {
+            return { value: argument.quasis[0].value.cooked, kind };
+        }
+
+        return null;
+    }
+
+    /**
+     * Create a symbol record for a function-like node
+     * @param {Object} node - Function node
+     * @param {string} name - Symbol name
+     * @param {Object} context - Analysis context
+     * @param {Object} options - Export information
+     * @param {Object} [rangeNode] - Node spanning the whole declaration, defaults to the function node
+     * @returns {Object} Symbol record
+     * @private
+     */
+    createFunctionSymbol(node, name, context, options, rangeNode = null) {
+        const symbol = this.createNodeSymbol('function', name, rangeNode || node, context, options);
+        symbol.params = (node.params || []).map(param => this.formatParam(param, context.content));
+        if (node.async) symbol.async = true;
+        if (node.generator) symbol.generator = true;
+        return symbol;
+    }
+
+    /**
+     * Create a symbol record
+     * @param {string} kind - Symbol kind
+     * @param {string} name - Symbol name
+     * @param {Object} node - Node spanning the declaration
+     * @param {Object} context - Analysis context
+     * @param {Object} options - Export information
+     * @returns {Object} Symbol record
+     * @private
+     */
+    createNodeSymbol(kind, name, node, context, options) {
+        const outer = options.outer || node;
+        const symbol = {
+            kind,
+            name,
+            startLine: outer.loc.start.line,
+            endLine: outer.loc.end.line,
+            params: null,
+            doc: this.getJSDoc(outer) || this.getJSDoc(node),
+            visibility: 'public',
+            exported: Boolean(options.exported)
+        };
+
+        if (options.isDefault) symbol.default = true;
+
+        const decorators = this.getDecorators(node, context.content);
+        if (decorators.length > 0) symbol.decorators = decorators;
+
+        return symbol;
+    }
+
+    /**
+     * Render a parameter as written in the source
+     * @param {Object} param - Parameter node
+     * @param {string} content - Source code
+     * @returns {string} Parameter text
+     * @private
+     */
+    formatParam(param, content) {
+        const text = content.slice(param.start, param.end).replace(/\s+/g, ' ').trim();
+        return text.length > MAX_PARAM_LENGTH ? `${text.substring(0, MAX_PARAM_LENGTH - 3)}...` : text;
+    }
+
+    /**
+     * Get the JSDoc block attached to a node
+     * @param {Object} node - Node
+     * @returns {string|null} Cleaned JSDoc text
+     * @private
+     */
+    getJSDoc(node) {
+        const comments = node.leadingComments || [];
+        const block = [...comments].reverse().find(comment =>
+            comment.type === 'CommentBlock' && comment.value.startsWith('*')
+        );
+
+        if (!block) return null;
+
+        return this.cleanDocBlock(`/*${block.value}*/`);
+    }
+
+    /**
+     * Get decorator expressions of a node
+     * @param {Object} node - Node
+     * @param {string} content - Source code
+     * @returns {string[]} Decorator sources without the leading @
+     * @private
+     */
+    getDecorators(node, content) {
+        return (node.decorators || []).map(decorator =>
+            content.slice(decorator.expression.start, decorator.expression.end)
+        );
+    }
+
+    /**
+     * Get the visibility of a class member
+     * @param {Object} member - Class member node
+     * @returns {string} public, protected or private
+     * @private
+     */
+    getVisibility(member) {
+        if (member.accessibility) return member.accessibility;
+        if (member.type === 'ClassPrivateMethod' || member.type === 'ClassPrivateProperty') return 'private';
+        if (member.key && member.key.type === 'PrivateName') return 'private';
+        return 'public';
+    }
+
+    /**
+     * Get the name of an identifier-like node
+     * @param {Object} node - Identifier, string literal or private name
+     * @returns {string} Name
+     * @private
+     */
+    getName(node) {
+        if (!node) return '';
+        if (node.type === 'Identifier') return node.name;
+        if (node.type === 'StringLiteral' || node.type === 'NumericLiteral') return String(node.value);
+        if (node.type === 'PrivateName') return `#${node.id.name}`;
+        return '[computed]';
+    }
+
+    /**
+     * Check whether a node is a function expression or declaration
+     * @param {Object} node - Node
+     * @returns {boolean} True for functions and arrow functions
+     * @private
+     */
+    isFunctionNode(node) {
+        return ['FunctionExpression', 'ArrowFunctionExpression', 'FunctionDeclaration'].includes(node.type);
+    }
+
+    /**
+     * Check whether a node is a declaration this analyzer records
+     * @param {Object} node - Node
+     * @returns {boolean} True for supported declarations
+     * @private
+     */
+    isDeclaration(node) {
+        return [
+            'FunctionDeclaration', 'TSDeclareFunction', 'ClassDeclaration', 'VariableDeclaration',
+            'TSInterfaceDeclaration', 'TSTypeAliasDeclaration', 'TSEnumDeclaration', 'TSModuleDeclaration'
+        ].includes(node.type);
+    }
+}
@@ -0,0 +1,480 @@
+/**
+ * @fileoverview Base class for language analyzers
+ */
+
+/**
+ * Default comment patterns used to extract documentation
+ */
+const C_STYLE_DOC_PATTERNS = [
+    /\/\*\*[\s\S]*?\*\//g, // Doc blocks
+    /\/\*[\s\S]*?\*\//g,   // Block comments
+    /\/\/.*$/gm            // Line comments
+];
+
+/**
+ * Base class for language analyzers.
+ *
+ * An analyzer claims files through detect() and turns their content into symbols,
+ * import records, documentation and a complexity score. Subclasses override the
+ * extract* methods; the helpers below cover the comment/string masking and block
+ * matching most regex-based analyzers need.
+ *
+ * Symbols are plain objects: { kind, name, startLine, endLine, params, doc,
+ * visibility, exported } plus optional parent, decorators, static and async.
+ * Import records are { source, line, kind, names }.
+ */
+export class LanguageAnalyzer {
+    constructor() {
+        this.name = 'generic';
+        this.languages = [];
+        this.extensions = [];
+        this.docPatterns = C_STYLE_DOC_PATTERNS;
+        this.complexityKeywords = ['if', 'else', 'switch', 'case', 'for', 'while', 'do', 'try', 'catch'];
+        this.complexityOperators = ['&&', '||'];
+        this.maskOptions = {};
+    }
+
+    /**
+     * Check whether this analyzer handles a file
+     * @param {Object} file - File with language and extension
+     * @returns {boolean} True if the analyzer handles the file
+     */
+    detect(file) {
+        return this.languages.includes(file.language) || this.extensions.includes(file.extension);
+    }
+
+    /**
+     * Analyze a file
+     * @param {string} content - File content
+     * @param {Object} file - File with path, language and extension
+     * @returns {Object} Symbols, imports and exported names
+     */
+    analyze(content, file) {
+        const symbols = this.extractSymbols(content, file);
+
+        return {
+            symbols,
+            imports: this.extractImports(content, file),
+            exports: this.extractExports(content, file, symbols)
+        };
+    }
+
+    /**
+     * Extract declared symbols
+     * @param {string} content - File content
+     * @param {Object} file - File being analyzed
+     * @returns {Object[]} Symbols
+     */
+    extractSymbols(content, file) {
+        return [];
+    }
+
+    /**
+     * Extract import records
+     * @param {string} content - File content
+     * @param {Object} file - File being analyzed
+     * @returns {Object[]} Import records
+     */
+    extractImports(content, file) {
+        return [];
+    }
+
+    /**
+     * Extract names visible to other modules
+     * @param {string} content - File content
+     * @param {Object} file - File being analyzed
+     * @param {Object[]} symbols - Symbols returned by extractSymbols()
+     * @returns {string[]} Exported names
+     */
+    extractExports(content, file, symbols) {
+        return [...new Set(symbols
+            .filter(symbol => symbol.exported && !symbol.parent && !['package', 'namespace'].includes(symbol.kind))
+            .map(symbol => symbol.name))];
+    }
+
+    /**
+     * Extract documentation comments
+     * @param {string} content - File content
+     * @param {Object} [file] - File being analyzed
+     * @returns {string} Documentation text
+     */
+    extractDocs(content, file) {
+        const docs = [];
+
+        this.getDocPatterns(file).forEach(pattern => {
+            const matches = content.match(pattern);
+            if (matches) {
+                docs.push(...matches);
+            }
+        });
+
+        return docs.join('\n').trim();
+    }
+
+    /**
+     * Compute a complexity score
+     * @param {string} content - File content
+     * @param {Object} [file] - File being analyzed
+     * @returns {number} Complexity score (1-10)
+     */
+    computeComplexity(content, file) {
+        const code = this.maskCode(content, this.getMaskOptions(file)).masked;
+        let complexity = 1;
+
+        // Cyclomatic complexity
+        let keywordCount = 0;
+        this.complexityKeywords.forEach(keyword => {
+            const matches = code.match(new RegExp(`\\b${keyword}\\b`, 'g'));
+            if (matches) keywordCount += matches.length;
+        });
+        this.complexityOperators.forEach(operator => {
+            keywordCount += code.split(operator).length - 1;
+        });
+
+        // Base complexity on control flow
+        if (keywordCount > 100) complexity += 4;
+        else if (keywordCount > 50) complexity += 3;
+        else if (keywordCount > 20) complexity += 2;
+        else if (keywordCount > 10) complexity += 1;
+
+        // Nesting level (approximate)
+        const nestingLevel = this.computeNestingLevel(code);
+        if (nestingLevel > 5) complexity += 2;
+        else if (nestingLevel > 3) complexity += 1;
+
+        // Lines of code
+        const lines = content.split('\n').length;
+        if (lines > 1000) complexity += 3;
+        else if (lines > 500) complexity += 2;
+        else if (lines > 200) complexity += 1;
+
+        // Asynchronous code and regular expressions
+        if (/\b(async|await)\b/.test(code)) complexity += 1;
+        if (/\b(Promise|callback|Future|goroutine|chan)\b/.test(code)) complexity += 1;
+        if (content.includes('regex') || content.includes('RegExp')) complexity += 1;
+
+        return Math.max(1, Math.min(10, complexity));
+    }
+
+    /**
+     * Compute the maximum nesting level
+     * @param {string} code - Masked code
+     * @returns {number} Maximum nesting level
+     */
+    computeNestingLevel(code) {
+        let maxLevel = 0;
+        let currentLevel = 0;
+
+        for (const char of code) {
+            if (char === '{') {
+                currentLevel++;
+                maxLevel = Math.max(maxLevel, currentLevel);
+            } else if (char === '}') {
+                currentLevel = Math.max(0, currentLevel - 1);
+            }
+        }
+
+        return maxLevel;
+    }
+
+    /**
+     * Get the patterns matching documentation comments
+     * @param {Object} [file] - File being analyzed
+     * @returns {RegExp[]} Global patterns
+     */
+    getDocPatterns(file) {
+        return this.docPatterns;
+    }
+
+    /**
+     * Get the lexical options used to mask comments and strings
+     * @param {Object} [file] - File being analyzed
+     * @returns {Object} Options for maskCode()
+     */
+    getMaskOptions(file) {
+        return this.maskOptions;
+    }
+
+    /**
+     * Check whether an import refers to a module inside the project
+     * @param {string} source - Import source
+     * @returns {boolean} True for relative or absolute paths
+     */
+    isRelativeImport(source) {
+        return source.startsWith('.') || source.startsWith('/');
+    }
+
+    // Helpers for regex-based analyzers
+
+    /**
+     * Blank out comments and string contents while preserving offsets and line breaks.
+     * `code` only has comments removed; `masked` also hides string contents so
+     * braces and keywords inside literals are ignored.
+     * @param {string} content - Source code
+     * @param {Object} [options=this.maskOptions] - Lexical options
+     * @param {string[]} [options.lineComments=['//']] - Line comment prefixes
+     * @param {string[][]} [options.blockComments=[['/*', '*\/']]] - Block comment delimiters
+     * @param {string[]} [options.quotes=['"', "'", '`']] - String delimiters
+     * @param {boolean} [options.tripleQuotes=false] - Support Python triple-quoted strings
+     * @param {Function} [options.isComment] - Veto function (content, index, prefix) => boolean
+     * @returns {{code: string, masked: string}} Masked variants of the content
+     */
+    maskCode(content, options = this.maskOptions) {
+        const {
+            lineComments = ['//'],
+            blockComments = [['/*', '*/']],
+            quotes = ['"', "'", '`'],
+            tripleQuotes = false,
+            isComment = () => true
+        } = options;
+
+        const code = content.split('');
+        const masked = content.split('');
+        const blank = (array, from, to) => {
+            for (let i = from; i < to; i++) {
+                if (array[i] !== '\n') array[i] = ' ';
+            }
+        };
+
+        let i = 0;
+        while (i < content.length) {
+            const lineComment = lineComments.find(prefix => content.startsWith(prefix, i) && isComment(content, i, prefix));
+            if (lineComment) {
+                let end = content.indexOf('\n', i);
+                if (end === -1) end = content.length;
+                blank(code, i, end);
+                blank(masked, i, end);
+                i = end;
+                continue;
+            }
+
+            const blockComment = blockComments.find(([open]) => content.startsWith(open, i));
+            if (blockComment) {
+                let end = content.indexOf(blockComment[1], i + blockComment[0].length);
+                end = end === -1 ? content.length : end + blockComment[1].length;
+                blank(code, i, end);
+                blank(masked, i, end);
+                i = end;
+                continue;
+            }
+
+            const quote = quotes.find(q => content[i] === q);
+            if (quote) {
+                const delimiter = tripleQuotes && content.startsWith(quote.repeat(3), i) ? quote.repeat(3) : quote;
+                let end = i + delimiter.length;
+
+                while (end < content.length && !content.startsWith(delimiter, end)) {
+                    if (content[end] === '\\') end++;
+                    // Single-quoted strings cannot span lines (except JS template literals)
+                    if (delimiter.length === 1 && delimiter !== '`' && content[end] === '\n') break;
+                    end++;
+                }
+
+                const closeEnd = Math.min(content.length, end + delimiter.length);
+                blank(masked, i + delimiter.length, end);
+                i = closeEnd;
+                continue;
+            }
+
+            i++;
+        }
+
+        return { code: code.join(''), masked: masked.join('') };
+    }
+
+    /**
+     * Build a function mapping character offsets to 1-based line numbers
+     * @param {string} content - Source code
+     * @returns {Function} (index) => line number
+     */
+    createLineLocator(content) {
+        const lineStarts = [0];
+        for (let i = 0; i < content.length; i++) {
+            if (content[i] === '\n') lineStarts.push(i + 1);
+        }
+
+        return (index) => {
+            let low = 0;
+            let high = lineStarts.length - 1;
+
+            while (low < high) {
+                const middle = Math.ceil((low + high) / 2);
+                if (lineStarts[middle] <= index) low = middle;
+                else high = middle - 1;
+            }
+
+            return low + 1;
+        };
+    }
+
+    /**
+     * Find the index of the bracket closing the one at openIndex
+     * @param {string} masked - Masked code
+     * @param {number} openIndex - Index of the opening bracket
+     * @returns {number} Index of the closing bracket, or the end of the content
+     */
+    findClosing(masked, openIndex) {
+        const open = masked[openIndex];
+        const close = { '{': '}', '(': ')', '[': ']', '<': '>' }[open];
+        let depth = 0;
+
+        for (let i = openIndex; i < masked.length; i++) {
+            if (masked[i] === open) depth++;
+            else if (masked[i] === close) {
+                depth--;
+                if (depth === 0) return i;
+            }
+        }
+
+        return masked.length - 1;
+    }
+
+    /**
+     * Find the block body following a declaration
+     * @param {string} masked - Masked code
+     * @param {number} fromIndex - Index after the declaration header
+     * @returns {{start: number, end: number}|null} Brace indexes, or null when the declaration has no body
+     */
+    findBlock(masked, fromIndex) {
+        for (let i = fromIndex; i < masked.length; i++) {
+            const char = masked[i];
+            if (char === '{') return { start: i, end: this.findClosing(masked, i) };
+            if (char === ';') return null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the innermost block entry containing an index
+     * @param {Object[]} entries - Entries of { start, end, ... } with brace indexes
+     * @param {number} index - Character index
+     * @returns {Object|null} Entry or null
+     */
+    findEnclosing(entries, index) {
+        return entries
+            .filter(entry => entry.start < index && index < entry.end)
+            .sort((a, b) => b.start - a.start)[0] || null;
+    }
+
+    /**
+     * Split a parameter list on top-level commas
+     * @param {string} text - Parameter list without the surrounding parentheses
+     * @returns {string[]} Trimmed parameters
+     */
+    splitParams(text) {
+        const params = [];
+        let depth = 0;
+        let quote = null;
+        let current = '';
+        const quotes = this.maskOptions.quotes || ['"', "'", '`'];
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quote) {
+                if (char === '\\') {
+                    current += char + (text[++i] || '');
+                    continue;
+                }
+                if (char === quote) quote = null;
+            } else if (quotes.includes(char)) quote = char;
+            else if ('([{<'.includes(char)) depth++;
+            else if (')]}>'.includes(char)) depth = Math.max(0, depth - 1);
+
+            if (char === ',' && depth === 0 && !quote) {
+                params.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        params.push(current);
+
+        return params
+            .map(param => param.replace(/\s+/g, ' ').trim())
+            .filter(param => param.length > 0);
+    }
+
+    /**
+     * Get the doc block (`/** ... *\/`) immediately preceding an index, skipping annotations
+     * @param {string} content - Original source code
+     * @param {number} index - Start of the declaration
+     * @returns {string|null} Cleaned doc text
+     */
+    findPrecedingDocBlock(content, index) {
+        let before = content.slice(0, index).replace(/\s+$/, '');
+
+        // Skip annotations / attributes between the doc block and the declaration
+        let previous;
+        do {
+            previous = before;
+            before = before.replace(/(?:^|\n)[ \t]*(?:@[\w.]+(?:\((?:[^()]|\([^()]*\))*\))?|#\[[^\]]*\])[ \t]*$/, '').replace(/\s+$/, '');
+        } while (before !== previous);
+
+        if (!before.endsWith('*/')) return null;
+
+        const start = before.lastIndexOf('/**');
+        if (start === -1) return null;
+
+        return this.cleanDocBlock(before.slice(start));
+    }
+
+    /**
+     * Get the line comments immediately preceding a line
+     * @param {string[]} lines - Source lines
+     * @param {number} lineIndex - 0-based index of the declaration line
+     * @param {string} prefix - Comment prefix, e.g. `//` or `///`
+     * @returns {string|null} Comment text
+     */
+    findPrecedingLineComments(lines, lineIndex, prefix) {
+        const comments = [];
+
+        for (let i = lineIndex - 1; i >= 0; i--) {
+            const trimmed = lines[i].trim();
+            if (trimmed.startsWith('#[') || trimmed.startsWith('@')) continue;
+            if (!trimmed.startsWith(prefix)) break;
+            comments.unshift(trimmed.slice(prefix.length).replace(/^ /, ''));
+        }
+
+        return comments.length > 0 ? comments.join('\n').trim() : null;
+    }
+
+    /**
+     * Strip the comment markers of a doc block
+     * @param {string} block - Doc block including delimiters
+     * @returns {string|null} Cleaned text
+     */
+    cleanDocBlock(block) {
+        return block
+            .replace(/^\/\*\*?/, '')
+            .replace(/\*\/$/, '')
+            .split('\n')
+            .map(line => line.replace(/^\s*\*?\s?/, ''))
+            .join('\n')
+            .trim() || null;
+    }
+
+    /**
+     * Create a symbol record with the common fields
+     * @param {Object} fields - Symbol fields
+     * @returns {Object} Symbol
+     */
+    createSymbol(fields) {
+        return {
+            kind: fields.kind,
+            name: fields.name,
+            startLine: fields.startLine,
+            endLine: fields.endLine || fields.startLine,
+            params: fields.params || null,
+            doc: fields.doc || null,
+            visibility: fields.visibility || 'public',
+            exported: Boolean(fields.exported),
+            ...(fields.parent ? { parent: fields.parent } : {}),
+            ...(fields.decorators && fields.decorators.length > 0 ? { decorators: fields.decorators } : {}),
+            ...(fields.static ? { static: true } : {}),
+            ...(fields.async ? { async: true } : {}),
+            ...(fields.extra || {})
+        };
+    }
+}
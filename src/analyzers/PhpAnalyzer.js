@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Symbol and import extraction for PHP sources
+ */
+
+import { LanguageAnalyzer } from './LanguageAnalyzer.js';
+
+/**
+ * Member modifiers that may precede `function`
+ */
+const MEMBER_MODIFIERS = ['public', 'protected', 'private', 'static', 'abstract', 'final'];
+
+/**
+ * Analyzer for PHP files: namespaces, classes, interfaces, traits, enums and functions
+ */
+export class PhpAnalyzer extends LanguageAnalyzer {
+    constructor() {
+        super();
+        this.name = 'php';
+        this.languages = ['php'];
+        this.extensions = ['php', 'phtml'];
+        this.docPatterns = [
+            /\/\*\*[\s\S]*?\*\//g, // PHPDoc
+            /\/\/.*$/gm,           // Line comments
+            /#(?!\[).*$/gm         // Shell-style comments
+        ];
+        this.complexityKeywords = ['if', 'elseif', 'else', 'switch', 'case', 'match', 'for', 'foreach', 'while', 'do', 'try', 'catch', 'and', 'or'];
+        this.maskOptions = {
+            lineComments: ['//', '#'],
+            quotes: ['"', "'"],
+            // `#[...]` starts an attribute, not a comment
+            isComment: (content, index, prefix) => prefix !== '#' || content[index + 1] !== '['
+        };
+    }
+
+    /**
+     * Extract namespaces, class-likes and functions
+     * @param {string} content - Source code
+     * @returns {Object[]} Symbols
+     */
+    extractSymbols(content) {
+        const { masked } = this.maskCode(content);
+        const locate = this.createLineLocator(content);
+        const symbols = [];
+        let match;
+
+        const namespacePattern = /\bnamespace\s+([\w\\]+)\s*[;{]/g;
+        while ((match = namespacePattern.exec(masked)) !== null) {
+            symbols.push(this.createSymbol({
+                kind: 'namespace',
+                name: match[1],
+                startLine: locate(match.index),
+                exported: true
+            }));
+        }
+
+        const classLikes = this.extractClassLikes(content, masked, locate);
+        symbols.push(...classLikes.map(entry => entry.symbol));
+
+        const functionPattern = /((?:\b(?:public|protected|private|static|abstract|final)\s+)*)\bfunction\s+&?\s*(\w+)\s*\(/g;
+        while ((match = functionPattern.exec(masked)) !== null) {
+            const openIndex = match.index + match[0].length - 1;
+            const closeIndex = this.findClosing(masked, openIndex);
+            const block = this.findBlock(masked, closeIndex + 1);
+            const owner = this.findEnclosing(classLikes, match.index);
+            const modifiers = match[1].trim().split(/\s+/).filter(modifier => MEMBER_MODIFIERS.includes(modifier));
+            const visibility = ['public', 'protected', 'private'].find(modifier => modifiers.includes(modifier)) || 'public';
+            const name = match[2];
+
+            symbols.push(this.createSymbol({
+                kind: owner ? (name === '__construct' ? 'constructor' : 'method') : 'function',
+                name,
+                startLine: locate(match.index),
+                endLine: locate(block ? block.end : closeIndex),
+                params: this.splitParams(content.slice(openIndex + 1, closeIndex)),
+                doc: this.findPrecedingDocBlock(content, match.index),
+                visibility,
+                exported: !owner,
+                parent: owner ? owner.symbol.name : null,
+                decorators: this.findAttributes(content, match.index),
+                static: modifiers.includes('static')
+            }));
+
+            // Skip the body so closures and nested functions are not reported
+            if (block && !owner) functionPattern.lastIndex = block.end;
+        }
+
+        return symbols.sort((a, b) => a.startLine - b.startLine);
+    }
+
+    /**
+     * Extract `use` imports and require/include statements
+     * @param {string} content - Source code
+     * @returns {Object[]} Import records
+     */
+    extractImports(content) {
+        const { masked, code } = this.maskCode(content);
+        const locate = this.createLineLocator(content);
+        const classLikes = this.extractClassLikes(content, masked, locate);
+        const imports = [];
+        let match;
+
+        const usePattern = /\buse\s+(function\s+|const\s+)?([^;]+);/g;
+        while ((match = usePattern.exec(masked)) !== null) {
+            const statement = match[2].trim();
+
+            // `use` inside a class body imports traits; `use (...)` binds closure variables
+            if (statement.startsWith('(') || this.findEnclosing(classLikes, match.index)) continue;
+
+            const line = locate(match.index);
+            const kind = match[1] ? match[1].trim() : 'use';
+            const group = statement.match(/^\\?([\w\\]+)\\\{([^}]*)\}$/);
+            const parts = group
+                ? group[2].split(',').map(part => `${group[1]}\\${part.trim()}`)
+                : statement.split(',');
+
+            parts.forEach(part => {
+                const [name, alias] = part.trim().split(/\s+as\s+/);
+                if (!name || name.endsWith('\\')) return;
+                imports.push({
+                    source: name.replace(/^\\/, ''),
+                    line,
+                    kind,
+                    names: [alias || name.split('\\').pop()]
+                });
+            });
+        }
+
+        const requirePattern = /\b(require|require_once|include|include_once)\s*\(?\s*(['"])([^'"]+)\2/g;
+        while ((match = requirePattern.exec(code)) !== null) {
+            imports.push({ source: match[3], line: locate(match.index), kind: 'require', names: [] });
+        }
+
+        return imports.sort((a, b) => a.line - b.line);
+    }
+
+    /**
+     * Namespaced `use` imports refer to classes, files are only referenced by require/include
+     * @param {string} source - Import source
+     * @returns {boolean} True for file paths
+     */
+    isRelativeImport(source) {
+        return super.isRelativeImport(source) || /\.php$/.test(source);
+    }
+
+    /**
+     * Extract classes, interfaces, traits and enums with their body ranges
+     * @param {string} content - Source code
+     * @param {string} masked - Masked code
+     * @param {Function} locate - Line locator
+     * @returns {Object[]} Entries of { symbol, start, end }
+     * @private
+     */
+    extractClassLikes(content, masked, locate) {
+        const entries = [];
+        const pattern = /((?:\b(?:abstract|final|readonly)\s+)*)\b(class|interface|trait|enum)\s+(\w+)([^{;]*)\{/g;
+        let match;
+
+        while ((match = pattern.exec(masked)) !== null) {
+            // `Foo::class` constants are not declarations
+            if (masked.slice(Math.max(0, match.index - 2), match.index) === '::') continue;
+
+            const start = match.index + match[0].length - 1;
+            const end = this.findClosing(masked, start);
+            const heritage = match[4];
+            const extendsMatch = heritage.match(/\bextends\s+([\w\\]+(?:\s*,\s*[\w\\]+)*)/);
+            const implementsMatch = heritage.match(/\bimplements\s+([\w\\,\s]+)/);
+            const body = masked.slice(start + 1, end);
+            const traits = this.extractTraits(body);
+
+            const symbol = this.createSymbol({
+                kind: match[2],
+                name: match[3],
+                startLine: locate(match.index + match[1].length),
+                endLine: locate(end),
+                doc: this.findPrecedingDocBlock(content, match.index),
+                exported: true,
+                decorators: this.findAttributes(content, match.index),
+                extra: {
+                    ...(extendsMatch ? { extends: extendsMatch[1].trim() } : {}),
+                    ...(implementsMatch ? { implements: implementsMatch[1].split(',').map(name => name.trim()).filter(Boolean) } : {}),
+                    ...(traits.length > 0 ? { traits } : {}),
+                    ...(match[1].includes('abstract') ? { abstract: true } : {})
+                }
+            });
+
+            entries.push({ symbol, start, end });
+        }
+
+        return entries;
+    }
+
+    /**
+     * Get the traits used at the top level of a class body
+     * @param {string} body - Masked class body
+     * @returns {string[]} Trait names
+     * @private
+     */
+    extractTraits(body) {
+        const traits = [];
+        let depth = 0;
+
+        for (let i = 0; i < body.length; i++) {
+            if (body[i] === '{') depth++;
+            else if (body[i] === '}') depth--;
+            else if (depth === 0 && /\buse\s/.test(body.slice(i, i + 4)) && !/\w/.test(body[i - 1] || '')) {
+                const match = body.slice(i).match(/^use\s+([\w\\,\s]+)\s*[;{]/);
+                if (match) traits.push(...match[1].split(',').map(name => name.trim()).filter(Boolean));
+            }
+        }
+
+        return traits;
+    }
+
+    /**
+     * Get the `#[...]` attributes preceding a declaration
+     * @param {string} content - Source code
+     * @param {number} index - Start of the declaration
+     * @returns {string[]} Attribute contents
+     * @private
+     */
+    findAttributes(content, index) {
+        const attributes = [];
+        let before = content.slice(0, index).replace(/\s+$/, '');
+        let match;
+
+        while ((match = before.match(/#\[([^\]]*)\]$/)) !== null) {
+            attributes.unshift(match[1].trim());
+            before = before.slice(0, match.index).replace(/\s+$/, '');
+        }
+
+        return attributes;
+    }
+}
@@ -0,0 +1,277 @@
+/**
+ * @fileoverview Symbol and import extraction for Python sources
+ */
+
+import { LanguageAnalyzer } from './LanguageAnalyzer.js';
+
+/**
+ * Analyzer for Python modules: classes, functions, methods, decorators and docstrings
+ */
+export class PythonAnalyzer extends LanguageAnalyzer {
+    constructor() {
+        super();
+        this.name = 'python';
+        this.languages = ['python'];
+        this.extensions = ['py', 'pyi', 'pyw'];
+        this.docPatterns = [
+            /"""[\s\S]*?"""/g, // Docstrings
+            /'''[\s\S]*?'''/g, // Docstrings
+            /#.*$/gm           // Comments
+        ];
+        this.complexityKeywords = ['if', 'elif', 'else', 'for', 'while', 'try', 'except', 'with', 'and', 'or', 'match', 'case'];
+        this.complexityOperators = [];
+        this.maskOptions = {
+            lineComments: ['#'],
+            blockComments: [],
+            quotes: ['"', "'"],
+            tripleQuotes: true
+        };
+    }
+
+    /**
+     * Extract classes, functions and methods
+     * @param {string} content - Source code
+     * @returns {Object[]} Symbols
+     */
+    extractSymbols(content) {
+        const { masked } = this.maskCode(content);
+        const maskedLines = masked.split('\n');
+        const lines = content.split('\n');
+        const publicNames = this.extractAllNames(content);
+        const symbols = [];
+        const scopes = []; // { indent, symbol }
+        let lineOffset = 0;
+
+        maskedLines.forEach((line, index) => {
+            const offset = lineOffset;
+            lineOffset += line.length + 1;
+
+            const match = line.match(/^([ \t]*)(async[ \t]+)?(def|class)[ \t]+(\w+)/);
+            if (!match) return;
+
+            const indent = match[1].length;
+            while (scopes.length > 0 && scopes[scopes.length - 1].indent >= indent) scopes.pop();
+
+            const enclosing = scopes.length > 0 ? scopes[scopes.length - 1].symbol : null;
+            // Functions nested in functions are implementation details
+            if (enclosing && enclosing.kind !== 'class') return;
+
+            const name = match[4];
+            const isClass = match[3] === 'class';
+            const header = this.readHeader(masked, content, offset + match[0].length);
+            const decorators = this.findDecorators(lines, index);
+            const parent = enclosing ? enclosing.name : null;
+
+            const symbol = this.createSymbol({
+                kind: isClass ? 'class' : parent ? (name === '__init__' ? 'constructor' : 'method') : 'function',
+                name,
+                startLine: index + 1 - decorators.length,
+                endLine: this.findBlockEndLine(maskedLines, index, indent),
+                params: isClass ? null : header.params,
+                doc: this.findDocstring(content, header.bodyIndex),
+                visibility: this.getVisibility(name),
+                exported: !parent && (publicNames ? publicNames.includes(name) : !name.startsWith('_')),
+                parent,
+                decorators,
+                static: decorators.includes('staticmethod'),
+                async: Boolean(match[2]),
+                extra: isClass && header.params && header.params.length > 0 ? { extends: header.params.join(', ') } : {}
+            });
+
+            symbols.push(symbol);
+            scopes.push({ indent, symbol });
+        });
+
+        return symbols;
+    }
+
+    /**
+     * Extract `import x` and `from x import y` statements
+     * @param {string} content - Source code
+     * @returns {Object[]} Import records
+     */
+    extractImports(content) {
+        const { masked } = this.maskCode(content);
+        const locate = this.createLineLocator(content);
+        const imports = [];
+        let match;
+
+        const fromPattern = /^[ \t]*from[ \t]+([\w.]+)[ \t]+import[ \t]+(\([^)]*\)|[^\n]+)/gm;
+        while ((match = fromPattern.exec(masked)) !== null) {
+            imports.push({
+                source: match[1],
+                line: locate(match.index),
+                kind: 'static',
+                names: this.parseImportNames(match[2])
+            });
+        }
+
+        const importPattern = /^[ \t]*import[ \t]+([^\n]+)/gm;
+        while ((match = importPattern.exec(masked)) !== null) {
+            match[1].split(',').forEach(part => {
+                const [source, alias] = part.trim().split(/\s+as\s+/);
+                if (!source) return;
+                imports.push({
+                    source,
+                    line: locate(match.index),
+                    kind: 'static',
+                    names: [alias || source.split('.')[0]]
+                });
+            });
+        }
+
+        return imports.sort((a, b) => a.line - b.line);
+    }
+
+    /**
+     * Approximate the nesting level from indentation
+     * @param {string} code - Masked code
+     * @returns {number} Maximum nesting level
+     */
+    computeNestingLevel(code) {
+        let maxIndent = 0;
+
+        code.split('\n').forEach(line => {
+            if (!line.trim()) return;
+            const indent = line.match(/^[ \t]*/)[0].replace(/\t/g, '    ').length;
+            maxIndent = Math.max(maxIndent, indent);
+        });
+
+        return Math.floor(maxIndent / 4);
+    }
+
+    /**
+     * Python relative imports start with a dot
+     * @param {string} source - Import source
+     * @returns {boolean} True for relative imports
+     */
+    isRelativeImport(source) {
+        return source.startsWith('.');
+    }
+
+    /**
+     * Read the parameter list and the start of the body of a def/class statement
+     * @param {string} masked - Masked code
+     * @param {string} content - Original source code
+     * @param {number} nameEnd - Index after the symbol name
+     * @returns {{params: string[]|null, bodyIndex: number}} Parameters and index after the colon
+     * @private
+     */
+    readHeader(masked, content, nameEnd) {
+        let params = null;
+        let cursor = nameEnd;
+        const openIndex = masked.slice(nameEnd).search(/\S/) + nameEnd;
+
+        if (masked[openIndex] === '(') {
+            const closeIndex = this.findClosing(masked, openIndex);
+            params = this.splitParams(content.slice(openIndex + 1, closeIndex))
+                .filter(param => param !== 'self' && param !== 'cls');
+            cursor = closeIndex;
+        }
+
+        const colonIndex = masked.indexOf(':', cursor);
+        return { params, bodyIndex: colonIndex === -1 ? content.length : colonIndex + 1 };
+    }
+
+    /**
+     * Get the docstring starting at the first statement after an index
+     * @param {string} content - Source code
+     * @param {number} index - Index where the body starts
+     * @returns {string|null} Docstring text
+     * @private
+     */
+    findDocstring(content, index) {
+        const rest = content.slice(index);
+        const match = rest.match(/^(?:\s|#[^\n]*)*?[rRuU]?("""|''')([\s\S]*?)\1/);
+        if (!match) return null;
+
+        const lines = match[2].split('\n');
+        const indents = lines.slice(1)
+            .filter(line => line.trim())
+            .map(line => line.match(/^\s*/)[0].length);
+        const commonIndent = indents.length > 0 ? Math.min(...indents) : 0;
+
+        return [lines[0].trim(), ...lines.slice(1).map(line => line.slice(commonIndent))]
+            .join('\n')
+            .trim() || null;
+    }
+
+    /**
+     * Get the decorators on the lines above a definition
+     * @param {string[]} lines - Source lines
+     * @param {number} lineIndex - 0-based index of the def/class line
+     * @returns {string[]} Decorator expressions without the leading @
+     * @private
+     */
+    findDecorators(lines, lineIndex) {
+        const decorators = [];
+
+        for (let i = lineIndex - 1; i >= 0; i--) {
+            const trimmed = lines[i].trim();
+            if (!trimmed.startsWith('@')) break;
+            decorators.unshift(trimmed.slice(1));
+        }
+
+        return decorators;
+    }
+
+    /**
+     * Find the last line of an indented block
+     * @param {string[]} maskedLines - Masked source lines
+     * @param {number} lineIndex - 0-based index of the block header
+     * @param {number} indent - Indentation of the header
+     * @returns {number} 1-based end line
+     * @private
+     */
+    findBlockEndLine(maskedLines, lineIndex, indent) {
+        let endLine = lineIndex + 1;
+
+        for (let i = lineIndex + 1; i < maskedLines.length; i++) {
+            const line = maskedLines[i];
+            if (!line.trim()) continue;
+            if (line.match(/^[ \t]*/)[0].length <= indent) break;
+            endLine = i + 1;
+        }
+
+        return endLine;
+    }
+
+    /**
+     * Get the names listed in `__all__`, if defined
+     * @param {string} content - Source code
+     * @returns {string[]|null} Public names or null
+     * @private
+     */
+    extractAllNames(content) {
+        const match = content.match(/^__all__\s*(?::[^=]+)?=\s*[[(]([\s\S]*?)[\])]/m);
+        if (!match) return null;
+
+        return [...match[1].matchAll(/['"](\w+)['"]/g)].map(name => name[1]);
+    }
+
+    /**
+     * Parse the names of a `from x import ...` statement
+     * @param {string} text - Imported names
+     * @returns {string[]} Local names
+     * @private
+     */
+    parseImportNames(text) {
+        return text
+            .replace(/[()\\]/g, ' ')
+            .split(',')
+            .map(part => part.trim().split(/\s+as\s+/).pop())
+            .filter(name => name && /^[\w*]+$/.test(name));
+    }
+
+    /**
+     * Get the visibility implied by Python naming conventions
+     * @param {string} name - Symbol name
+     * @returns {string} public, protected or private
+     * @private
+     */
+    getVisibility(name) {
+        if (name.startsWith('__') && !name.endsWith('__')) return 'private';
+        if (name.startsWith('_') && !name.endsWith('__')) return 'protected';
+        return 'public';
+    }
+}
@@ -0,0 +1,222 @@
+/**
+ * @fileoverview Symbol and import extraction for Rust sources
+ */
+
+import { LanguageAnalyzer } from './LanguageAnalyzer.js';
+
+/**
+ * Analyzer for Rust files: modules, structs, enums, traits, impl blocks and functions
+ */
+export class RustAnalyzer extends LanguageAnalyzer {
+    constructor() {
+        super();
+        this.name = 'rust';
+        this.languages = ['rust'];
+        this.extensions = ['rs'];
+        this.docPatterns = [
+            /\/\/[/!].*$/gm,        // Doc comments
+            /\/\*[*!][\s\S]*?\*\//g // Block doc comments
+        ];
+        this.complexityKeywords = ['if', 'else', 'match', 'for', 'while', 'loop'];
+        this.maskOptions = {
+            // Single quotes also start lifetimes, so only double-quoted strings are masked
+            quotes: ['"']
+        };
+    }
+
+    /**
+     * Extract modules, type definitions, impl blocks and functions
+     * @param {string} content - Source code
+     * @returns {Object[]} Symbols
+     */
+    extractSymbols(content) {
+        const { masked } = this.maskCode(content);
+        const locate = this.createLineLocator(content);
+        const lines = content.split('\n');
+        const symbols = [];
+        const containers = [];
+        let match;
+
+        const itemPattern = /^[ \t]*(pub(?:\s*\([^)]*\))?\s+)?(mod|struct|enum|trait|type|union)\s+(\w+)/gm;
+        while ((match = itemPattern.exec(masked)) !== null) {
+            const kind = match[2] === 'mod' ? 'module' : match[2];
+            const block = ['type'].includes(kind) ? null : this.findBlock(masked, match.index + match[0].length);
+            const owner = this.findEnclosing(containers, match.index);
+            const line = locate(match.index);
+
+            const symbol = this.createSymbol({
+                kind,
+                name: match[3],
+                startLine: line,
+                endLine: block ? locate(block.end) : line,
+                doc: this.findPrecedingLineComments(lines, line - 1, '///'),
+                visibility: this.getVisibility(match[1]),
+                exported: Boolean(match[1]) && !owner,
+                parent: owner ? owner.symbol.name : null,
+                decorators: this.findAttributes(lines, line - 1)
+            });
+
+            symbols.push(symbol);
+            if (block && ['module', 'trait'].includes(kind)) containers.push({ symbol, start: block.start, end: block.end });
+        }
+
+        const implPattern = /^[ \t]*(?:unsafe\s+)?impl\b\s*(<[^{]*?>)?\s*([^{]+?)\s*(?:\bwhere\b[^{]*)?\{/gm;
+        while ((match = implPattern.exec(masked)) !== null) {
+            const start = match.index + match[0].length - 1;
+            const end = this.findClosing(masked, start);
+            const header = match[2].trim();
+            const forMatch = header.match(/^(.+?)\s+for\s+(.+)$/);
+            const target = this.baseTypeName(forMatch ? forMatch[2] : header);
+            const line = locate(match.index);
+
+            const symbol = this.createSymbol({
+                kind: 'impl',
+                name: forMatch ? `${forMatch[1].trim()} for ${forMatch[2].trim()}` : header,
+                startLine: line,
+                endLine: locate(end),
+                doc: this.findPrecedingLineComments(lines, line - 1, '///'),
+                decorators: this.findAttributes(lines, line - 1),
+                extra: {
+                    target,
+                    ...(forMatch ? { trait: forMatch[1].trim() } : {})
+                }
+            });
+
+            symbols.push(symbol);
+            containers.push({ symbol, start, end, target });
+        }
+
+        const functionPattern = /^[ \t]*(pub(?:\s*\([^)]*\))?\s+)?((?:(?:const|async|unsafe|default)\s+|extern\s+"[^"]*"\s+|extern\s+)*)fn\s+(\w+)\s*(?:<[^(]*>)?\s*\(/gm;
+        while ((match = functionPattern.exec(masked)) !== null) {
+            const openIndex = match.index + match[0].length - 1;
+            const closeIndex = this.findClosing(masked, openIndex);
+            const block = this.findBlock(masked, closeIndex + 1);
+            const owner = this.findEnclosing(containers, match.index);
+            const params = this.splitParams(content.slice(openIndex + 1, closeIndex));
+            const isMethod = owner && owner.symbol.kind !== 'module';
+            const line = locate(match.index);
+
+            symbols.push(this.createSymbol({
+                kind: isMethod ? 'method' : 'function',
+                name: match[3],
+                startLine: line,
+                endLine: locate(block ? block.end : closeIndex),
+                params: params.filter(param => !/^&?(?:'\w+\s+)?(?:mut\s+)?self\b/.test(param)),
+                doc: this.findPrecedingLineComments(lines, line - 1, '///'),
+                // Trait items are as visible as the trait itself
+                visibility: owner && owner.symbol.kind === 'trait' ? owner.symbol.visibility : this.getVisibility(match[1]),
+                exported: Boolean(match[1]) && !owner,
+                parent: owner ? (owner.target || owner.symbol.name) : null,
+                decorators: this.findAttributes(lines, line - 1),
+                static: Boolean(isMethod) && !params.some(param => /^&?(?:'\w+\s+)?(?:mut\s+)?self\b/.test(param)),
+                async: /\basync\b/.test(match[2] || '')
+            }));
+        }
+
+        return symbols.sort((a, b) => a.startLine - b.startLine);
+    }
+
+    /**
+     * Extract `use`, `mod` and `extern crate` declarations
+     * @param {string} content - Source code
+     * @returns {Object[]} Import records
+     */
+    extractImports(content) {
+        const { masked } = this.maskCode(content);
+        const locate = this.createLineLocator(content);
+        const imports = [];
+        let match;
+
+        const usePattern = /^[ \t]*(?:pub(?:\s*\([^)]*\))?\s+)?use\s+([^;]+);/gm;
+        while ((match = usePattern.exec(masked)) !== null) {
+            const path = match[1].replace(/\s+/g, ' ').trim();
+            const groupIndex = path.indexOf('{');
+            let source;
+            let names;
+
+            if (groupIndex === -1) {
+                const [target, alias] = path.split(/\s+as\s+/);
+                source = target.replace(/::\*$/, '');
+                names = [alias || target.split('::').pop()];
+            } else {
+                // use crate::models::{User, Post as P};
+                source = path.slice(0, groupIndex).replace(/\s*::\s*$/, '');
+                names = this.splitParams(path.slice(groupIndex + 1, path.lastIndexOf('}'))).map(part => {
+                    const [target, alias] = part.split(/\s+as\s+/);
+                    return alias || target.split('::').pop();
+                });
+            }
+
+            imports.push({ source, line: locate(match.index), kind: 'use', names });
+        }
+
+        // `mod name;` pulls in name.rs or name/mod.rs
+        const modPattern = /^[ \t]*(?:pub(?:\s*\([^)]*\))?\s+)?mod\s+(\w+)\s*;/gm;
+        while ((match = modPattern.exec(masked)) !== null) {
+            imports.push({ source: `self::${match[1]}`, line: locate(match.index), kind: 'mod', names: [match[1]] });
+        }
+
+        const externPattern = /^[ \t]*extern\s+crate\s+(\w+)(?:\s+as\s+(\w+))?\s*;/gm;
+        while ((match = externPattern.exec(masked)) !== null) {
+            imports.push({ source: match[1], line: locate(match.index), kind: 'extern', names: [match[2] || match[1]] });
+        }
+
+        return imports.sort((a, b) => a.line - b.line);
+    }
+
+    /**
+     * Paths starting with crate, self or super refer to the current crate
+     * @param {string} source - Import source
+     * @returns {boolean} True for crate-local paths
+     */
+    isRelativeImport(source) {
+        return /^(crate|self|super)(::|$)/.test(source);
+    }
+
+    /**
+     * Get the visibility from a `pub` qualifier
+     * @param {string} [qualifier] - `pub`, `pub(crate)`, ... or undefined
+     * @returns {string} public, crate or private
+     * @private
+     */
+    getVisibility(qualifier) {
+        if (!qualifier) return 'private';
+        return qualifier.includes('(') ? 'crate' : 'public';
+    }
+
+    /**
+     * Get the `#[...]` attributes on the lines above an item
+     * @param {string[]} lines - Source lines
+     * @param {number} lineIndex - 0-based index of the item line
+     * @returns {string[]} Attribute contents
+     * @private
+     */
+    findAttributes(lines, lineIndex) {
+        const attributes = [];
+
+        for (let i = lineIndex - 1; i >= 0; i--) {
+            const trimmed = lines[i].trim();
+            if (trimmed.startsWith('///')) continue;
+            const match = trimmed.match(/^#\[(.*)\]$/);
+            if (!match) break;
+            attributes.unshift(match[1]);
+        }
+
+        return attributes;
+    }
+
+    /**
+     * Strip references, paths and generics from a type
+     * @param {string} type - Type text, e.g. `&'a mut foo::Bar<T>`
+     * @returns {string} Base name, e.g. `Bar`
+     * @private
+     */
+    baseTypeName(type) {
+        return type
+            .replace(/<.*$/, '')
+            .replace(/^&(?:'\w+\s*)?(?:mut\s+)?/, '')
+            .split('::')
+            .pop()
+            .trim();
+    }
+}
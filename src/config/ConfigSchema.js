@@ -28,19 +28,59 @@ export const DEFAULT_CONFIG = {
     '.hg',
     'coverage',
     'tmp',
-    'temp'
+    'temp',
+    '.svc-indexer'
   ],
+  analyzers: [],
   ollama: {
     model: 'llama2',
     temperature: 0.7,
     maxTokens: 512,
     baseUrl: 'http://localhost:11434'
   },
+  ai: {
+    provider: {
+      type: 'ollama', // ollama, openai or mock
+      endpoint: 'generate', // Ollama endpoint: generate or chat
+      baseUrl: null, // Defaults to ollama.baseUrl for Ollama, http://localhost:8080/v1 for openai
+      model: null, // Defaults to ollama.model
+      apiKey: null, // Defaults to the OPENAI_API_KEY environment variable for openai
+      timeout: 30000,
+      contextLength: null // Context window in tokens, defaults to contextLengths of the model
+    },
+    contextLengths: {}, // Context window in tokens by model name, e.g. "llama3.1:8b": 131072
+    prompts: {
+      directory: 'prompts' // Prompt template overrides (<name>.txt), relative to the config file
+    },
+    scheduler: {
+      concurrency: 2, // Requests sent at the same time
+      timeout: 60000, // Time limit of one attempt in milliseconds
+      retries: 3, // Retries on timeouts, 429 and 5xx responses
+      retryDelay: 1000, // First retry delay in milliseconds, doubled for each further retry
+      rateLimit: 0 // Requests per minute, 0 for no limit
+    },
+    embeddings: {
+      enabled: false, // Also embed files, symbols and folders after the AI descriptions of export commands
+      model: null, // Embedding model, e.g. nomic-embed-text for Ollama. Defaults to the provider model
+      batchSize: 32 // Texts sent in one embedding request
+    },
+    estimate: {
+      promptTokensPerSecond: 500, // Prompt tokens read per second, for dry run estimates
+      completionTokensPerSecond: 20 // Tokens generated per second. Both are scaled to the measured speed once the model has run
+    }
+  },
+  redaction: {
+    enabled: true, // Replace secrets with placeholders before content reaches the AI or the exports
+    emails: true, // Also redact email addresses
+    patterns: [] // Custom rules: { name, pattern, flags }, pattern being a regular expression
+  },
   general: {
     useGitignore: true,
     maxFileSize: 1048576, // 1MB in bytes
     followSymlinks: false,
-    ignoreHidden: true
+    ignoreHidden: true,
+    useCache: true,
+    cacheDir: '.svc-indexer'
   }
 };
 
@@ -87,6 +127,10 @@ export class ConfigSchema {
       throw new Error('Exclude must be an array');
     }
 
+    if (config.analyzers && !Array.isArray(config.analyzers)) {
+      throw new Error('Analyzers must be an array of module paths or package names');
+    }
+
     // Validate Ollama configuration
     if (config.ollama) {
       if (config.ollama.temperature && (config.ollama.temperature < 0 || config.ollama.temperature > 2)) {
@@ -98,6 +142,93 @@ export class ConfigSchema {
       }
     }
 
+    // Validate AI provider configuration
+    const provider = config.ai && config.ai.provider;
+    if (provider) {
+      const validProviders = ['ollama', 'openai', 'mock'];
+      if (provider.type && !validProviders.includes(provider.type)) {
+        throw new Error(`Invalid AI provider: ${provider.type}. Valid options: ${validProviders.join(', ')}`);
+      }
+
+      if (provider.endpoint && !['generate', 'chat'].includes(provider.endpoint)) {
+        throw new Error(`Invalid Ollama endpoint: ${provider.endpoint}. Valid options: generate, chat`);
+      }
+
+      if (provider.timeout !== null && provider.timeout !== undefined && !(provider.timeout > 0)) {
+        throw new Error('AI provider timeout must be a positive number of milliseconds');
+      }
+
+      if (provider.contextLength !== null && provider.contextLength !== undefined && !(provider.contextLength > 0)) {
+        throw new Error('AI provider contextLength must be a positive number of tokens');
+      }
+    }
+
+    const contextLengths = config.ai && config.ai.contextLengths;
+    if (contextLengths) {
+      Object.entries(contextLengths).forEach(([model, contextLength]) => {
+        if (!(contextLength > 0)) {
+          throw new Error(`AI context length of model ${model} must be a positive number of tokens`);
+        }
+      });
+    }
+
+    const prompts = config.ai && config.ai.prompts;
+    if (prompts && (typeof prompts.directory !== 'string' || prompts.directory.trim() === '')) {
+      throw new Error('AI prompts directory must be a non-empty path');
+    }
+
+    // Validate AI scheduler configuration
+    const scheduler = config.ai && config.ai.scheduler;
+    if (scheduler) {
+      if (!Number.isInteger(scheduler.concurrency) || scheduler.concurrency < 1) {
+        throw new Error('AI scheduler concurrency must be a positive integer');
+      }
+
+      if (!(scheduler.timeout > 0)) {
+        throw new Error('AI scheduler timeout must be a positive number of milliseconds');
+      }
+
+      if (!Number.isInteger(scheduler.retries) || scheduler.retries < 0) {
+        throw new Error('AI scheduler retries must be zero or a positive integer');
+      }
+
+      if (!(scheduler.retryDelay >= 0) || !(scheduler.rateLimit >= 0)) {
+        throw new Error('AI scheduler retryDelay and rateLimit must not be negative');
+      }
+    }
+
+    // Validate embeddings configuration
+    const embeddings = config.ai && config.ai.embeddings;
+    if (embeddings && (!Number.isInteger(embeddings.batchSize) || embeddings.batchSize < 1)) {
+      throw new Error('AI embeddings batchSize must be a positive integer');
+    }
+
+    // Validate AI estimate throughput
+    const estimate = config.ai && config.ai.estimate;
+    if (estimate && !(estimate.promptTokensPerSecond > 0 && estimate.completionTokensPerSecond > 0)) {
+      throw new Error('AI estimate promptTokensPerSecond and completionTokensPerSecond must be positive numbers');
+    }
+
+    // Validate redaction rules
+    const redaction = config.redaction;
+    if (redaction) {
+      if (!Array.isArray(redaction.patterns)) {
+        throw new Error('Redaction patterns must be a list');
+      }
+
+      redaction.patterns.forEach(rule => {
+        if (!rule || typeof rule.pattern !== 'string' || rule.pattern === '') {
+          throw new Error('Every redaction pattern needs a regular expression as pattern');
+        }
+
+        try {
+          new RegExp(rule.pattern, rule.flags || '');
+        } catch (error) {
+          throw new Error(`Invalid redaction pattern ${rule.name || rule.pattern}: ${error.message}`);
+        }
+      });
+    }
+
     return true;
   }
 
@@ -181,10 +312,39 @@ export class ConfigSchema {
       },
       include: processedInclude,
       exclude: [...DEFAULT_CONFIG.exclude, ...(config.exclude || [])],
+      analyzers: config.analyzers || DEFAULT_CONFIG.analyzers,
       ollama: {
         ...DEFAULT_CONFIG.ollama,
         ...config.ollama
       },
+      ai: {
+        ...DEFAULT_CONFIG.ai,
+        ...config.ai,
+        provider: {
+          ...DEFAULT_CONFIG.ai.provider,
+          ...(config.ai && config.ai.provider)
+        },
+        prompts: {
+          ...DEFAULT_CONFIG.ai.prompts,
+          ...(config.ai && config.ai.prompts)
+        },
+        scheduler: {
+          ...DEFAULT_CONFIG.ai.scheduler,
+          ...(config.ai && config.ai.scheduler)
+        },
+        embeddings: {
+          ...DEFAULT_CONFIG.ai.embeddings,
+          ...(config.ai && config.ai.embeddings)
+        },
+        estimate: {
+          ...DEFAULT_CONFIG.ai.estimate,
+          ...(config.ai && config.ai.estimate)
+        }
+      },
+      redaction: {
+        ...DEFAULT_CONFIG.redaction,
+        ...config.redaction
+      },
       general: {
         ...DEFAULT_CONFIG.general,
         ...config.general
@@ -213,6 +373,8 @@ export class ConfigSchema {
         ...DEFAULT_CONFIG.ollama,
         model: options.ollamaModel || DEFAULT_CONFIG.ollama.model
       },
+      ai: DEFAULT_CONFIG.ai,
+      redaction: DEFAULT_CONFIG.redaction,
       general: DEFAULT_CONFIG.general
     };
   }
@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Default AI prompt templates
+ */
+
+/**
+ * Version of the default prompt templates. Bump whenever a template changes so
+ * cached responses generated from the previous wording are not reused.
+ */
+export const PROMPT_TEMPLATE_VERSION = 5;
+
+/**
+ * Default prompt templates by name.
+ *
+ * `{{name}}` is replaced by the variable value, `{{#name}}...{{/name}}` is only
+ * kept when the variable is set. Every template receives `naturalLanguage`
+ * (English name of the project language) and `projectDescription`.
+ *
+ * The `file` and `folder` responses are requested as JSON and must match
+ * RESPONSE_SCHEMAS in ResponseSchemas.js.
+ */
+export const DEFAULT_PROMPTS = {
+  // Variables: path, name, language, type, lineCount, documentation, symbols, neighbors, source, chunkSummaries
+  file: `
+Describe this {{language}} file briefly:
+
+File: {{path}}
+Type: {{type}}
+Size: {{lineCount}} lines
+{{#projectDescription}}Project: {{projectDescription}}{{/projectDescription}}
+{{#documentation}}Documentation: {{documentation}}{{/documentation}}
+{{#symbols}}Symbols: {{symbols}}{{/symbols}}
+{{#neighbors}}Neighboring files: {{neighbors}}{{/neighbors}}
+{{#source}}Source:
+\`\`\`
+{{source}}
+\`\`\`{{/source}}
+{{#chunkSummaries}}Summaries of its parts:
+{{chunkSummaries}}{{/chunkSummaries}}
+
+Respond with a JSON object with these fields:
+- "summary": what this file does and its role in the project (1-2 sentences)
+- "responsibilities": its main responsibilities (at most 5 short phrases)
+- "keySymbols": names of its most important classes, functions or exports (at most 8)
+- "sideEffects": what it changes outside itself: files, network, database, global state (empty if none)
+- "tags": short lowercase keywords describing it (at most 5)
+
+Write the text values in {{naturalLanguage}}. Do not translate symbol names.
+`,
+
+  // Variables: path, language, part, parts, startLine, endLine, source
+  chunk: `
+Summarize this part of a {{language}} file:
+
+File: {{path}}
+Part: {{part}} of {{parts}} (lines {{startLine}}-{{endLine}})
+
+\`\`\`
+{{source}}
+\`\`\`
+
+Provide a brief summary (1-2 sentences) of the classes and functions in this part.
+Write in {{naturalLanguage}}.
+`,
+
+  // Variables: path, language, type, complexity, lineCount, documentation, classes, functions, dependencies, symbols, source, chunkSummaries
+  detailed: `
+Analyze this source code file in detail:
+
+File: {{path}}
+Type: {{type}}
+Language: {{language}}
+Complexity: {{complexity}}/10
+Lines: {{lineCount}}
+{{#documentation}}
+Documentation: {{documentation}}
+{{/documentation}}
+Classes: {{classes}}
+Functions: {{functions}}
+Dependencies: {{dependencies}}
+{{#source}}
+Source:
+\`\`\`
+{{source}}
+\`\`\`
+{{/source}}{{#chunkSummaries}}
+Summaries of its parts:
+{{chunkSummaries}}
+{{/chunkSummaries}}
+Provide detailed documentation including:
+1. Purpose and responsibility
+2. Key components (classes, functions)
+3. Dependencies and relationships
+4. Complexity analysis
+5. Potential improvements
+
+Write in {{naturalLanguage}}.
+Be technical and detailed (max 200 words).
+`,
+
+  // Variables: path, name, fileCount, contents
+  folder: `
+Describe this project folder briefly:
+
+Folder: {{path}}
+Files: {{fileCount}}
+{{#projectDescription}}Project: {{projectDescription}}{{/projectDescription}}
+{{#contents}}Contents:
+{{contents}}{{/contents}}
+
+Based on the summaries of its contents, respond with a JSON object with these fields:
+- "summary": what this folder contains and its purpose in the project structure (1 sentence)
+- "responsibilities": the main responsibilities of its contents (at most 5 short phrases)
+- "tags": short lowercase keywords describing it (at most 5)
+
+Write the text values in {{naturalLanguage}}.
+`,
+
+  // Variables: path, name, part, parts, contents
+  'folder-part': `
+Summarize part of the contents of this project folder:
+
+Folder: {{path}}
+Part: {{part}} of {{parts}}
+Contents:
+{{contents}}
+
+Provide a brief summary (1-2 sentences) of what these files and subfolders do.
+Write in {{naturalLanguage}}.
+`,
+
+  // Variables: languages, totalFiles, architecture, frameworks, topLevel
+  overview: `
+Analyze this software project and provide a comprehensive overview:
+
+Project Information:
+{{#projectDescription}}- Description: {{projectDescription}}
+{{/projectDescription}}- Languages: {{languages}}
+- Total Files: {{totalFiles}}
+- Architecture Patterns: {{architecture}}
+- Frameworks: {{frameworks}}
+{{#topLevel}}
+Top-Level Components:
+{{topLevel}}
+{{/topLevel}}
+Please provide:
+1. A brief project summary
+2. Main technologies and frameworks used
+3. Architecture overview
+4. Key components and their roles
+5. Overall complexity assessment
+
+Write in {{naturalLanguage}}.
+Keep it concise but informative (max 300 words).
+`,
+
+  // Variables: architecture, patterns, topLevel
+  architecture: `
+Analyze the architecture of this software project:
+
+Top-Level Components:
+{{topLevel}}
+
+Architecture Patterns Detected: {{architecture}}
+Design Patterns: {{patterns}}
+
+Provide an analysis covering:
+1. Overall architecture assessment
+2. Strengths and potential improvements
+3. Code organization quality
+4. Scalability considerations
+5. Recommendations for development
+
+Write in {{naturalLanguage}}.
+Be technical but accessible (max 400 words).
+`,
+
+  // Variables: question, context, noAnswer
+  ask: `
+Answer a question about a software project using only the sources below.
+{{#projectDescription}}Project: {{projectDescription}}
+{{/projectDescription}}
+Sources:
+{{context}}
+
+Question: {{question}}
+
+Rules:
+- Only use facts stated in the sources. Do not guess how code you cannot see works.
+- If the sources do not answer the question, reply exactly: {{noAnswer}}
+- Cite the label of every source you use, such as [src/app.js:10-42], right after the statement it supports.
+- Be concise: a few sentences or a short list.
+
+Write the answer in {{naturalLanguage}}. Do not translate paths or symbol names.
+`
+};
@@ -0,0 +1,47 @@
+/**
+ * @fileoverview JSON schemas of structured AI responses
+ */
+
+/**
+ * List of short strings
+ * @param {number} maxItems - Items kept, extra items are dropped
+ * @returns {Object} Array schema
+ */
+const stringList = maxItems => ({
+  type: 'array',
+  items: { type: 'string' },
+  maxItems,
+  default: []
+});
+
+/**
+ * Schemas of the responses requested as JSON, by prompt template name.
+ *
+ * The schemas are sent to providers enforcing a response format and checked by
+ * StructuredResponseService. Only `type`, `properties`, `required`, `items`,
+ * `minLength` and `maxItems` are validated; arrays longer than `maxItems` are
+ * truncated rather than rejected and missing optional properties get their `default`.
+ */
+export const RESPONSE_SCHEMAS = {
+  file: {
+    type: 'object',
+    properties: {
+      summary: { type: 'string', minLength: 1 },
+      responsibilities: stringList(5),
+      keySymbols: stringList(8),
+      sideEffects: stringList(5),
+      tags: stringList(5)
+    },
+    required: ['summary']
+  },
+
+  folder: {
+    type: 'object',
+    properties: {
+      summary: { type: 'string', minLength: 1 },
+      responsibilities: stringList(5),
+      tags: stringList(5)
+    },
+    required: ['summary']
+  }
+};
@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Question answering command controller
+ */
+
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import { RetrievalService } from '../services/RetrievalService.js';
+import { SearchController } from './SearchController.js';
+
+/**
+ * Inputs ending an interactive session
+ */
+const EXIT_COMMANDS = ['exit', 'quit', ':q'];
+
+/**
+ * Controller answering questions about the project from its index
+ */
+export class AskController {
+    constructor() {
+        this.searchController = new SearchController();
+        this.aiService = this.searchController.exportController.aiService;
+    }
+
+    /**
+     * Handle the ask command
+     * @param {string} [question] - Question, asked interactively when omitted
+     * @param {Object} options - Command options
+     * @param {string} options.config - Path to config.yml file
+     * @param {string} options.limit - Maximum number of retrieved sources
+     * @param {boolean} [options.interactive] - Keep asking questions, with the conversation history
+     * @param {boolean} [options.json] - Print the answer and its sources as JSON
+     * @param {boolean} [options.cache] - False to ignore the persistent index and re-analyze every file
+     */
+    async handleAsk(question, options) {
+        const interactive = Boolean(options.interactive || !question);
+
+        if (options.json && interactive) {
+            throw new Error('--json needs a question and cannot be combined with --interactive');
+        }
+
+        const limit = parseInt(options.limit);
+        if (!(limit > 0)) {
+            throw new Error('Source limit must be a positive number');
+        }
+
+        // JSON output keeps stdout for the answer, progress notes go to stderr
+        const log = options.json ? console.error : console.log;
+        log(chalk.blue.bold('\n💬 Asking Project\n'));
+
+        const { config, projectIndex, embeddingService, store } = await this.searchController.prepareIndex(options, log);
+        this.config = config;
+        this.project = projectIndex.project;
+        this.retrievalService = new RetrievalService(embeddingService, store, projectIndex, this.searchController.exportController.redaction);
+        this.limit = limit;
+
+        if (!interactive) {
+            const result = await this.answer(question, []);
+            if (options.json) {
+                console.log(JSON.stringify(this.toJSON(question, result), null, 2));
+            } else {
+                this.displayAnswer(result);
+            }
+            await this.searchController.exportController.reportRedactions(config, null, log);
+            return;
+        }
+
+        await this.runSession(question);
+    }
+
+    /**
+     * Ask questions until the user leaves, keeping the conversation history
+     * @param {string} [firstQuestion] - Question given on the command line
+     * @returns {Promise<void>}
+     */
+    async runSession(firstQuestion) {
+        console.log(chalk.cyan(`\nAsk about the project. Type ${EXIT_COMMANDS[0]} or an empty line to leave.`));
+
+        const history = [];
+        let question = firstQuestion;
+        let previousQuestion = null;
+
+        while (true) {
+            if (!question) {
+                ({ question } = await inquirer.prompt([
+                    {
+                        type: 'input',
+                        name: 'question',
+                        message: 'Question:'
+                    }
+                ]));
+                question = question.trim();
+            }
+
+            if (!question || EXIT_COMMANDS.includes(question.toLowerCase())) break;
+
+            // Follow-up questions such as "and its tests?" need the previous one to find their sources
+            const query = previousQuestion ? `${previousQuestion}\n${question}` : question;
+
+            try {
+                const result = await this.answer(question, history, query);
+                this.displayAnswer(result);
+
+                history.push({ role: 'user', content: question }, { role: 'assistant', content: result.answer });
+                previousQuestion = question;
+            } catch (error) {
+                console.log(chalk.red(`✖ ${error.message}`));
+            }
+
+            question = null;
+        }
+    }
+
+    /**
+     * Retrieve the sources of a question and answer it
+     * @param {string} question - Question
+     * @param {Object[]} history - Previous turns: { role, content }
+     * @param {string} [query=question] - Text the sources are retrieved with
+     * @returns {Promise<{answer: string, answered: boolean, sources: Object[]}>} Answer and the sources given to the model
+     */
+    async answer(question, history, query = question) {
+        const sources = await this.retrievalService.retrieve(query, { limit: this.limit });
+        return this.aiService.answerQuestion(question, sources, history, this.project, this.config.ollama);
+    }
+
+    /**
+     * Print an answer followed by its sources, the cited ones highlighted
+     * @param {Object} result - Result of answer()
+     */
+    displayAnswer(result) {
+        console.log(`\n${result.answered ? chalk.white(result.answer) : chalk.yellow(result.answer)}\n`);
+
+        if (!result.answered || result.sources.length === 0) return;
+
+        console.log(chalk.blue('Sources:'));
+        result.sources.forEach(source => {
+            const cited = result.answer.includes(`[${source.label}]`);
+            const line = `   ${source.label} ${chalk.gray(`(${source.kind}${source.symbolKind ? ` ${source.name}` : ''}, score ${source.score.toFixed(3)})`)}`;
+            console.log(cited ? chalk.green(line) : chalk.gray(line));
+        });
+    }
+
+    /**
+     * Build the JSON output of an answer
+     * @param {string} question - Question
+     * @param {Object} result - Result of answer()
+     * @returns {Object} Question, answer and sources with the `cited` flag
+     */
+    toJSON(question, result) {
+        return {
+            question,
+            answer: result.answer,
+            answered: result.answered,
+            sources: result.sources.map(({ text, ...source }) => ({
+                ...source,
+                cited: result.answer.includes(`[${source.label}]`)
+            }))
+        };
+    }
+}
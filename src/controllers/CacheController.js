@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Cache maintenance command controller
+ */
+
+import chalk from 'chalk';
+import { ConfigSchema } from '../config/ConfigSchema.js';
+import { AICacheService } from '../services/AICacheService.js';
+import { IndexCacheService } from '../services/IndexCacheService.js';
+import { RedactionService } from '../services/RedactionService.js';
+import { VectorStoreService } from '../services/VectorStoreService.js';
+
+/**
+ * Controller for handling cache commands
+ */
+export class CacheController {
+    /**
+     * Handle the cache-clear command
+     * @param {Object} options - Command options
+     * @param {string} options.config - Path to config.yml file
+     * @param {string} [options.model] - Only invalidate responses generated by this model
+     * @param {string[]} [options.path] - Only invalidate responses for paths matching these globs
+     * @param {boolean} [options.index] - Also delete the persistent project index and the embeddings
+     */
+    async handleCacheClear(options) {
+        console.log(chalk.blue.bold('\n🧹 Clearing Cache\n'));
+
+        const config = await ConfigSchema.loadConfig(options.config);
+        const cacheOptions = { cacheDir: config.general.cacheDir };
+
+        const aiCache = await new AICacheService(config.project.rootPath, cacheOptions).load();
+        const before = aiCache.getStats().entries;
+        const removed = aiCache.invalidate({
+            model: options.model,
+            paths: options.path
+        });
+        await aiCache.save();
+
+        console.log(`   AI responses removed: ${chalk.white(removed)} of ${chalk.white(before)}`);
+        if (options.model) console.log(`   Model filter: ${chalk.white(options.model)}`);
+        if (options.path) console.log(`   Path filter: ${chalk.white(options.path.join(', '))}`);
+
+        // The persistent index keeps the descriptions too, drop its entries so the files are described again
+        if (!options.index) {
+            const indexCache = await new IndexCacheService(config.project.rootPath, {
+                ...cacheOptions,
+                fingerprint: new RedactionService(config.redaction).getFingerprint()
+            }).load();
+            const dropped = indexCache.invalidate(options.path);
+            if (dropped > 0) await indexCache.save();
+
+            console.log(`   Index entries removed: ${chalk.white(dropped)}`);
+        }
+
+        if (options.index) {
+            await new IndexCacheService(config.project.rootPath, cacheOptions).clear();
+            await new VectorStoreService(config.project.rootPath, cacheOptions).clear();
+            console.log(`   Persistent index: ${chalk.white('deleted')}`);
+            console.log(`   Embeddings: ${chalk.white('deleted')}`);
+        }
+
+        console.log(chalk.green('\n✅ Cache cleared'));
+    }
+}
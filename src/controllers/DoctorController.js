@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Doctor command controller
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import { DiagnosticsService } from '../services/DiagnosticsService.js';
+
+/**
+ * Symbol and color of each check status
+ */
+const STATUS_STYLES = {
+    pass: { symbol: '✔', color: chalk.green },
+    warn: { symbol: '⚠', color: chalk.yellow },
+    fail: { symbol: '✖', color: chalk.red }
+};
+
+/**
+ * Controller checking the configuration, the project and the AI environment
+ */
+export class DoctorController {
+    constructor() {
+        this.diagnosticsService = new DiagnosticsService();
+    }
+
+    /**
+     * Handle the doctor command. The exit code is 1 when a check fails.
+     * @param {Object} options - Command options
+     * @param {string} options.config - Path to config.yml file
+     * @param {boolean} [options.json] - Print the results as JSON
+     */
+    async handleDoctor(options) {
+        if (options.json) {
+            const results = await this.diagnosticsService.runChecks(options.config);
+            console.log(JSON.stringify(this.toJSON(results), null, 2));
+            this.setExitCode(results);
+            return;
+        }
+
+        console.log(chalk.blue.bold('\n🩺 Checking Environment\n'));
+
+        const spinner = ora('Running checks...').start();
+        const results = await this.diagnosticsService.runChecks(options.config);
+        spinner.stop();
+
+        this.displayResults(results);
+        this.setExitCode(results);
+    }
+
+    /**
+     * Print the results as a table followed by a summary
+     * @param {Object[]} results - Check results
+     */
+    displayResults(results) {
+        const width = Math.max(...results.map(result => result.label.length));
+
+        results.forEach(result => {
+            const { symbol, color } = STATUS_STYLES[result.status];
+            console.log(`   ${color(`${symbol} ${result.status.padEnd(4)}`)}  ${chalk.white(result.label.padEnd(width))}  ${chalk.gray(result.message)}`);
+        });
+
+        const counts = this.countStatuses(results);
+        const summary = `${counts.pass} passed, ${counts.warn} warning(s), ${counts.fail} failed`;
+
+        if (counts.fail > 0) {
+            console.log(chalk.red(`\n✖ ${summary}`));
+        } else if (counts.warn > 0) {
+            console.log(chalk.yellow(`\n⚠️  ${summary}`));
+        } else {
+            console.log(chalk.green(`\n✅ ${summary}`));
+        }
+    }
+
+    /**
+     * Build the JSON output
+     * @param {Object[]} results - Check results
+     * @returns {Object} `ok` (no failed check), counts by status and the checks
+     */
+    toJSON(results) {
+        const counts = this.countStatuses(results);
+        return { ok: counts.fail === 0, summary: counts, checks: results };
+    }
+
+    /**
+     * Count the results by status
+     * @param {Object[]} results - Check results
+     * @returns {{pass: number, warn: number, fail: number}} Counts
+     * @private
+     */
+    countStatuses(results) {
+        const counts = { pass: 0, warn: 0, fail: 0 };
+        results.forEach(result => counts[result.status]++);
+        return counts;
+    }
+
+    /**
+     * Exit with status 1 when a check failed, so scripts can rely on the command
+     * @param {Object[]} results - Check results
+     * @private
+     */
+    setExitCode(results) {
+        if (results.some(result => result.status === 'fail')) {
+            process.exitCode = 1;
+        }
+    }
+}
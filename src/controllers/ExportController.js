@@ -10,6 +10,34 @@ import { ConfigSchema } from '../config/ConfigSchema.js';
 import { IndexingService } from '../services/IndexingService.js';
 import { ExportService } from '../services/ExportService.js';
 import { AIService } from '../services/AIService.js';
+import { AICacheService } from '../services/AICacheService.js';
+import { AISchedulerService } from '../services/AISchedulerService.js';
+import { AIEstimateService } from '../services/AIEstimateService.js';
+import { AIProgressService } from '../services/AIProgressService.js';
+import { CheckpointService } from '../services/CheckpointService.js';
+import { GitService } from '../services/GitService.js';
+import { PromptTemplateService } from '../services/PromptTemplateService.js';
+import { GraphExportService, GRAPH_FORMATS } from '../services/GraphExportService.js';
+import { SbomService, SBOM_FORMATS } from '../services/SbomService.js';
+import { EmbeddingService } from '../services/EmbeddingService.js';
+import { VectorStoreService } from '../services/VectorStoreService.js';
+import { RedactionService } from '../services/RedactionService.js';
+import { createProvider, createEmbeddingProvider } from '../providers/ProviderRegistry.js';
+
+/**
+ * Interval between two updates of the AI progress display
+ */
+const PROGRESS_INTERVAL_MS = 250;
+
+/**
+ * Interval between two saves of the results of a running AI pass
+ */
+const FLUSH_INTERVAL_MS = 30000;
+
+/**
+ * Progress lines printed without live display: one per tenth of the prompts
+ */
+const PROGRESS_STEPS = 10;
 
 /**
  * Controller for handling export commands
@@ -19,6 +47,11 @@ export class ExportController {
         this.indexingService = new IndexingService();
         this.exportService = new ExportService();
         this.aiService = new AIService();
+        this.estimateService = new AIEstimateService();
+        this.gitService = new GitService();
+        this.run = null;
+        this.graphExportService = new GraphExportService();
+        this.sbomService = new SbomService();
     }
 
     /**
@@ -28,10 +61,13 @@ export class ExportController {
     async handleMindmapExport(options) {
         console.log(chalk.blue.bold('\n🧠 Generating Project Mind Map\n'));
 
+        let projectIndex = null;
+
         try {
             // Load configuration
             console.log(chalk.gray(`Loading configuration from: ${options.config}`));
             const config = await ConfigSchema.loadConfig(options.config);
+            await this.configureAI(config, options.config);
 
             // Validate project path
             if (!config.project.rootPath || config.project.rootPath.trim() === '') {
@@ -50,11 +86,16 @@ export class ExportController {
             console.log(chalk.gray(`Include patterns: ${config.include.length} patterns`));
             console.log(chalk.gray(`Exclude patterns: ${config.exclude.length} patterns`));
 
+            const run = await this.beginRun('export-mindmap', config, options);
+
             // Index project
             const spinner = ora('Indexing project structure...').start();
             try {
-                const projectIndex = await this.indexingService.indexProject(config);
-                spinner.succeed(`Indexed ${projectIndex.metadata.totalFiles} files in ${projectIndex.metadata.totalFolders} folders`);
+                projectIndex = await this.indexingService.indexProject(config, {
+                    useCache: options.cache !== false && config.general.useCache,
+                    signal: run.signal
+                });
+                spinner.succeed(`Indexed ${projectIndex.metadata.totalFiles} files in ${projectIndex.metadata.totalFolders} folders${this.formatIncrementalSummary(projectIndex)}`);
 
                 // Check if we found any files
                 if (projectIndex.metadata.totalFiles === 0) {
@@ -64,15 +105,39 @@ export class ExportController {
                     return;
                 }
 
-                // Generate descriptions with AI if not dry run
-                if (!options.dry) {
-                    const aiSpinner = ora('Generating AI descriptions...').start();
+                // Generate descriptions with AI if not dry run, from the code when no model is available
+                if (!options.dry && await this.shouldUseAI(config, options)) {
+                    await this.attachAICache(config, options);
+                    await this.saveCheckpoint('ai');
+
+                    const aiSpinner = await this.startAIProgress('Generating AI descriptions...', projectIndex, config, options, { skip: run.skip });
                     try {
-                        await this.aiService.enhanceProjectIndex(projectIndex, config.ollama);
-                        aiSpinner.succeed('AI descriptions generated');
+                        await this.aiService.enhanceProjectIndex(projectIndex, config.ollama, { signal: run.signal, skip: run.skip });
+                        await this.stopAIProgress();
+                        this.finishAISpinner(aiSpinner, 'AI descriptions generated');
                     } catch (error) {
+                        await this.stopAIProgress();
+                        if (error.name === 'AbortError') {
+                            aiSpinner.warn('AI descriptions interrupted');
+                            throw error;
+                        }
+
                         aiSpinner.warn(`AI enhancement failed: ${error.message}`);
+                        await this.describeWithoutAI(projectIndex);
+                    }
+
+                    await this.saveAICache();
+                    await this.reportAIFailures(config, path.resolve(options.output));
+                    await this.reportRedactions(config, path.resolve(options.output));
+                    await this.indexingService.saveIndexCache(projectIndex);
+
+                    if (config.ai.embeddings.enabled) {
+                        await this.updateEmbeddings(projectIndex, config);
                     }
+                } else if (!options.dry) {
+                    await this.describeWithoutAI(projectIndex);
+                    await this.reportRedactions(config, path.resolve(options.output));
+                    await this.indexingService.saveIndexCache(projectIndex);
                 }
 
                 // Generate mind map
@@ -91,6 +156,7 @@ export class ExportController {
                     // Display in console
                     console.log(chalk.yellow('\n📋 Mind Map Preview (Dry Run)\n'));
                     console.log(this.colorizeMarkdown(mindmapContent));
+                    await this.displayAIEstimate(projectIndex, config, options, { skip: run.skip });
                 } else {
                     // Save to file
                     const outputDir = path.resolve(options.output);
@@ -105,12 +171,24 @@ export class ExportController {
                     this.displayMindmapStats(projectIndex);
                 }
             } catch (indexError) {
+                if (indexError.name === 'AbortError') {
+                    if (spinner.isSpinning) spinner.warn('Indexing interrupted');
+                    throw indexError;
+                }
+
                 spinner.fail(`Indexing failed: ${indexError.message}`);
                 throw indexError;
             }
 
         } catch (error) {
+            if (error.name === 'AbortError') {
+                await this.saveInterruptedRun(projectIndex);
+                return;
+            }
+
             throw new Error(`Mind map export failed: ${error.message}`);
+        } finally {
+            await this.endRun();
         }
     }
 
@@ -121,20 +199,55 @@ export class ExportController {
     async handleFullExport(options) {
         console.log(chalk.blue.bold('\n📚 Generating Complete Documentation\n'));
 
+        let projectIndex = null;
+
         try {
             // Load configuration
             const config = await ConfigSchema.loadConfig(options.config);
+            await this.configureAI(config, options.config);
+            const run = await this.beginRun('export-full', config, options);
 
             // Index project with detailed analysis
             const spinner = ora('Performing deep project analysis...').start();
-            const projectIndex = await this.indexingService.indexProject(config, { detailed: true });
-            spinner.succeed(`Analyzed ${projectIndex.totalFiles} files with detailed metadata`);
+            projectIndex = await this.indexingService.indexProject(config, {
+                detailed: true,
+                useCache: options.cache !== false && config.general.useCache,
+                signal: run.signal
+            }).catch(error => {
+                if (error.name === 'AbortError') spinner.warn('Analysis interrupted');
+                throw error;
+            });
+            this.restoreCheckpoint(projectIndex);
+            spinner.succeed(`Analyzed ${projectIndex.metadata.totalFiles} files with detailed metadata${this.formatIncrementalSummary(projectIndex)}`);
 
-            // Generate AI descriptions and documentation
-            if (!options.dry) {
-                const aiSpinner = ora('Generating comprehensive AI documentation...').start();
-                await this.aiService.generateDetailedDocumentation(projectIndex, config.ollama);
-                aiSpinner.succeed('AI documentation generated');
+            // Generate AI descriptions and documentation, descriptions from the code when no model is available
+            if (!options.dry && await this.shouldUseAI(config, options)) {
+                await this.attachAICache(config, options);
+                await this.saveCheckpoint('ai');
+
+                const aiSpinner = await this.startAIProgress('Generating comprehensive AI documentation...', projectIndex, config, options, { detailed: true, skip: run.skip });
+                try {
+                    await this.aiService.generateDetailedDocumentation(projectIndex, config.ollama, { signal: run.signal, skip: run.skip });
+                } catch (error) {
+                    if (error.name === 'AbortError') aiSpinner.warn('AI documentation interrupted');
+                    throw error;
+                } finally {
+                    await this.stopAIProgress();
+                }
+                this.finishAISpinner(aiSpinner, 'AI documentation generated');
+
+                await this.saveAICache();
+                await this.reportAIFailures(config, path.resolve(options.output));
+                await this.reportRedactions(config, path.resolve(options.output));
+                await this.indexingService.saveIndexCache(projectIndex, { detailed: true });
+
+                if (config.ai.embeddings.enabled) {
+                    await this.updateEmbeddings(projectIndex, config);
+                }
+            } else if (!options.dry) {
+                await this.describeWithoutAI(projectIndex);
+                await this.reportRedactions(config, path.resolve(options.output));
+                await this.indexingService.saveIndexCache(projectIndex, { detailed: true });
             }
 
             // Generate exports
@@ -143,12 +256,627 @@ export class ExportController {
 
             if (options.dry) {
                 this.displayFullExportPreview(projectIndex, options);
+                await this.displayAIEstimate(projectIndex, config, options, { detailed: true, skip: run.skip });
             } else {
                 await this.generateFullExports(projectIndex, outputDir, options, config);
             }
 
         } catch (error) {
+            if (error.name === 'AbortError') {
+                await this.saveInterruptedRun(projectIndex, { detailed: true });
+                return;
+            }
+
             throw new Error(`Full export failed: ${error.message}`);
+        } finally {
+            await this.endRun();
+        }
+    }
+
+    /**
+     * Handle the export-graph command
+     * @param {Object} options - Command options
+     * @param {string} options.config - Path to config.yml file
+     * @param {string} options.output - Output folder for exports
+     * @param {string} options.format - Graph format: dot, mermaid, graphml
+     * @param {string} options.level - Graph level: file or folder
+     * @param {string[]} [options.filter] - Only keep files matching these globs
+     * @param {string} [options.root] - Only keep files reachable from this file
+     * @param {string} [options.depth] - Maximum number of imports followed from the root file
+     * @param {boolean} [options.highlightCycles] - Highlight files and imports that form cycles
+     * @param {string} options.colorBy - Node color: type, complexity or none
+     * @param {boolean} [options.dry] - Print the graph instead of writing it
+     */
+    async handleGraphExport(options) {
+        console.log(chalk.blue.bold('\n🕸️  Generating Dependency Graph\n'));
+
+        try {
+            if (!GRAPH_FORMATS[options.format]) {
+                throw new Error(`Unsupported graph format: ${options.format}. Use one of: ${Object.keys(GRAPH_FORMATS).join(', ')}`);
+            }
+
+            const config = await ConfigSchema.loadConfig(options.config);
+            await this.configureAI(config, options.config);
+            const rootPath = path.resolve(config.project.rootPath);
+
+            // Imports are only recorded by the detailed analysis
+            const spinner = ora('Resolving imports...').start();
+            const projectIndex = await this.indexingService.indexProject(config, {
+                detailed: true,
+                useCache: options.cache !== false && config.general.useCache
+            });
+            const { stats } = projectIndex.dependencyGraph;
+            spinner.succeed(`Resolved ${stats.edges} imports between ${stats.nodes} files${this.formatIncrementalSummary(projectIndex)}`);
+
+            if (!options.dry) {
+                await this.indexingService.saveIndexCache(projectIndex, { detailed: true });
+            }
+
+            const graphContent = this.graphExportService.generateGraph(projectIndex, {
+                format: options.format,
+                level: options.level,
+                filter: options.filter,
+                root: options.root ? this.toProjectPath(options.root, rootPath) : null,
+                depth: options.depth !== undefined ? parseInt(options.depth) : null,
+                highlightCycles: options.highlightCycles,
+                colorBy: options.colorBy
+            });
+
+            if (options.dry) {
+                console.log(chalk.yellow('\n📋 Dependency Graph Preview (Dry Run)\n'));
+                console.log(graphContent);
+                return;
+            }
+
+            const outputDir = path.resolve(options.output);
+            await fs.ensureDir(outputDir);
+
+            const outputPath = path.join(outputDir, `dependency-graph.${GRAPH_FORMATS[options.format]}`);
+            await fs.writeFile(outputPath, graphContent, 'utf8');
+
+            console.log(chalk.green(`\n✅ Dependency graph exported to: ${outputPath}`));
+            if (stats.unresolved > 0) {
+                console.log(chalk.yellow(`   ${stats.unresolved} relative import(s) could not be resolved to indexed files`));
+            }
+            this.displayCycleWarning(projectIndex, { list: true });
+        } catch (error) {
+            throw new Error(`Graph export failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handle the export-sbom command
+     * @param {Object} options - Command options
+     * @param {string} options.config - Path to config.yml file
+     * @param {string} options.output - Output folder for exports
+     * @param {string} options.format - SBOM format: cyclonedx, spdx or all
+     * @param {boolean} [options.dry] - Print the documents instead of writing them
+     */
+    async handleSbomExport(options) {
+        console.log(chalk.blue.bold('\n📦 Generating Software Bill of Materials\n'));
+
+        try {
+            const formats = options.format === 'all' ? Object.keys(SBOM_FORMATS) : [options.format];
+            if (!formats.every(format => SBOM_FORMATS[format])) {
+                throw new Error(`Unsupported SBOM format: ${options.format}. Use one of: ${[...Object.keys(SBOM_FORMATS), 'all'].join(', ')}`);
+            }
+
+            const config = await ConfigSchema.loadConfig(options.config);
+
+            // Packages come from manifests and lockfiles, file contents are not needed
+            const spinner = ora('Reading manifests and lockfiles...').start();
+            const projectIndex = await this.indexingService.indexProject(config, { readContent: false });
+            const { manifests, packages } = projectIndex.analysis.dependencies;
+            spinner.succeed(`Found ${packages.length} packages in ${manifests.length} manifest(s) and lockfile(s)`);
+
+            if (manifests.length === 0) {
+                console.log(chalk.yellow('⚠️  No package manifest found, the SBOM only lists the project itself.'));
+            }
+
+            if (options.dry) {
+                formats.forEach(format => {
+                    console.log(chalk.yellow(`\n📋 ${SBOM_FORMATS[format]} Preview (Dry Run)\n`));
+                    console.log(this.sbomService.generateSbom(projectIndex, format));
+                });
+                return;
+            }
+
+            const outputDir = path.resolve(options.output);
+            await fs.ensureDir(outputDir);
+
+            for (const format of formats) {
+                const outputPath = path.join(outputDir, SBOM_FORMATS[format]);
+                await fs.writeFile(outputPath, this.sbomService.generateSbom(projectIndex, format), 'utf8');
+                console.log(chalk.green(`✅ SBOM exported to: ${outputPath}`));
+            }
+        } catch (error) {
+            throw new Error(`SBOM export failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Convert a path given on the command line to a path relative to the project root
+     * @param {string} filePath - Path relative to the working directory or to the project root
+     * @param {string} rootPath - Project root path
+     * @returns {string} Project-relative path
+     */
+    toProjectPath(filePath, rootPath) {
+        const fromCwd = path.resolve(filePath);
+        return fromCwd.startsWith(rootPath + path.sep) && fs.existsSync(fromCwd)
+            ? path.relative(rootPath, fromCwd)
+            : filePath;
+    }
+
+    /**
+     * Select the LLM provider, request scheduler and prompt templates of the AI service,
+     * and the redaction applied to file contents before indexing and prompts
+     * @param {Object} config - Project configuration
+     * @param {string} configPath - Path to config.yml file, prompt overrides are resolved from its folder
+     * @returns {Promise<void>}
+     */
+    async configureAI(config, configPath) {
+        this.redaction = new RedactionService(config.redaction);
+        this.indexingService.setRedaction(this.redaction);
+        this.aiService.setRedaction(this.redaction);
+
+        this.aiService.setProvider(createProvider(config));
+        this.aiService.setScheduler(new AISchedulerService(config.ai.scheduler));
+
+        const prompts = new PromptTemplateService();
+        const overridden = await prompts.loadOverrides(path.resolve(path.dirname(configPath), config.ai.prompts.directory));
+        this.aiService.setPrompts(prompts);
+
+        if (overridden.length > 0) {
+            console.log(chalk.gray(`Prompt templates overridden: ${overridden.join(', ')}`));
+        }
+    }
+
+    /**
+     * Start a run that can be interrupted and resumed. The first Ctrl-C stops it once
+     * the AI requests in progress have completed, their results and a checkpoint are
+     * saved; a second one quits at once. With `--resume`, the checkpoint of the last
+     * interrupted run is loaded when it was made with the same configuration and commit.
+     * Nothing is checkpointed in dry runs, or without the persistent index.
+     * @param {string} command - Command name, recorded in the checkpoint
+     * @param {Object} config - Project configuration
+     * @param {Object} options - Command options
+     * @param {boolean} [options.resume] - Resume the last interrupted run
+     * @returns {Promise<Object>} Run: its abort `signal` and the requests to `skip`, completed by the resumed run
+     * @throws {Error} When `--resume` is given without the persistent index
+     */
+    async beginRun(command, config, options) {
+        const useCache = options.cache !== false && config.general.useCache;
+        if (options.resume && !useCache) {
+            throw new Error('--resume needs the persistent index, remove --no-cache or enable general.useCache');
+        }
+
+        const rootPath = path.resolve(config.project.rootPath);
+        const checkpoints = new CheckpointService(rootPath, { cacheDir: config.general.cacheDir });
+        const identity = {
+            config: CheckpointService.fingerprint(config),
+            commit: await this.gitService.getHeadCommit(rootPath)
+        };
+        const previous = useCache ? await checkpoints.load() : null;
+        let resumed = null;
+
+        if (options.resume) {
+            const mismatch = previous ? checkpoints.getMismatch(previous, identity) : 'no interrupted run found';
+            if (mismatch) {
+                console.log(chalk.yellow(`⚠️  Not resuming: ${mismatch}. Starting a new run.`));
+            } else {
+                resumed = previous;
+                console.log(chalk.cyan(`↻ Resuming the ${previous.command} run started ${new Date(previous.startedAt).toLocaleString()}: ${previous.completed.length} AI request(s) already answered`));
+            }
+        } else if (previous && !options.dry) {
+            console.log(chalk.gray(`A previous ${previous.command} run was interrupted, use --resume to continue it instead of starting over`));
+        }
+
+        const controller = new AbortController();
+        const onInterrupt = () => {
+            if (controller.signal.aborted) {
+                console.log(chalk.red('\n✖ Stopped'));
+                process.exit(130);
+            }
+
+            controller.abort();
+            console.log(chalk.yellow('\n⚠️  Stopping after the AI requests in progress, press Ctrl-C again to quit now'));
+        };
+
+        // Other listeners are set aside during the run: the temporary file cleanup of
+        // markdown-pdf exits on the first SIGINT
+        const otherListeners = process.listeners('SIGINT');
+        process.removeAllListeners('SIGINT');
+        process.on('SIGINT', onInterrupt);
+
+        this.run = {
+            command,
+            identity,
+            checkpoints: useCache && !options.dry ? checkpoints : null,
+            startedAt: resumed ? resumed.startedAt : new Date().toISOString(),
+            resumed,
+            signal: controller.signal,
+            skip: resumed ? resumed.completed : [],
+            onInterrupt,
+            otherListeners
+        };
+        await this.saveCheckpoint('indexing');
+
+        return this.run;
+    }
+
+    /**
+     * Give the index the project overview and architecture analysis of the resumed run
+     * @param {Object} projectIndex - Project index object
+     */
+    restoreCheckpoint(projectIndex) {
+        const resumed = this.run && this.run.resumed;
+        if (!resumed) return;
+
+        if (resumed.overview) projectIndex.aiGeneratedOverview = resumed.overview;
+        if (resumed.architecture) projectIndex.aiArchitectureAnalysis = resumed.architecture;
+    }
+
+    /**
+     * Record the progress of the run. Call it after the results of the completed
+     * requests are saved, with the list taken before.
+     * @param {string} [phase] - Phase reached: indexing or ai; unchanged when omitted
+     * @param {Object|null} [projectIndex] - Project index object, holds the project overview and architecture analysis
+     * @param {{kind: string, path: string|null}[]} [completed] - AI requests completed by this run, see AIService.getCompleted()
+     * @returns {Promise<void>}
+     */
+    async saveCheckpoint(phase, projectIndex = null, completed = []) {
+        const run = this.run;
+        if (!run || !run.checkpoints) return;
+
+        run.phase = phase || run.phase;
+
+        try {
+            await run.checkpoints.save({
+                command: run.command,
+                config: run.identity.config,
+                commit: run.identity.commit,
+                startedAt: run.startedAt,
+                phase: run.phase,
+                completed: [...run.skip, ...completed],
+                overview: projectIndex ? projectIndex.aiGeneratedOverview || null : null,
+                architecture: projectIndex ? projectIndex.aiArchitectureAnalysis || null : null
+            });
+        } catch (error) {
+            console.warn(chalk.yellow(`Warning: Could not save checkpoint: ${error.message}`));
+        }
+    }
+
+    /**
+     * Save the work of an interrupted run, once the AI requests in progress have
+     * completed, and tell how to resume it. Exits with status 130, as for SIGINT.
+     * @param {Object|null} projectIndex - Project index object, null when indexing was interrupted
+     * @param {Object} [options] - Options passed to flushAIResults()
+     * @returns {Promise<void>}
+     */
+    async saveInterruptedRun(projectIndex, options = {}) {
+        const spinner = ora('Waiting for the AI requests in progress...').start();
+        await this.aiService.scheduler.onIdle();
+
+        if (projectIndex) {
+            await this.flushAIResults(projectIndex, options);
+        }
+        spinner.stop();
+
+        if (this.run && this.run.checkpoints) {
+            console.log(chalk.yellow('\n⚠️  Export interrupted, the work done so far is saved.'));
+            console.log(chalk.cyan('Run the same command with --resume to continue it.'));
+        } else {
+            console.log(chalk.yellow('\n⚠️  Export interrupted.'));
+        }
+
+        process.exitCode = 130;
+    }
+
+    /**
+     * End the run: stop handling Ctrl-C, and delete the checkpoint unless the run was
+     * interrupted. A run that completed or failed leaves nothing to resume.
+     * @returns {Promise<void>}
+     */
+    async endRun() {
+        const run = this.run;
+        if (!run) return;
+
+        process.removeListener('SIGINT', run.onInterrupt);
+        run.otherListeners.forEach(listener => process.on('SIGINT', listener));
+        this.run = null;
+
+        if (!run.signal.aborted && run.checkpoints) {
+            try {
+                await run.checkpoints.clear();
+            } catch (error) {
+                console.warn(chalk.yellow(`Warning: Could not delete checkpoint: ${error.message}`));
+            }
+        }
+    }
+
+    /**
+     * Start an AI spinner following the pass: prompts answered out of the planned ones,
+     * current file, tokens per second, remaining time and failures. The results so far
+     * are saved to the persistent index and the AI cache every 30 seconds, so an
+     * interrupted run keeps them. Without live display (`--quiet`, or output not to a
+     * terminal) the progress is printed as a line at every tenth of the prompts.
+     * @param {string} message - Spinner text
+     * @param {Object} projectIndex - Project index object
+     * @param {Object} config - Project configuration
+     * @param {Object} options - Command options
+     * @param {boolean} [options.quiet] - Print progress lines instead of the live display
+     * @param {Object} [planOptions] - Options passed to AIService.planRun()
+     * @returns {Promise<Object>} Ora spinner, stop the progress with stopAIProgress() before completing it
+     */
+    async startAIProgress(message, projectIndex, config, options, planOptions = {}) {
+        const spinner = ora({ text: message, isEnabled: options.quiet ? false : undefined }).start();
+        const progress = new AIProgressService(await this.aiService.planRun(projectIndex, config.ollama, planOptions));
+        const rootPath = path.resolve(config.project.rootPath);
+        let printedStep = 0;
+        let flushedAt = Date.now();
+        let flushedCount = 0;
+
+        this.aiService.setProgress(progress);
+        this.progressFlush = null;
+        this.progressTimer = setInterval(() => {
+            const snapshot = progress.getSnapshot();
+
+            if (spinner.isEnabled) {
+                spinner.text = `${message} ${this.formatAIProgress(snapshot, rootPath)}`;
+            } else if (snapshot.total > 0 && Math.floor((snapshot.completed / snapshot.total) * PROGRESS_STEPS) > printedStep) {
+                printedStep = Math.floor((snapshot.completed / snapshot.total) * PROGRESS_STEPS);
+                console.log(chalk.gray(`  ${this.formatAIProgress(snapshot, rootPath)}`));
+            }
+
+            if (!this.progressFlush && snapshot.completed > flushedCount && Date.now() - flushedAt >= FLUSH_INTERVAL_MS) {
+                flushedCount = snapshot.completed;
+                this.progressFlush = this.flushAIResults(projectIndex, planOptions).finally(() => {
+                    this.progressFlush = null;
+                    flushedAt = Date.now();
+                });
+            }
+        }, PROGRESS_INTERVAL_MS);
+
+        return spinner;
+    }
+
+    /**
+     * Stop following the AI pass, once a save in progress has completed
+     * @returns {Promise<void>}
+     */
+    async stopAIProgress() {
+        clearInterval(this.progressTimer);
+        this.progressTimer = null;
+        this.aiService.setProgress(null);
+
+        if (this.progressFlush) await this.progressFlush;
+    }
+
+    /**
+     * Save the results of the running AI pass: descriptions to the persistent index,
+     * responses to the AI cache, and the requests completed to the checkpoint
+     * @param {Object} projectIndex - Project index object
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.detailed] - The index holds detailed analysis
+     * @returns {Promise<void>}
+     */
+    async flushAIResults(projectIndex, options = {}) {
+        // Taken first: requests completing during the saves are not in the saved index yet
+        const completed = this.aiService.getCompleted();
+
+        await this.saveAICache();
+        await this.indexingService.saveIndexCache(projectIndex, options.detailed ? { detailed: true } : {});
+        await this.saveCheckpoint('ai', projectIndex, completed);
+    }
+
+    /**
+     * Format the progress of an AI pass on one line
+     * @param {Object} snapshot - Progress state, see AIProgressService.getSnapshot()
+     * @param {string} rootPath - Project root path, file paths are shown relative to it
+     * @returns {string} Progress, e.g. 12/85 · src/index.js · 18.2 tokens/s · ETA 3 min · 1 failed
+     */
+    formatAIProgress(snapshot, rootPath) {
+        const parts = [`${snapshot.completed}/${snapshot.total}`];
+
+        if (snapshot.current) {
+            parts.push(snapshot.current.path ? path.relative(rootPath, snapshot.current.path) || '.' : `project ${snapshot.current.kind}`);
+        }
+        if (snapshot.tokensPerSecond > 0) {
+            parts.push(`${snapshot.tokensPerSecond.toFixed(1)} tokens/s`);
+        }
+        if (snapshot.etaMs !== null) {
+            parts.push(`ETA ${this.estimateService.formatDuration(snapshot.etaMs)}`);
+        }
+        if (snapshot.failed > 0) {
+            parts.push(chalk.yellow(`${snapshot.failed} failed`));
+        }
+
+        return parts.join(' · ');
+    }
+
+    /**
+     * Complete an AI spinner, warning when some requests failed
+     * @param {Object} spinner - Ora spinner
+     * @param {string} message - Success message
+     */
+    finishAISpinner(spinner, message) {
+        const { failures, stats } = this.aiService.getFailureReport();
+        const retried = stats.retries > 0 ? `, ${stats.retries} retried` : '';
+
+        if (failures.length > 0) {
+            spinner.warn(`${message}: ${failures.length} of ${stats.requests} request(s) failed${retried}`);
+        } else {
+            spinner.succeed(`${message}${retried ? ` (${stats.retries} retried)` : ''}`);
+        }
+    }
+
+    /**
+     * List the files and folders left without AI description, grouped by reason.
+     * The full list is written to ai-failures.json in the output folder.
+     * @param {Object} config - Project configuration
+     * @param {string|null} outputDir - Output folder, null to only print the report
+     * @returns {Promise<void>}
+     */
+    async reportAIFailures(config, outputDir) {
+        const { failures } = this.aiService.getFailureReport();
+        if (failures.length === 0) return;
+
+        const rootPath = path.resolve(config.project.rootPath);
+        const entries = failures.map(failure => ({
+            ...failure,
+            path: failure.path ? path.relative(rootPath, failure.path) || '.' : null
+        }));
+        const byReason = new Map();
+        entries.forEach(entry => {
+            if (!byReason.has(entry.reason)) byReason.set(entry.reason, []);
+            byReason.get(entry.reason).push(entry);
+        });
+
+        console.log(chalk.yellow(`\n⚠️  ${failures.length} item(s) have no AI description:`));
+        byReason.forEach((group, reason) => {
+            console.log(chalk.yellow(`   ${reason} (${group.length}, after ${Math.max(...group.map(entry => entry.attempts))} attempt(s))`));
+            group.slice(0, 10).forEach(entry => {
+                console.log(chalk.gray(`     - ${entry.path ? `${entry.kind} ${entry.path}` : `project ${entry.kind}`}`));
+            });
+            if (group.length > 10) {
+                console.log(chalk.gray(`     ... and ${group.length - 10} more`));
+            }
+        });
+
+        if (!outputDir) return;
+
+        try {
+            await fs.ensureDir(outputDir);
+            const reportPath = path.join(outputDir, 'ai-failures.json');
+            await fs.writeFile(reportPath, JSON.stringify({ generatedAt: new Date().toISOString(), failures: entries }, null, 2), 'utf8');
+            console.log(chalk.gray(`   Full report: ${reportPath}`));
+        } catch (error) {
+            console.warn(chalk.yellow(`Warning: Could not write AI failure report: ${error.message}`));
+        }
+    }
+
+    /**
+     * Check whether descriptions can be generated by the model
+     * @param {Object} config - Project configuration
+     * @param {Object} options - Command options
+     * @param {boolean} [options.ai] - False when `--no-ai` is given
+     * @returns {Promise<boolean>} True when AI is wanted and the provider answers
+     */
+    async shouldUseAI(config, options) {
+        if (options.ai === false) return false;
+
+        if (!await this.aiService.testConnection(config.ollama)) {
+            console.log(chalk.yellow('⚠️  AI provider unreachable, descriptions are built from the code instead. Use --no-ai to skip this check.'));
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Describe the files and folders of the project from their code, without the model
+     * @param {Object} projectIndex - Project index object
+     * @param {Object} [options] - Options passed to AIService.describeWithoutAI()
+     * @returns {Promise<void>}
+     */
+    async describeWithoutAI(projectIndex, options = {}) {
+        const spinner = ora('Describing files from their code...').start();
+        await this.aiService.describeWithoutAI(projectIndex, options);
+        spinner.succeed(`Described ${options.onlyPaths ? options.onlyPaths.length : projectIndex.files.length} file(s) without AI`);
+    }
+
+    /**
+     * List the secrets replaced with placeholders, by rule. The list by file is written
+     * to redactions.json in the output folder; redacted values are never reported.
+     * @param {Object} config - Project configuration
+     * @param {string|null} outputDir - Output folder, null to only print the summary
+     * @param {Function} [log=console.log] - Prints the summary
+     * @returns {Promise<void>}
+     */
+    async reportRedactions(config, outputDir, log = console.log) {
+        const findings = this.redaction ? this.redaction.getReport() : [];
+        if (findings.length === 0) return;
+
+        const rootPath = path.resolve(config.project.rootPath);
+        const entries = findings.map(finding => ({ ...finding, path: path.relative(rootPath, finding.path) }));
+        const byRule = new Map();
+        entries.forEach(entry => byRule.set(entry.rule, (byRule.get(entry.rule) || 0) + entry.count));
+
+        const files = new Set(entries.map(entry => entry.path)).size;
+        const rules = [...byRule].map(([rule, count]) => `${rule}: ${count}`).join(', ');
+        log(chalk.gray(`\n🔒 Redacted before use in ${files} file(s): ${rules}`));
+
+        if (!outputDir) return;
+
+        try {
+            await fs.ensureDir(outputDir);
+            const reportPath = path.join(outputDir, 'redactions.json');
+            await fs.writeFile(reportPath, JSON.stringify({ generatedAt: new Date().toISOString(), redactions: entries }, null, 2), 'utf8');
+            log(chalk.gray(`   Full report: ${reportPath}`));
+        } catch (error) {
+            console.warn(chalk.yellow(`Warning: Could not write redaction report: ${error.message}`));
+        }
+    }
+
+    /**
+     * Load the AI response cache and attach it to the AI service
+     * @param {Object} config - Project configuration
+     * @param {Object} options - Command options
+     * @returns {Promise<void>}
+     */
+    async attachAICache(config, options) {
+        if (options.cache === false || !config.general.useCache) {
+            this.aiService.setCache(null);
+            return;
+        }
+
+        const aiCache = new AICacheService(config.project.rootPath, { cacheDir: config.general.cacheDir });
+        this.aiService.setCache(await aiCache.load());
+    }
+
+    /**
+     * Persist the AI response cache, if one is attached, with the usage of the requests sent
+     * @returns {Promise<void>}
+     */
+    async saveAICache() {
+        if (!this.aiService.cache) return;
+
+        Object.entries(this.aiService.takeUsage()).forEach(([model, usage]) => this.aiService.cache.addUsage(model, usage));
+
+        try {
+            await this.aiService.cache.save();
+        } catch (error) {
+            console.warn(chalk.yellow(`Warning: Could not save AI cache: ${error.message}`));
+        }
+    }
+
+    /**
+     * Create the service embedding files and symbols, its requests go through the AI scheduler
+     * @param {Object} config - Project configuration, configureAI() must have been called with it
+     * @returns {EmbeddingService} Embedding service
+     */
+    createEmbeddingService(config) {
+        return new EmbeddingService(createEmbeddingProvider(config), this.aiService.scheduler, config.ai.embeddings);
+    }
+
+    /**
+     * Embed the new and changed files, symbols and folders of the index into the vector store.
+     * Failures only produce a warning, the exports do not depend on the embeddings.
+     * @param {Object} projectIndex - Indexed project data
+     * @param {Object} config - Project configuration
+     * @returns {Promise<void>}
+     */
+    async updateEmbeddings(projectIndex, config) {
+        const spinner = ora('Embedding files, symbols and folders...').start();
+
+        try {
+            const store = await new VectorStoreService(config.project.rootPath, { cacheDir: config.general.cacheDir }).load();
+            const { embedded, reused, removed } = await this.createEmbeddingService(config).updateIndex(projectIndex, store);
+            await store.save();
+
+            spinner.succeed(`Embeddings updated: ${embedded} embedded, ${reused} unchanged, ${removed} removed`);
+        } catch (error) {
+            spinner.warn(`Embedding failed: ${error.message}`);
         }
     }
 
@@ -197,6 +925,15 @@ export class ExportController {
             jsonSpinner.succeed('JSON export generated');
         }
 
+        // Generate SBOM documents if requested
+        if (options.sbom) {
+            const sbomSpinner = ora('Generating SBOM...').start();
+            for (const [format, filename] of Object.entries(SBOM_FORMATS)) {
+                await fs.writeFile(path.join(outputDir, filename), this.sbomService.generateSbom(projectIndex, format), 'utf8');
+            }
+            sbomSpinner.succeed(`SBOM generated (${projectIndex.analysis.dependencies.packages.length} packages)`);
+        }
+
         // Generate PDF if requested
         if (options.pdf) {
             const pdfSpinner = ora('Generating PDF documentation...').start();
@@ -209,7 +946,7 @@ export class ExportController {
             }
         }
 
-        this.displayFullExportSummary(projectIndex, outputDir, markdownFiles.length);
+        this.displayFullExportSummary(projectIndex, outputDir, markdownFiles.length, options);
     }
 
     /**
@@ -221,14 +958,14 @@ export class ExportController {
         console.log(chalk.yellow('\n📋 Full Export Preview (Dry Run)\n'));
 
         console.log(chalk.blue('📊 Project Statistics:'));
-        console.log(`   Total Files: ${chalk.white(projectIndex.totalFiles)}`);
-        console.log(`   Total Folders: ${chalk.white(projectIndex.totalFolders)}`);
-        console.log(`   Total Size: ${chalk.white(this.formatBytes(projectIndex.totalSize))}`);
-        console.log(`   Languages: ${chalk.white(projectIndex.languages.join(', '))}`);
+        console.log(`   Total Files: ${chalk.white(projectIndex.metadata.totalFiles)}`);
+        console.log(`   Total Folders: ${chalk.white(projectIndex.metadata.totalFolders)}`);
+        console.log(`   Total Size: ${chalk.white(this.formatBytes(projectIndex.metadata.totalSize))}`);
+        console.log(`   Languages: ${chalk.white(projectIndex.metadata.languages.join(', '))}`);
 
         console.log(chalk.blue('\n📄 Files to be generated:'));
         const maxSizeBytes = parseInt(options.maxSize) * 1024 * 1024;
-        const estimatedMarkdownSize = projectIndex.totalSize * 2; // Rough estimate
+        const estimatedMarkdownSize = projectIndex.metadata.totalSize * 2; // Rough estimate
         const markdownFiles = Math.ceil(estimatedMarkdownSize / maxSizeBytes);
 
         console.log(`   ${chalk.green('✓')} ${markdownFiles} Markdown file(s) (full_documentation*.md)`);
@@ -238,6 +975,10 @@ export class ExportController {
             console.log(`   ${chalk.green('✓')} JSON Export (project_data.json)`);
         }
 
+        if (options.sbom) {
+            console.log(`   ${chalk.green('✓')} SBOM (${Object.values(SBOM_FORMATS).join(', ')})`);
+        }
+
         if (options.pdf) {
             console.log(`   ${chalk.green('✓')} PDF Documentation (full_documentation.pdf)`);
         }
@@ -249,13 +990,61 @@ export class ExportController {
         });
     }
 
+    /**
+     * Print the AI requests the export would send, with their tokens and duration,
+     * without calling the provider
+     * @param {Object} projectIndex - Indexed project data
+     * @param {Object} config - Project configuration
+     * @param {Object} options - Command options
+     * @param {Object} [planOptions] - Options passed to AIService.planRun()
+     * @returns {Promise<void>}
+     */
+    async displayAIEstimate(projectIndex, config, options, planOptions = {}) {
+        console.log(chalk.blue('\n🤖 AI Pass Estimate:'));
+
+        if (options.ai === false) {
+            console.log(chalk.gray('   AI disabled (--no-ai), descriptions would be built from the code'));
+            return;
+        }
+
+        await this.attachAICache(config, options);
+
+        const spinner = ora('Planning AI requests...').start();
+        const requests = await this.aiService.planRun(projectIndex, config.ollama, planOptions);
+        spinner.stop();
+
+        if (requests.length === 0) {
+            console.log(chalk.gray('   No AI request needed'));
+            return;
+        }
+
+        const cache = this.aiService.cache;
+        const usage = cache ? cache.getUsage(this.aiService.getProvider(config.ollama).getCacheModel()) : null;
+        const { kinds, total, durationMs, savedMs, throughput } = this.estimateService.estimate(requests, config, usage);
+        const number = value => value < 100 ? String(Math.round(value * 10) / 10) : Math.round(value).toLocaleString('en-US');
+
+        console.log(chalk.gray(`   ${'Request'.padEnd(13)}${'Total'.padStart(7)}${'Cached'.padStart(8)}${'Prompt tokens'.padStart(15)}${'Completion tokens'.padStart(19)}`));
+        kinds.forEach(entry => {
+            console.log(`   ${entry.kind.padEnd(13)}${chalk.white(String(entry.requests).padStart(7))}${chalk.white(String(entry.cached).padStart(8))}` +
+                `${chalk.white(`~${number(entry.promptTokens)}`.padStart(15))}${chalk.white(`~${number(entry.completionTokens)}`.padStart(19))}`);
+        });
+
+        console.log(`   Requests: ${chalk.white(total.requests)}, ${chalk.white(total.cached)} answered from the AI cache${cache ? '' : ' (cache disabled)'}`);
+        console.log(`   Tokens to send: ${chalk.white(`~${number(total.promptTokens)}`)} prompt, ${chalk.white(`~${number(total.completionTokens)}`)} completion`);
+        console.log(`   Duration: ${chalk.white(`about ${this.estimateService.formatDuration(durationMs)}`)} at concurrency ${config.ai.scheduler.concurrency}` +
+            (total.cached > 0 ? `, ${this.estimateService.formatDuration(savedMs)} saved by the cache` : ''));
+        console.log(chalk.gray(`   Throughput (${throughput.source}): ${number(throughput.promptTokensPerSecond)} prompt, ` +
+            `${number(throughput.completionTokensPerSecond)} completion tokens/s${throughput.source === 'configured' ? ' (ai.estimate)' : ''}`));
+    }
+
     /**
      * Display full export summary
      * @param {Object} projectIndex - Indexed project data
      * @param {string} outputDir - Output directory
      * @param {number} markdownFileCount - Number of markdown files generated
+     * @param {Object} [options={}] - Command options
      */
-    displayFullExportSummary(projectIndex, outputDir, markdownFileCount) {
+    displayFullExportSummary(projectIndex, outputDir, markdownFileCount, options = {}) {
         console.log(chalk.green.bold('\n✅ Full Export Complete\n'));
 
         console.log(chalk.blue('📊 Export Statistics:'));
@@ -263,12 +1052,17 @@ export class ExportController {
         console.log(`   Folders Processed: ${chalk.white(projectIndex.totalFolders)}`);
         console.log(`   Documentation Files: ${chalk.white(markdownFileCount)}`);
         console.log(`   Total Size: ${chalk.white(this.formatBytes(projectIndex.totalSize))}`);
+        this.displayCacheStats(projectIndex);
+        this.displayCycleWarning(projectIndex);
 
         console.log(chalk.blue('\n📂 Generated Files:'));
         console.log(`   ${chalk.green('📄')} ${markdownFileCount} Markdown documentation file(s)`);
         console.log(`   ${chalk.green('📋')} API specification (YAML)`);
         console.log(`   ${chalk.green('📊')} Project data (JSON)`);
         console.log(`   ${chalk.green('📖')} PDF documentation`);
+        if (options.sbom) {
+            console.log(`   ${chalk.green('📦')} SBOM (CycloneDX JSON, SPDX tag-value)`);
+        }
 
         console.log(chalk.green(`\n💾 All files saved to: ${outputDir}`));
 
@@ -288,6 +1082,71 @@ export class ExportController {
         console.log(`   Folders: ${chalk.white(projectIndex.metadata?.totalFolders || 0)}`);
         console.log(`   Languages: ${chalk.white((projectIndex.metadata?.languages || []).join(', '))}`);
         console.log(`   Total Size: ${chalk.white(this.formatBytes(projectIndex.metadata?.totalSize || 0))}`);
+        this.displayCacheStats(projectIndex);
+    }
+
+    /**
+     * Display persistent index and AI cache statistics
+     * @param {Object} projectIndex - Indexed project data
+     */
+    displayCacheStats(projectIndex) {
+        const incremental = projectIndex.metadata?.incremental;
+        const aiCache = this.aiService.cache;
+        if (!incremental && !aiCache) return;
+
+        console.log(chalk.blue('\n💾 Cache:'));
+
+        if (incremental) {
+            console.log(`   Index: ${chalk.white(incremental.reused)} unchanged, ${chalk.white(incremental.analyzed)} analyzed, ${chalk.white(incremental.removed)} removed`);
+        }
+
+        if (aiCache) {
+            const stats = aiCache.getStats();
+            console.log(`   AI responses: ${chalk.white(stats.hits)} reused, ${chalk.white(stats.writes)} generated (${stats.hitRate}% hit rate, ${stats.entries} cached)`);
+        }
+    }
+
+    /**
+     * Warn about circular dependencies found during analysis
+     * @param {Object} projectIndex - Indexed project data
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.list] - List the cycles, for exports without an Architecture section describing them
+     */
+    displayCycleWarning(projectIndex, options = {}) {
+        const cycles = projectIndex.analysis?.circularDependencies;
+        if (!cycles || (cycles.totalFileCycles === 0 && cycles.totalFolderCycles === 0)) return;
+
+        const counts = `${cycles.totalFileCycles} between files, ${cycles.totalFolderCycles} between folders`;
+
+        if (!options.list) {
+            console.log(chalk.yellow(`\n⚠️  Circular dependencies: ${counts} (see the Architecture section)`));
+            return;
+        }
+
+        console.log(chalk.yellow(`\n⚠️  Circular dependencies: ${counts}`));
+        const listCycles = (label, members) => {
+            if (members.length === 0) return;
+
+            console.log(chalk.yellow(`   ${label}:`));
+            members.slice(0, 10).forEach(cycle => console.log(chalk.gray(`     - ${cycle.join(' ↔ ')}`)));
+            if (members.length > 10) {
+                console.log(chalk.gray(`     ... and ${members.length - 10} more`));
+            }
+        };
+        listCycles('Files', cycles.files.map(cycle => cycle.files));
+        listCycles('Folders', cycles.folders.map(cycle => cycle.folders));
+    }
+
+    /**
+     * Format the reuse counts of an incremental indexing run
+     * @param {Object} projectIndex - Indexed project data
+     * @returns {string} Summary suffix, empty when the persistent index was not used
+     */
+    formatIncrementalSummary(projectIndex) {
+        const incremental = projectIndex.metadata?.incremental;
+        if (!incremental) return '';
+
+        return ` (${incremental.reused} unchanged, ${incremental.analyzed} analyzed, ${incremental.removed} removed)`;
     }
 
     /**
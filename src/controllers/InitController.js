@@ -226,7 +226,12 @@ export class InitController {
                     { name: 'English', value: 'en' },
                     { name: 'French', value: 'fr' },
                     { name: 'Spanish', value: 'es' },
-                    { name: 'German', value: 'de' }
+                    { name: 'German', value: 'de' },
+                    { name: 'Italian', value: 'it' },
+                    { name: 'Portuguese', value: 'pt' },
+                    { name: 'Russian', value: 'ru' },
+                    { name: 'Chinese', value: 'zh' },
+                    { name: 'Japanese', value: 'ja' }
                 ],
                 default: existing.naturalLanguage || 'en'
             },
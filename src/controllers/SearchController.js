@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Semantic search command controller
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import path from 'path';
+import fs from 'fs-extra';
+import { ConfigSchema } from '../config/ConfigSchema.js';
+import { VectorStoreService } from '../services/VectorStoreService.js';
+import { ExportController } from './ExportController.js';
+
+/**
+ * Result kinds accepted by the --kind option
+ */
+const SEARCH_KINDS = ['all', 'file', 'symbol', 'folder'];
+
+/**
+ * Controller answering natural language queries from the embeddings of the project
+ */
+export class SearchController {
+    constructor() {
+        this.exportController = new ExportController();
+        this.indexingService = this.exportController.indexingService;
+    }
+
+    /**
+     * Handle the search command
+     * @param {string} query - Natural language query
+     * @param {Object} options - Command options
+     * @param {string} options.config - Path to config.yml file
+     * @param {string} options.limit - Maximum number of results
+     * @param {string} options.kind - Result kind: all, file, symbol or folder
+     * @param {boolean} [options.cache] - False to ignore the persistent index and re-analyze every file
+     */
+    async handleSearch(query, options) {
+        console.log(chalk.blue.bold('\n🔎 Searching Project\n'));
+
+        if (!SEARCH_KINDS.includes(options.kind)) {
+            throw new Error(`Unsupported result kind: ${options.kind}. Use one of: ${SEARCH_KINDS.join(', ')}`);
+        }
+
+        const limit = parseInt(options.limit);
+        if (!(limit > 0)) {
+            throw new Error('Result limit must be a positive number');
+        }
+
+        const { embeddingService, store } = await this.prepareIndex(options);
+        const results = await embeddingService.search(query, store, {
+            limit,
+            kind: options.kind === 'all' ? null : options.kind
+        });
+
+        this.displayResults(query, results, store);
+    }
+
+    /**
+     * Load the configuration, bring the persistent index up to date and embed its new
+     * and changed entries
+     * @param {Object} options - Command options
+     * @param {string} options.config - Path to config.yml file
+     * @param {boolean} [options.cache] - False to ignore the persistent index and re-analyze every file
+     * @param {Function} [log=console.log] - Prints progress notes
+     * @returns {Promise<{config: Object, projectIndex: Object, embeddingService: Object, store: VectorStoreService}>}
+     *     Configuration, detailed project index, embedding service and updated vector store
+     */
+    async prepareIndex(options, log = console.log) {
+        const config = await ConfigSchema.loadConfig(options.config);
+        await this.exportController.configureAI(config, options.config);
+
+        const rootPath = path.resolve(config.project.rootPath);
+        if (!await fs.pathExists(rootPath)) {
+            throw new Error(`Project path does not exist: ${rootPath}`);
+        }
+
+        // Symbols are only extracted by the detailed analysis
+        const spinner = ora('Indexing project...').start();
+        const projectIndex = await this.indexingService.indexProject(config, {
+            detailed: true,
+            useCache: options.cache !== false && config.general.useCache
+        });
+        spinner.succeed(`Indexed ${projectIndex.metadata.totalFiles} files${this.exportController.formatIncrementalSummary(projectIndex)}`);
+        await this.indexingService.saveIndexCache(projectIndex, { detailed: true });
+
+        if (!projectIndex.files.some(file => file.description)) {
+            log(chalk.yellow('⚠️  No file has an AI description yet, only paths and symbols are searched. Run "svc-indexer export-mindmap" first for better results.'));
+        }
+
+        const embeddingService = this.exportController.createEmbeddingService(config);
+        const store = await new VectorStoreService(rootPath, { cacheDir: config.general.cacheDir }).load();
+
+        const embedSpinner = ora('Updating embeddings...').start();
+        try {
+            const { embedded, reused } = await embeddingService.updateIndex(projectIndex, store);
+            embedSpinner.succeed(`Embeddings up to date (${embedded} embedded, ${reused} unchanged)`);
+        } catch (error) {
+            embedSpinner.fail(`Embedding failed: ${error.message}`);
+            throw error;
+        } finally {
+            await store.save();
+        }
+
+        return { config, projectIndex, embeddingService, store };
+    }
+
+    /**
+     * Print the search results with their score and description.
+     * Symbols without doc comment show the description of their file.
+     * @param {string} query - Natural language query
+     * @param {Object[]} results - Matching entries, best first
+     * @param {VectorStoreService} store - Vector store the results come from
+     */
+    displayResults(query, results, store) {
+        if (results.length === 0) {
+            console.log(chalk.yellow('\nNothing indexed to search.'));
+            return;
+        }
+
+        console.log(chalk.blue(`\nResults for "${query}":\n`));
+
+        results.forEach((result, index) => {
+            const score = chalk.green(result.score.toFixed(3));
+            const location = result.kind === 'symbol'
+                ? `${chalk.white(result.name)} ${chalk.gray(`(${result.symbolKind})`)} ${chalk.cyan(`${result.path}:${result.line}`)}`
+                : chalk.white(result.kind === 'folder' ? `${result.path}/` : result.path);
+
+            console.log(`${chalk.gray(`${String(index + 1).padStart(2)}.`)} ${score}  ${location}`);
+            const description = result.description || (store.get(result.path) || {}).description;
+            if (description) {
+                console.log(chalk.gray(`       ${this.truncate(description, 160)}`));
+            }
+        });
+    }
+
+    /**
+     * Shorten a description to one line, without the tags of doc comments
+     * @param {string} text - Description or doc comment
+     * @param {number} maxLength - Maximum number of characters
+     * @returns {string} Text joined on one line, cut with an ellipsis when too long
+     */
+    truncate(text, maxLength) {
+        const line = text.split(/\n\s*@/)[0].split('\n').map(part => part.trim()).filter(Boolean).join(' ');
+        return line.length > maxLength ? `${line.substring(0, maxLength - 1)}…` : line;
+    }
+}
@@ -0,0 +1,290 @@
+/**
+ * @fileoverview Watch command controller
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import path from 'path';
+import fs from 'fs-extra';
+import { ConfigSchema } from '../config/ConfigSchema.js';
+import { ExportController } from './ExportController.js';
+
+/**
+ * Controller keeping the index and exports in sync with the working tree
+ */
+export class WatchController {
+    constructor() {
+        this.exportController = new ExportController();
+        this.indexingService = this.exportController.indexingService;
+        this.exportService = this.exportController.exportService;
+        this.aiService = this.exportController.aiService;
+        this.watchers = new Map();
+        this.pendingChanges = new Set();
+        this.debounceTimer = null;
+        this.running = false;
+        this.rerunRequested = false;
+    }
+
+    /**
+     * Handle the watch command
+     * @param {Object} options - Command options
+     * @param {string} options.config - Path to config.yml file
+     * @param {string} options.output - Output folder for exports
+     * @param {string} options.format - Mind map format
+     * @param {string} options.debounce - Quiet period in milliseconds before rebuilding
+     * @param {boolean} [options.full] - Also regenerate the full markdown documentation
+     * @param {boolean} [options.ai] - Generate AI descriptions for changed files, false to describe them from their code
+     * @param {boolean} [options.cache] - Use the persistent index, false to re-analyze every file on each rebuild
+     */
+    async handleWatch(options) {
+        console.log(chalk.blue.bold('\n👀 Watching Project\n'));
+
+        this.options = options;
+        this.config = await ConfigSchema.loadConfig(options.config);
+        await this.exportController.configureAI(this.config, options.config);
+        this.rootPath = path.resolve(this.config.project.rootPath);
+        this.outputDir = path.resolve(options.output);
+        this.cacheDir = path.resolve(this.rootPath, this.config.general.cacheDir || '.svc-indexer');
+        this.debounceMs = parseInt(options.debounce);
+
+        if (!await fs.pathExists(this.rootPath)) {
+            throw new Error(`Project path does not exist: ${this.rootPath}`);
+        }
+
+        this.ignoreFilter = await this.indexingService.buildIgnoreFilter(this.config);
+        this.useCache = options.cache !== false && this.config.general.useCache;
+
+        // Other listeners are set aside while watching: the temporary file cleanup of
+        // markdown-pdf exits on the first SIGINT, before the watchers are closed
+        const otherListeners = process.listeners('SIGINT');
+        process.removeAllListeners('SIGINT');
+        process.on('SIGINT', () => this.stop(otherListeners));
+
+        // Checked once, rebuilds describe changed files from their code when the provider is unreachable
+        this.useAI = await this.exportController.shouldUseAI(this.config, options);
+
+        // Initial build brings the outputs up to date with the working tree
+        await this.rebuild([]);
+        await this.syncWatchers();
+
+        console.log(chalk.cyan(`\nWatching ${this.rootPath} (${this.watchers.size} folders). Press Ctrl+C to stop.`));
+
+        // Watching only ends when stop() exits the process
+        await new Promise(() => {});
+    }
+
+    /**
+     * Stop watching on Ctrl-C and exit, without waiting for a rebuild in progress
+     * @param {Function[]} otherListeners - SIGINT listeners set aside while watching
+     */
+    stop(otherListeners) {
+        this.close();
+        console.log(chalk.yellow('\n🛑 Watch stopped'));
+
+        process.removeAllListeners('SIGINT');
+        otherListeners.forEach(listener => process.on('SIGINT', listener));
+        process.exit(0);
+    }
+
+    /**
+     * Start watchers for new folders and stop those for deleted ones
+     * @returns {Promise<void>}
+     */
+    async syncWatchers() {
+        const scanResult = await this.indexingService.fileSystemService.scanDirectory(this.rootPath, {
+            maxDepth: 15,
+            includeFiles: false,
+            includeHidden: !this.config.general.ignoreHidden,
+            excludePatterns: this.config.exclude
+        });
+
+        const folderPaths = new Set(
+            scanResult.folders
+                .map(folder => folder.path)
+                .filter(folderPath => !this.isIgnored(folderPath))
+        );
+
+        for (const [folderPath, watcher] of this.watchers) {
+            if (!folderPaths.has(folderPath)) {
+                watcher.close();
+                this.watchers.delete(folderPath);
+            }
+        }
+
+        for (const folderPath of folderPaths) {
+            if (this.watchers.has(folderPath)) continue;
+
+            try {
+                const watcher = fs.watch(folderPath, (eventType, fileName) => {
+                    if (fileName) this.handleChange(path.join(folderPath, fileName.toString()));
+                });
+                watcher.on('error', () => {
+                    watcher.close();
+                    this.watchers.delete(folderPath);
+                });
+                this.watchers.set(folderPath, watcher);
+            } catch (error) {
+                console.warn(chalk.yellow(`Warning: Cannot watch ${folderPath}: ${error.message}`));
+            }
+        }
+    }
+
+    /**
+     * Check whether a changed path should be ignored
+     * @param {string} changedPath - Absolute path
+     * @returns {boolean} True if ignored
+     */
+    isIgnored(changedPath) {
+        // Our own outputs must never trigger a rebuild
+        if (changedPath === this.outputDir || changedPath.startsWith(this.outputDir + path.sep)) return true;
+        if (changedPath === this.cacheDir || changedPath.startsWith(this.cacheDir + path.sep)) return true;
+
+        const relativePath = path.relative(this.rootPath, changedPath);
+        if (!relativePath) return false;
+        if (relativePath.startsWith('..')) return true;
+
+        if (this.config.general.ignoreHidden && relativePath.split(path.sep).some(part => part.startsWith('.'))) {
+            return true;
+        }
+
+        return this.ignoreFilter.ignores(relativePath);
+    }
+
+    /**
+     * Record a change and schedule a debounced rebuild
+     * @param {string} changedPath - Absolute path of the changed entry
+     */
+    handleChange(changedPath) {
+        if (this.isIgnored(changedPath)) return;
+
+        this.pendingChanges.add(changedPath);
+
+        // Restart the quiet period so bursts (e.g. branch switches) trigger a single rebuild
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => this.flushChanges(), this.debounceMs);
+    }
+
+    /**
+     * Rebuild for all pending changes, queuing another pass if a rebuild is already running
+     * @returns {Promise<void>}
+     */
+    async flushChanges() {
+        if (this.running) {
+            this.rerunRequested = true;
+            return;
+        }
+
+        const changes = [...this.pendingChanges];
+        this.pendingChanges.clear();
+        if (changes.length === 0) return;
+
+        this.running = true;
+        try {
+            console.log(chalk.gray(`\n${new Date().toLocaleTimeString()} — ${changes.length} change(s) detected`));
+            await this.rebuild(changes);
+            await this.syncWatchers();
+        } catch (error) {
+            console.error(chalk.red(`✖ Rebuild failed: ${error.message}`));
+        } finally {
+            this.running = false;
+        }
+
+        if (this.rerunRequested) {
+            this.rerunRequested = false;
+            await this.flushChanges();
+        }
+    }
+
+    /**
+     * Incrementally re-index the project and regenerate the outputs
+     * @param {string[]} changes - Changed paths reported by the watchers
+     * @returns {Promise<void>}
+     */
+    async rebuild(changes) {
+        const spinner = ora('Updating index...').start();
+        const projectIndex = await this.indexingService.indexProject(this.config, {
+            detailed: Boolean(this.options.full),
+            useCache: this.useCache
+        });
+
+        const incremental = projectIndex.metadata.incremental;
+        spinner.succeed(`Indexed ${projectIndex.metadata.totalFiles} files${this.exportController.formatIncrementalSummary(projectIndex)}`);
+
+        if (incremental && changes.length > 0 && incremental.analyzed === 0 && incremental.removed === 0) {
+            console.log(chalk.gray('   No content changes, outputs are up to date'));
+            return;
+        }
+
+        // Without the persistent index every file was analyzed again
+        const changedFiles = incremental ? incremental.changedFiles : projectIndex.files.map(file => file.path);
+
+        if (this.useAI && changedFiles.length > 0) {
+            await this.exportController.attachAICache(this.config, this.options);
+
+            const aiSpinner = ora(`Describing ${changedFiles.length} changed file(s)...`).start();
+            try {
+                await this.aiService.enhanceProjectIndex(projectIndex, this.config.ollama, {
+                    onlyPaths: changedFiles
+                });
+                this.exportController.finishAISpinner(aiSpinner, 'AI descriptions updated');
+            } catch (error) {
+                aiSpinner.warn(`AI enhancement failed: ${error.message}`);
+                await this.exportController.describeWithoutAI(projectIndex, { onlyPaths: changedFiles });
+            }
+
+            await this.exportController.saveAICache();
+            await this.exportController.reportAIFailures(this.config, null);
+            await this.exportController.reportRedactions(this.config, null);
+        } else if (changedFiles.length > 0) {
+            await this.exportController.describeWithoutAI(projectIndex, { onlyPaths: changedFiles });
+        }
+
+        await this.indexingService.saveIndexCache(projectIndex, { detailed: Boolean(this.options.full) });
+
+        if (this.useAI && this.config.ai.embeddings.enabled) {
+            await this.exportController.updateEmbeddings(projectIndex, this.config);
+        }
+
+        await this.writeOutputs(projectIndex);
+    }
+
+    /**
+     * Write the mind map and, if requested, the full markdown documentation
+     * @param {Object} projectIndex - Indexed project data
+     * @returns {Promise<void>}
+     */
+    async writeOutputs(projectIndex) {
+        await fs.ensureDir(this.outputDir);
+
+        const mindmapContent = await this.exportService.generateMindmap(projectIndex, {
+            format: this.options.format,
+            maxDepth: 10
+        });
+        await fs.writeFile(path.join(this.outputDir, `mindmap.${this.options.format}`), mindmapContent, 'utf8');
+
+        if (this.options.full) {
+            const markdownFiles = await this.exportService.generateFullDocumentation(projectIndex, {
+                format: 'markdown',
+                splitFiles: true
+            });
+
+            for (let i = 0; i < markdownFiles.length; i++) {
+                const filename = markdownFiles.length > 1
+                    ? `full_documentation-${i + 1}.md`
+                    : 'full_documentation.md';
+                await fs.writeFile(path.join(this.outputDir, filename), markdownFiles[i], 'utf8');
+            }
+        }
+
+        console.log(chalk.green(`   ✅ Outputs updated in ${this.outputDir}`));
+    }
+
+    /**
+     * Stop all watchers and pending timers
+     */
+    close() {
+        clearTimeout(this.debounceTimer);
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers.clear();
+    }
+}
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Message catalogs for the languages of generated documents
+ */
+
+import en from './messages/en.js';
+import fr from './messages/fr.js';
+import es from './messages/es.js';
+import de from './messages/de.js';
+import it from './messages/it.js';
+import pt from './messages/pt.js';
+import ru from './messages/ru.js';
+import zh from './messages/zh.js';
+import ja from './messages/ja.js';
+
+/**
+ * Message catalogs by `project.naturalLanguage` code
+ */
+export const CATALOGS = { en, fr, es, de, it, pt, ru, zh, ja };
+
+/**
+ * English names of the supported languages, used to instruct the model
+ */
+export const LANGUAGE_NAMES = {
+    en: 'English',
+    fr: 'French',
+    es: 'Spanish',
+    de: 'German',
+    it: 'Italian',
+    pt: 'Portuguese',
+    ru: 'Russian',
+    zh: 'Chinese',
+    ja: 'Japanese'
+};
+
+/**
+ * Translator for one language. Messages missing from its catalog fall back to
+ * English; `{{name}}` placeholders are replaced by the given parameters.
+ */
+export class Translator {
+    /**
+     * Create a translator
+     * @param {string} [language='en'] - Language code, unsupported codes use English
+     */
+    constructor(language = 'en') {
+        this.language = CATALOGS[language] ? language : 'en';
+        this.messages = CATALOGS[this.language];
+    }
+
+    /**
+     * Translate a message
+     * @param {string} key - Message key
+     * @param {Object} [params] - Placeholder values
+     * @returns {string} Translated message, the key itself when no catalog has it
+     */
+    t(key, params = {}) {
+        const message = this.messages[key] ?? en[key] ?? key;
+        return message.replace(/\{\{(\w+)\}\}/g, (match, name) => params[name] !== undefined ? String(params[name]) : match);
+    }
+
+    /**
+     * Get the English name of the language, for prompts
+     * @returns {string} Language name
+     */
+    getLanguageName() {
+        return LANGUAGE_NAMES[this.language];
+    }
+
+    /**
+     * Format a date for the language
+     * @param {Date} date - Date to format
+     * @returns {string} Localized date
+     */
+    formatDate(date) {
+        return date.toLocaleDateString(this.language);
+    }
+}
@@ -0,0 +1,192 @@
+/**
+ * @fileoverview German messages
+ */
+
+export default {
+    // Titles
+    'title.projectDocumentation': 'Projektdokumentation',
+    'title.project': 'Projekt',
+    'title.mindmap': 'Mindmap: {{title}}',
+    'title.generatedBy': 'Erstellt mit SVC Indexer',
+    'title.date': 'Datum: {{date}}',
+    'footer.generated': 'Erstellt mit SVC Indexer am {{date}}',
+
+    // Sections
+    'section.tableOfContents': 'Inhaltsverzeichnis',
+    'section.projectInformation': 'Projektinformationen',
+    'section.projectOverview': 'Projektübersicht',
+    'section.aiOverview': 'KI-generierte Übersicht',
+    'section.projectStructure': 'Projektstruktur',
+    'section.fileTypeDistribution': 'Verteilung nach Dateityp',
+    'section.complexityOverview': 'Komplexitätsübersicht',
+    'section.technologiesUsed': 'Eingesetzte Technologien',
+    'section.architecturePatterns': 'Architekturmuster',
+    'section.designPatterns': 'Entwurfsmuster',
+    'section.testCoverage': 'Testabdeckung',
+    'section.documentationQuality': 'Dokumentationsqualität',
+    'section.architectureAnalysis': 'Architekturanalyse',
+    'section.aiArchitectureAnalysis': 'KI-Architekturanalyse',
+    'section.dependencies': 'Abhängigkeiten',
+    'section.circularDependencies': 'Zirkuläre Abhängigkeiten',
+    'section.fileDocumentation': 'Dateidokumentation',
+    'section.externalDependencies': 'Externe Abhängigkeiten',
+    'section.internalModules': 'Interne Module',
+    'section.packageInventory': 'Paketinventar',
+    'section.complexityAnalysis': 'Komplexitätsanalyse',
+    'section.complexityDistribution': 'Verteilung nach Komplexitätsstufe',
+    'section.recommendations': 'Empfehlungen',
+    'section.chunkedSummaries': 'KI-Zusammenfassungen in Abschnitten',
+
+    // Field labels
+    'label.path': 'Pfad',
+    'label.type': 'Typ',
+    'label.language': 'Sprache',
+    'label.languages': 'Sprachen',
+    'label.programmingLanguages': 'Programmiersprachen',
+    'label.framework': 'Framework',
+    'label.frameworks': 'Frameworks',
+    'label.architecture': 'Architektur',
+    'label.totalFiles': 'Dateien gesamt',
+    'label.totalSize': 'Gesamtgröße',
+    'label.lines': 'Zeilen',
+    'label.size': 'Größe',
+    'label.complexity': 'Komplexität',
+    'label.averageComplexity': 'Durchschnittliche Komplexität',
+    'label.mostComplex': 'Höchste Komplexität',
+    'label.leastComplex': 'Niedrigste Komplexität',
+    'label.description': 'Beschreibung',
+    'label.aiAnalysis': 'KI-Analyse',
+    'label.classes': 'Klassen',
+    'label.functions': 'Funktionen',
+    'label.dependencies': 'Abhängigkeiten',
+    'label.exports': 'Exporte',
+    'label.documentation': 'Dokumentation',
+    'label.testFiles': 'Testdateien',
+    'label.sourceFiles': 'Quelldateien',
+    'label.estimatedCoverage': 'Geschätzte Abdeckung',
+    'label.hasTests': 'Tests vorhanden',
+    'label.documentationFiles': 'Dokumentationsdateien',
+    'label.filesWithDocs': 'Dokumentierte Dateien',
+    'label.documentationRatio': 'Dokumentationsanteil',
+    'label.hasReadme': 'README vorhanden',
+    'label.externalDependencies': 'Externe Abhängigkeiten',
+    'label.internalModules': 'Interne Module',
+    'label.dependencyGraph': 'Abhängigkeitsgraph',
+    'label.mostInternalImports': 'Dateien mit den meisten internen Importen',
+    'label.unresolvedImports': 'Nicht aufgelöste Importe',
+    'label.fileCycles': 'Zyklen zwischen Dateien ({{count}})',
+    'label.folderCycles': 'Zyklen zwischen Ordnern ({{count}})',
+    'label.unusedPackages': 'Deklarierte, aber ungenutzte Pakete ({{count}})',
+    'label.undeclaredPackages': 'Genutzte, aber nicht deklarierte Pakete ({{count}})',
+    'label.manifests': 'Manifeste',
+    'label.transitivePackages': 'Gesperrte transitive Pakete',
+    'label.responsibilities': 'Aufgaben',
+    'label.keySymbols': 'Wichtige Symbole',
+    'label.sideEffects': 'Seiteneffekte',
+    'label.tags': 'Schlagwörter',
+
+    // Values
+    'value.yes': 'Ja',
+    'value.no': 'Nein',
+    'value.none': 'Keine',
+    'value.noneDetected': 'Keine gefunden',
+    'value.noneSpecified': 'Nicht angegeben',
+    'value.noPatterns': 'Keine bestimmten Muster erkannt',
+    'value.files': '{{count}} Dateien',
+    'value.folder': 'Ordner',
+    'value.file': 'Datei',
+    'value.unused': 'ungenutzt',
+
+    // Table headers
+    'table.symbol': 'Symbol',
+    'table.kind': 'Art',
+    'table.lines': 'Zeilen',
+    'table.parameters': 'Parameter',
+    'table.package': 'Paket',
+    'table.ecosystem': 'Ökosystem',
+    'table.declared': 'Deklariert',
+    'table.resolved': 'Aufgelöst',
+    'table.scope': 'Geltungsbereich',
+    'table.usedBy': 'Genutzt von',
+    'table.flags': 'Hinweise',
+
+    // Mind map categories
+    'category.source': 'Quellcode',
+    'category.tests': 'Tests',
+    'category.configuration': 'Konfiguration',
+    'category.documentation': 'Dokumentation',
+    'category.assets': 'Ressourcen',
+
+    // File type groups
+    'fileType.class': 'Klassen',
+    'fileType.module': 'Module',
+    'fileType.component': 'Komponenten',
+    'fileType.service': 'Services',
+    'fileType.controller': 'Controller',
+    'fileType.model': 'Modelle',
+    'fileType.utility': 'Hilfsfunktionen',
+    'fileType.test': 'Tests',
+    'fileType.config': 'Konfiguration',
+    'fileType.readme': 'READMEs',
+    'fileType.documentation': 'Dokumentation',
+    'fileType.script': 'Skripte',
+    'fileType.style': 'Stile',
+    'fileType.template': 'Vorlagen',
+    'fileType.data': 'Daten',
+    'fileType.other': 'Sonstige Dateien',
+
+    // Sentences
+    'graph.summary': '{{nodes}} Dateien, {{edges}} interne Importe, {{unresolved}} nicht aufgelöst',
+    'graph.node': '{{path}} ({{imports}} Importe, importiert von {{importedBy}})',
+    'graph.unresolved': '`{{source}}` in {{location}}',
+    'cycle.import': '{{from}}:{{line}} importiert `{{source}}` ({{to}})',
+    'package.usedBy': '{{name}} ({{ecosystem}}), genutzt von {{files}}',
+    'file.chunked': 'KI-Ausgabe aus {{count}} Abschnitten zusammengefasst, die Datei überschreitet das Kontextfenster des Modells.',
+    'chunked.intro': 'Diese Dateien überschreiten das Kontextfenster des Modells. Ihre KI-Beschreibungen fassen Abschnitte zusammen, die an Klassen- und Funktionsgrenzen geteilt wurden:',
+    'chunked.file': '{{count}} Abschnitte',
+    'complexity.level': 'Stufe {{level}}: {{count}} Dateien',
+
+    // Recommendations
+    'recommendation.intro': 'Auf Grundlage der Analyse einige Empfehlungen:',
+    'recommendation.highComplexity': 'Dateien mit hoher Komplexität',
+    'recommendation.reviewComplexity': 'Dateien mit Komplexität > 7 auf mögliches Refactoring prüfen',
+    'recommendation.addTests': 'Weitere Tests in Betracht ziehen',
+    'recommendation.goodTests': 'Gute Testabdeckung',
+    'recommendation.addDocs': 'Mehr Dokumentation im Code ergänzen',
+    'recommendation.goodDocs': 'Gute Dokumentationsabdeckung',
+    'recommendation.adoptPattern': 'Ein klares Architekturmuster in Betracht ziehen',
+    'recommendation.goodArchitecture': 'Die Architekturmuster sind klar definiert',
+
+    // AI fallbacks
+    'ai.fileUnavailable': 'Dateibeschreibung nicht verfügbar',
+    'ai.folderUnavailable': 'Ordnerbeschreibung nicht verfügbar',
+    'ai.overviewFailed': 'Projektübersicht konnte nicht erstellt werden',
+    'ai.architectureFailed': 'Architekturanalyse konnte nicht erstellt werden',
+    'ai.detailedFailed': 'Detaillierte Dokumentation konnte nicht erstellt werden',
+    'ai.noAnswer': 'Das indexierte Projekt enthält nicht genügend Informationen, um diese Frage zu beantworten.',
+
+    // Descriptions built without AI
+    'summary.role.class': 'Klassenmodul',
+    'summary.role.module': 'Modul',
+    'summary.role.component': 'Komponente',
+    'summary.role.service': 'Service',
+    'summary.role.controller': 'Controller',
+    'summary.role.model': 'Modell',
+    'summary.role.utility': 'Hilfsmodul',
+    'summary.role.test': 'Testsuite',
+    'summary.role.config': 'Konfigurationsdatei',
+    'summary.role.readme': 'README',
+    'summary.role.documentation': 'Dokumentation',
+    'summary.role.script': 'Skript',
+    'summary.role.style': 'Stylesheet',
+    'summary.role.template': 'Vorlage',
+    'summary.role.data': 'Datendatei',
+    'summary.role.other': 'Quelldatei',
+    'summary.exposing': '{{role}} mit {{names}}',
+    'summary.inLanguage': '{{role}} in {{language}}',
+    'summary.dependsOn': 'abhängig von {{names}}',
+    'summary.more': '{{count}} weitere',
+    'summary.folderFiles': '{{count}} Dateien: {{groups}}',
+    'summary.folderSubfolders': 'Unterordner {{names}}',
+    'summary.emptyFolder': 'Leerer Ordner'
+};
@@ -0,0 +1,192 @@
+/**
+ * @fileoverview English messages, the reference catalog every other language falls back to
+ */
+
+export default {
+    // Titles
+    'title.projectDocumentation': 'Project Documentation',
+    'title.project': 'Project',
+    'title.mindmap': 'Mind Map: {{title}}',
+    'title.generatedBy': 'Generated by SVC Indexer',
+    'title.date': 'Date: {{date}}',
+    'footer.generated': 'Generated by SVC Indexer on {{date}}',
+
+    // Sections
+    'section.tableOfContents': 'Table of Contents',
+    'section.projectInformation': 'Project Information',
+    'section.projectOverview': 'Project Overview',
+    'section.aiOverview': 'AI-Generated Overview',
+    'section.projectStructure': 'Project Structure',
+    'section.fileTypeDistribution': 'File Type Distribution',
+    'section.complexityOverview': 'Complexity Overview',
+    'section.technologiesUsed': 'Technologies Used',
+    'section.architecturePatterns': 'Architecture Patterns',
+    'section.designPatterns': 'Design Patterns',
+    'section.testCoverage': 'Test Coverage',
+    'section.documentationQuality': 'Documentation Quality',
+    'section.architectureAnalysis': 'Architecture Analysis',
+    'section.aiArchitectureAnalysis': 'AI Architecture Analysis',
+    'section.dependencies': 'Dependencies',
+    'section.circularDependencies': 'Circular Dependencies',
+    'section.fileDocumentation': 'File Documentation',
+    'section.externalDependencies': 'External Dependencies',
+    'section.internalModules': 'Internal Modules',
+    'section.packageInventory': 'Package Inventory',
+    'section.complexityAnalysis': 'Complexity Analysis',
+    'section.complexityDistribution': 'Distribution by Complexity Level',
+    'section.recommendations': 'Recommendations',
+    'section.chunkedSummaries': 'Chunked AI Summaries',
+
+    // Field labels
+    'label.path': 'Path',
+    'label.type': 'Type',
+    'label.language': 'Language',
+    'label.languages': 'Languages',
+    'label.programmingLanguages': 'Programming Languages',
+    'label.framework': 'Framework',
+    'label.frameworks': 'Frameworks',
+    'label.architecture': 'Architecture',
+    'label.totalFiles': 'Total Files',
+    'label.totalSize': 'Total Size',
+    'label.lines': 'Lines',
+    'label.size': 'Size',
+    'label.complexity': 'Complexity',
+    'label.averageComplexity': 'Average Complexity',
+    'label.mostComplex': 'Most Complex',
+    'label.leastComplex': 'Least Complex',
+    'label.description': 'Description',
+    'label.aiAnalysis': 'AI Analysis',
+    'label.classes': 'Classes',
+    'label.functions': 'Functions',
+    'label.dependencies': 'Dependencies',
+    'label.exports': 'Exports',
+    'label.documentation': 'Documentation',
+    'label.testFiles': 'Test Files',
+    'label.sourceFiles': 'Source Files',
+    'label.estimatedCoverage': 'Estimated Coverage',
+    'label.hasTests': 'Has Tests',
+    'label.documentationFiles': 'Documentation Files',
+    'label.filesWithDocs': 'Files with Docs',
+    'label.documentationRatio': 'Documentation Ratio',
+    'label.hasReadme': 'Has README',
+    'label.externalDependencies': 'External Dependencies',
+    'label.internalModules': 'Internal Modules',
+    'label.dependencyGraph': 'Dependency Graph',
+    'label.mostInternalImports': 'Files With Most Internal Imports',
+    'label.unresolvedImports': 'Unresolved Imports',
+    'label.fileCycles': 'File Cycles ({{count}})',
+    'label.folderCycles': 'Folder Cycles ({{count}})',
+    'label.unusedPackages': 'Declared but Unused Packages ({{count}})',
+    'label.undeclaredPackages': 'Used but Undeclared Packages ({{count}})',
+    'label.manifests': 'Manifests',
+    'label.transitivePackages': 'Transitive Packages Locked',
+    'label.responsibilities': 'Responsibilities',
+    'label.keySymbols': 'Key Symbols',
+    'label.sideEffects': 'Side Effects',
+    'label.tags': 'Tags',
+
+    // Values
+    'value.yes': 'Yes',
+    'value.no': 'No',
+    'value.none': 'None',
+    'value.noneDetected': 'None detected',
+    'value.noneSpecified': 'None specified',
+    'value.noPatterns': 'No specific patterns detected',
+    'value.files': '{{count}} files',
+    'value.folder': 'Folder',
+    'value.file': 'File',
+    'value.unused': 'unused',
+
+    // Table headers
+    'table.symbol': 'Symbol',
+    'table.kind': 'Kind',
+    'table.lines': 'Lines',
+    'table.parameters': 'Parameters',
+    'table.package': 'Package',
+    'table.ecosystem': 'Ecosystem',
+    'table.declared': 'Declared',
+    'table.resolved': 'Resolved',
+    'table.scope': 'Scope',
+    'table.usedBy': 'Used By',
+    'table.flags': 'Flags',
+
+    // Mind map categories
+    'category.source': 'Source Code',
+    'category.tests': 'Tests',
+    'category.configuration': 'Configuration',
+    'category.documentation': 'Documentation',
+    'category.assets': 'Assets',
+
+    // File type groups
+    'fileType.class': 'Classes',
+    'fileType.module': 'Modules',
+    'fileType.component': 'Components',
+    'fileType.service': 'Services',
+    'fileType.controller': 'Controllers',
+    'fileType.model': 'Models',
+    'fileType.utility': 'Utilities',
+    'fileType.test': 'Tests',
+    'fileType.config': 'Configuration',
+    'fileType.readme': 'READMEs',
+    'fileType.documentation': 'Documentation',
+    'fileType.script': 'Scripts',
+    'fileType.style': 'Styles',
+    'fileType.template': 'Templates',
+    'fileType.data': 'Data',
+    'fileType.other': 'Other Files',
+
+    // Sentences
+    'graph.summary': '{{nodes}} files, {{edges}} internal imports, {{unresolved}} unresolved',
+    'graph.node': '{{path}} ({{imports}} imports, imported by {{importedBy}})',
+    'graph.unresolved': '`{{source}}` in {{location}}',
+    'cycle.import': '{{from}}:{{line}} imports `{{source}}` ({{to}})',
+    'package.usedBy': '{{name}} ({{ecosystem}}), used by {{files}}',
+    'file.chunked': 'AI output summarized from {{count}} chunks, the file exceeds the model context window.',
+    'chunked.intro': 'These files exceed the model context window. Their AI descriptions combine summaries of chunks split on class and function boundaries:',
+    'chunked.file': '{{count}} chunks',
+    'complexity.level': 'Level {{level}}: {{count}} files',
+
+    // Recommendations
+    'recommendation.intro': 'Based on the analysis, here are some recommendations:',
+    'recommendation.highComplexity': 'High Complexity Files',
+    'recommendation.reviewComplexity': 'Review files with complexity > 7 for potential refactoring',
+    'recommendation.addTests': 'Consider adding more tests',
+    'recommendation.goodTests': 'Good test coverage',
+    'recommendation.addDocs': 'Add more inline documentation',
+    'recommendation.goodDocs': 'Good documentation coverage',
+    'recommendation.adoptPattern': 'Consider adopting a clear architectural pattern',
+    'recommendation.goodArchitecture': 'Architecture patterns are well defined',
+
+    // AI fallbacks
+    'ai.fileUnavailable': 'File description unavailable',
+    'ai.folderUnavailable': 'Folder description unavailable',
+    'ai.overviewFailed': 'Project overview generation failed',
+    'ai.architectureFailed': 'Architecture analysis generation failed',
+    'ai.detailedFailed': 'Detailed documentation generation failed',
+    'ai.noAnswer': 'The indexed project does not contain enough information to answer this question.',
+
+    // Descriptions built without AI
+    'summary.role.class': 'Class module',
+    'summary.role.module': 'Module',
+    'summary.role.component': 'Component',
+    'summary.role.service': 'Service',
+    'summary.role.controller': 'Controller',
+    'summary.role.model': 'Model',
+    'summary.role.utility': 'Utility module',
+    'summary.role.test': 'Test suite',
+    'summary.role.config': 'Configuration file',
+    'summary.role.readme': 'README',
+    'summary.role.documentation': 'Documentation',
+    'summary.role.script': 'Script',
+    'summary.role.style': 'Stylesheet',
+    'summary.role.template': 'Template',
+    'summary.role.data': 'Data file',
+    'summary.role.other': 'Source file',
+    'summary.exposing': '{{role}} exposing {{names}}',
+    'summary.inLanguage': '{{role}} in {{language}}',
+    'summary.dependsOn': 'depends on {{names}}',
+    'summary.more': '{{count}} more',
+    'summary.folderFiles': '{{count}} files: {{groups}}',
+    'summary.folderSubfolders': 'subfolders {{names}}',
+    'summary.emptyFolder': 'Empty folder'
+};
@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Spanish messages
+ */
+
+export default {
+    // Titles
+    'title.projectDocumentation': 'Documentación del proyecto',
+    'title.project': 'Proyecto',
+    'title.mindmap': 'Mapa mental: {{title}}',
+    'title.generatedBy': 'Generado por SVC Indexer',
+    'title.date': 'Fecha: {{date}}',
+    'footer.generated': 'Generado por SVC Indexer el {{date}}',
+
+    // Sections
+    'section.tableOfContents': 'Índice',
+    'section.projectInformation': 'Información del proyecto',
+    'section.projectOverview': 'Visión general del proyecto',
+    'section.aiOverview': 'Visión general generada por IA',
+    'section.projectStructure': 'Estructura del proyecto',
+    'section.fileTypeDistribution': 'Distribución por tipo de archivo',
+    'section.complexityOverview': 'Resumen de complejidad',
+    'section.technologiesUsed': 'Tecnologías utilizadas',
+    'section.architecturePatterns': 'Patrones de arquitectura',
+    'section.designPatterns': 'Patrones de diseño',
+    'section.testCoverage': 'Cobertura de pruebas',
+    'section.documentationQuality': 'Calidad de la documentación',
+    'section.architectureAnalysis': 'Análisis de la arquitectura',
+    'section.aiArchitectureAnalysis': 'Análisis de la arquitectura por IA',
+    'section.dependencies': 'Dependencias',
+    'section.circularDependencies': 'Dependencias circulares',
+    'section.fileDocumentation': 'Documentación de archivos',
+    'section.externalDependencies': 'Dependencias externas',
+    'section.internalModules': 'Módulos internos',
+    'section.packageInventory': 'Inventario de paquetes',
+    'section.complexityAnalysis': 'Análisis de complejidad',
+    'section.complexityDistribution': 'Distribución por nivel de complejidad',
+    'section.recommendations': 'Recomendaciones',
+    'section.chunkedSummaries': 'Resúmenes de IA por fragmentos',
+
+    // Field labels
+    'label.path': 'Ruta',
+    'label.type': 'Tipo',
+    'label.language': 'Lenguaje',
+    'label.languages': 'Lenguajes',
+    'label.programmingLanguages': 'Lenguajes de programación',
+    'label.framework': 'Framework',
+    'label.frameworks': 'Frameworks',
+    'label.architecture': 'Arquitectura',
+    'label.totalFiles': 'Total de archivos',
+    'label.totalSize': 'Tamaño total',
+    'label.lines': 'Líneas',
+    'label.size': 'Tamaño',
+    'label.complexity': 'Complejidad',
+    'label.averageComplexity': 'Complejidad media',
+    'label.mostComplex': 'Más complejo',
+    'label.leastComplex': 'Menos complejo',
+    'label.description': 'Descripción',
+    'label.aiAnalysis': 'Análisis de IA',
+    'label.classes': 'Clases',
+    'label.functions': 'Funciones',
+    'label.dependencies': 'Dependencias',
+    'label.exports': 'Exportaciones',
+    'label.documentation': 'Documentación',
+    'label.testFiles': 'Archivos de prueba',
+    'label.sourceFiles': 'Archivos fuente',
+    'label.estimatedCoverage': 'Cobertura estimada',
+    'label.hasTests': 'Tiene pruebas',
+    'label.documentationFiles': 'Archivos de documentación',
+    'label.filesWithDocs': 'Archivos documentados',
+    'label.documentationRatio': 'Proporción de documentación',
+    'label.hasReadme': 'Tiene README',
+    'label.externalDependencies': 'Dependencias externas',
+    'label.internalModules': 'Módulos internos',
+    'label.dependencyGraph': 'Grafo de dependencias',
+    'label.mostInternalImports': 'Archivos con más importaciones internas',
+    'label.unresolvedImports': 'Importaciones sin resolver',
+    'label.fileCycles': 'Ciclos entre archivos ({{count}})',
+    'label.folderCycles': 'Ciclos entre carpetas ({{count}})',
+    'label.unusedPackages': 'Paquetes declarados pero sin usar ({{count}})',
+    'label.undeclaredPackages': 'Paquetes usados pero no declarados ({{count}})',
+    'label.manifests': 'Manifiestos',
+    'label.transitivePackages': 'Paquetes transitivos bloqueados',
+    'label.responsibilities': 'Responsabilidades',
+    'label.keySymbols': 'Símbolos clave',
+    'label.sideEffects': 'Efectos secundarios',
+    'label.tags': 'Etiquetas',
+
+    // Values
+    'value.yes': 'Sí',
+    'value.no': 'No',
+    'value.none': 'Ninguno',
+    'value.noneDetected': 'Ninguno detectado',
+    'value.noneSpecified': 'No especificado',
+    'value.noPatterns': 'No se detectaron patrones específicos',
+    'value.files': '{{count}} archivos',
+    'value.folder': 'Carpeta',
+    'value.file': 'Archivo',
+    'value.unused': 'sin usar',
+
+    // Table headers
+    'table.symbol': 'Símbolo',
+    'table.kind': 'Clase',
+    'table.lines': 'Líneas',
+    'table.parameters': 'Parámetros',
+    'table.package': 'Paquete',
+    'table.ecosystem': 'Ecosistema',
+    'table.declared': 'Declarada',
+    'table.resolved': 'Resuelta',
+    'table.scope': 'Ámbito',
+    'table.usedBy': 'Usado por',
+    'table.flags': 'Avisos',
+
+    // Mind map categories
+    'category.source': 'Código fuente',
+    'category.tests': 'Pruebas',
+    'category.configuration': 'Configuración',
+    'category.documentation': 'Documentación',
+    'category.assets': 'Recursos',
+
+    // File type groups
+    'fileType.class': 'Clases',
+    'fileType.module': 'Módulos',
+    'fileType.component': 'Componentes',
+    'fileType.service': 'Servicios',
+    'fileType.controller': 'Controladores',
+    'fileType.model': 'Modelos',
+    'fileType.utility': 'Utilidades',
+    'fileType.test': 'Pruebas',
+    'fileType.config': 'Configuración',
+    'fileType.readme': 'README',
+    'fileType.documentation': 'Documentación',
+    'fileType.script': 'Scripts',
+    'fileType.style': 'Estilos',
+    'fileType.template': 'Plantillas',
+    'fileType.data': 'Datos',
+    'fileType.other': 'Otros archivos',
+
+    // Sentences
+    'graph.summary': '{{nodes}} archivos, {{edges}} importaciones internas, {{unresolved}} sin resolver',
+    'graph.node': '{{path}} ({{imports}} importaciones, importado por {{importedBy}})',
+    'graph.unresolved': '`{{source}}` en {{location}}',
+    'cycle.import': '{{from}}:{{line}} importa `{{source}}` ({{to}})',
+    'package.usedBy': '{{name}} ({{ecosystem}}), usado por {{files}}',
+    'file.chunked': 'Salida de IA resumida a partir de {{count}} fragmentos, el archivo supera la ventana de contexto del modelo.',
+    'chunked.intro': 'Estos archivos superan la ventana de contexto del modelo. Sus descripciones de IA combinan resúmenes de fragmentos divididos en los límites de clases y funciones:',
+    'chunked.file': '{{count}} fragmentos',
+    'complexity.level': 'Nivel {{level}}: {{count}} archivos',
+
+    // Recommendations
+    'recommendation.intro': 'Según el análisis, estas son algunas recomendaciones:',
+    'recommendation.highComplexity': 'Archivos de alta complejidad',
+    'recommendation.reviewComplexity': 'Revisar los archivos con complejidad > 7 para una posible refactorización',
+    'recommendation.addTests': 'Considere añadir más pruebas',
+    'recommendation.goodTests': 'Buena cobertura de pruebas',
+    'recommendation.addDocs': 'Añadir más documentación en el código',
+    'recommendation.goodDocs': 'Buena cobertura de documentación',
+    'recommendation.adoptPattern': 'Considere adoptar un patrón de arquitectura claro',
+    'recommendation.goodArchitecture': 'Los patrones de arquitectura están bien definidos',
+
+    // AI fallbacks
+    'ai.fileUnavailable': 'Descripción del archivo no disponible',
+    'ai.folderUnavailable': 'Descripción de la carpeta no disponible',
+    'ai.overviewFailed': 'No se pudo generar la visión general del proyecto',
+    'ai.architectureFailed': 'No se pudo generar el análisis de la arquitectura',
+    'ai.detailedFailed': 'No se pudo generar la documentación detallada',
+    'ai.noAnswer': 'El proyecto indexado no contiene información suficiente para responder a esta pregunta.',
+
+    // Descriptions built without AI
+    'summary.role.class': 'Módulo de clases',
+    'summary.role.module': 'Módulo',
+    'summary.role.component': 'Componente',
+    'summary.role.service': 'Servicio',
+    'summary.role.controller': 'Controlador',
+    'summary.role.model': 'Modelo',
+    'summary.role.utility': 'Módulo de utilidades',
+    'summary.role.test': 'Conjunto de pruebas',
+    'summary.role.config': 'Archivo de configuración',
+    'summary.role.readme': 'README',
+    'summary.role.documentation': 'Documentación',
+    'summary.role.script': 'Script',
+    'summary.role.style': 'Hoja de estilos',
+    'summary.role.template': 'Plantilla',
+    'summary.role.data': 'Archivo de datos',
+    'summary.role.other': 'Archivo fuente',
+    'summary.exposing': '{{role}} que expone {{names}}',
+    'summary.inLanguage': '{{role}} en {{language}}',
+    'summary.dependsOn': 'depende de {{names}}',
+    'summary.more': '{{count}} más',
+    'summary.folderFiles': '{{count}} archivos: {{groups}}',
+    'summary.folderSubfolders': 'subcarpetas {{names}}',
+    'summary.emptyFolder': 'Carpeta vacía'
+};
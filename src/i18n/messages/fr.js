@@ -0,0 +1,192 @@
+/**
+ * @fileoverview French messages
+ */
+
+export default {
+    // Titles
+    'title.projectDocumentation': 'Documentation du projet',
+    'title.project': 'Projet',
+    'title.mindmap': 'Carte mentale : {{title}}',
+    'title.generatedBy': 'Généré par SVC Indexer',
+    'title.date': 'Date : {{date}}',
+    'footer.generated': 'Généré par SVC Indexer le {{date}}',
+
+    // Sections
+    'section.tableOfContents': 'Table des matières',
+    'section.projectInformation': 'Informations sur le projet',
+    'section.projectOverview': 'Vue d\'ensemble du projet',
+    'section.aiOverview': 'Vue d\'ensemble générée par l\'IA',
+    'section.projectStructure': 'Structure du projet',
+    'section.fileTypeDistribution': 'Répartition par type de fichier',
+    'section.complexityOverview': 'Aperçu de la complexité',
+    'section.technologiesUsed': 'Technologies utilisées',
+    'section.architecturePatterns': 'Modèles d\'architecture',
+    'section.designPatterns': 'Patrons de conception',
+    'section.testCoverage': 'Couverture de tests',
+    'section.documentationQuality': 'Qualité de la documentation',
+    'section.architectureAnalysis': 'Analyse de l\'architecture',
+    'section.aiArchitectureAnalysis': 'Analyse de l\'architecture par l\'IA',
+    'section.dependencies': 'Dépendances',
+    'section.circularDependencies': 'Dépendances circulaires',
+    'section.fileDocumentation': 'Documentation des fichiers',
+    'section.externalDependencies': 'Dépendances externes',
+    'section.internalModules': 'Modules internes',
+    'section.packageInventory': 'Inventaire des paquets',
+    'section.complexityAnalysis': 'Analyse de la complexité',
+    'section.complexityDistribution': 'Répartition par niveau de complexité',
+    'section.recommendations': 'Recommandations',
+    'section.chunkedSummaries': 'Résumés IA par morceaux',
+
+    // Field labels
+    'label.path': 'Chemin',
+    'label.type': 'Type',
+    'label.language': 'Langage',
+    'label.languages': 'Langages',
+    'label.programmingLanguages': 'Langages de programmation',
+    'label.framework': 'Framework',
+    'label.frameworks': 'Frameworks',
+    'label.architecture': 'Architecture',
+    'label.totalFiles': 'Nombre de fichiers',
+    'label.totalSize': 'Taille totale',
+    'label.lines': 'Lignes',
+    'label.size': 'Taille',
+    'label.complexity': 'Complexité',
+    'label.averageComplexity': 'Complexité moyenne',
+    'label.mostComplex': 'Plus complexe',
+    'label.leastComplex': 'Moins complexe',
+    'label.description': 'Description',
+    'label.aiAnalysis': 'Analyse IA',
+    'label.classes': 'Classes',
+    'label.functions': 'Fonctions',
+    'label.dependencies': 'Dépendances',
+    'label.exports': 'Exports',
+    'label.documentation': 'Documentation',
+    'label.testFiles': 'Fichiers de test',
+    'label.sourceFiles': 'Fichiers source',
+    'label.estimatedCoverage': 'Couverture estimée',
+    'label.hasTests': 'Tests présents',
+    'label.documentationFiles': 'Fichiers de documentation',
+    'label.filesWithDocs': 'Fichiers documentés',
+    'label.documentationRatio': 'Taux de documentation',
+    'label.hasReadme': 'README présent',
+    'label.externalDependencies': 'Dépendances externes',
+    'label.internalModules': 'Modules internes',
+    'label.dependencyGraph': 'Graphe de dépendances',
+    'label.mostInternalImports': 'Fichiers avec le plus d\'imports internes',
+    'label.unresolvedImports': 'Imports non résolus',
+    'label.fileCycles': 'Cycles entre fichiers ({{count}})',
+    'label.folderCycles': 'Cycles entre dossiers ({{count}})',
+    'label.unusedPackages': 'Paquets déclarés mais inutilisés ({{count}})',
+    'label.undeclaredPackages': 'Paquets utilisés mais non déclarés ({{count}})',
+    'label.manifests': 'Manifestes',
+    'label.transitivePackages': 'Paquets transitifs verrouillés',
+    'label.responsibilities': 'Responsabilités',
+    'label.keySymbols': 'Symboles clés',
+    'label.sideEffects': 'Effets de bord',
+    'label.tags': 'Mots-clés',
+
+    // Values
+    'value.yes': 'Oui',
+    'value.no': 'Non',
+    'value.none': 'Aucun',
+    'value.noneDetected': 'Aucun détecté',
+    'value.noneSpecified': 'Non précisé',
+    'value.noPatterns': 'Aucun modèle particulier détecté',
+    'value.files': '{{count}} fichiers',
+    'value.folder': 'Dossier',
+    'value.file': 'Fichier',
+    'value.unused': 'inutilisé',
+
+    // Table headers
+    'table.symbol': 'Symbole',
+    'table.kind': 'Nature',
+    'table.lines': 'Lignes',
+    'table.parameters': 'Paramètres',
+    'table.package': 'Paquet',
+    'table.ecosystem': 'Écosystème',
+    'table.declared': 'Déclarée',
+    'table.resolved': 'Résolue',
+    'table.scope': 'Portée',
+    'table.usedBy': 'Utilisé par',
+    'table.flags': 'Signalements',
+
+    // Mind map categories
+    'category.source': 'Code source',
+    'category.tests': 'Tests',
+    'category.configuration': 'Configuration',
+    'category.documentation': 'Documentation',
+    'category.assets': 'Ressources',
+
+    // File type groups
+    'fileType.class': 'Classes',
+    'fileType.module': 'Modules',
+    'fileType.component': 'Composants',
+    'fileType.service': 'Services',
+    'fileType.controller': 'Contrôleurs',
+    'fileType.model': 'Modèles',
+    'fileType.utility': 'Utilitaires',
+    'fileType.test': 'Tests',
+    'fileType.config': 'Configuration',
+    'fileType.readme': 'README',
+    'fileType.documentation': 'Documentation',
+    'fileType.script': 'Scripts',
+    'fileType.style': 'Styles',
+    'fileType.template': 'Gabarits',
+    'fileType.data': 'Données',
+    'fileType.other': 'Autres fichiers',
+
+    // Sentences
+    'graph.summary': '{{nodes}} fichiers, {{edges}} imports internes, {{unresolved}} non résolus',
+    'graph.node': '{{path}} ({{imports}} imports, importé par {{importedBy}})',
+    'graph.unresolved': '`{{source}}` dans {{location}}',
+    'cycle.import': '{{from}}:{{line}} importe `{{source}}` ({{to}})',
+    'package.usedBy': '{{name}} ({{ecosystem}}), utilisé par {{files}}',
+    'file.chunked': 'Sortie IA résumée à partir de {{count}} morceaux, le fichier dépasse la fenêtre de contexte du modèle.',
+    'chunked.intro': 'Ces fichiers dépassent la fenêtre de contexte du modèle. Leurs descriptions IA combinent les résumés de morceaux découpés aux limites des classes et des fonctions :',
+    'chunked.file': '{{count}} morceaux',
+    'complexity.level': 'Niveau {{level}} : {{count}} fichiers',
+
+    // Recommendations
+    'recommendation.intro': 'D\'après l\'analyse, voici quelques recommandations :',
+    'recommendation.highComplexity': 'Fichiers très complexes',
+    'recommendation.reviewComplexity': 'Revoir les fichiers de complexité > 7 en vue d\'une refactorisation',
+    'recommendation.addTests': 'Envisager d\'ajouter des tests',
+    'recommendation.goodTests': 'Bonne couverture de tests',
+    'recommendation.addDocs': 'Ajouter davantage de documentation dans le code',
+    'recommendation.goodDocs': 'Bonne couverture de la documentation',
+    'recommendation.adoptPattern': 'Envisager d\'adopter un modèle d\'architecture clair',
+    'recommendation.goodArchitecture': 'Les modèles d\'architecture sont bien définis',
+
+    // AI fallbacks
+    'ai.fileUnavailable': 'Description du fichier indisponible',
+    'ai.folderUnavailable': 'Description du dossier indisponible',
+    'ai.overviewFailed': 'Échec de la génération de la vue d\'ensemble du projet',
+    'ai.architectureFailed': 'Échec de la génération de l\'analyse de l\'architecture',
+    'ai.detailedFailed': 'Échec de la génération de la documentation détaillée',
+    'ai.noAnswer': 'Le projet indexé ne contient pas assez d\'informations pour répondre à cette question.',
+
+    // Descriptions built without AI
+    'summary.role.class': 'Module de classes',
+    'summary.role.module': 'Module',
+    'summary.role.component': 'Composant',
+    'summary.role.service': 'Service',
+    'summary.role.controller': 'Contrôleur',
+    'summary.role.model': 'Modèle',
+    'summary.role.utility': 'Module utilitaire',
+    'summary.role.test': 'Suite de tests',
+    'summary.role.config': 'Fichier de configuration',
+    'summary.role.readme': 'README',
+    'summary.role.documentation': 'Documentation',
+    'summary.role.script': 'Script',
+    'summary.role.style': 'Feuille de style',
+    'summary.role.template': 'Gabarit',
+    'summary.role.data': 'Fichier de données',
+    'summary.role.other': 'Fichier source',
+    'summary.exposing': '{{role}} exposant {{names}}',
+    'summary.inLanguage': '{{role}} en {{language}}',
+    'summary.dependsOn': 'dépend de {{names}}',
+    'summary.more': '{{count}} de plus',
+    'summary.folderFiles': '{{count}} fichiers : {{groups}}',
+    'summary.folderSubfolders': 'sous-dossiers {{names}}',
+    'summary.emptyFolder': 'Dossier vide'
+};
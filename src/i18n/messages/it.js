@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Italian messages
+ */
+
+export default {
+    // Titles
+    'title.projectDocumentation': 'Documentazione del progetto',
+    'title.project': 'Progetto',
+    'title.mindmap': 'Mappa mentale: {{title}}',
+    'title.generatedBy': 'Generato da SVC Indexer',
+    'title.date': 'Data: {{date}}',
+    'footer.generated': 'Generato da SVC Indexer il {{date}}',
+
+    // Sections
+    'section.tableOfContents': 'Indice',
+    'section.projectInformation': 'Informazioni sul progetto',
+    'section.projectOverview': 'Panoramica del progetto',
+    'section.aiOverview': 'Panoramica generata dall\'IA',
+    'section.projectStructure': 'Struttura del progetto',
+    'section.fileTypeDistribution': 'Distribuzione per tipo di file',
+    'section.complexityOverview': 'Panoramica della complessità',
+    'section.technologiesUsed': 'Tecnologie utilizzate',
+    'section.architecturePatterns': 'Pattern architetturali',
+    'section.designPatterns': 'Design pattern',
+    'section.testCoverage': 'Copertura dei test',
+    'section.documentationQuality': 'Qualità della documentazione',
+    'section.architectureAnalysis': 'Analisi dell\'architettura',
+    'section.aiArchitectureAnalysis': 'Analisi dell\'architettura dell\'IA',
+    'section.dependencies': 'Dipendenze',
+    'section.circularDependencies': 'Dipendenze circolari',
+    'section.fileDocumentation': 'Documentazione dei file',
+    'section.externalDependencies': 'Dipendenze esterne',
+    'section.internalModules': 'Moduli interni',
+    'section.packageInventory': 'Inventario dei pacchetti',
+    'section.complexityAnalysis': 'Analisi della complessità',
+    'section.complexityDistribution': 'Distribuzione per livello di complessità',
+    'section.recommendations': 'Raccomandazioni',
+    'section.chunkedSummaries': 'Riepiloghi IA a blocchi',
+
+    // Field labels
+    'label.path': 'Percorso',
+    'label.type': 'Tipo',
+    'label.language': 'Linguaggio',
+    'label.languages': 'Linguaggi',
+    'label.programmingLanguages': 'Linguaggi di programmazione',
+    'label.framework': 'Framework',
+    'label.frameworks': 'Framework',
+    'label.architecture': 'Architettura',
+    'label.totalFiles': 'File totali',
+    'label.totalSize': 'Dimensione totale',
+    'label.lines': 'Righe',
+    'label.size': 'Dimensione',
+    'label.complexity': 'Complessità',
+    'label.averageComplexity': 'Complessità media',
+    'label.mostComplex': 'Più complesso',
+    'label.leastComplex': 'Meno complesso',
+    'label.description': 'Descrizione',
+    'label.aiAnalysis': 'Analisi IA',
+    'label.classes': 'Classi',
+    'label.functions': 'Funzioni',
+    'label.dependencies': 'Dipendenze',
+    'label.exports': 'Esportazioni',
+    'label.documentation': 'Documentazione',
+    'label.testFiles': 'File di test',
+    'label.sourceFiles': 'File sorgente',
+    'label.estimatedCoverage': 'Copertura stimata',
+    'label.hasTests': 'Test presenti',
+    'label.documentationFiles': 'File di documentazione',
+    'label.filesWithDocs': 'File documentati',
+    'label.documentationRatio': 'Percentuale di documentazione',
+    'label.hasReadme': 'README presente',
+    'label.externalDependencies': 'Dipendenze esterne',
+    'label.internalModules': 'Moduli interni',
+    'label.dependencyGraph': 'Grafo delle dipendenze',
+    'label.mostInternalImports': 'File con più import interni',
+    'label.unresolvedImports': 'Import non risolti',
+    'label.fileCycles': 'Cicli tra file ({{count}})',
+    'label.folderCycles': 'Cicli tra cartelle ({{count}})',
+    'label.unusedPackages': 'Pacchetti dichiarati ma non usati ({{count}})',
+    'label.undeclaredPackages': 'Pacchetti usati ma non dichiarati ({{count}})',
+    'label.manifests': 'Manifest',
+    'label.transitivePackages': 'Pacchetti transitivi bloccati',
+    'label.responsibilities': 'Responsabilità',
+    'label.keySymbols': 'Simboli principali',
+    'label.sideEffects': 'Effetti collaterali',
+    'label.tags': 'Tag',
+
+    // Values
+    'value.yes': 'Sì',
+    'value.no': 'No',
+    'value.none': 'Nessuno',
+    'value.noneDetected': 'Nessuno rilevato',
+    'value.noneSpecified': 'Non specificato',
+    'value.noPatterns': 'Nessun pattern specifico rilevato',
+    'value.files': '{{count}} file',
+    'value.folder': 'Cartella',
+    'value.file': 'File',
+    'value.unused': 'non usato',
+
+    // Table headers
+    'table.symbol': 'Simbolo',
+    'table.kind': 'Tipo',
+    'table.lines': 'Righe',
+    'table.parameters': 'Parametri',
+    'table.package': 'Pacchetto',
+    'table.ecosystem': 'Ecosistema',
+    'table.declared': 'Dichiarata',
+    'table.resolved': 'Risolta',
+    'table.scope': 'Ambito',
+    'table.usedBy': 'Usato da',
+    'table.flags': 'Segnalazioni',
+
+    // Mind map categories
+    'category.source': 'Codice sorgente',
+    'category.tests': 'Test',
+    'category.configuration': 'Configurazione',
+    'category.documentation': 'Documentazione',
+    'category.assets': 'Risorse',
+
+    // File type groups
+    'fileType.class': 'Classi',
+    'fileType.module': 'Moduli',
+    'fileType.component': 'Componenti',
+    'fileType.service': 'Servizi',
+    'fileType.controller': 'Controller',
+    'fileType.model': 'Modelli',
+    'fileType.utility': 'Utilità',
+    'fileType.test': 'Test',
+    'fileType.config': 'Configurazione',
+    'fileType.readme': 'README',
+    'fileType.documentation': 'Documentazione',
+    'fileType.script': 'Script',
+    'fileType.style': 'Stili',
+    'fileType.template': 'Template',
+    'fileType.data': 'Dati',
+    'fileType.other': 'Altri file',
+
+    // Sentences
+    'graph.summary': '{{nodes}} file, {{edges}} import interni, {{unresolved}} non risolti',
+    'graph.node': '{{path}} ({{imports}} import, importato da {{importedBy}})',
+    'graph.unresolved': '`{{source}}` in {{location}}',
+    'cycle.import': '{{from}}:{{line}} importa `{{source}}` ({{to}})',
+    'package.usedBy': '{{name}} ({{ecosystem}}), usato da {{files}}',
+    'file.chunked': 'Output IA riassunto da {{count}} blocchi, il file supera la finestra di contesto del modello.',
+    'chunked.intro': 'Questi file superano la finestra di contesto del modello. Le loro descrizioni IA combinano i riepiloghi di blocchi divisi ai confini di classi e funzioni:',
+    'chunked.file': '{{count}} blocchi',
+    'complexity.level': 'Livello {{level}}: {{count}} file',
+
+    // Recommendations
+    'recommendation.intro': 'In base all\'analisi, ecco alcune raccomandazioni:',
+    'recommendation.highComplexity': 'File ad alta complessità',
+    'recommendation.reviewComplexity': 'Rivedere i file con complessità > 7 per un possibile refactoring',
+    'recommendation.addTests': 'Valutare l\'aggiunta di altri test',
+    'recommendation.goodTests': 'Buona copertura dei test',
+    'recommendation.addDocs': 'Aggiungere più documentazione nel codice',
+    'recommendation.goodDocs': 'Buona copertura della documentazione',
+    'recommendation.adoptPattern': 'Valutare l\'adozione di un pattern architetturale chiaro',
+    'recommendation.goodArchitecture': 'I pattern architetturali sono ben definiti',
+
+    // AI fallbacks
+    'ai.fileUnavailable': 'Descrizione del file non disponibile',
+    'ai.folderUnavailable': 'Descrizione della cartella non disponibile',
+    'ai.overviewFailed': 'Generazione della panoramica del progetto non riuscita',
+    'ai.architectureFailed': 'Generazione dell\'analisi dell\'architettura non riuscita',
+    'ai.detailedFailed': 'Generazione della documentazione dettagliata non riuscita',
+    'ai.noAnswer': 'Il progetto indicizzato non contiene informazioni sufficienti per rispondere a questa domanda.',
+
+    // Descriptions built without AI
+    'summary.role.class': 'Modulo di classi',
+    'summary.role.module': 'Modulo',
+    'summary.role.component': 'Componente',
+    'summary.role.service': 'Servizio',
+    'summary.role.controller': 'Controller',
+    'summary.role.model': 'Modello',
+    'summary.role.utility': 'Modulo di utilità',
+    'summary.role.test': 'Suite di test',
+    'summary.role.config': 'File di configurazione',
+    'summary.role.readme': 'README',
+    'summary.role.documentation': 'Documentazione',
+    'summary.role.script': 'Script',
+    'summary.role.style': 'Foglio di stile',
+    'summary.role.template': 'Modello di pagina',
+    'summary.role.data': 'File di dati',
+    'summary.role.other': 'File sorgente',
+    'summary.exposing': '{{role}} che espone {{names}}',
+    'summary.inLanguage': '{{role}} in {{language}}',
+    'summary.dependsOn': 'dipende da {{names}}',
+    'summary.more': 'altri {{count}}',
+    'summary.folderFiles': '{{count}} file: {{groups}}',
+    'summary.folderSubfolders': 'sottocartelle {{names}}',
+    'summary.emptyFolder': 'Cartella vuota'
+};
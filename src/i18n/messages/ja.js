@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Japanese messages
+ */
+
+export default {
+    // Titles
+    'title.projectDocumentation': 'プロジェクトドキュメント',
+    'title.project': 'プロジェクト',
+    'title.mindmap': 'マインドマップ：{{title}}',
+    'title.generatedBy': 'SVC Indexer により生成',
+    'title.date': '日付：{{date}}',
+    'footer.generated': '{{date}} に SVC Indexer により生成',
+
+    // Sections
+    'section.tableOfContents': '目次',
+    'section.projectInformation': 'プロジェクト情報',
+    'section.projectOverview': 'プロジェクト概要',
+    'section.aiOverview': 'AI による概要',
+    'section.projectStructure': 'プロジェクト構成',
+    'section.fileTypeDistribution': 'ファイル種別の分布',
+    'section.complexityOverview': '複雑度の概要',
+    'section.technologiesUsed': '使用技術',
+    'section.architecturePatterns': 'アーキテクチャパターン',
+    'section.designPatterns': 'デザインパターン',
+    'section.testCoverage': 'テストカバレッジ',
+    'section.documentationQuality': 'ドキュメントの品質',
+    'section.architectureAnalysis': 'アーキテクチャ分析',
+    'section.aiArchitectureAnalysis': 'AI によるアーキテクチャ分析',
+    'section.dependencies': '依存関係',
+    'section.circularDependencies': '循環依存',
+    'section.fileDocumentation': 'ファイルドキュメント',
+    'section.externalDependencies': '外部依存関係',
+    'section.internalModules': '内部モジュール',
+    'section.packageInventory': 'パッケージ一覧',
+    'section.complexityAnalysis': '複雑度分析',
+    'section.complexityDistribution': '複雑度レベル別の分布',
+    'section.recommendations': '推奨事項',
+    'section.chunkedSummaries': '分割された AI 要約',
+
+    // Field labels
+    'label.path': 'パス',
+    'label.type': '種別',
+    'label.language': '言語',
+    'label.languages': '言語',
+    'label.programmingLanguages': 'プログラミング言語',
+    'label.framework': 'フレームワーク',
+    'label.frameworks': 'フレームワーク',
+    'label.architecture': 'アーキテクチャ',
+    'label.totalFiles': 'ファイル総数',
+    'label.totalSize': '合計サイズ',
+    'label.lines': '行数',
+    'label.size': 'サイズ',
+    'label.complexity': '複雑度',
+    'label.averageComplexity': '平均複雑度',
+    'label.mostComplex': '最大複雑度',
+    'label.leastComplex': '最小複雑度',
+    'label.description': '説明',
+    'label.aiAnalysis': 'AI 分析',
+    'label.classes': 'クラス',
+    'label.functions': '関数',
+    'label.dependencies': '依存関係',
+    'label.exports': 'エクスポート',
+    'label.documentation': 'ドキュメント',
+    'label.testFiles': 'テストファイル',
+    'label.sourceFiles': 'ソースファイル',
+    'label.estimatedCoverage': '推定カバレッジ',
+    'label.hasTests': 'テストあり',
+    'label.documentationFiles': 'ドキュメントファイル',
+    'label.filesWithDocs': 'ドキュメント付きファイル',
+    'label.documentationRatio': 'ドキュメント率',
+    'label.hasReadme': 'README あり',
+    'label.externalDependencies': '外部依存関係',
+    'label.internalModules': '内部モジュール',
+    'label.dependencyGraph': '依存関係グラフ',
+    'label.mostInternalImports': '内部インポートが最も多いファイル',
+    'label.unresolvedImports': '未解決のインポート',
+    'label.fileCycles': 'ファイル間の循環（{{count}}）',
+    'label.folderCycles': 'フォルダ間の循環（{{count}}）',
+    'label.unusedPackages': '宣言済みだが未使用のパッケージ（{{count}}）',
+    'label.undeclaredPackages': '使用中だが未宣言のパッケージ（{{count}}）',
+    'label.manifests': 'マニフェスト',
+    'label.transitivePackages': 'ロックされた推移的パッケージ',
+    'label.responsibilities': '責務',
+    'label.keySymbols': '主要なシンボル',
+    'label.sideEffects': '副作用',
+    'label.tags': 'タグ',
+
+    // Values
+    'value.yes': 'はい',
+    'value.no': 'いいえ',
+    'value.none': 'なし',
+    'value.noneDetected': '検出なし',
+    'value.noneSpecified': '指定なし',
+    'value.noPatterns': '特定のパターンは検出されませんでした',
+    'value.files': '{{count}} ファイル',
+    'value.folder': 'フォルダ',
+    'value.file': 'ファイル',
+    'value.unused': '未使用',
+
+    // Table headers
+    'table.symbol': 'シンボル',
+    'table.kind': '種類',
+    'table.lines': '行',
+    'table.parameters': 'パラメータ',
+    'table.package': 'パッケージ',
+    'table.ecosystem': 'エコシステム',
+    'table.declared': '宣言バージョン',
+    'table.resolved': '解決バージョン',
+    'table.scope': 'スコープ',
+    'table.usedBy': '使用元',
+    'table.flags': 'フラグ',
+
+    // Mind map categories
+    'category.source': 'ソースコード',
+    'category.tests': 'テスト',
+    'category.configuration': '設定',
+    'category.documentation': 'ドキュメント',
+    'category.assets': 'アセット',
+
+    // File type groups
+    'fileType.class': 'クラス',
+    'fileType.module': 'モジュール',
+    'fileType.component': 'コンポーネント',
+    'fileType.service': 'サービス',
+    'fileType.controller': 'コントローラー',
+    'fileType.model': 'モデル',
+    'fileType.utility': 'ユーティリティ',
+    'fileType.test': 'テスト',
+    'fileType.config': '設定',
+    'fileType.readme': 'README',
+    'fileType.documentation': 'ドキュメント',
+    'fileType.script': 'スクリプト',
+    'fileType.style': 'スタイル',
+    'fileType.template': 'テンプレート',
+    'fileType.data': 'データ',
+    'fileType.other': 'その他のファイル',
+
+    // Sentences
+    'graph.summary': '{{nodes}} ファイル、内部インポート {{edges}} 件、未解決 {{unresolved}} 件',
+    'graph.node': '{{path}}（インポート {{imports}} 件、{{importedBy}} ファイルからインポート）',
+    'graph.unresolved': '{{location}} の `{{source}}`',
+    'cycle.import': '{{from}}:{{line}} が `{{source}}` をインポート（{{to}}）',
+    'package.usedBy': '{{name}}（{{ecosystem}}）、使用元：{{files}}',
+    'file.chunked': 'ファイルがモデルのコンテキストウィンドウを超えるため、AI の出力は {{count}} 個の分割から要約されています。',
+    'chunked.intro': '以下のファイルはモデルのコンテキストウィンドウを超えています。AI による説明は、クラスと関数の境界で分割した各部分の要約をまとめたものです：',
+    'chunked.file': '{{count}} 分割',
+    'complexity.level': 'レベル {{level}}：{{count}} ファイル',
+
+    // Recommendations
+    'recommendation.intro': '分析結果に基づく推奨事項は次のとおりです：',
+    'recommendation.highComplexity': '複雑度の高いファイル',
+    'recommendation.reviewComplexity': '複雑度が 7 を超えるファイルのリファクタリングを検討してください',
+    'recommendation.addTests': 'テストの追加を検討してください',
+    'recommendation.goodTests': 'テストカバレッジは良好です',
+    'recommendation.addDocs': 'コード内のドキュメントを増やしてください',
+    'recommendation.goodDocs': 'ドキュメントのカバレッジは良好です',
+    'recommendation.adoptPattern': '明確なアーキテクチャパターンの採用を検討してください',
+    'recommendation.goodArchitecture': 'アーキテクチャパターンは明確に定義されています',
+
+    // AI fallbacks
+    'ai.fileUnavailable': 'ファイルの説明を取得できません',
+    'ai.folderUnavailable': 'フォルダの説明を取得できません',
+    'ai.overviewFailed': 'プロジェクト概要の生成に失敗しました',
+    'ai.architectureFailed': 'アーキテクチャ分析の生成に失敗しました',
+    'ai.detailedFailed': '詳細ドキュメントの生成に失敗しました',
+    'ai.noAnswer': 'インデックス化されたプロジェクトには、この質問に答えるための十分な情報がありません。',
+
+    // Descriptions built without AI
+    'summary.role.class': 'クラスモジュール',
+    'summary.role.module': 'モジュール',
+    'summary.role.component': 'コンポーネント',
+    'summary.role.service': 'サービス',
+    'summary.role.controller': 'コントローラー',
+    'summary.role.model': 'モデル',
+    'summary.role.utility': 'ユーティリティモジュール',
+    'summary.role.test': 'テストスイート',
+    'summary.role.config': '設定ファイル',
+    'summary.role.readme': 'README',
+    'summary.role.documentation': 'ドキュメント',
+    'summary.role.script': 'スクリプト',
+    'summary.role.style': 'スタイルシート',
+    'summary.role.template': 'テンプレート',
+    'summary.role.data': 'データファイル',
+    'summary.role.other': 'ソースファイル',
+    'summary.exposing': '{{names}} を提供する{{role}}',
+    'summary.inLanguage': '{{language}} の{{role}}',
+    'summary.dependsOn': '{{names}} に依存',
+    'summary.more': '他 {{count}} 件',
+    'summary.folderFiles': '{{count}} ファイル：{{groups}}',
+    'summary.folderSubfolders': 'サブフォルダー {{names}}',
+    'summary.emptyFolder': '空のフォルダー'
+};
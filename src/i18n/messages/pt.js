@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Portuguese messages
+ */
+
+export default {
+    // Titles
+    'title.projectDocumentation': 'Documentação do projeto',
+    'title.project': 'Projeto',
+    'title.mindmap': 'Mapa mental: {{title}}',
+    'title.generatedBy': 'Gerado pelo SVC Indexer',
+    'title.date': 'Data: {{date}}',
+    'footer.generated': 'Gerado pelo SVC Indexer em {{date}}',
+
+    // Sections
+    'section.tableOfContents': 'Sumário',
+    'section.projectInformation': 'Informações do projeto',
+    'section.projectOverview': 'Visão geral do projeto',
+    'section.aiOverview': 'Visão geral gerada por IA',
+    'section.projectStructure': 'Estrutura do projeto',
+    'section.fileTypeDistribution': 'Distribuição por tipo de arquivo',
+    'section.complexityOverview': 'Resumo da complexidade',
+    'section.technologiesUsed': 'Tecnologias utilizadas',
+    'section.architecturePatterns': 'Padrões de arquitetura',
+    'section.designPatterns': 'Padrões de projeto',
+    'section.testCoverage': 'Cobertura de testes',
+    'section.documentationQuality': 'Qualidade da documentação',
+    'section.architectureAnalysis': 'Análise da arquitetura',
+    'section.aiArchitectureAnalysis': 'Análise da arquitetura por IA',
+    'section.dependencies': 'Dependências',
+    'section.circularDependencies': 'Dependências circulares',
+    'section.fileDocumentation': 'Documentação dos arquivos',
+    'section.externalDependencies': 'Dependências externas',
+    'section.internalModules': 'Módulos internos',
+    'section.packageInventory': 'Inventário de pacotes',
+    'section.complexityAnalysis': 'Análise de complexidade',
+    'section.complexityDistribution': 'Distribuição por nível de complexidade',
+    'section.recommendations': 'Recomendações',
+    'section.chunkedSummaries': 'Resumos de IA por partes',
+
+    // Field labels
+    'label.path': 'Caminho',
+    'label.type': 'Tipo',
+    'label.language': 'Linguagem',
+    'label.languages': 'Linguagens',
+    'label.programmingLanguages': 'Linguagens de programação',
+    'label.framework': 'Framework',
+    'label.frameworks': 'Frameworks',
+    'label.architecture': 'Arquitetura',
+    'label.totalFiles': 'Total de arquivos',
+    'label.totalSize': 'Tamanho total',
+    'label.lines': 'Linhas',
+    'label.size': 'Tamanho',
+    'label.complexity': 'Complexidade',
+    'label.averageComplexity': 'Complexidade média',
+    'label.mostComplex': 'Mais complexo',
+    'label.leastComplex': 'Menos complexo',
+    'label.description': 'Descrição',
+    'label.aiAnalysis': 'Análise de IA',
+    'label.classes': 'Classes',
+    'label.functions': 'Funções',
+    'label.dependencies': 'Dependências',
+    'label.exports': 'Exportações',
+    'label.documentation': 'Documentação',
+    'label.testFiles': 'Arquivos de teste',
+    'label.sourceFiles': 'Arquivos-fonte',
+    'label.estimatedCoverage': 'Cobertura estimada',
+    'label.hasTests': 'Possui testes',
+    'label.documentationFiles': 'Arquivos de documentação',
+    'label.filesWithDocs': 'Arquivos documentados',
+    'label.documentationRatio': 'Proporção de documentação',
+    'label.hasReadme': 'Possui README',
+    'label.externalDependencies': 'Dependências externas',
+    'label.internalModules': 'Módulos internos',
+    'label.dependencyGraph': 'Grafo de dependências',
+    'label.mostInternalImports': 'Arquivos com mais importações internas',
+    'label.unresolvedImports': 'Importações não resolvidas',
+    'label.fileCycles': 'Ciclos entre arquivos ({{count}})',
+    'label.folderCycles': 'Ciclos entre pastas ({{count}})',
+    'label.unusedPackages': 'Pacotes declarados mas não usados ({{count}})',
+    'label.undeclaredPackages': 'Pacotes usados mas não declarados ({{count}})',
+    'label.manifests': 'Manifestos',
+    'label.transitivePackages': 'Pacotes transitivos travados',
+    'label.responsibilities': 'Responsabilidades',
+    'label.keySymbols': 'Símbolos principais',
+    'label.sideEffects': 'Efeitos colaterais',
+    'label.tags': 'Tags',
+
+    // Values
+    'value.yes': 'Sim',
+    'value.no': 'Não',
+    'value.none': 'Nenhum',
+    'value.noneDetected': 'Nenhum detectado',
+    'value.noneSpecified': 'Não especificado',
+    'value.noPatterns': 'Nenhum padrão específico detectado',
+    'value.files': '{{count}} arquivos',
+    'value.folder': 'Pasta',
+    'value.file': 'Arquivo',
+    'value.unused': 'não usado',
+
+    // Table headers
+    'table.symbol': 'Símbolo',
+    'table.kind': 'Tipo',
+    'table.lines': 'Linhas',
+    'table.parameters': 'Parâmetros',
+    'table.package': 'Pacote',
+    'table.ecosystem': 'Ecossistema',
+    'table.declared': 'Declarada',
+    'table.resolved': 'Resolvida',
+    'table.scope': 'Escopo',
+    'table.usedBy': 'Usado por',
+    'table.flags': 'Alertas',
+
+    // Mind map categories
+    'category.source': 'Código-fonte',
+    'category.tests': 'Testes',
+    'category.configuration': 'Configuração',
+    'category.documentation': 'Documentação',
+    'category.assets': 'Recursos',
+
+    // File type groups
+    'fileType.class': 'Classes',
+    'fileType.module': 'Módulos',
+    'fileType.component': 'Componentes',
+    'fileType.service': 'Serviços',
+    'fileType.controller': 'Controladores',
+    'fileType.model': 'Modelos',
+    'fileType.utility': 'Utilitários',
+    'fileType.test': 'Testes',
+    'fileType.config': 'Configuração',
+    'fileType.readme': 'READMEs',
+    'fileType.documentation': 'Documentação',
+    'fileType.script': 'Scripts',
+    'fileType.style': 'Estilos',
+    'fileType.template': 'Templates',
+    'fileType.data': 'Dados',
+    'fileType.other': 'Outros arquivos',
+
+    // Sentences
+    'graph.summary': '{{nodes}} arquivos, {{edges}} importações internas, {{unresolved}} não resolvidas',
+    'graph.node': '{{path}} ({{imports}} importações, importado por {{importedBy}})',
+    'graph.unresolved': '`{{source}}` em {{location}}',
+    'cycle.import': '{{from}}:{{line}} importa `{{source}}` ({{to}})',
+    'package.usedBy': '{{name}} ({{ecosystem}}), usado por {{files}}',
+    'file.chunked': 'Saída da IA resumida a partir de {{count}} partes, o arquivo excede a janela de contexto do modelo.',
+    'chunked.intro': 'Estes arquivos excedem a janela de contexto do modelo. Suas descrições de IA combinam resumos de partes divididas nos limites de classes e funções:',
+    'chunked.file': '{{count}} partes',
+    'complexity.level': 'Nível {{level}}: {{count}} arquivos',
+
+    // Recommendations
+    'recommendation.intro': 'Com base na análise, seguem algumas recomendações:',
+    'recommendation.highComplexity': 'Arquivos de alta complexidade',
+    'recommendation.reviewComplexity': 'Revisar arquivos com complexidade > 7 para uma possível refatoração',
+    'recommendation.addTests': 'Considere adicionar mais testes',
+    'recommendation.goodTests': 'Boa cobertura de testes',
+    'recommendation.addDocs': 'Adicionar mais documentação no código',
+    'recommendation.goodDocs': 'Boa cobertura de documentação',
+    'recommendation.adoptPattern': 'Considere adotar um padrão de arquitetura claro',
+    'recommendation.goodArchitecture': 'Os padrões de arquitetura estão bem definidos',
+
+    // AI fallbacks
+    'ai.fileUnavailable': 'Descrição do arquivo indisponível',
+    'ai.folderUnavailable': 'Descrição da pasta indisponível',
+    'ai.overviewFailed': 'Falha ao gerar a visão geral do projeto',
+    'ai.architectureFailed': 'Falha ao gerar a análise da arquitetura',
+    'ai.detailedFailed': 'Falha ao gerar a documentação detalhada',
+    'ai.noAnswer': 'O projeto indexado não contém informações suficientes para responder a esta pergunta.',
+
+    // Descriptions built without AI
+    'summary.role.class': 'Módulo de classes',
+    'summary.role.module': 'Módulo',
+    'summary.role.component': 'Componente',
+    'summary.role.service': 'Serviço',
+    'summary.role.controller': 'Controlador',
+    'summary.role.model': 'Modelo',
+    'summary.role.utility': 'Módulo utilitário',
+    'summary.role.test': 'Suíte de testes',
+    'summary.role.config': 'Arquivo de configuração',
+    'summary.role.readme': 'README',
+    'summary.role.documentation': 'Documentação',
+    'summary.role.script': 'Script',
+    'summary.role.style': 'Folha de estilo',
+    'summary.role.template': 'Modelo',
+    'summary.role.data': 'Arquivo de dados',
+    'summary.role.other': 'Arquivo fonte',
+    'summary.exposing': '{{role}} que expõe {{names}}',
+    'summary.inLanguage': '{{role}} em {{language}}',
+    'summary.dependsOn': 'depende de {{names}}',
+    'summary.more': 'mais {{count}}',
+    'summary.folderFiles': '{{count}} arquivos: {{groups}}',
+    'summary.folderSubfolders': 'subpastas {{names}}',
+    'summary.emptyFolder': 'Pasta vazia'
+};
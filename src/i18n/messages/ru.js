@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Russian messages
+ */
+
+export default {
+    // Titles
+    'title.projectDocumentation': 'Документация проекта',
+    'title.project': 'Проект',
+    'title.mindmap': 'Карта проекта: {{title}}',
+    'title.generatedBy': 'Создано с помощью SVC Indexer',
+    'title.date': 'Дата: {{date}}',
+    'footer.generated': 'Создано с помощью SVC Indexer {{date}}',
+
+    // Sections
+    'section.tableOfContents': 'Содержание',
+    'section.projectInformation': 'Сведения о проекте',
+    'section.projectOverview': 'Обзор проекта',
+    'section.aiOverview': 'Обзор, созданный ИИ',
+    'section.projectStructure': 'Структура проекта',
+    'section.fileTypeDistribution': 'Распределение по типам файлов',
+    'section.complexityOverview': 'Обзор сложности',
+    'section.technologiesUsed': 'Используемые технологии',
+    'section.architecturePatterns': 'Архитектурные шаблоны',
+    'section.designPatterns': 'Шаблоны проектирования',
+    'section.testCoverage': 'Покрытие тестами',
+    'section.documentationQuality': 'Качество документации',
+    'section.architectureAnalysis': 'Анализ архитектуры',
+    'section.aiArchitectureAnalysis': 'Анализ архитектуры с помощью ИИ',
+    'section.dependencies': 'Зависимости',
+    'section.circularDependencies': 'Циклические зависимости',
+    'section.fileDocumentation': 'Документация файлов',
+    'section.externalDependencies': 'Внешние зависимости',
+    'section.internalModules': 'Внутренние модули',
+    'section.packageInventory': 'Перечень пакетов',
+    'section.complexityAnalysis': 'Анализ сложности',
+    'section.complexityDistribution': 'Распределение по уровням сложности',
+    'section.recommendations': 'Рекомендации',
+    'section.chunkedSummaries': 'Сводки ИИ по частям',
+
+    // Field labels
+    'label.path': 'Путь',
+    'label.type': 'Тип',
+    'label.language': 'Язык',
+    'label.languages': 'Языки',
+    'label.programmingLanguages': 'Языки программирования',
+    'label.framework': 'Фреймворк',
+    'label.frameworks': 'Фреймворки',
+    'label.architecture': 'Архитектура',
+    'label.totalFiles': 'Всего файлов',
+    'label.totalSize': 'Общий размер',
+    'label.lines': 'Строки',
+    'label.size': 'Размер',
+    'label.complexity': 'Сложность',
+    'label.averageComplexity': 'Средняя сложность',
+    'label.mostComplex': 'Наибольшая сложность',
+    'label.leastComplex': 'Наименьшая сложность',
+    'label.description': 'Описание',
+    'label.aiAnalysis': 'Анализ ИИ',
+    'label.classes': 'Классы',
+    'label.functions': 'Функции',
+    'label.dependencies': 'Зависимости',
+    'label.exports': 'Экспорты',
+    'label.documentation': 'Документация',
+    'label.testFiles': 'Файлы тестов',
+    'label.sourceFiles': 'Исходные файлы',
+    'label.estimatedCoverage': 'Оценка покрытия',
+    'label.hasTests': 'Есть тесты',
+    'label.documentationFiles': 'Файлы документации',
+    'label.filesWithDocs': 'Документированные файлы',
+    'label.documentationRatio': 'Доля документации',
+    'label.hasReadme': 'Есть README',
+    'label.externalDependencies': 'Внешние зависимости',
+    'label.internalModules': 'Внутренние модули',
+    'label.dependencyGraph': 'Граф зависимостей',
+    'label.mostInternalImports': 'Файлы с наибольшим числом внутренних импортов',
+    'label.unresolvedImports': 'Неразрешённые импорты',
+    'label.fileCycles': 'Циклы между файлами ({{count}})',
+    'label.folderCycles': 'Циклы между папками ({{count}})',
+    'label.unusedPackages': 'Объявленные, но неиспользуемые пакеты ({{count}})',
+    'label.undeclaredPackages': 'Используемые, но необъявленные пакеты ({{count}})',
+    'label.manifests': 'Манифесты',
+    'label.transitivePackages': 'Зафиксированные транзитивные пакеты',
+    'label.responsibilities': 'Обязанности',
+    'label.keySymbols': 'Ключевые символы',
+    'label.sideEffects': 'Побочные эффекты',
+    'label.tags': 'Теги',
+
+    // Values
+    'value.yes': 'Да',
+    'value.no': 'Нет',
+    'value.none': 'Нет',
+    'value.noneDetected': 'Не обнаружено',
+    'value.noneSpecified': 'Не указан',
+    'value.noPatterns': 'Определённые шаблоны не обнаружены',
+    'value.files': 'файлов: {{count}}',
+    'value.folder': 'Папка',
+    'value.file': 'Файл',
+    'value.unused': 'не используется',
+
+    // Table headers
+    'table.symbol': 'Символ',
+    'table.kind': 'Вид',
+    'table.lines': 'Строки',
+    'table.parameters': 'Параметры',
+    'table.package': 'Пакет',
+    'table.ecosystem': 'Экосистема',
+    'table.declared': 'Объявлена',
+    'table.resolved': 'Установлена',
+    'table.scope': 'Область',
+    'table.usedBy': 'Используется в',
+    'table.flags': 'Отметки',
+
+    // Mind map categories
+    'category.source': 'Исходный код',
+    'category.tests': 'Тесты',
+    'category.configuration': 'Конфигурация',
+    'category.documentation': 'Документация',
+    'category.assets': 'Ресурсы',
+
+    // File type groups
+    'fileType.class': 'Классы',
+    'fileType.module': 'Модули',
+    'fileType.component': 'Компоненты',
+    'fileType.service': 'Сервисы',
+    'fileType.controller': 'Контроллеры',
+    'fileType.model': 'Модели',
+    'fileType.utility': 'Утилиты',
+    'fileType.test': 'Тесты',
+    'fileType.config': 'Конфигурация',
+    'fileType.readme': 'README',
+    'fileType.documentation': 'Документация',
+    'fileType.script': 'Скрипты',
+    'fileType.style': 'Стили',
+    'fileType.template': 'Шаблоны',
+    'fileType.data': 'Данные',
+    'fileType.other': 'Прочие файлы',
+
+    // Sentences
+    'graph.summary': 'файлов: {{nodes}}, внутренних импортов: {{edges}}, неразрешённых: {{unresolved}}',
+    'graph.node': '{{path}} (импортов: {{imports}}, импортируется в {{importedBy}})',
+    'graph.unresolved': '`{{source}}` в {{location}}',
+    'cycle.import': '{{from}}:{{line}} импортирует `{{source}}` ({{to}})',
+    'package.usedBy': '{{name}} ({{ecosystem}}), используется в {{files}}',
+    'file.chunked': 'Результат ИИ составлен из {{count}} частей: файл превышает контекстное окно модели.',
+    'chunked.intro': 'Эти файлы превышают контекстное окно модели. Их описания ИИ объединяют сводки частей, разделённых по границам классов и функций:',
+    'chunked.file': 'частей: {{count}}',
+    'complexity.level': 'Уровень {{level}}: файлов: {{count}}',
+
+    // Recommendations
+    'recommendation.intro': 'По результатам анализа несколько рекомендаций:',
+    'recommendation.highComplexity': 'Файлы высокой сложности',
+    'recommendation.reviewComplexity': 'Проверьте файлы со сложностью > 7 на возможность рефакторинга',
+    'recommendation.addTests': 'Стоит добавить больше тестов',
+    'recommendation.goodTests': 'Хорошее покрытие тестами',
+    'recommendation.addDocs': 'Добавьте больше документации в код',
+    'recommendation.goodDocs': 'Хороший охват документацией',
+    'recommendation.adoptPattern': 'Стоит выбрать чёткий архитектурный шаблон',
+    'recommendation.goodArchitecture': 'Архитектурные шаблоны чётко определены',
+
+    // AI fallbacks
+    'ai.fileUnavailable': 'Описание файла недоступно',
+    'ai.folderUnavailable': 'Описание папки недоступно',
+    'ai.overviewFailed': 'Не удалось создать обзор проекта',
+    'ai.architectureFailed': 'Не удалось создать анализ архитектуры',
+    'ai.detailedFailed': 'Не удалось создать подробную документацию',
+    'ai.noAnswer': 'В проиндексированном проекте недостаточно информации, чтобы ответить на этот вопрос.',
+
+    // Descriptions built without AI
+    'summary.role.class': 'Модуль классов',
+    'summary.role.module': 'Модуль',
+    'summary.role.component': 'Компонент',
+    'summary.role.service': 'Сервис',
+    'summary.role.controller': 'Контроллер',
+    'summary.role.model': 'Модель',
+    'summary.role.utility': 'Вспомогательный модуль',
+    'summary.role.test': 'Набор тестов',
+    'summary.role.config': 'Файл конфигурации',
+    'summary.role.readme': 'README',
+    'summary.role.documentation': 'Документация',
+    'summary.role.script': 'Скрипт',
+    'summary.role.style': 'Таблица стилей',
+    'summary.role.template': 'Шаблон',
+    'summary.role.data': 'Файл данных',
+    'summary.role.other': 'Исходный файл',
+    'summary.exposing': '{{role}}, предоставляющий {{names}}',
+    'summary.inLanguage': '{{role}} на {{language}}',
+    'summary.dependsOn': 'зависит от {{names}}',
+    'summary.more': 'ещё {{count}}',
+    'summary.folderFiles': 'файлы ({{count}}): {{groups}}',
+    'summary.folderSubfolders': 'подпапки {{names}}',
+    'summary.emptyFolder': 'Пустая папка'
+};
@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Chinese (Simplified) messages
+ */
+
+export default {
+    // Titles
+    'title.projectDocumentation': '项目文档',
+    'title.project': '项目',
+    'title.mindmap': '思维导图：{{title}}',
+    'title.generatedBy': '由 SVC Indexer 生成',
+    'title.date': '日期：{{date}}',
+    'footer.generated': '由 SVC Indexer 于 {{date}} 生成',
+
+    // Sections
+    'section.tableOfContents': '目录',
+    'section.projectInformation': '项目信息',
+    'section.projectOverview': '项目概览',
+    'section.aiOverview': 'AI 生成的概览',
+    'section.projectStructure': '项目结构',
+    'section.fileTypeDistribution': '文件类型分布',
+    'section.complexityOverview': '复杂度概览',
+    'section.technologiesUsed': '使用的技术',
+    'section.architecturePatterns': '架构模式',
+    'section.designPatterns': '设计模式',
+    'section.testCoverage': '测试覆盖率',
+    'section.documentationQuality': '文档质量',
+    'section.architectureAnalysis': '架构分析',
+    'section.aiArchitectureAnalysis': 'AI 架构分析',
+    'section.dependencies': '依赖',
+    'section.circularDependencies': '循环依赖',
+    'section.fileDocumentation': '文件文档',
+    'section.externalDependencies': '外部依赖',
+    'section.internalModules': '内部模块',
+    'section.packageInventory': '软件包清单',
+    'section.complexityAnalysis': '复杂度分析',
+    'section.complexityDistribution': '按复杂度级别分布',
+    'section.recommendations': '建议',
+    'section.chunkedSummaries': '分块 AI 摘要',
+
+    // Field labels
+    'label.path': '路径',
+    'label.type': '类型',
+    'label.language': '语言',
+    'label.languages': '语言',
+    'label.programmingLanguages': '编程语言',
+    'label.framework': '框架',
+    'label.frameworks': '框架',
+    'label.architecture': '架构',
+    'label.totalFiles': '文件总数',
+    'label.totalSize': '总大小',
+    'label.lines': '行数',
+    'label.size': '大小',
+    'label.complexity': '复杂度',
+    'label.averageComplexity': '平均复杂度',
+    'label.mostComplex': '最高复杂度',
+    'label.leastComplex': '最低复杂度',
+    'label.description': '描述',
+    'label.aiAnalysis': 'AI 分析',
+    'label.classes': '类',
+    'label.functions': '函数',
+    'label.dependencies': '依赖',
+    'label.exports': '导出',
+    'label.documentation': '文档',
+    'label.testFiles': '测试文件',
+    'label.sourceFiles': '源文件',
+    'label.estimatedCoverage': '估计覆盖率',
+    'label.hasTests': '包含测试',
+    'label.documentationFiles': '文档文件',
+    'label.filesWithDocs': '有文档的文件',
+    'label.documentationRatio': '文档比例',
+    'label.hasReadme': '包含 README',
+    'label.externalDependencies': '外部依赖',
+    'label.internalModules': '内部模块',
+    'label.dependencyGraph': '依赖图',
+    'label.mostInternalImports': '内部导入最多的文件',
+    'label.unresolvedImports': '未解析的导入',
+    'label.fileCycles': '文件循环（{{count}}）',
+    'label.folderCycles': '文件夹循环（{{count}}）',
+    'label.unusedPackages': '已声明但未使用的软件包（{{count}}）',
+    'label.undeclaredPackages': '已使用但未声明的软件包（{{count}}）',
+    'label.manifests': '清单文件',
+    'label.transitivePackages': '锁定的传递依赖包',
+    'label.responsibilities': '职责',
+    'label.keySymbols': '关键符号',
+    'label.sideEffects': '副作用',
+    'label.tags': '标签',
+
+    // Values
+    'value.yes': '是',
+    'value.no': '否',
+    'value.none': '无',
+    'value.noneDetected': '未检测到',
+    'value.noneSpecified': '未指定',
+    'value.noPatterns': '未检测到特定模式',
+    'value.files': '{{count}} 个文件',
+    'value.folder': '文件夹',
+    'value.file': '文件',
+    'value.unused': '未使用',
+
+    // Table headers
+    'table.symbol': '符号',
+    'table.kind': '种类',
+    'table.lines': '行',
+    'table.parameters': '参数',
+    'table.package': '软件包',
+    'table.ecosystem': '生态系统',
+    'table.declared': '声明版本',
+    'table.resolved': '解析版本',
+    'table.scope': '范围',
+    'table.usedBy': '使用者',
+    'table.flags': '标记',
+
+    // Mind map categories
+    'category.source': '源代码',
+    'category.tests': '测试',
+    'category.configuration': '配置',
+    'category.documentation': '文档',
+    'category.assets': '资源',
+
+    // File type groups
+    'fileType.class': '类',
+    'fileType.module': '模块',
+    'fileType.component': '组件',
+    'fileType.service': '服务',
+    'fileType.controller': '控制器',
+    'fileType.model': '模型',
+    'fileType.utility': '工具',
+    'fileType.test': '测试',
+    'fileType.config': '配置',
+    'fileType.readme': 'README',
+    'fileType.documentation': '文档',
+    'fileType.script': '脚本',
+    'fileType.style': '样式',
+    'fileType.template': '模板',
+    'fileType.data': '数据',
+    'fileType.other': '其他文件',
+
+    // Sentences
+    'graph.summary': '{{nodes}} 个文件，{{edges}} 个内部导入，{{unresolved}} 个未解析',
+    'graph.node': '{{path}}（{{imports}} 个导入，被 {{importedBy}} 个文件导入）',
+    'graph.unresolved': '{{location}} 中的 `{{source}}`',
+    'cycle.import': '{{from}}:{{line}} 导入 `{{source}}`（{{to}}）',
+    'package.usedBy': '{{name}}（{{ecosystem}}），使用者：{{files}}',
+    'file.chunked': 'AI 输出由 {{count}} 个分块汇总而成，该文件超出了模型的上下文窗口。',
+    'chunked.intro': '这些文件超出了模型的上下文窗口。它们的 AI 描述汇总了按类和函数边界切分的分块摘要：',
+    'chunked.file': '{{count}} 个分块',
+    'complexity.level': '级别 {{level}}：{{count}} 个文件',
+
+    // Recommendations
+    'recommendation.intro': '根据分析，提出以下建议：',
+    'recommendation.highComplexity': '高复杂度文件',
+    'recommendation.reviewComplexity': '检查复杂度 > 7 的文件，考虑重构',
+    'recommendation.addTests': '建议增加更多测试',
+    'recommendation.goodTests': '测试覆盖率良好',
+    'recommendation.addDocs': '增加更多代码内文档',
+    'recommendation.goodDocs': '文档覆盖良好',
+    'recommendation.adoptPattern': '建议采用清晰的架构模式',
+    'recommendation.goodArchitecture': '架构模式定义清晰',
+
+    // AI fallbacks
+    'ai.fileUnavailable': '文件描述不可用',
+    'ai.folderUnavailable': '文件夹描述不可用',
+    'ai.overviewFailed': '项目概览生成失败',
+    'ai.architectureFailed': '架构分析生成失败',
+    'ai.detailedFailed': '详细文档生成失败',
+    'ai.noAnswer': '已索引的项目中没有足够的信息来回答这个问题。',
+
+    // Descriptions built without AI
+    'summary.role.class': '类模块',
+    'summary.role.module': '模块',
+    'summary.role.component': '组件',
+    'summary.role.service': '服务',
+    'summary.role.controller': '控制器',
+    'summary.role.model': '模型',
+    'summary.role.utility': '工具模块',
+    'summary.role.test': '测试套件',
+    'summary.role.config': '配置文件',
+    'summary.role.readme': 'README',
+    'summary.role.documentation': '文档',
+    'summary.role.script': '脚本',
+    'summary.role.style': '样式表',
+    'summary.role.template': '模板',
+    'summary.role.data': '数据文件',
+    'summary.role.other': '源文件',
+    'summary.exposing': '提供 {{names}} 的{{role}}',
+    'summary.inLanguage': '{{language}} {{role}}',
+    'summary.dependsOn': '依赖 {{names}}',
+    'summary.more': '另外 {{count}} 个',
+    'summary.folderFiles': '{{count}} 个文件：{{groups}}',
+    'summary.folderSubfolders': '子文件夹 {{names}}',
+    'summary.emptyFolder': '空文件夹'
+};
@@ -10,6 +10,11 @@ import { Command } from 'commander';
 import chalk from 'chalk';
 import { InitController } from './controllers/InitController.js';
 import { ExportController } from './controllers/ExportController.js';
+import { CacheController } from './controllers/CacheController.js';
+import { WatchController } from './controllers/WatchController.js';
+import { SearchController } from './controllers/SearchController.js';
+import { AskController } from './controllers/AskController.js';
+import { DoctorController } from './controllers/DoctorController.js';
 
 const program = new Command();
 
@@ -48,6 +53,10 @@ function setupCLI() {
         .option('--format <format>', 'Output format: markdown, mermaid, dot', 'markdown')
         .option('--max-depth <n>', 'Maximum depth to display', '10')
         .option('--types-only <types>', 'Filter by file types (comma-separated)')
+        .option('--no-cache', 'Ignore the persistent index and re-analyze every file')
+        .option('--no-ai', 'Describe files and folders from their code instead of the AI model')
+        .option('-q, --quiet', 'Print AI progress as a line at every tenth of the prompts instead of a live display, for CI logs')
+        .option('--resume', 'Continue the last interrupted run, if the configuration and commit are unchanged')
         .action(async (options) => {
             try {
                 const controller = new ExportController();
@@ -68,7 +77,12 @@ function setupCLI() {
         .option('-p, --pdf', 'Generate PDF output', true)
         .option('-o, --output <folder>', 'Output folder for exports', './project-exports')
         .option('--json', 'Generate JSON output in addition to markdown')
+        .option('--sbom', 'Generate CycloneDX and SPDX SBOM documents')
         .option('--max-size <mb>', 'Maximum size per markdown file in MB', '10')
+        .option('--no-cache', 'Ignore the persistent index and re-analyze every file')
+        .option('--no-ai', 'Describe files and folders from their code instead of the AI model')
+        .option('-q, --quiet', 'Print AI progress as a line at every tenth of the prompts instead of a live display, for CI logs')
+        .option('--resume', 'Continue the last interrupted run, if the configuration and commit are unchanged')
         .action(async (options) => {
             try {
                 const controller = new ExportController();
@@ -79,15 +93,152 @@ function setupCLI() {
             }
         });
 
+    // Export graph command
+    program
+        .command('export-graph')
+        .description('Export the module dependency graph')
+        .option('-c, --config <path>', 'Path to config.yml file', './config.yml')
+        .option('-d, --dry', 'Dry run mode - print the graph without creating files')
+        .option('-o, --output <folder>', 'Output folder for exports', './project-exports')
+        .option('--format <format>', 'Output format: dot, mermaid, graphml', 'dot')
+        .option('--level <level>', 'Graph level: file or folder', 'file')
+        .option('--filter <globs...>', 'Only include files matching these globs')
+        .option('--root <file>', 'Only include files reachable from this file')
+        .option('--depth <n>', 'Maximum number of imports to follow from the root file')
+        .option('--highlight-cycles', 'Highlight files and imports that form cycles')
+        .option('--color-by <mode>', 'Node color: type, complexity, none', 'type')
+        .option('--no-cache', 'Ignore the persistent index and re-analyze every file')
+        .action(async (options) => {
+            try {
+                const controller = new ExportController();
+                await controller.handleGraphExport(options);
+            } catch (error) {
+                console.error(chalk.red(`✖ Error during graph export: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
+    // Export SBOM command
+    program
+        .command('export-sbom')
+        .description('Export a software bill of materials from package manifests and lockfiles')
+        .option('-c, --config <path>', 'Path to config.yml file', './config.yml')
+        .option('-d, --dry', 'Dry run mode - print the documents without creating files')
+        .option('-o, --output <folder>', 'Output folder for exports', './project-exports')
+        .option('--format <format>', 'SBOM format: cyclonedx, spdx, all', 'all')
+        .action(async (options) => {
+            try {
+                const controller = new ExportController();
+                await controller.handleSbomExport(options);
+            } catch (error) {
+                console.error(chalk.red(`✖ Error during SBOM export: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
+    // Watch command
+    program
+        .command('watch')
+        .description('Watch the project and keep the index and exports up to date')
+        .option('-c, --config <path>', 'Path to config.yml file', './config.yml')
+        .option('-o, --output <folder>', 'Output folder for exports', './project-exports')
+        .option('--format <format>', 'Mind map format: markdown, mermaid, dot', 'markdown')
+        .option('--full', 'Also regenerate the full markdown documentation')
+        .option('--debounce <ms>', 'Quiet period before rebuilding after a change', '1000')
+        .option('--no-ai', 'Describe changed files from their code instead of the AI model')
+        .option('--no-cache', 'Ignore the persistent index and re-analyze every file on each rebuild')
+        .action(async (options) => {
+            try {
+                const controller = new WatchController();
+                await controller.handleWatch(options);
+            } catch (error) {
+                console.error(chalk.red(`✖ Error during watch: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
+    // Cache clear command
+    program
+        .command('cache-clear')
+        .description('Invalidate cached AI responses')
+        .option('-c, --config <path>', 'Path to config.yml file', './config.yml')
+        .option('--model <name>', 'Only invalidate responses generated by this model')
+        .option('--path <globs...>', 'Only invalidate responses for paths matching these globs')
+        .option('--index', 'Also delete the persistent project index and the embeddings')
+        .action(async (options) => {
+            try {
+                const controller = new CacheController();
+                await controller.handleCacheClear(options);
+            } catch (error) {
+                console.error(chalk.red(`✖ Error during cache clear: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
+    // Semantic search command
+    program
+        .command('search <query>')
+        .description('Find the files, symbols and folders matching a natural language query')
+        .option('-c, --config <path>', 'Path to config.yml file', './config.yml')
+        .option('-n, --limit <n>', 'Maximum number of results', '10')
+        .option('-k, --kind <kind>', 'Result kind: all, file, symbol, folder', 'all')
+        .option('--no-cache', 'Ignore the persistent index and re-analyze every file')
+        .action(async (query, options) => {
+            try {
+                const controller = new SearchController();
+                await controller.handleSearch(query, options);
+            } catch (error) {
+                console.error(chalk.red(`✖ Error during search: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
+    // Question answering command
+    program
+        .command('ask [question]')
+        .description('Answer a question about the project, citing its files and symbols')
+        .option('-c, --config <path>', 'Path to config.yml file', './config.yml')
+        .option('-i, --interactive', 'Keep asking questions, with the conversation history')
+        .option('-n, --limit <n>', 'Maximum number of retrieved sources', '8')
+        .option('--json', 'Print the answer and its sources as JSON')
+        .option('--no-cache', 'Ignore the persistent index and re-analyze every file')
+        .action(async (question, options) => {
+            try {
+                const controller = new AskController();
+                await controller.handleAsk(question, options);
+            } catch (error) {
+                console.error(chalk.red(`✖ Error during ask: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
+    // Diagnostics command
+    program
+        .command('doctor')
+        .description('Check the configuration, the project, the AI model and PDF output')
+        .option('-c, --config <path>', 'Path to config.yml file', './config.yml')
+        .option('--json', 'Print the check results as JSON')
+        .action(async (options) => {
+            try {
+                const controller = new DoctorController();
+                await controller.handleDoctor(options);
+            } catch (error) {
+                console.error(chalk.red(`✖ Error during doctor: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
     // Global error handler
     program.exitOverride();
 
     program.parse();
 }
 
-// Display welcome message
-console.log(chalk.blue.bold('🚀 SVC Indexer - Project Documentation Generator'));
-console.log(chalk.gray('A Node.js service to index programming projects with Ollama AI integration\n'));
+// Display welcome message, except before results printed as JSON for scripts
+if (!(['ask', 'doctor'].includes(process.argv[2]) && process.argv.includes('--json'))) {
+    console.log(chalk.blue.bold('🚀 SVC Indexer - Project Documentation Generator'));
+    console.log(chalk.gray('A Node.js service to index programming projects with Ollama AI integration\n'));
+}
 
 // Initialize CLI
 setupCLI();
\ No newline at end of file
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Cargo.toml and Cargo.lock parser
+ */
+
+import path from 'path';
+import { ManifestParser } from './ManifestParser.js';
+
+/**
+ * Crates shipped with the Rust toolchain
+ */
+const BUILTIN_CRATES = ['std', 'core', 'alloc', 'proc_macro', 'test', 'crate', 'self', 'super'];
+
+/**
+ * Cargo.toml dependency tables and their scope
+ */
+const DEPENDENCY_TABLES = [
+    ['dependencies', 'runtime'],
+    ['build-dependencies', 'runtime'],
+    ['dev-dependencies', 'dev']
+];
+
+/**
+ * Parser for Rust crates
+ */
+export class CargoManifestParser extends ManifestParser {
+    constructor() {
+        super();
+        this.ecosystem = 'cargo';
+        this.languages = ['rust'];
+        this.fileNames = ['Cargo.toml', 'Cargo.lock'];
+    }
+
+    /**
+     * Parse Cargo.toml and Cargo.lock
+     * @param {string} directory - Absolute directory path
+     * @param {string[]} fileNames - Detected file names in the directory
+     * @returns {Promise<Object>} Manifests, packages and crate names of the project
+     */
+    async parse(directory, fileNames) {
+        const manifests = [];
+        const internal = [];
+        let packages = [];
+        let license = null;
+
+        if (fileNames.includes('Cargo.toml')) {
+            const manifestPath = path.join(directory, 'Cargo.toml');
+            const manifest = await this.readToml(manifestPath);
+            if (manifest) {
+                manifests.push(this.createManifest(directory, 'Cargo.toml', 'manifest'));
+                if (manifest.package && manifest.package.name) internal.push(manifest.package.name);
+                license = this.getLicense(manifest.package && manifest.package.license);
+                packages = this.parseCargoToml(manifest, manifestPath, internal);
+            }
+        }
+
+        if (fileNames.includes('Cargo.lock')) {
+            const lockPath = path.join(directory, 'Cargo.lock');
+            const lock = await this.readToml(lockPath);
+            if (lock) {
+                manifests.push(this.createManifest(directory, 'Cargo.lock', 'lockfile'));
+                const locked = (lock.package || [])
+                    // Crates without a source are workspace members
+                    .filter(entry => entry.source)
+                    .map(entry => this.createPackage({
+                        name: entry.name,
+                        resolvedVersion: entry.version,
+                        lockfile: lockPath,
+                        integrity: entry.checksum ? `sha256-${entry.checksum}` : null
+                    }));
+                packages = this.mergeLocked(packages, locked);
+            }
+        }
+
+        return { manifests, packages, internal, license };
+    }
+
+    /**
+     * Read the dependency tables of Cargo.toml, including target-specific and workspace tables
+     * @param {Object} manifest - Parsed Cargo.toml
+     * @param {string} manifestPath - File path
+     * @param {string[]} internal - Receives path dependencies
+     * @returns {Object[]} Declared packages
+     * @private
+     */
+    parseCargoToml(manifest, manifestPath, internal) {
+        const packages = new Map();
+        const tables = [manifest, ...Object.values(manifest.target || {})];
+        const readTable = (table, scope) => {
+            Object.entries(table || {}).forEach(([key, spec]) => {
+                const details = typeof spec === 'string' ? { version: spec } : spec || {};
+                // Renamed dependencies: key is the name used in code, package the crate name
+                const name = details.package || key;
+
+                if (details.path) {
+                    internal.push(key);
+                    return;
+                }
+                if (packages.has(name)) return;
+
+                packages.set(name, this.createPackage({
+                    name,
+                    declaredVersion: details.version || (details.workspace ? 'workspace' : details.git || null),
+                    scope: details.optional ? 'optional' : scope,
+                    manifest: manifestPath,
+                    extra: key !== name ? { importName: key } : {}
+                }));
+            });
+        };
+
+        DEPENDENCY_TABLES.forEach(([field, scope]) => tables.forEach(table => readTable(table[field], scope)));
+        if (manifest.workspace) readTable(manifest.workspace.dependencies, 'runtime');
+
+        return Array.from(packages.values());
+    }
+
+    /**
+     * Crates of the standard distribution and crate-relative paths
+     * @param {string} source - Use path
+     * @returns {boolean} True for built-in crates
+     */
+    isBuiltin(source) {
+        return BUILTIN_CRATES.includes(this.getImportedName(source));
+    }
+
+    /**
+     * Get the crate of a use path
+     * @param {string} source - Use path such as `serde::Deserialize`
+     * @returns {string} Crate name
+     */
+    getImportedName(source) {
+        return source.replace(/^::/, '').split('::')[0];
+    }
+
+    /**
+     * Match a crate, honouring renamed dependencies
+     * @param {string} source - Use path
+     * @param {Map<string, Object>} packages - Crates by normalized name
+     * @returns {Object|null} Package record
+     */
+    findPackage(source, packages) {
+        const name = this.normalizeName(this.getImportedName(source));
+        return packages.get(name)
+            || [...packages.values()].find(pkg => pkg.importName && this.normalizeName(pkg.importName) === name)
+            || null;
+    }
+
+    /**
+     * Crate names are used in code with underscores instead of dashes
+     * @param {string} name - Crate name
+     * @returns {string} Normalized name
+     */
+    normalizeName(name) {
+        return name.replace(/-/g, '_');
+    }
+}
@@ -0,0 +1,157 @@
+/**
+ * @fileoverview composer.json and composer.lock parser
+ */
+
+import path from 'path';
+import { ManifestParser } from './ManifestParser.js';
+
+/**
+ * Parser for the PHP ecosystem
+ */
+export class ComposerManifestParser extends ManifestParser {
+    constructor() {
+        super();
+        this.ecosystem = 'composer';
+        this.languages = ['php'];
+        this.fileNames = ['composer.json', 'composer.lock'];
+    }
+
+    /**
+     * Parse composer.json and composer.lock
+     * @param {string} directory - Absolute directory path
+     * @param {string[]} fileNames - Detected file names in the directory
+     * @returns {Promise<Object>} Manifests, packages and internal namespaces
+     */
+    async parse(directory, fileNames) {
+        const manifests = [];
+        const internal = [];
+        let packages = [];
+        let license = null;
+
+        if (fileNames.includes('composer.json')) {
+            const manifestPath = path.join(directory, 'composer.json');
+            const manifest = await this.readJson(manifestPath);
+            if (manifest) {
+                manifests.push(this.createManifest(directory, 'composer.json', 'manifest'));
+                license = this.getLicense(manifest.license);
+                internal.push(...this.getNamespaces(manifest.autoload), ...this.getNamespaces(manifest['autoload-dev']));
+
+                [['require', 'runtime'], ['require-dev', 'dev']].forEach(([field, scope]) => {
+                    Object.entries(manifest[field] || {})
+                        .filter(([name]) => this.isPackageName(name))
+                        .forEach(([name, version]) => {
+                            if (packages.some(pkg => pkg.name === name)) return;
+                            packages.push(this.createPackage({ name, declaredVersion: version, scope, manifest: manifestPath, extra: { namespaces: [] } }));
+                        });
+                });
+            }
+        }
+
+        if (fileNames.includes('composer.lock')) {
+            const lockPath = path.join(directory, 'composer.lock');
+            const lock = await this.readJson(lockPath);
+            if (lock) {
+                manifests.push(this.createManifest(directory, 'composer.lock', 'lockfile'));
+                const locked = [['packages', 'runtime'], ['packages-dev', 'dev']].flatMap(([field, scope]) =>
+                    (lock[field] || []).map(entry => this.createPackage({
+                        name: entry.name,
+                        resolvedVersion: entry.version,
+                        scope,
+                        lockfile: lockPath,
+                        integrity: entry.dist && entry.dist.shasum ? `sha1-${entry.dist.shasum}` : null,
+                        license: this.getLicense(entry.license),
+                        extra: { namespaces: [...this.getNamespaces(entry.autoload)] }
+                    })));
+
+                // Namespaces are only known from the lock, copy them onto the declared packages
+                packages = this.mergeLocked(packages, locked);
+                packages.forEach(pkg => {
+                    const lockedPackage = locked.find(entry => entry.name === pkg.name);
+                    if (lockedPackage) pkg.namespaces = lockedPackage.namespaces;
+                });
+            }
+        }
+
+        return { manifests, packages, internal, license };
+    }
+
+    /**
+     * Get the namespaces of an autoload section
+     * @param {Object} [autoload] - composer autoload section
+     * @returns {string[]} Namespace prefixes without trailing backslash
+     * @private
+     */
+    getNamespaces(autoload = {}) {
+        return [...Object.keys(autoload['psr-4'] || {}), ...Object.keys(autoload['psr-0'] || {})]
+            .map(namespace => namespace.replace(/\\+$/, ''))
+            .filter(Boolean);
+    }
+
+    /**
+     * Platform requirements (php, ext-*, lib-*) are not packages
+     * @param {string} name - Requirement name
+     * @returns {boolean} True for vendor/package names
+     * @private
+     */
+    isPackageName(name) {
+        return name.includes('/');
+    }
+
+    /**
+     * Classes of the global namespace are built into PHP or its extensions
+     * @param {string} source - Imported class or namespace
+     * @returns {boolean} True for global names
+     */
+    isBuiltin(source) {
+        return !source.replace(/^\\/, '').includes('\\');
+    }
+
+    /**
+     * Namespaces autoloaded by the project itself
+     * @param {string} source - Imported class or namespace
+     * @param {string[]} internal - Project namespaces
+     * @returns {boolean} True for project namespaces
+     */
+    isInternal(source, internal) {
+        const name = source.replace(/^\\/, '');
+        return internal.some(namespace => name === namespace || name.startsWith(`${namespace}\\`));
+    }
+
+    /**
+     * Use the vendor and package segments of the namespace
+     * @param {string} source - Imported class such as `Symfony\Component\Console\Command`
+     * @returns {string} Namespace prefix such as `Symfony\Component`
+     */
+    getImportedName(source) {
+        return source.replace(/^\\/, '').split('\\').slice(0, 2).join('\\');
+    }
+
+    /**
+     * Match an import against the autoload namespaces from composer.lock, falling
+     * back to the vendor name when only composer.json is available
+     * @param {string} source - Imported class or namespace
+     * @param {Map<string, Object>} packages - Packages by name
+     * @returns {Object|null} Package record
+     */
+    findPackage(source, packages) {
+        const name = source.replace(/^\\/, '');
+        let best = null;
+        let bestLength = 0;
+
+        packages.forEach(pkg => {
+            (pkg.namespaces || []).forEach(namespace => {
+                if ((name === namespace || name.startsWith(`${namespace}\\`)) && namespace.length > bestLength) {
+                    best = pkg;
+                    bestLength = namespace.length;
+                }
+            });
+        });
+        if (best) return best;
+
+        // Monolog\Logger -> monolog/monolog, GuzzleHttp\Client -> guzzlehttp/guzzle
+        const [vendor, second = ''] = name.toLowerCase().split('\\');
+        const candidates = [...packages.values()].filter(pkg => pkg.name.split('/')[0].replace(/-/g, '') === vendor);
+        return candidates.find(pkg => pkg.name.split('/')[1].replace(/-/g, '') === second)
+            || (candidates.length === 1 ? candidates[0] : null);
+    }
+}
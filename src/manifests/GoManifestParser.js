@@ -0,0 +1,164 @@
+/**
+ * @fileoverview go.mod and go.sum parser
+ */
+
+import path from 'path';
+import { ManifestParser } from './ManifestParser.js';
+
+/**
+ * Parser for Go modules
+ */
+export class GoManifestParser extends ManifestParser {
+    constructor() {
+        super();
+        this.ecosystem = 'go';
+        this.languages = ['go'];
+        this.fileNames = ['go.mod', 'go.sum'];
+    }
+
+    /**
+     * Parse go.mod and the module hashes of go.sum
+     * @param {string} directory - Absolute directory path
+     * @param {string[]} fileNames - Detected file names in the directory
+     * @returns {Promise<Object>} Manifests, packages and the module path
+     */
+    async parse(directory, fileNames) {
+        const manifests = [];
+        const internal = [];
+        const packages = [];
+
+        if (!fileNames.includes('go.mod')) return { manifests, packages, internal };
+
+        const manifestPath = path.join(directory, 'go.mod');
+        const content = await this.readText(manifestPath);
+        if (content === null) return { manifests, packages, internal };
+
+        manifests.push(this.createManifest(directory, 'go.mod', 'manifest'));
+
+        const moduleMatch = content.match(/^module\s+(\S+)/m);
+        if (moduleMatch) internal.push(moduleMatch[1]);
+
+        const replaced = this.parseLocalReplacements(content);
+        const requirements = [];
+        const blockPattern = /^require\s*\(([\s\S]*?)^\)/gm;
+        const singlePattern = /^require\s+([^\s(]\S*)\s+(\S+)(.*)$/gm;
+        let match;
+
+        while ((match = blockPattern.exec(content)) !== null) {
+            match[1].split('\n').forEach(line => {
+                const spec = line.trim().match(/^(\S+)\s+(\S+)(.*)$/);
+                if (spec && !spec[1].startsWith('//')) requirements.push(spec);
+            });
+        }
+        while ((match = singlePattern.exec(content)) !== null) {
+            requirements.push(match);
+        }
+
+        const hashes = fileNames.includes('go.sum')
+            ? this.parseGoSum(await this.readText(path.join(directory, 'go.sum')) || '')
+            : new Map();
+        if (fileNames.includes('go.sum')) manifests.push(this.createManifest(directory, 'go.sum', 'lockfile'));
+
+        requirements.forEach(([, name, version, comment]) => {
+            if (replaced.has(name)) {
+                internal.push(name);
+                return;
+            }
+
+            // go.mod pins exact versions; indirect requirements are only needed by dependencies
+            packages.push(this.createPackage({
+                name,
+                declaredVersion: version,
+                resolvedVersion: version,
+                direct: !/\/\/\s*indirect/.test(comment),
+                manifest: manifestPath,
+                lockfile: hashes.has(`${name}@${version}`) ? path.join(directory, 'go.sum') : null,
+                integrity: hashes.get(`${name}@${version}`) || null
+            }));
+        });
+
+        return { manifests, packages, internal };
+    }
+
+    /**
+     * Get the modules replaced by local directories, which are part of the project
+     * @param {string} content - go.mod content
+     * @returns {Set<string>} Module paths
+     * @private
+     */
+    parseLocalReplacements(content) {
+        const replaced = new Set();
+        const pattern = /^\s*(?:replace\s+)?(\S+)(?:\s+\S+)?\s+=>\s+(\.{1,2}\/\S*|\/\S*)/gm;
+        let match;
+
+        while ((match = pattern.exec(content)) !== null) {
+            replaced.add(match[1]);
+        }
+
+        return replaced;
+    }
+
+    /**
+     * Read the module hashes of go.sum
+     * @param {string} content - go.sum content
+     * @returns {Map<string, string>} `module@version` to `h1:` hash
+     * @private
+     */
+    parseGoSum(content) {
+        const hashes = new Map();
+
+        content.split('\n').forEach(line => {
+            const [name, version, hash] = line.trim().split(/\s+/);
+            // Lines for version/go.mod hash only the module's go.mod file
+            if (name && version && hash && !version.endsWith('/go.mod')) hashes.set(`${name}@${version}`, hash);
+        });
+
+        return hashes;
+    }
+
+    /**
+     * Standard library packages have no dot in their first path element
+     * @param {string} source - Import path
+     * @returns {boolean} True for standard library packages
+     */
+    isBuiltin(source) {
+        return !source.split('/')[0].includes('.');
+    }
+
+    /**
+     * Packages below the module path (or a locally replaced module) belong to the project
+     * @param {string} source - Import path
+     * @param {string[]} internal - Module paths of the project
+     * @returns {boolean} True for project packages
+     */
+    isInternal(source, internal) {
+        return internal.some(module => source === module || source.startsWith(`${module}/`));
+    }
+
+    /**
+     * Use the first three path elements, the usual depth of a module path
+     * @param {string} source - Import path
+     * @returns {string} Probable module path
+     */
+    getImportedName(source) {
+        return source.split('/').slice(0, 3).join('/');
+    }
+
+    /**
+     * Match an import against the module with the longest path prefix
+     * @param {string} source - Import path
+     * @param {Map<string, Object>} packages - Modules by path
+     * @returns {Object|null} Package record
+     */
+    findPackage(source, packages) {
+        let best = null;
+
+        packages.forEach(pkg => {
+            if ((source === pkg.name || source.startsWith(`${pkg.name}/`)) && (!best || pkg.name.length > best.name.length)) {
+                best = pkg;
+            }
+        });
+
+        return best;
+    }
+}
@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Base class for package manifest and lockfile parsers
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { parse as parseToml } from 'smol-toml';
+
+/**
+ * Base class for manifest parsers.
+ *
+ * A parser claims the manifests and lockfiles of one ecosystem through detect() and
+ * turns the files of a directory into package records. It also maps the import
+ * sources of its languages to those packages, so the inventory can tell which
+ * files use each package.
+ *
+ * Package records are plain objects: { ecosystem, name, declaredVersion,
+ * resolvedVersion, scope, direct, manifest, lockfile, integrity, license }.
+ * scope is runtime, dev, optional or peer; direct is true for packages declared in
+ * a manifest, false for packages only found in a lockfile. A manifest can also
+ * declare the license of the project itself, reported next to its packages.
+ */
+export class ManifestParser {
+    constructor() {
+        this.ecosystem = 'generic';
+        this.languages = [];
+        this.fileNames = [];
+    }
+
+    /**
+     * Check whether this parser handles a file
+     * @param {string} fileName - Base name of the file
+     * @returns {boolean} True if the file is a manifest or lockfile of this ecosystem
+     */
+    detect(fileName) {
+        return this.fileNames.includes(fileName);
+    }
+
+    /**
+     * Parse the manifests and lockfiles of a directory
+     * @param {string} directory - Absolute directory path
+     * @param {string[]} fileNames - Detected file names in the directory
+     * @returns {Promise<Object>} { manifests, packages, internal, license } where internal lists the names the project
+     *     publishes itself and license is the license its manifests declare, or null
+     */
+    async parse(directory, fileNames) {
+        return { manifests: [], packages: [], internal: [], license: null };
+    }
+
+    /**
+     * Check whether an import refers to the language runtime or standard library
+     * @param {string} source - Import source
+     * @returns {boolean} True for built-in modules
+     */
+    isBuiltin(source) {
+        return false;
+    }
+
+    /**
+     * Check whether an import refers to a package of the project itself
+     * @param {string} source - Import source
+     * @param {string[]} internal - Names published by the project
+     * @returns {boolean} True for project-owned names
+     */
+    isInternal(source, internal) {
+        const name = this.getImportedName(source);
+        return internal.some(candidate => this.normalizeName(candidate) === this.normalizeName(name));
+    }
+
+    /**
+     * Get the package name an import refers to
+     * @param {string} source - Import source
+     * @returns {string} Package name as written in imports
+     */
+    getImportedName(source) {
+        return source;
+    }
+
+    /**
+     * Find the declared or locked package an import refers to
+     * @param {string} source - Import source
+     * @param {Map<string, Object>} packages - Packages of this ecosystem by normalized name
+     * @returns {Object|null} Package record
+     */
+    findPackage(source, packages) {
+        return packages.get(this.normalizeName(this.getImportedName(source))) || null;
+    }
+
+    /**
+     * Normalize a package name for comparisons
+     * @param {string} name - Package name
+     * @returns {string} Normalized name
+     */
+    normalizeName(name) {
+        return name;
+    }
+
+    /**
+     * Create a package record with defaults for missing fields
+     * @param {Object} fields - Package fields
+     * @returns {Object} Package record
+     */
+    createPackage(fields) {
+        return {
+            ecosystem: this.ecosystem,
+            name: fields.name,
+            declaredVersion: fields.declaredVersion || null,
+            resolvedVersion: fields.resolvedVersion || null,
+            scope: fields.scope || 'runtime',
+            direct: fields.direct !== undefined ? fields.direct : true,
+            manifest: fields.manifest || null,
+            lockfile: fields.lockfile || null,
+            integrity: fields.integrity || null,
+            license: fields.license || null,
+            ...(fields.extra || {})
+        };
+    }
+
+    /**
+     * Read a license field: an SPDX expression, a list of alternatives or an object with a type or text
+     * @param {string|string[]|Object|null} value - License field of a manifest
+     * @returns {string|null} License, null when missing
+     */
+    getLicense(value) {
+        if (!value) return null;
+        if (Array.isArray(value)) return value.map(entry => this.getLicense(entry)).filter(Boolean).join(' OR ') || null;
+        if (typeof value === 'object') return value.type || value.text || null;
+        return String(value).trim() || null;
+    }
+
+    /**
+     * Merge lockfile entries into the declared packages.
+     * The first locked version of a declared package resolves it; other locked
+     * packages (and other versions) are added as transitive dependencies.
+     * @param {Object[]} declared - Packages declared in manifests
+     * @param {Object[]} locked - Packages read from a lockfile, direct ones first
+     * @returns {Object[]} Merged packages
+     */
+    mergeLocked(declared, locked) {
+        const byName = new Map(declared.map(pkg => [this.normalizeName(pkg.name), pkg]));
+        const seen = new Set();
+        const merged = [...declared];
+
+        locked.forEach(lockedPackage => {
+            const existing = byName.get(this.normalizeName(lockedPackage.name));
+            const key = `${this.normalizeName(lockedPackage.name)}@${lockedPackage.resolvedVersion}`;
+
+            if (existing && !existing.resolvedVersion) {
+                existing.resolvedVersion = lockedPackage.resolvedVersion;
+                existing.lockfile = lockedPackage.lockfile;
+                existing.integrity = existing.integrity || lockedPackage.integrity;
+                existing.license = existing.license || lockedPackage.license;
+            } else if (!seen.has(key) && !(existing && existing.resolvedVersion === lockedPackage.resolvedVersion)) {
+                merged.push({ ...lockedPackage, direct: false, declaredVersion: null });
+            }
+
+            seen.add(key);
+        });
+
+        return merged;
+    }
+
+    /**
+     * Read a JSON file
+     * @param {string} filePath - File path
+     * @returns {Promise<Object|null>} Parsed content, null if the file is missing or invalid
+     */
+    async readJson(filePath) {
+        try {
+            return JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (await fs.pathExists(filePath)) {
+                console.warn(`Warning: Could not parse ${filePath}: ${error.message}`);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Read a text file
+     * @param {string} filePath - File path
+     * @returns {Promise<string|null>} Content, null if the file cannot be read
+     */
+    async readText(filePath) {
+        try {
+            return await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Read a TOML file
+     * @param {string} filePath - File path
+     * @returns {Promise<Object|null>} Parsed content, null if the file cannot be read or parsed
+     */
+    async readToml(filePath) {
+        const content = await this.readText(filePath);
+        if (content === null) return null;
+
+        try {
+            return parseToml(content);
+        } catch (error) {
+            console.warn(`Warning: Could not parse ${filePath}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Create a manifest entry
+     * @param {string} directory - Directory of the file
+     * @param {string} fileName - File name
+     * @param {string} kind - manifest or lockfile
+     * @returns {Object} Manifest entry with absolute path
+     */
+    createManifest(directory, fileName, kind) {
+        return { ecosystem: this.ecosystem, path: path.join(directory, fileName), kind };
+    }
+}
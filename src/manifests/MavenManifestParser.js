@@ -0,0 +1,238 @@
+/**
+ * @fileoverview pom.xml and build.gradle parser
+ */
+
+import path from 'path';
+import { ManifestParser } from './ManifestParser.js';
+
+/**
+ * Package prefixes provided by the JDK and the Kotlin standard library
+ */
+const BUILTIN_PREFIXES = ['java.', 'javax.', 'jdk.', 'sun.', 'com.sun.', 'org.w3c.dom', 'org.xml.sax', 'org.ietf.jgss', 'kotlin.'];
+
+/**
+ * Parser for Maven and Gradle builds
+ */
+export class MavenManifestParser extends ManifestParser {
+    constructor() {
+        super();
+        this.ecosystem = 'maven';
+        this.languages = ['java', 'kotlin'];
+        this.fileNames = ['pom.xml', 'build.gradle', 'build.gradle.kts'];
+    }
+
+    /**
+     * Parse pom.xml and build.gradle files
+     * @param {string} directory - Absolute directory path
+     * @param {string[]} fileNames - Detected file names in the directory
+     * @returns {Promise<Object>} Manifests, packages and the project group
+     */
+    async parse(directory, fileNames) {
+        const manifests = [];
+        const internal = [];
+        const packages = [];
+        let license = null;
+
+        for (const fileName of fileNames) {
+            const manifestPath = path.join(directory, fileName);
+            const content = await this.readText(manifestPath);
+            if (content === null) continue;
+
+            manifests.push(this.createManifest(directory, fileName, 'manifest'));
+            const parsed = fileName === 'pom.xml'
+                ? this.parsePom(content, manifestPath)
+                : this.parseGradle(content, manifestPath);
+
+            if (parsed.group) internal.push(parsed.group);
+            license = license || parsed.license || null;
+            parsed.packages
+                .filter(pkg => !packages.some(existing => existing.name === pkg.name))
+                .forEach(pkg => packages.push(pkg));
+        }
+
+        return { manifests, packages, internal, license };
+    }
+
+    /**
+     * Read the dependencies of a pom.xml, resolving `${property}` versions and
+     * versions managed in dependencyManagement
+     * @param {string} content - pom.xml content
+     * @param {string} manifestPath - File path
+     * @returns {{group: string|null, license: string|null, packages: Object[]}} Project group, license names and declared packages
+     * @private
+     */
+    parsePom(content, manifestPath) {
+        const xml = content.replace(/<!--[\s\S]*?-->/g, '');
+        const properties = {};
+        const propertiesBlock = xml.match(/<properties>([\s\S]*?)<\/properties>/);
+
+        if (propertiesBlock) {
+            const propertyPattern = /<([\w.-]+)>([^<]*)<\/\1>/g;
+            let match;
+            while ((match = propertyPattern.exec(propertiesBlock[1])) !== null) {
+                properties[match[1]] = match[2].trim();
+            }
+        }
+
+        const withoutParent = xml.replace(/<parent>[\s\S]*?<\/parent>/, '');
+        const header = withoutParent.split(/<dependencies>|<dependencyManagement>|<build>/)[0];
+        const group = this.getTag(header, 'groupId') || this.getTag(xml.match(/<parent>([\s\S]*?)<\/parent>/)?.[1] || '', 'groupId');
+        properties['project.groupId'] = group;
+        properties['project.version'] = this.getTag(header, 'version');
+
+        const resolve = value => (value || '').replace(/\$\{([^}]+)\}/g, (placeholder, name) => properties[name] || placeholder) || null;
+
+        const managementBlock = xml.match(/<dependencyManagement>([\s\S]*?)<\/dependencyManagement>/);
+        const managed = new Map(this.getDependencyBlocks(managementBlock ? managementBlock[1] : '')
+            .map(block => [`${resolve(this.getTag(block, 'groupId'))}:${this.getTag(block, 'artifactId')}`, resolve(this.getTag(block, 'version'))]));
+
+        // Plugins and managed versions are not dependencies of the project
+        const body = xml
+            .replace(/<dependencyManagement>[\s\S]*?<\/dependencyManagement>/g, '')
+            .replace(/<build>[\s\S]*?<\/build>/g, '');
+
+        const packages = this.getDependencyBlocks(body).map(block => {
+            const name = `${resolve(this.getTag(block, 'groupId'))}:${this.getTag(block, 'artifactId')}`;
+            const version = resolve(this.getTag(block, 'version')) || managed.get(name) || null;
+            const scope = this.getTag(block, 'scope');
+
+            return this.createPackage({
+                name,
+                declaredVersion: version,
+                // Maven versions are exact unless written as a range
+                resolvedVersion: version && !/[[\](),]|\$\{/.test(version) ? version : null,
+                scope: this.getTag(block, 'optional') === 'true' ? 'optional' : scope === 'test' ? 'dev' : 'runtime',
+                manifest: manifestPath
+            });
+        });
+
+        const licensesBlock = xml.match(/<licenses>([\s\S]*?)<\/licenses>/);
+        const license = this.getLicense((licensesBlock ? licensesBlock[1].match(/<license>[\s\S]*?<\/license>/g) || [] : [])
+            .map(block => this.getTag(block, 'name')));
+
+        return { group, license, packages };
+    }
+
+    /**
+     * Read the dependencies of a Groovy or Kotlin DSL build script
+     * @param {string} content - Build script content
+     * @param {string} manifestPath - File path
+     * @returns {{group: string|null, packages: Object[]}} Project group and declared packages
+     * @private
+     */
+    parseGradle(content, manifestPath) {
+        const code = content.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '');
+        const packages = [];
+        const groupMatch = code.match(/^\s*group\s*=?\s*["']([^"']+)["']/m);
+        const add = (configuration, group, artifact, version) => {
+            packages.push(this.createPackage({
+                name: `${group}:${artifact}`,
+                declaredVersion: version || null,
+                resolvedVersion: version && !/[+[\]()$]|latest/.test(version) ? version : null,
+                scope: /^(test|androidTest)/.test(configuration) ? 'dev' : /^compileOnly|annotationProcessor|^kapt/.test(configuration) ? 'optional' : 'runtime',
+                manifest: manifestPath
+            }));
+        };
+
+        // implementation 'g:a:v', testImplementation("g:a:v")
+        const notationPattern = /^\s*(\w+)\s*\(?\s*["']([^"':\s]+):([^"':\s]+)(?::([^"'@\s]+))?(?:@\w+)?["']/gm;
+        // implementation group: 'g', name: 'a', version: 'v'
+        const mapPattern = /^\s*(\w+)\s*\(?\s*group\s*[:=]\s*["']([^"']+)["']\s*,\s*name\s*[:=]\s*["']([^"']+)["'](?:\s*,\s*version\s*[:=]\s*["']([^"']+)["'])?/gm;
+        let match;
+
+        while ((match = notationPattern.exec(code)) !== null) {
+            if (!['classpath', 'id', 'plugin'].includes(match[1])) add(match[1], match[2], match[3], match[4]);
+        }
+        while ((match = mapPattern.exec(code)) !== null) {
+            add(match[1], match[2], match[3], match[4]);
+        }
+
+        return { group: groupMatch ? groupMatch[1] : null, packages };
+    }
+
+    /**
+     * Get the `<dependency>` blocks of an XML fragment
+     * @param {string} xml - XML content
+     * @returns {string[]} Dependency block contents
+     * @private
+     */
+    getDependencyBlocks(xml) {
+        return [...xml.matchAll(/<dependency>([\s\S]*?)<\/dependency>/g)].map(match => match[1]);
+    }
+
+    /**
+     * Get the text of the first occurrence of a tag
+     * @param {string} xml - XML content
+     * @param {string} tag - Tag name
+     * @returns {string|null} Trimmed text
+     * @private
+     */
+    getTag(xml, tag) {
+        const match = xml.match(new RegExp(`<${tag}>([^<]*)</${tag}>`));
+        return match ? match[1].trim() : null;
+    }
+
+    /**
+     * JDK and Kotlin standard library packages
+     * @param {string} source - Imported class or package
+     * @returns {boolean} True for built-in packages
+     */
+    isBuiltin(source) {
+        return BUILTIN_PREFIXES.some(prefix => source.startsWith(prefix));
+    }
+
+    /**
+     * Classes under the project group belong to the project
+     * @param {string} source - Imported class or package
+     * @param {string[]} internal - Project groups
+     * @returns {boolean} True for project classes
+     */
+    isInternal(source, internal) {
+        return internal.some(group => source === group || source.startsWith(`${group}.`));
+    }
+
+    /**
+     * Use the package segments before the class name, at most three
+     * @param {string} source - Imported class such as `org.apache.commons.lang3.StringUtils`
+     * @returns {string} Package prefix such as `org.apache.commons`
+     */
+    getImportedName(source) {
+        const segments = source.replace(/^static\s+/, '').split('.');
+        const classIndex = segments.findIndex(segment => /^[A-Z*]/.test(segment));
+        const packageSegments = classIndex === -1 ? segments : segments.slice(0, classIndex);
+        return packageSegments.slice(0, 3).join('.');
+    }
+
+    /**
+     * Match an import against group ids (org.slf4j.Logger -> org.slf4j:slf4j-api),
+     * then against artifact ids appearing in the package (com.google.gson -> com.google.code.gson:gson)
+     * @param {string} source - Imported class or package
+     * @param {Map<string, Object>} packages - Packages by `group:artifact`
+     * @returns {Object|null} Package record
+     */
+    findPackage(source, packages) {
+        const segments = source.split('.');
+        let best = null;
+        let bestScore = 0;
+
+        packages.forEach(pkg => {
+            const [group, artifact] = pkg.name.split(':');
+            const groupSegments = group.split('.');
+            let score = 0;
+
+            if (source.startsWith(`${group}.`)) {
+                score = groupSegments.length * 2;
+            } else if (segments[0] === groupSegments[0] && segments[1] === groupSegments[1]
+                && segments.slice(2).includes(artifact.split('-')[0])) {
+                score = 1;
+            }
+
+            if (score > bestScore) {
+                best = pkg;
+                bestScore = score;
+            }
+        });
+
+        return best;
+    }
+}
@@ -0,0 +1,294 @@
+/**
+ * @fileoverview package.json and npm, Yarn and pnpm lockfile parser
+ */
+
+import path from 'path';
+import { builtinModules } from 'module';
+import * as YAML from 'yaml';
+import { ManifestParser } from './ManifestParser.js';
+
+/**
+ * package.json dependency fields and their scope, in order of precedence
+ */
+const DEPENDENCY_FIELDS = [
+    ['dependencies', 'runtime'],
+    ['optionalDependencies', 'optional'],
+    ['devDependencies', 'dev'],
+    ['peerDependencies', 'peer']
+];
+
+/**
+ * Lockfiles in order of preference when a directory has several
+ */
+const LOCKFILES = ['package-lock.json', 'npm-shrinkwrap.json', 'pnpm-lock.yaml', 'yarn.lock'];
+
+/**
+ * Parser for the JavaScript/TypeScript ecosystem
+ */
+export class NpmManifestParser extends ManifestParser {
+    constructor() {
+        super();
+        this.ecosystem = 'npm';
+        this.languages = ['javascript', 'typescript'];
+        this.fileNames = ['package.json', ...LOCKFILES];
+        this.builtins = new Set(builtinModules);
+    }
+
+    /**
+     * Parse package.json and the first lockfile found next to it
+     * @param {string} directory - Absolute directory path
+     * @param {string[]} fileNames - Detected file names in the directory
+     * @returns {Promise<Object>} Manifests, packages and internal names
+     */
+    async parse(directory, fileNames) {
+        const manifests = [];
+        const internal = [];
+        let declared = [];
+        let license = null;
+
+        if (fileNames.includes('package.json')) {
+            const manifest = await this.readJson(path.join(directory, 'package.json'));
+            if (manifest) {
+                manifests.push(this.createManifest(directory, 'package.json', 'manifest'));
+                if (manifest.name) internal.push(manifest.name);
+                license = this.getLicense(manifest.license);
+                declared = this.parsePackageJson(manifest, path.join(directory, 'package.json'), internal);
+            }
+        }
+
+        const lockfile = LOCKFILES.find(name => fileNames.includes(name));
+        if (!lockfile) return { manifests, packages: declared, internal, license };
+
+        const lockPath = path.join(directory, lockfile);
+        const content = await this.readText(lockPath);
+        let locked = [];
+
+        try {
+            if (lockfile === 'pnpm-lock.yaml') locked = this.parsePnpmLock(YAML.parse(content) || {}, lockPath);
+            else if (lockfile === 'yarn.lock') locked = this.parseYarnLock(content, lockPath);
+            else locked = this.parsePackageLock(JSON.parse(content), lockPath);
+            manifests.push(this.createManifest(directory, lockfile, 'lockfile'));
+        } catch (error) {
+            console.warn(`Warning: Could not parse ${lockPath}: ${error.message}`);
+        }
+
+        return { manifests, packages: this.mergeLocked(declared, locked), internal, license };
+    }
+
+    /**
+     * Read the declared dependencies of a package.json
+     * @param {Object} manifest - Parsed package.json
+     * @param {string} manifestPath - Path of the package.json
+     * @param {string[]} internal - Receives workspace package names
+     * @returns {Object[]} Declared packages
+     * @private
+     */
+    parsePackageJson(manifest, manifestPath, internal) {
+        const packages = new Map();
+
+        DEPENDENCY_FIELDS.forEach(([field, scope]) => {
+            Object.entries(manifest[field] || {}).forEach(([name, version]) => {
+                // workspace:, file: and link: ranges point at packages of the project itself
+                if (/^(workspace|file|link):/.test(version)) {
+                    internal.push(name);
+                    return;
+                }
+                if (packages.has(name)) return;
+
+                packages.set(name, this.createPackage({ name, declaredVersion: version, scope, manifest: manifestPath }));
+            });
+        });
+
+        return Array.from(packages.values());
+    }
+
+    /**
+     * Read package-lock.json or npm-shrinkwrap.json (lockfile versions 1 to 3)
+     * @param {Object} lock - Parsed lockfile
+     * @param {string} lockPath - Lockfile path
+     * @returns {Object[]} Locked packages, top-level installs first
+     * @private
+     */
+    parsePackageLock(lock, lockPath) {
+        const locked = [];
+
+        if (lock.packages) {
+            Object.entries(lock.packages)
+                .filter(([key, entry]) => key.includes('node_modules/') && !entry.link)
+                // Hoisted installs are the ones imports resolve to
+                .sort(([a], [b]) => a.split('node_modules/').length - b.split('node_modules/').length)
+                .forEach(([key, entry]) => {
+                    locked.push(this.createPackage({
+                        name: entry.name || key.slice(key.lastIndexOf('node_modules/') + 'node_modules/'.length),
+                        resolvedVersion: entry.version,
+                        scope: entry.dev || entry.devOptional ? 'dev' : entry.optional ? 'optional' : entry.peer ? 'peer' : 'runtime',
+                        lockfile: lockPath,
+                        integrity: entry.integrity,
+                        license: entry.license
+                    }));
+                });
+
+            return locked;
+        }
+
+        // Lockfile version 1 nests transitive dependencies
+        const walk = dependencies => {
+            const nested = [];
+            Object.entries(dependencies || {}).forEach(([name, entry]) => {
+                locked.push(this.createPackage({
+                    name,
+                    resolvedVersion: entry.version,
+                    scope: entry.dev ? 'dev' : entry.optional ? 'optional' : 'runtime',
+                    lockfile: lockPath,
+                    integrity: entry.integrity
+                }));
+                if (entry.dependencies) nested.push(entry.dependencies);
+            });
+            nested.forEach(walk);
+        };
+        walk(lock.dependencies);
+
+        return locked;
+    }
+
+    /**
+     * Read yarn.lock, both the classic format and the YAML format of Yarn 2+
+     * @param {string} content - Lockfile content
+     * @param {string} lockPath - Lockfile path
+     * @returns {Object[]} Locked packages
+     * @private
+     */
+    parseYarnLock(content, lockPath) {
+        if (/^__metadata:/m.test(content)) {
+            const lock = YAML.parse(content) || {};
+            return Object.entries(lock)
+                .filter(([key, entry]) => key !== '__metadata' && entry && entry.linkType !== 'soft')
+                .map(([key, entry]) => this.createPackage({
+                    name: this.parseSelectorName(key.split(',')[0].trim()),
+                    resolvedVersion: String(entry.version),
+                    lockfile: lockPath,
+                    integrity: entry.checksum || null
+                }));
+        }
+
+        const locked = [];
+        let current = null;
+
+        content.split('\n').forEach(line => {
+            if (!line.trim() || line.startsWith('#')) return;
+
+            if (!line.startsWith(' ')) {
+                // "lodash@^4.17.0", lodash@^4.17.21:
+                const selector = line.replace(/:$/, '').split(',')[0].trim().replace(/^"|"$/g, '');
+                current = { name: this.parseSelectorName(selector) };
+                locked.push(current);
+                return;
+            }
+
+            const field = line.trim().match(/^(\w+)\s+"?([^"]*)"?$/);
+            if (current && field) current[field[1]] = field[2];
+        });
+
+        return locked
+            .filter(entry => entry.version)
+            .map(entry => this.createPackage({
+                name: entry.name,
+                resolvedVersion: entry.version,
+                lockfile: lockPath,
+                integrity: entry.integrity || null
+            }));
+    }
+
+    /**
+     * Read pnpm-lock.yaml (lockfile versions 5 to 9)
+     * @param {Object} lock - Parsed lockfile
+     * @param {string} lockPath - Lockfile path
+     * @returns {Object[]} Locked packages, direct dependencies of the root importer first
+     * @private
+     */
+    parsePnpmLock(lock, lockPath) {
+        const root = (lock.importers && lock.importers['.']) || lock;
+        const direct = new Set();
+
+        ['dependencies', 'devDependencies', 'optionalDependencies'].forEach(field => {
+            Object.entries(root[field] || {}).forEach(([name, value]) => {
+                const version = typeof value === 'object' ? value.version : value;
+                direct.add(`${name}@${String(version).replace(/[(_].*$/, '')}`);
+            });
+        });
+
+        const locked = Object.entries(lock.packages || {}).map(([key, entry]) => {
+            const { name, version } = this.parsePnpmKey(key);
+            return this.createPackage({
+                name,
+                resolvedVersion: version,
+                scope: entry.dev === true ? 'dev' : entry.optional ? 'optional' : 'runtime',
+                lockfile: lockPath,
+                integrity: entry.resolution ? entry.resolution.integrity : null
+            });
+        });
+
+        return locked.sort((a, b) =>
+            Number(direct.has(`${b.name}@${b.resolvedVersion}`)) - Number(direct.has(`${a.name}@${a.resolvedVersion}`)));
+    }
+
+    /**
+     * Split a pnpm package key into name and version
+     * @param {string} key - Key such as `/lodash/4.17.21`, `/@types/node@20.1.0(typescript@5.0.0)` or `lodash@4.17.21`
+     * @returns {{name: string, version: string}} Name and version
+     * @private
+     */
+    parsePnpmKey(key) {
+        const clean = key.replace(/^\//, '').replace(/\(.*$/, '');
+        const at = clean.lastIndexOf('@');
+
+        if (at > 0) {
+            return { name: clean.slice(0, at), version: clean.slice(at + 1).replace(/_.*$/, '') };
+        }
+
+        // Lockfile v5: name/version
+        const slash = clean.lastIndexOf('/');
+        return { name: clean.slice(0, slash), version: clean.slice(slash + 1).replace(/_.*$/, '') };
+    }
+
+    /**
+     * Get the package name of a Yarn selector
+     * @param {string} selector - Selector such as `@babel/core@^7.0.0` or `lodash@npm:^4.17.0`
+     * @returns {string} Package name
+     * @private
+     */
+    parseSelectorName(selector) {
+        const clean = selector.replace(/^"|"$/g, '');
+        const at = clean.indexOf('@', 1);
+        return at === -1 ? clean : clean.slice(0, at);
+    }
+
+    /**
+     * Node.js core modules, with or without the `node:` prefix, and other scheme imports
+     * @param {string} source - Import source
+     * @returns {boolean} True for built-in modules
+     */
+    isBuiltin(source) {
+        return /^[a-z]+:/.test(source) || this.builtins.has(source) || this.builtins.has(source.split('/')[0]);
+    }
+
+    /**
+     * Subpath imports (`#internal`) belong to the project
+     * @param {string} source - Import source
+     * @param {string[]} internal - Names published by the project
+     * @returns {boolean} True for project-owned names
+     */
+    isInternal(source, internal) {
+        return source.startsWith('#') || super.isInternal(source, internal);
+    }
+
+    /**
+     * Strip the subpath from a bare specifier
+     * @param {string} source - Import source such as `@scope/pkg/sub` or `pkg/sub`
+     * @returns {string} Package name
+     */
+    getImportedName(source) {
+        const parts = source.split('/');
+        return source.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+    }
+}
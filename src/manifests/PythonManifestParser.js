@@ -0,0 +1,288 @@
+/**
+ * @fileoverview requirements.txt, pyproject.toml and poetry.lock parser
+ */
+
+import path from 'path';
+import { ManifestParser } from './ManifestParser.js';
+
+/**
+ * Top-level modules of the Python standard library
+ */
+const STDLIB_MODULES = new Set([
+    '__future__', '_thread', 'abc', 'aifc', 'argparse', 'array', 'ast', 'asynchat', 'asyncio', 'asyncore',
+    'atexit', 'audioop', 'base64', 'bdb', 'binascii', 'bisect', 'builtins', 'bz2', 'calendar', 'cgi', 'cgitb',
+    'chunk', 'cmath', 'cmd', 'code', 'codecs', 'codeop', 'collections', 'colorsys', 'compileall', 'concurrent',
+    'configparser', 'contextlib', 'contextvars', 'copy', 'copyreg', 'cProfile', 'crypt', 'csv', 'ctypes', 'curses',
+    'dataclasses', 'datetime', 'dbm', 'decimal', 'difflib', 'dis', 'doctest', 'email', 'encodings', 'ensurepip',
+    'enum', 'errno', 'faulthandler', 'fcntl', 'filecmp', 'fileinput', 'fnmatch', 'fractions', 'ftplib', 'functools',
+    'gc', 'getopt', 'getpass', 'gettext', 'glob', 'graphlib', 'grp', 'gzip', 'hashlib', 'heapq', 'hmac', 'html',
+    'http', 'imaplib', 'imghdr', 'imp', 'importlib', 'inspect', 'io', 'ipaddress', 'itertools', 'json', 'keyword',
+    'lib2to3', 'linecache', 'locale', 'logging', 'lzma', 'mailbox', 'mailcap', 'marshal', 'math', 'mimetypes',
+    'mmap', 'modulefinder', 'msvcrt', 'multiprocessing', 'netrc', 'nntplib', 'ntpath', 'numbers', 'operator',
+    'optparse', 'os', 'pathlib', 'pdb', 'pickle', 'pickletools', 'pipes', 'pkgutil', 'platform', 'plistlib',
+    'poplib', 'posix', 'posixpath', 'pprint', 'profile', 'pstats', 'pty', 'pwd', 'py_compile', 'pyclbr', 'pydoc',
+    'queue', 'quopri', 'random', 're', 'readline', 'reprlib', 'resource', 'rlcompleter', 'runpy', 'sched',
+    'secrets', 'select', 'selectors', 'shelve', 'shlex', 'shutil', 'signal', 'site', 'smtplib', 'sndhdr', 'socket',
+    'socketserver', 'sqlite3', 'ssl', 'stat', 'statistics', 'string', 'stringprep', 'struct', 'subprocess', 'sunau',
+    'symtable', 'sys', 'sysconfig', 'syslog', 'tabnanny', 'tarfile', 'telnetlib', 'tempfile', 'termios', 'textwrap',
+    'threading', 'time', 'timeit', 'tkinter', 'token', 'tokenize', 'tomllib', 'trace', 'traceback', 'tracemalloc',
+    'tty', 'turtle', 'types', 'typing', 'unicodedata', 'unittest', 'urllib', 'uu', 'uuid', 'venv', 'warnings',
+    'wave', 'weakref', 'webbrowser', 'winreg', 'winsound', 'wsgiref', 'xdrlib', 'xml', 'xmlrpc', 'zipapp',
+    'zipfile', 'zipimport', 'zlib', 'zoneinfo'
+]);
+
+/**
+ * Distributions whose import name differs from the package name
+ */
+const IMPORT_ALIASES = {
+    attr: 'attrs',
+    bs4: 'beautifulsoup4',
+    crypto: 'pycryptodome',
+    cv2: 'opencv-python',
+    dateutil: 'python-dateutil',
+    docx: 'python-docx',
+    dotenv: 'python-dotenv',
+    jwt: 'pyjwt',
+    magic: 'python-magic',
+    mysqldb: 'mysqlclient',
+    openssl: 'pyopenssl',
+    pil: 'pillow',
+    pptx: 'python-pptx',
+    serial: 'pyserial',
+    sklearn: 'scikit-learn',
+    yaml: 'pyyaml'
+};
+
+/**
+ * Parser for the Python ecosystem
+ */
+export class PythonManifestParser extends ManifestParser {
+    constructor() {
+        super();
+        this.ecosystem = 'pypi';
+        this.languages = ['python'];
+        this.fileNames = ['pyproject.toml', 'poetry.lock'];
+    }
+
+    /**
+     * Also claim requirements files such as requirements-dev.txt
+     * @param {string} fileName - Base name of the file
+     * @returns {boolean} True for Python manifests
+     */
+    detect(fileName) {
+        return super.detect(fileName) || /requirements.*\.txt$/.test(fileName);
+    }
+
+    /**
+     * Parse requirements files, pyproject.toml and poetry.lock
+     * @param {string} directory - Absolute directory path
+     * @param {string[]} fileNames - Detected file names in the directory
+     * @returns {Promise<Object>} Manifests, packages and internal names
+     */
+    async parse(directory, fileNames) {
+        const manifests = [];
+        const internal = [];
+        const declared = new Map();
+        let license = null;
+        const add = pkg => {
+            if (!declared.has(this.normalizeName(pkg.name))) declared.set(this.normalizeName(pkg.name), pkg);
+        };
+
+        // Runtime requirements first, so a package listed in both keeps the runtime scope
+        const requirementFiles = fileNames
+            .filter(name => name.endsWith('.txt'))
+            .sort((a, b) => Number(this.isDevRequirements(a)) - Number(this.isDevRequirements(b)));
+
+        for (const fileName of requirementFiles) {
+            const content = await this.readText(path.join(directory, fileName));
+            if (content === null) continue;
+
+            manifests.push(this.createManifest(directory, fileName, 'manifest'));
+            this.parseRequirements(content, path.join(directory, fileName), this.isDevRequirements(fileName) ? 'dev' : 'runtime')
+                .forEach(add);
+        }
+
+        if (fileNames.includes('pyproject.toml')) {
+            const pyproject = await this.readToml(path.join(directory, 'pyproject.toml'));
+            if (pyproject) {
+                manifests.push(this.createManifest(directory, 'pyproject.toml', 'manifest'));
+                const name = (pyproject.project && pyproject.project.name) || (pyproject.tool && pyproject.tool.poetry && pyproject.tool.poetry.name);
+                if (name) internal.push(name);
+                license = this.getLicense((pyproject.project && pyproject.project.license) || (pyproject.tool && pyproject.tool.poetry && pyproject.tool.poetry.license));
+                this.parsePyproject(pyproject, path.join(directory, 'pyproject.toml')).forEach(add);
+            }
+        }
+
+        let packages = Array.from(declared.values());
+
+        if (fileNames.includes('poetry.lock')) {
+            const lockPath = path.join(directory, 'poetry.lock');
+            const lock = await this.readToml(lockPath);
+            if (lock) {
+                manifests.push(this.createManifest(directory, 'poetry.lock', 'lockfile'));
+                packages = this.mergeLocked(packages, this.parsePoetryLock(lock, lockPath));
+            }
+        }
+
+        return { manifests, packages, internal, license };
+    }
+
+    /**
+     * Check whether a requirements file lists development dependencies
+     * @param {string} fileName - File name
+     * @returns {boolean} True for dev/test requirements
+     * @private
+     */
+    isDevRequirements(fileName) {
+        return /dev|test|lint|doc/i.test(fileName);
+    }
+
+    /**
+     * Read a requirements.txt file
+     * @param {string} content - File content
+     * @param {string} manifestPath - File path
+     * @param {string} scope - Scope of the listed packages
+     * @returns {Object[]} Declared packages
+     * @private
+     */
+    parseRequirements(content, manifestPath, scope) {
+        return content.split('\n')
+            .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+            // Options (-r, -e, --index-url) and direct URLs are not package requirements
+            .filter(line => line && !line.startsWith('-') && !/^\w+:\/\//.test(line))
+            .map(line => this.parseRequirement(line, manifestPath, scope))
+            .filter(Boolean);
+    }
+
+    /**
+     * Parse a PEP 508 requirement such as `requests[socks]>=2.28,<3 ; python_version > "3.8"`
+     * @param {string} requirement - Requirement string
+     * @param {string} manifestPath - Declaring manifest
+     * @param {string} scope - Package scope
+     * @returns {Object|null} Package record
+     * @private
+     */
+    parseRequirement(requirement, manifestPath, scope) {
+        const match = requirement.match(/^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(?:\[[^\]]*\])?\s*\(?([^;@)]*)\)?/);
+        if (!match) return null;
+
+        const version = match[2].trim();
+        const pinned = version.match(/^===?\s*([^,\s]+)$/);
+
+        return this.createPackage({
+            name: match[1],
+            declaredVersion: version || null,
+            resolvedVersion: pinned ? pinned[1] : null,
+            scope,
+            manifest: manifestPath
+        });
+    }
+
+    /**
+     * Read the dependencies of pyproject.toml (PEP 621, PEP 735 and Poetry)
+     * @param {Object} pyproject - Parsed pyproject.toml
+     * @param {string} manifestPath - File path
+     * @returns {Object[]} Declared packages
+     * @private
+     */
+    parsePyproject(pyproject, manifestPath) {
+        const packages = [];
+        const project = pyproject.project || {};
+        const poetry = (pyproject.tool && pyproject.tool.poetry) || {};
+        const fromRequirements = (list, scope) => (list || [])
+            .filter(item => typeof item === 'string')
+            .forEach(item => {
+                const pkg = this.parseRequirement(item, manifestPath, scope);
+                if (pkg) packages.push(pkg);
+            });
+        const fromPoetry = (table, scope) => Object.entries(table || {})
+            .filter(([name]) => name.toLowerCase() !== 'python')
+            .forEach(([name, spec]) => {
+                // Path and Git dependencies point at local or unpublished code
+                if (spec && typeof spec === 'object' && (spec.path || spec.git)) return;
+                const version = typeof spec === 'string' ? spec : (spec && spec.version) || null;
+                const optional = spec && typeof spec === 'object' && spec.optional;
+                packages.push(this.createPackage({ name, declaredVersion: version, scope: optional ? 'optional' : scope, manifest: manifestPath }));
+            });
+
+        fromRequirements(project.dependencies, 'runtime');
+        fromPoetry(poetry.dependencies, 'runtime');
+        Object.values(project['optional-dependencies'] || {}).forEach(list => fromRequirements(list, 'optional'));
+        fromRequirements(Object.values(pyproject['dependency-groups'] || {}).flat(), 'dev');
+        fromPoetry(poetry['dev-dependencies'], 'dev');
+        Object.values(poetry.group || {}).forEach(group => fromPoetry(group.dependencies, 'dev'));
+
+        return packages;
+    }
+
+    /**
+     * Read poetry.lock
+     * @param {Object} lock - Parsed lockfile
+     * @param {string} lockPath - Lockfile path
+     * @returns {Object[]} Locked packages
+     * @private
+     */
+    parsePoetryLock(lock, lockPath) {
+        const legacyHashes = (lock.metadata && lock.metadata.files) || {};
+
+        return (lock.package || []).map(entry => {
+            const files = entry.files || legacyHashes[entry.name] || [];
+            return this.createPackage({
+                name: entry.name,
+                resolvedVersion: entry.version,
+                scope: entry.category === 'dev' ? 'dev' : entry.optional ? 'optional' : 'runtime',
+                lockfile: lockPath,
+                integrity: files.length > 0 ? files[0].hash : null
+            });
+        });
+    }
+
+    /**
+     * Standard library modules
+     * @param {string} source - Import source
+     * @returns {boolean} True for standard library modules
+     */
+    isBuiltin(source) {
+        return STDLIB_MODULES.has(source.split('.')[0]);
+    }
+
+    /**
+     * Get the top-level module of an import
+     * @param {string} source - Import source such as `google.cloud.storage`
+     * @returns {string} Top-level module
+     */
+    getImportedName(source) {
+        return source.split('.')[0];
+    }
+
+    /**
+     * Match an import against distribution names: the dotted prefixes of the module
+     * (google.cloud.storage -> google-cloud-storage), then known import aliases
+     * @param {string} source - Import source
+     * @param {Map<string, Object>} packages - Packages by normalized name
+     * @returns {Object|null} Package record
+     */
+    findPackage(source, packages) {
+        const parts = source.split('.');
+
+        for (let i = parts.length; i > 0; i--) {
+            const found = packages.get(this.normalizeName(parts.slice(0, i).join('-')));
+            if (found) return found;
+        }
+
+        const alias = IMPORT_ALIASES[parts[0].toLowerCase()];
+        return (alias && packages.get(alias))
+            || packages.get(`python-${this.normalizeName(parts[0])}`)
+            || packages.get(`${this.normalizeName(parts[0])}-binary`)
+            || null;
+    }
+
+    /**
+     * Normalize a distribution name as defined by PEP 503
+     * @param {string} name - Package name
+     * @returns {string} Normalized name
+     */
+    normalizeName(name) {
+        return name.toLowerCase().replace(/[-_.]+/g, '-');
+    }
+}
@@ -38,6 +38,11 @@ export class File {
      * @param {number} [config.lineCount=0] - Number of lines in the file
      * @param {number} [config.complexity=1] - Complexity level from 1-10
      * @param {number} [config.size=0] - File size in bytes
+     * @param {string|null} [config.hash=null] - Content hash, used for incremental re-indexing
+     * @param {Object|null} [config.metadata=null] - Detailed analysis (imports, exports, classes, functions)
+     * @param {string|null} [config.aiDetailedDoc=null] - AI-generated detailed documentation
+     * @param {number} [config.aiChunks=0] - Chunks the content was split into for AI summaries, 0 when it fit in one prompt
+     * @param {Object|null} [config.aiDetails=null] - Structured AI description: responsibilities, keySymbols, sideEffects, tags
      */
     constructor(config) {
         this.path = config.path;
@@ -50,6 +55,11 @@ export class File {
         this.extension = this.getExtension();
         this.language = this.detectLanguage();
         this.lastModified = config.lastModified || new Date();
+        this.hash = config.hash || null;
+        this.metadata = config.metadata || null;
+        this.aiDetailedDoc = config.aiDetailedDoc || null;
+        this.aiChunks = config.aiChunks || 0;
+        this.aiDetails = config.aiDetails || null;
     }
 
     /**
@@ -277,7 +287,12 @@ export class File {
             size: this.size,
             extension: this.extension,
             language: this.language,
-            lastModified: this.lastModified
+            lastModified: this.lastModified,
+            hash: this.hash,
+            metadata: this.metadata,
+            aiDetailedDoc: this.aiDetailedDoc,
+            aiChunks: this.aiChunks,
+            aiDetails: this.aiDetails
         };
     }
 
@@ -13,12 +13,14 @@ export class Folder {
      * @param {boolean} [config.include=true] - Whether to include this folder in indexing
      * @param {string} [config.description=''] - Folder description
      * @param {number} [config.depth=0] - Folder depth from root
+     * @param {Object|null} [config.aiDetails=null] - Structured AI description: responsibilities, tags
      */
     constructor(config) {
         this.path = config.path;
         this.include = config.include !== undefined ? config.include : true;
         this.description = config.description || '';
         this.depth = config.depth || 0;
+        this.aiDetails = config.aiDetails || null;
         this.files = [];
         this.subfolders = [];
         this.fileCount = 0;
@@ -126,6 +128,7 @@ export class Folder {
             include: this.include,
             description: this.description,
             depth: this.depth,
+            aiDetails: this.aiDetails,
             fileCount: this.fileCount,
             totalSize: this.totalSize,
             files: this.files.map(file => file.toObject()),
@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Base class for LLM providers
+ */
+
+/**
+ * Base class for LLM providers.
+ *
+ * A provider turns prompts into completions for one kind of server. Subclasses
+ * implement chat() and, when the server offers it, embed(); generate() sends a
+ * single user message through chat() unless the server has a dedicated endpoint.
+ *
+ * Provider settings come from the `ai.provider` configuration section merged over
+ * the `ollama` block: { type, model, baseUrl, apiKey, timeout, contextLength,
+ * capabilities } plus provider-specific fields.
+ */
+export class LLMProvider {
+    /**
+     * Create a provider
+     * @param {Object} [config] - Provider settings
+     */
+    constructor(config = {}) {
+        this.name = 'generic';
+        this.config = config;
+        this.model = config.model;
+        this.baseUrl = config.baseUrl ? config.baseUrl.replace(/\/+$/, '') : null;
+        this.timeout = config.timeout || 30000;
+        this.capabilities = {
+            contextLength: 4096,
+            jsonMode: false,
+            streaming: false,
+            embeddings: false
+        };
+    }
+
+    /**
+     * Report what the provider supports, configured overrides included
+     * @returns {{contextLength: number, jsonMode: boolean, streaming: boolean, embeddings: boolean}} Capabilities
+     */
+    getCapabilities() {
+        return {
+            ...this.capabilities,
+            ...(this.config.contextLength ? { contextLength: this.config.contextLength } : {}),
+            ...(this.config.capabilities || {})
+        };
+    }
+
+    /**
+     * Generate a completion for a prompt
+     * @param {string} prompt - Input prompt
+     * @param {Object} [options] - Generation options
+     * @param {string} [options.system] - System prompt
+     * @param {number} [options.temperature] - Sampling temperature
+     * @param {number} [options.maxTokens] - Maximum number of generated tokens
+     * @param {boolean} [options.json] - Ask for a JSON response
+     * @param {Object} [options.schema] - JSON schema of the response, enforced by servers supporting it
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @param {Function} [options.onToken] - Receives each piece of the completion as it arrives; the response is
+     *     streamed when set and the provider supports streaming
+     * @returns {Promise<string>} Completion text
+     */
+    async generate(prompt, options = {}) {
+        const messages = options.system
+            ? [{ role: 'system', content: options.system }, { role: 'user', content: prompt }]
+            : [{ role: 'user', content: prompt }];
+
+        return this.chat(messages, options);
+    }
+
+    /**
+     * Generate the next assistant message of a conversation
+     * @param {Object[]} messages - Messages: { role: system|user|assistant, content }
+     * @param {Object} [options] - Generation options, see generate()
+     * @returns {Promise<string>} Assistant message text
+     */
+    async chat(messages, options = {}) {
+        throw new Error(`The ${this.name} provider does not support chat`);
+    }
+
+    /**
+     * Compute embedding vectors
+     * @param {string[]} texts - Texts to embed
+     * @param {Object} [options] - Embedding options
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<number[][]>} One vector per text
+     */
+    async embed(texts, options = {}) {
+        throw new Error(`The ${this.name} provider does not support embeddings`);
+    }
+
+    /**
+     * List the models offered by the server
+     * @returns {Promise<string[]>} Model names
+     */
+    async listModels() {
+        return [];
+    }
+
+    /**
+     * Check that the server answers
+     * @returns {Promise<boolean>} True if the server is reachable
+     */
+    async testConnection() {
+        try {
+            await this.listModels();
+            return true;
+        } catch (error) {
+            console.warn(`Warning: ${this.name} connection test failed: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Model identifier used in AI cache keys, so responses of different providers are not mixed
+     * @returns {string} Provider and model name
+     */
+    getCacheModel() {
+        return `${this.name}:${this.model}`;
+    }
+
+    /**
+     * Read a streamed response line by line
+     * @param {import('stream').Readable} stream - Response stream
+     * @param {Function} onLine - Receives each non-empty line, trimmed; may throw to stop reading
+     * @returns {Promise<void>}
+     */
+    async readLines(stream, onLine) {
+        stream.setEncoding('utf8');
+        let buffer = '';
+
+        for await (const chunk of stream) {
+            buffer += chunk;
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.map(line => line.trim()).filter(Boolean).forEach(onLine);
+        }
+
+        if (buffer.trim()) onLine(buffer.trim());
+    }
+
+    /**
+     * Read the body of a failed streamed request, so toRequestError() can report the server message
+     * @param {Error} error - Axios error
+     * @returns {Promise<Error>} The same error, its response data parsed
+     */
+    async readErrorBody(error) {
+        const data = error.response && error.response.data;
+        if (!data || typeof data.pipe !== 'function') return error;
+
+        let text = '';
+        try {
+            data.setEncoding('utf8');
+            for await (const chunk of data) text += chunk;
+            error.response.data = JSON.parse(text);
+        } catch (parseError) {
+            error.response.data = text ? { error: text.trim() } : {};
+        }
+
+        return error;
+    }
+
+    /**
+     * Turn a request failure into a readable error.
+     * The error keeps the network error `code` and the HTTP `status`, which tell whether a retry can help.
+     * @param {Error} error - Axios error
+     * @param {string} label - Server label used in messages
+     * @returns {Error} Error to throw
+     */
+    toRequestError(error, label) {
+        let message;
+
+        if (error.code === 'ECONNREFUSED') {
+            message = `${label} server is not running at ${this.baseUrl}`;
+        } else if (error.response) {
+            const data = error.response.data || {};
+            const detail = typeof data.error === 'string' ? data.error : data.error?.message || 'Unknown error';
+            message = `${label} API error: ${error.response.status} - ${detail}`;
+        } else {
+            message = `${label} request failed: ${error.message}`;
+        }
+
+        return Object.assign(new Error(message), {
+            code: error.code,
+            status: error.response ? error.response.status : undefined
+        });
+    }
+}
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Deterministic provider for tests and offline runs
+ */
+
+import crypto from 'crypto';
+import { LLMProvider } from './LLMProvider.js';
+
+/**
+ * Provider answering without any server. The same prompt always gets the same answer.
+ *
+ * In `mock` mode (default) the answer names a short hash of the prompt; in `echo`
+ * mode the prompt itself is returned. JSON requests with a schema get an object
+ * matching it, its strings set to the answer. Streamed answers arrive one word at a
+ * time. Embeddings are derived from the text hash.
+ */
+export class MockProvider extends LLMProvider {
+    /**
+     * Create a mock provider
+     * @param {Object} [config] - Provider settings
+     * @param {string} [config.mode='mock'] - Answer mode: mock or echo
+     * @param {number} [config.dimensions=16] - Embedding vector length
+     */
+    constructor(config = {}) {
+        super({ model: 'mock', ...config });
+        this.name = 'mock';
+        this.mode = config.mode || 'mock';
+        this.dimensions = config.dimensions || 16;
+        this.capabilities = {
+            contextLength: 8192,
+            jsonMode: true,
+            streaming: true,
+            embeddings: true
+        };
+
+        if (!['mock', 'echo'].includes(this.mode)) {
+            throw new Error(`Invalid mock provider mode: ${this.mode}. Valid options: mock, echo`);
+        }
+    }
+
+    /**
+     * Answer the last user message
+     * @param {Object[]} messages - Conversation messages
+     * @param {Object} [options] - Generation options, see LLMProvider.generate()
+     * @returns {Promise<string>} Deterministic answer
+     */
+    async chat(messages, options = {}) {
+        const prompt = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+        const text = this.mode === 'echo'
+            ? prompt
+            : `Mock response ${this.hash(prompt).slice(0, 8)} for a ${prompt.length}-character prompt.`;
+
+        const response = options.json
+            ? JSON.stringify(options.schema ? this.sample(options.schema, text) : { response: text })
+            : text;
+
+        if (options.onToken && this.getCapabilities().streaming) {
+            (response.match(/\S+\s*/g) || []).forEach(piece => options.onToken(piece));
+        }
+
+        return response;
+    }
+
+    /**
+     * Build a value matching a response schema
+     * @param {Object} schema - JSON schema
+     * @param {string} text - Answer used for strings
+     * @returns {*} Sample value, arrays are empty
+     * @private
+     */
+    sample(schema, text) {
+        switch (schema.type) {
+            case 'object':
+                return Object.fromEntries(Object.entries(schema.properties || {})
+                    .map(([name, propertySchema]) => [name, this.sample(propertySchema, text)]));
+            case 'array':
+                return [];
+            case 'number':
+            case 'integer':
+                return 0;
+            case 'boolean':
+                return false;
+            default:
+                return text;
+        }
+    }
+
+    /**
+     * Derive unit-length vectors from the text hash
+     * @param {string[]} texts - Texts to embed
+     * @returns {Promise<number[][]>} One vector per text
+     */
+    async embed(texts) {
+        return texts.map(text => {
+            const digest = Buffer.from(this.hash(text), 'hex');
+            const vector = Array.from({ length: this.dimensions }, (value, index) => digest[index % digest.length] / 255 - 0.5);
+            const norm = Math.sqrt(vector.reduce((sum, component) => sum + component * component, 0)) || 1;
+            return vector.map(component => component / norm);
+        });
+    }
+
+    /**
+     * The mock model is always available
+     * @returns {Promise<string[]>} Model names
+     */
+    async listModels() {
+        return [this.model];
+    }
+
+    /**
+     * Hash a text
+     * @param {string} text - Text to hash
+     * @returns {string} Hex encoded SHA-256 hash
+     * @private
+     */
+    hash(text) {
+        return crypto.createHash('sha256').update(text).digest('hex');
+    }
+}
@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Ollama provider using the generate or chat endpoint
+ */
+
+import axios from 'axios';
+import { LLMProvider } from './LLMProvider.js';
+
+/**
+ * Provider for an Ollama server
+ */
+export class OllamaProvider extends LLMProvider {
+    /**
+     * Create an Ollama provider
+     * @param {Object} [config] - Provider settings
+     * @param {string} [config.endpoint='generate'] - Endpoint used by generate(): generate or chat
+     */
+    constructor(config = {}) {
+        super({ baseUrl: 'http://localhost:11434', ...config });
+        this.name = 'ollama';
+        this.endpoint = config.endpoint || 'generate';
+        this.capabilities = {
+            contextLength: 4096,
+            jsonMode: true,
+            streaming: true,
+            embeddings: true
+        };
+    }
+
+    /**
+     * Generate a completion through /api/generate, or /api/chat when configured
+     * @param {string} prompt - Input prompt
+     * @param {Object} [options] - Generation options, see LLMProvider.generate()
+     * @returns {Promise<string>} Completion text
+     */
+    async generate(prompt, options = {}) {
+        if (this.endpoint === 'chat') {
+            return super.generate(prompt, options);
+        }
+
+        const body = {
+            model: this.model,
+            prompt,
+            ...(options.system ? { system: options.system } : {}),
+            ...this.getRequestOptions(options)
+        };
+
+        if (body.stream) {
+            return this.stream('/api/generate', body, options, data => data.response);
+        }
+
+        const data = await this.post('/api/generate', body, options.signal);
+
+        if (!data || typeof data.response !== 'string') {
+            throw new Error('Invalid response format from Ollama');
+        }
+
+        return data.response;
+    }
+
+    /**
+     * Generate the next assistant message through /api/chat
+     * @param {Object[]} messages - Conversation messages
+     * @param {Object} [options] - Generation options, see LLMProvider.generate()
+     * @returns {Promise<string>} Assistant message text
+     */
+    async chat(messages, options = {}) {
+        const body = {
+            model: this.model,
+            messages,
+            ...this.getRequestOptions(options)
+        };
+
+        if (body.stream) {
+            return this.stream('/api/chat', body, options, data => data.message && data.message.content);
+        }
+
+        const data = await this.post('/api/chat', body, options.signal);
+
+        if (!data || !data.message || typeof data.message.content !== 'string') {
+            throw new Error('Invalid response format from Ollama');
+        }
+
+        return data.message.content;
+    }
+
+    /**
+     * Compute embeddings through /api/embed
+     * @param {string[]} texts - Texts to embed
+     * @param {Object} [options] - Embedding options, see LLMProvider.embed()
+     * @returns {Promise<number[][]>} One vector per text
+     */
+    async embed(texts, options = {}) {
+        const data = await this.post('/api/embed', { model: this.model, input: texts }, options.signal);
+
+        if (!data || !Array.isArray(data.embeddings)) {
+            throw new Error('Invalid embedding response from Ollama');
+        }
+
+        return data.embeddings;
+    }
+
+    /**
+     * List the pulled models
+     * @returns {Promise<string[]>} Model names
+     */
+    async listModels() {
+        try {
+            const response = await axios.get(`${this.baseUrl}/api/tags`, { timeout: 5000 });
+            return (response.data?.models || []).map(model => model.name);
+        } catch (error) {
+            throw this.toRequestError(error, 'Ollama');
+        }
+    }
+
+    /**
+     * Ollama responses are cached under the bare model name
+     * @returns {string} Model name
+     */
+    getCacheModel() {
+        return this.model;
+    }
+
+    /**
+     * Build the request fields shared by the generate and chat endpoints
+     * @param {Object} options - Generation options
+     * @returns {Object} Request fields
+     * @private
+     */
+    getRequestOptions(options) {
+        const contextLength = this.config.contextLength;
+
+        return {
+            stream: Boolean(options.onToken && this.getCapabilities().streaming),
+            ...(options.json ? { format: options.schema || 'json' } : {}),
+            options: {
+                temperature: options.temperature,
+                num_predict: options.maxTokens,
+                ...(contextLength ? { num_ctx: contextLength } : {})
+            }
+        };
+    }
+
+    /**
+     * Post a streamed request, one JSON object per line, passing each piece of text to `options.onToken`
+     * @param {string} endpoint - API path
+     * @param {Object} body - Request body
+     * @param {Object} options - Generation options
+     * @param {Function} getText - Extracts the piece of text of a streamed object
+     * @returns {Promise<string>} Complete text
+     * @private
+     */
+    async stream(endpoint, body, options, getText) {
+        const stream = await this.post(endpoint, body, options.signal, 'stream');
+        let text = '';
+
+        try {
+            await this.readLines(stream, line => {
+                let data;
+                try {
+                    data = JSON.parse(line);
+                } catch (error) {
+                    throw new Error('Invalid streamed response from Ollama');
+                }
+
+                if (data.error) {
+                    throw new Error(`Ollama API error: ${data.error}`);
+                }
+
+                const piece = getText(data);
+                if (piece) {
+                    text += piece;
+                    options.onToken(piece);
+                }
+            });
+        } catch (error) {
+            // Connection errors keep their code, which tells the scheduler whether to retry
+            throw error.code ? this.toRequestError(error, 'Ollama') : error;
+        }
+
+        return text;
+    }
+
+    /**
+     * Post a request to the Ollama API
+     * @param {string} endpoint - API path
+     * @param {Object} body - Request body
+     * @param {AbortSignal} [signal] - Aborts the request
+     * @param {string} [responseType='json'] - Axios response type, stream for streamed requests
+     * @returns {Promise<Object|import('stream').Readable>} Response data
+     * @private
+     */
+    async post(endpoint, body, signal, responseType = 'json') {
+        try {
+            const response = await axios.post(`${this.baseUrl}${endpoint}`, body, {
+                timeout: this.timeout,
+                signal,
+                responseType,
+                headers: {
+                    'Content-Type': 'application/json'
+                }
+            });
+            return response.data;
+        } catch (error) {
+            if (error.code === 'ECONNREFUSED') {
+                throw Object.assign(new Error('Ollama server is not running. Please start Ollama first.'), { code: error.code });
+            }
+            throw this.toRequestError(await this.readErrorBody(error), 'Ollama');
+        }
+    }
+}
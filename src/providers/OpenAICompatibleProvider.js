@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Provider for OpenAI-compatible chat completion servers
+ */
+
+import axios from 'axios';
+import { LLMProvider } from './LLMProvider.js';
+
+/**
+ * Provider for servers implementing the OpenAI chat completions API:
+ * llama.cpp server, vLLM, LM Studio, LocalAI and others.
+ * The base URL includes the API prefix, usually `/v1`.
+ */
+export class OpenAICompatibleProvider extends LLMProvider {
+    /**
+     * Create an OpenAI-compatible provider
+     * @param {Object} [config] - Provider settings
+     * @param {string} [config.apiKey] - Bearer token, defaults to the OPENAI_API_KEY environment variable
+     */
+    constructor(config = {}) {
+        super({ baseUrl: 'http://localhost:8080/v1', ...config });
+        this.name = 'openai';
+        this.apiKey = config.apiKey || process.env.OPENAI_API_KEY || null;
+        this.capabilities = {
+            contextLength: 4096,
+            jsonMode: true,
+            streaming: true,
+            embeddings: true
+        };
+    }
+
+    /**
+     * Generate the next assistant message through /chat/completions
+     * @param {Object[]} messages - Conversation messages
+     * @param {Object} [options] - Generation options, see LLMProvider.generate()
+     * @returns {Promise<string>} Assistant message text
+     */
+    async chat(messages, options = {}) {
+        const body = {
+            model: this.model,
+            messages,
+            temperature: options.temperature,
+            max_tokens: options.maxTokens,
+            stream: Boolean(options.onToken && this.getCapabilities().streaming),
+            ...(options.json && this.getCapabilities().jsonMode ? { response_format: { type: 'json_object' } } : {})
+        };
+
+        if (body.stream) {
+            return this.stream('/chat/completions', body, options);
+        }
+
+        const data = await this.post('/chat/completions', body, options.signal);
+
+        const content = data?.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+            throw new Error('Invalid response format from OpenAI-compatible server');
+        }
+
+        return content;
+    }
+
+    /**
+     * Compute embeddings through /embeddings
+     * @param {string[]} texts - Texts to embed
+     * @param {Object} [options] - Embedding options, see LLMProvider.embed()
+     * @returns {Promise<number[][]>} One vector per text
+     */
+    async embed(texts, options = {}) {
+        const data = await this.post('/embeddings', { model: this.model, input: texts }, options.signal);
+
+        if (!data || !Array.isArray(data.data)) {
+            throw new Error('Invalid embedding response from OpenAI-compatible server');
+        }
+
+        return [...data.data]
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.embedding);
+    }
+
+    /**
+     * List the models served through /models
+     * @returns {Promise<string[]>} Model identifiers
+     */
+    async listModels() {
+        try {
+            const response = await axios.get(`${this.baseUrl}/models`, {
+                timeout: 5000,
+                headers: this.getHeaders()
+            });
+            return (response.data?.data || []).map(model => model.id);
+        } catch (error) {
+            throw this.toRequestError(error, 'OpenAI-compatible');
+        }
+    }
+
+    /**
+     * Build the request headers
+     * @returns {Object} Headers
+     * @private
+     */
+    getHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+        };
+    }
+
+    /**
+     * Post a streamed request, read as server-sent events, passing each piece of text to `options.onToken`
+     * @param {string} endpoint - API path below the base URL
+     * @param {Object} body - Request body
+     * @param {Object} options - Generation options
+     * @returns {Promise<string>} Complete text
+     * @private
+     */
+    async stream(endpoint, body, options) {
+        const stream = await this.post(endpoint, body, options.signal, 'stream');
+        let text = '';
+
+        try {
+            await this.readLines(stream, line => {
+                if (!line.startsWith('data:')) return;
+
+                const payload = line.slice(5).trim();
+                if (payload === '[DONE]') return;
+
+                let data;
+                try {
+                    data = JSON.parse(payload);
+                } catch (error) {
+                    throw new Error('Invalid streamed response from OpenAI-compatible server');
+                }
+
+                if (data.error) {
+                    throw new Error(`OpenAI-compatible API error: ${data.error.message || data.error}`);
+                }
+
+                const piece = data.choices?.[0]?.delta?.content;
+                if (piece) {
+                    text += piece;
+                    options.onToken(piece);
+                }
+            });
+        } catch (error) {
+            // Connection errors keep their code, which tells the scheduler whether to retry
+            throw error.code ? this.toRequestError(error, 'OpenAI-compatible') : error;
+        }
+
+        return text;
+    }
+
+    /**
+     * Post a request to the server
+     * @param {string} endpoint - API path below the base URL
+     * @param {Object} body - Request body
+     * @param {AbortSignal} [signal] - Aborts the request
+     * @param {string} [responseType='json'] - Axios response type, stream for streamed requests
+     * @returns {Promise<Object|import('stream').Readable>} Response data
+     * @private
+     */
+    async post(endpoint, body, signal, responseType = 'json') {
+        try {
+            const response = await axios.post(`${this.baseUrl}${endpoint}`, body, {
+                timeout: this.timeout,
+                signal,
+                responseType,
+                headers: this.getHeaders()
+            });
+            return response.data;
+        } catch (error) {
+            throw this.toRequestError(await this.readErrorBody(error), 'OpenAI-compatible');
+        }
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Selection of the LLM provider from the configuration
+ */
+
+import { OllamaProvider } from './OllamaProvider.js';
+import { OpenAICompatibleProvider } from './OpenAICompatibleProvider.js';
+import { MockProvider } from './MockProvider.js';
+
+/**
+ * Provider classes by `ai.provider.type`
+ */
+export const PROVIDERS = {
+    ollama: OllamaProvider,
+    openai: OpenAICompatibleProvider,
+    mock: MockProvider
+};
+
+/**
+ * Resolve the provider settings: `ai.provider` fields that are set, over the model
+ * (and, for Ollama, the base URL) of the `ollama` block. Without a configured
+ * `contextLength`, the one listed for the model in `ai.contextLengths` is used.
+ * @param {Object} config - Project configuration
+ * @returns {Object} Provider settings, type included
+ */
+export function getProviderSettings(config) {
+    const ollama = config.ollama || {};
+    const provider = (config.ai && config.ai.provider) || {};
+    const contextLengths = (config.ai && config.ai.contextLengths) || {};
+    const type = provider.type || 'ollama';
+    const overrides = Object.fromEntries(Object.entries(provider).filter(([, value]) => value !== null && value !== undefined));
+
+    const settings = {
+        model: ollama.model,
+        ...(type === 'ollama' ? { baseUrl: ollama.baseUrl } : {}),
+        ...overrides,
+        type
+    };
+
+    if (!settings.contextLength && contextLengths[settings.model]) {
+        settings.contextLength = contextLengths[settings.model];
+    }
+
+    return settings;
+}
+
+/**
+ * Create the provider selected by the configuration
+ * @param {Object} config - Project configuration
+ * @returns {import('./LLMProvider.js').LLMProvider} Provider instance
+ */
+export function createProvider(config) {
+    const settings = getProviderSettings(config);
+    const Provider = PROVIDERS[settings.type];
+
+    if (!Provider) {
+        throw new Error(`Unknown AI provider: ${settings.type}. Valid options: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    return new Provider(settings);
+}
+
+/**
+ * Create the provider computing embeddings: the configured provider with the
+ * `ai.embeddings.model` in place of the completion model, when one is set
+ * @param {Object} config - Project configuration
+ * @returns {import('./LLMProvider.js').LLMProvider} Provider instance
+ * @throws {Error} If the provider does not support embeddings
+ */
+export function createEmbeddingProvider(config) {
+    const embeddings = (config.ai && config.ai.embeddings) || {};
+    const settings = getProviderSettings(config);
+    const Provider = PROVIDERS[settings.type];
+
+    if (!Provider) {
+        throw new Error(`Unknown AI provider: ${settings.type}. Valid options: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    const provider = new Provider(embeddings.model ? { ...settings, model: embeddings.model } : settings);
+    if (!provider.getCapabilities().embeddings) {
+        throw new Error(`The ${settings.type} provider does not support embeddings`);
+    }
+
+    return provider;
+}
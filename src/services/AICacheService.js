@@ -0,0 +1,232 @@
+/**
+ * @fileoverview Durable cache for AI-generated responses
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs-extra';
+import ignore from 'ignore';
+import { DEFAULT_CACHE_DIR } from './IndexCacheService.js';
+
+/**
+ * Version of the on-disk cache format. Bump when the stored shape changes.
+ */
+export const AI_CACHE_VERSION = 1;
+
+/**
+ * Requests above which the recorded usage of a model is halved, so recent runs weigh more
+ */
+const MAX_USAGE_REQUESTS = 1000;
+
+/**
+ * Counters of the recorded usage of a model
+ */
+const USAGE_FIELDS = ['requests', 'promptTokens', 'completionTokens', 'durationMs'];
+
+/**
+ * Service caching AI responses keyed by model, prompt version, temperature and content hash
+ */
+export class AICacheService {
+    /**
+     * Create a new AI response cache
+     * @param {string} rootPath - Project root path
+     * @param {Object} [options] - Cache options
+     * @param {string} [options.cacheDir='.svc-indexer'] - Cache directory, relative to the project root
+     */
+    constructor(rootPath, options = {}) {
+        this.rootPath = path.resolve(rootPath);
+        this.cacheDir = path.resolve(this.rootPath, options.cacheDir || DEFAULT_CACHE_DIR);
+        this.cachePath = path.join(this.cacheDir, 'ai-cache.json');
+        this.entries = new Map();
+        this.usage = new Map();
+        this.dirty = false;
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            writes: 0
+        };
+    }
+
+    /**
+     * Build the cache key for a request
+     * @param {Object} params - Key parameters
+     * @param {string} params.kind - Request kind (file, folder, detailed, ...)
+     * @param {string} params.model - Model name
+     * @param {number|string} params.promptVersion - Prompt template version
+     * @param {number} params.temperature - Sampling temperature
+     * @param {string} params.contentHash - Hash of the input content
+     * @returns {string} Cache key
+     */
+    static buildKey({ kind, model, promptVersion, temperature, contentHash }) {
+        return crypto
+            .createHash('sha256')
+            .update(JSON.stringify([kind, model, String(promptVersion), Number(temperature), contentHash]))
+            .digest('hex');
+    }
+
+    /**
+     * Load cached responses from disk
+     * @returns {Promise<AICacheService>} This instance
+     */
+    async load() {
+        try {
+            if (!await fs.pathExists(this.cachePath)) {
+                return this;
+            }
+
+            const stored = await fs.readJson(this.cachePath);
+            if (stored.version === AI_CACHE_VERSION) {
+                this.entries = new Map(Object.entries(stored.entries || {}));
+                this.usage = new Map(Object.entries(stored.usage || {}));
+            }
+        } catch (error) {
+            console.warn(`Warning: Could not load AI cache: ${error.message}`);
+            this.entries = new Map();
+            this.usage = new Map();
+        }
+
+        return this;
+    }
+
+    /**
+     * Write cached responses to disk, if anything changed
+     * @returns {Promise<void>}
+     */
+    async save() {
+        if (!this.dirty) return;
+
+        await fs.ensureDir(this.cacheDir);
+
+        const tempPath = `${this.cachePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify({
+            version: AI_CACHE_VERSION,
+            entries: Object.fromEntries(this.entries),
+            usage: Object.fromEntries(this.usage)
+        }), 'utf8');
+        await fs.move(tempPath, this.cachePath, { overwrite: true });
+
+        this.dirty = false;
+    }
+
+    /**
+     * Get a cached response
+     * @param {Object} params - Key parameters, see buildKey()
+     * @returns {string|Object|null} Cached response, an object for structured responses, or null
+     */
+    get(params) {
+        const entry = this.entries.get(AICacheService.buildKey(params));
+
+        if (entry) {
+            this.stats.hits++;
+            return entry.response;
+        }
+
+        this.stats.misses++;
+        return null;
+    }
+
+    /**
+     * Check whether a response is cached without touching the statistics
+     * @param {Object} params - Key parameters, see buildKey()
+     * @returns {boolean} True if cached
+     */
+    has(params) {
+        return this.entries.has(AICacheService.buildKey(params));
+    }
+
+    /**
+     * Get a cached response without touching the statistics
+     * @param {Object} params - Key parameters, see buildKey()
+     * @returns {string|Object|null} Cached response, or null
+     */
+    peek(params) {
+        const entry = this.entries.get(AICacheService.buildKey(params));
+        return entry ? entry.response : null;
+    }
+
+    /**
+     * Store a response
+     * @param {Object} params - Key parameters, see buildKey()
+     * @param {string} [params.path] - Absolute path of the file or folder the response describes
+     * @param {string|Object} response - AI response, an object for structured responses
+     */
+    set(params, response) {
+        this.entries.set(AICacheService.buildKey(params), {
+            kind: params.kind,
+            model: params.model,
+            path: params.path ? path.relative(this.rootPath, params.path) : null,
+            response,
+            createdAt: new Date().toISOString()
+        });
+
+        this.stats.writes++;
+        this.dirty = true;
+    }
+
+    /**
+     * Add the tokens and time spent by a model to its recorded usage, which dry runs
+     * use to predict the duration of an AI pass
+     * @param {string} model - Cache model name, see LLMProvider.getCacheModel()
+     * @param {{requests: number, promptTokens: number, completionTokens: number, durationMs: number}} usage - Usage of a run
+     */
+    addUsage(model, usage) {
+        if (!usage || usage.requests === 0) return;
+
+        const previous = this.usage.get(model) || {};
+        const total = Object.fromEntries(USAGE_FIELDS.map(field => [field, (previous[field] || 0) + usage[field]]));
+
+        if (total.requests > MAX_USAGE_REQUESTS) {
+            USAGE_FIELDS.forEach(field => { total[field] = Math.round(total[field] / 2); });
+        }
+
+        this.usage.set(model, { ...total, updatedAt: new Date().toISOString() });
+        this.dirty = true;
+    }
+
+    /**
+     * Get the recorded usage of a model
+     * @param {string} model - Cache model name
+     * @returns {Object|null} Requests, prompt and completion tokens and duration in milliseconds, null when the model never ran
+     */
+    getUsage(model) {
+        return this.usage.get(model) || null;
+    }
+
+    /**
+     * Remove cached responses by model and/or path glob
+     * @param {Object} [filter] - Invalidation filter, all entries are removed when empty
+     * @param {string} [filter.model] - Only remove responses generated by this model
+     * @param {string|string[]} [filter.paths] - Only remove responses for paths matching these globs (gitignore syntax, relative to the project root)
+     * @returns {number} Number of removed entries
+     */
+    invalidate(filter = {}) {
+        const globs = [].concat(filter.paths || []);
+        const matcher = globs.length > 0 ? ignore().add(globs) : null;
+        let removed = 0;
+
+        for (const [key, entry] of [...this.entries]) {
+            if (filter.model && entry.model !== filter.model) continue;
+            if (matcher && (!entry.path || !matcher.ignores(entry.path))) continue;
+
+            this.entries.delete(key);
+            removed++;
+        }
+
+        if (removed > 0) this.dirty = true;
+        return removed;
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {Object} Hit, miss and write counts plus the number of stored entries
+     */
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+
+        return {
+            ...this.stats,
+            entries: this.entries.size,
+            hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 100) : 0
+        };
+    }
+}
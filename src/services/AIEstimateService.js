@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Token and duration estimates of a planned AI pass
+ */
+
+/**
+ * Expected completion length of each request kind, as a share of `maxTokens`:
+ * summaries stop well before the limit, documentation uses most of it
+ */
+const COMPLETION_SHARES = {
+    file: 0.5,
+    chunk: 0.5,
+    folder: 0.5,
+    'folder-part': 0.5,
+    overview: 1,
+    architecture: 1,
+    detailed: 1
+};
+
+/**
+ * Order of the request kinds in an estimate
+ */
+const KIND_ORDER = Object.keys(COMPLETION_SHARES);
+
+/**
+ * Service predicting the tokens and wall-clock time of the requests planned by
+ * AIService.planRun().
+ *
+ * Each request costs its prompt tokens at the prompt throughput plus its expected
+ * completion at the generation throughput. Throughputs come from the
+ * `ai.estimate` configuration, scaled to the usage recorded by previous runs of
+ * the model when there is one. Requests run `concurrency` at a time, no faster
+ * than the scheduler rate limit allows.
+ */
+export class AIEstimateService {
+    /**
+     * Estimate a planned pass
+     * @param {Object[]} requests - Planned requests: { kind, promptTokens, partResponses, cached }
+     * @param {Object} config - Project configuration
+     * @param {Object|null} [usage] - Usage recorded for the model, see AICacheService.getUsage()
+     * @returns {{kinds: Object[], total: Object, durationMs: number, savedMs: number, throughput: Object}} Requests and
+     *     tokens by kind and in total, counting only requests not answered by the cache; wall-clock time of those
+     *     requests and time the cache saves; throughput used, with its `source`: measured or configured
+     */
+    estimate(requests, config, usage = null) {
+        const maxTokens = config.ollama.maxTokens || 0;
+        const throughput = this.getThroughput(config.ai.estimate, usage);
+        const completionTokens = kind => Math.round(maxTokens * (COMPLETION_SHARES[kind] || 1));
+
+        const kinds = new Map();
+        let sentMs = 0;
+        let cachedMs = 0;
+
+        requests.forEach(request => {
+            if (!kinds.has(request.kind)) {
+                kinds.set(request.kind, { kind: request.kind, requests: 0, cached: 0, promptTokens: 0, completionTokens: 0 });
+            }
+
+            const partKind = request.kind === 'folder' ? 'folder-part' : 'chunk';
+            const prompt = request.promptTokens + (request.partResponses || 0) * completionTokens(partKind);
+            const completion = completionTokens(request.kind);
+            const durationMs = this.getRequestDuration(prompt, completion, throughput);
+            const entry = kinds.get(request.kind);
+
+            entry.requests++;
+            if (request.cached) {
+                entry.cached++;
+                cachedMs += durationMs;
+            } else {
+                entry.promptTokens += prompt;
+                entry.completionTokens += completion;
+                sentMs += durationMs;
+            }
+        });
+
+        const sorted = [...kinds.values()].sort((a, b) => KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind));
+        const total = sorted.reduce((sum, entry) => ({
+            requests: sum.requests + entry.requests,
+            cached: sum.cached + entry.cached,
+            promptTokens: sum.promptTokens + entry.promptTokens,
+            completionTokens: sum.completionTokens + entry.completionTokens
+        }), { requests: 0, cached: 0, promptTokens: 0, completionTokens: 0 });
+
+        return {
+            kinds: sorted,
+            total,
+            durationMs: this.getWallClock(sentMs, total.requests - total.cached, config.ai.scheduler),
+            savedMs: this.getWallClock(cachedMs, total.cached, config.ai.scheduler),
+            throughput
+        };
+    }
+
+    /**
+     * Get the prompt and generation throughput of the model. Recorded usage tells how
+     * long its requests really took, the configured rates are scaled to match it.
+     * @param {{promptTokensPerSecond: number, completionTokensPerSecond: number}} rates - Configured throughput
+     * @param {Object|null} usage - Recorded usage of the model
+     * @returns {{promptTokensPerSecond: number, completionTokensPerSecond: number, source: string}} Throughput
+     * @private
+     */
+    getThroughput(rates, usage) {
+        if (!usage || !(usage.requests > 0) || !(usage.durationMs > 0)) {
+            return { ...rates, source: 'configured' };
+        }
+
+        const predictedMs = this.getRequestDuration(usage.promptTokens, usage.completionTokens, rates);
+        const speed = predictedMs / usage.durationMs;
+
+        return {
+            promptTokensPerSecond: rates.promptTokensPerSecond * speed,
+            completionTokensPerSecond: rates.completionTokensPerSecond * speed,
+            source: 'measured'
+        };
+    }
+
+    /**
+     * Time one request takes
+     * @param {number} promptTokens - Prompt tokens
+     * @param {number} completionTokens - Completion tokens
+     * @param {{promptTokensPerSecond: number, completionTokensPerSecond: number}} throughput - Throughput
+     * @returns {number} Duration in milliseconds
+     * @private
+     */
+    getRequestDuration(promptTokens, completionTokens, throughput) {
+        return (promptTokens / throughput.promptTokensPerSecond + completionTokens / throughput.completionTokensPerSecond) * 1000;
+    }
+
+    /**
+     * Wall-clock time of requests run through the scheduler
+     * @param {number} durationMs - Sum of the request durations
+     * @param {number} count - Number of requests
+     * @param {{concurrency: number, rateLimit: number}} scheduler - Scheduler configuration
+     * @returns {number} Duration in milliseconds
+     * @private
+     */
+    getWallClock(durationMs, count, scheduler) {
+        const parallel = durationMs / scheduler.concurrency;
+        return scheduler.rateLimit > 0 ? Math.max(parallel, (count / scheduler.rateLimit) * 60 * 1000) : parallel;
+    }
+
+    /**
+     * Format a duration for humans
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string} Duration, e.g. 850 ms, 12.4 s, 3 min or 2 h 5 min
+     */
+    formatDuration(ms) {
+        if (ms < 1000) return `${Math.round(ms)} ms`;
+        if (ms < 60 * 1000) return `${(ms / 1000).toFixed(1)} s`;
+
+        const minutes = Math.round(ms / 60000);
+        return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Progress of an AI pass: prompts done, current target, throughput and ETA
+ */
+
+/**
+ * Service following an AI pass while it runs.
+ *
+ * The pass is planned first (AIService.planRun()), which gives the number of
+ * prompts and how many of them the AI cache answers. AIService then reports each
+ * prompt as it starts and finishes, the cache hits, the failures and the tokens
+ * generated, streamed or counted from the response. The remaining time is the
+ * remaining uncached prompts at the pace of the ones already sent.
+ */
+export class AIProgressService {
+    /**
+     * Create a progress tracker
+     * @param {Object[]} [requests] - Planned requests: { kind, cached }
+     */
+    constructor(requests = []) {
+        this.total = requests.length;
+        this.expectedSent = requests.filter(request => !request.cached).length;
+        this.completed = 0;
+        this.cacheHits = 0;
+        this.failed = 0;
+        this.tokens = 0;
+        this.running = [];
+        this.startedAt = Date.now();
+        this.firstTokenAt = null;
+    }
+
+    /**
+     * Record a prompt being sent or looked up in the cache
+     * @param {string} kind - Request kind
+     * @param {string|null} targetPath - File or folder path, null for project prompts
+     * @returns {Object} Request handle, passed to finishRequest()
+     */
+    startRequest(kind, targetPath) {
+        const request = { kind, path: targetPath };
+        this.running.push(request);
+        return request;
+    }
+
+    /**
+     * Record a prompt being answered, or failing
+     * @param {Object} request - Handle returned by startRequest()
+     */
+    finishRequest(request) {
+        this.running = this.running.filter(running => running !== request);
+        this.completed++;
+    }
+
+    /**
+     * Record a prompt answered by the AI cache
+     */
+    recordCacheHit() {
+        this.cacheHits++;
+    }
+
+    /**
+     * Record a request left without AI response
+     */
+    recordFailure() {
+        this.failed++;
+    }
+
+    /**
+     * Record generated tokens
+     * @param {number} count - Number of tokens
+     */
+    recordTokens(count) {
+        if (this.firstTokenAt === null) this.firstTokenAt = Date.now();
+        this.tokens += count;
+    }
+
+    /**
+     * Get the current state of the pass
+     * @returns {{completed: number, total: number, current: Object|null, tokensPerSecond: number, etaMs: number|null,
+     *     failed: number, cached: number, elapsedMs: number}} State; `current` is the last prompt started and still
+     *     running, `etaMs` is null until a prompt has been sent
+     */
+    getSnapshot() {
+        const now = Date.now();
+        const elapsedMs = now - this.startedAt;
+        const sent = this.completed - this.cacheHits;
+        const generatingMs = this.firstTokenAt === null ? 0 : now - this.firstTokenAt;
+
+        return {
+            completed: this.completed,
+            total: Math.max(this.total, this.completed + this.running.length),
+            current: this.running.length > 0 ? this.running[this.running.length - 1] : null,
+            tokensPerSecond: generatingMs > 0 ? this.tokens / (generatingMs / 1000) : 0,
+            etaMs: sent > 0 ? Math.max(this.expectedSent - sent, 0) * (elapsedMs / sent) : null,
+            failed: this.failed,
+            cached: this.cacheHits,
+            elapsedMs
+        };
+    }
+}
@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Queue for AI requests with concurrency, timeout, retry and rate limits
+ */
+
+/**
+ * Error codes worth retrying: timeouts and dropped connections
+ */
+const RETRYABLE_CODES = ['ETIMEDOUT', 'ECONNABORTED', 'ECONNRESET', 'EPIPE', 'EAI_AGAIN'];
+
+/**
+ * Longest wait between two attempts of a request
+ */
+const MAX_RETRY_DELAY = 30000;
+
+/**
+ * Service running AI requests through a queue.
+ *
+ * Requests are functions started only when a slot is free, so at most
+ * `concurrency` of them reach the provider at once. Each attempt is aborted after
+ * `timeout` milliseconds; timeouts, dropped connections, 429 and 5xx responses are
+ * retried with exponential backoff. `rateLimit` caps the attempts started per minute
+ * across all requests.
+ *
+ * A request can be cancelled through an AbortSignal: when it fires, requests still
+ * queued or waiting for a retry are rejected with an AbortError, requests already
+ * sent run to completion.
+ */
+export class AISchedulerService {
+    /**
+     * Create a scheduler
+     * @param {Object} [options] - Scheduler options
+     * @param {number} [options.concurrency=2] - Requests running at the same time
+     * @param {number} [options.timeout=60000] - Time limit of one attempt in milliseconds
+     * @param {number} [options.retries=3] - Retries after a failed attempt
+     * @param {number} [options.retryDelay=1000] - Wait before the first retry in milliseconds, doubled for each further retry
+     * @param {number} [options.rateLimit=0] - Attempts started per minute, 0 for no limit
+     */
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || 2;
+        this.timeout = options.timeout || 60000;
+        this.retries = options.retries !== undefined && options.retries !== null ? options.retries : 3;
+        this.retryDelay = options.retryDelay !== undefined && options.retryDelay !== null ? options.retryDelay : 1000;
+        this.minInterval = options.rateLimit > 0 ? 60000 / options.rateLimit : 0;
+
+        this.queue = [];
+        this.active = 0;
+        this.nextStart = 0;
+        this.stats = {
+            requests: 0,
+            succeeded: 0,
+            failed: 0,
+            retries: 0,
+            cancelled: 0
+        };
+        this.idleWaiters = [];
+        this.signals = new WeakSet();
+    }
+
+    /**
+     * Queue a request
+     * @param {Function} task - Receives an AbortSignal and returns a promise; called once per attempt
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Cancels the request while it is queued or between attempts
+     * @returns {Promise<*>} Result of the first successful attempt. Errors carry the number of `attempts`.
+     */
+    schedule(task, options = {}) {
+        const { signal } = options;
+        this.stats.requests++;
+
+        if (signal && signal.aborted) {
+            this.stats.cancelled++;
+            return Promise.reject(this.createAbortError());
+        }
+
+        return new Promise((resolve, reject) => {
+            // One listener per signal, a run queues far more requests than the listener limit
+            if (signal && !this.signals.has(signal)) {
+                this.signals.add(signal);
+                signal.addEventListener('abort', () => this.cancelQueued(signal), { once: true });
+            }
+
+            this.queue.push({ task, resolve, reject, signal });
+            this.startNext();
+        });
+    }
+
+    /**
+     * Reject the queued requests of an aborted signal
+     * @param {AbortSignal} signal - Aborted signal
+     * @private
+     */
+    cancelQueued(signal) {
+        const cancelled = this.queue.filter(job => job.signal === signal);
+        this.queue = this.queue.filter(job => job.signal !== signal);
+
+        cancelled.forEach(job => {
+            this.stats.cancelled++;
+            job.reject(this.createAbortError());
+        });
+        this.notifyIdle();
+    }
+
+    /**
+     * Wait until no request is queued or running, e.g. before saving results after a cancellation
+     * @returns {Promise<void>}
+     */
+    onIdle() {
+        if (this.active === 0 && this.queue.length === 0) return Promise.resolve();
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+
+    /**
+     * Start queued requests while slots are free
+     * @private
+     */
+    startNext() {
+        while (this.active < this.concurrency && this.queue.length > 0) {
+            const job = this.queue.shift();
+            this.active++;
+
+            this.runWithRetries(job.task, job.signal)
+                .then(result => {
+                    this.stats.succeeded++;
+                    job.resolve(result);
+                }, error => {
+                    this.stats[error.name === 'AbortError' ? 'cancelled' : 'failed']++;
+                    job.reject(error);
+                })
+                .finally(() => {
+                    this.active--;
+                    this.startNext();
+                    this.notifyIdle();
+                });
+        }
+    }
+
+    /**
+     * Resolve the onIdle() promises once nothing is queued or running
+     * @private
+     */
+    notifyIdle() {
+        if (this.active > 0 || this.queue.length > 0) return;
+
+        const waiters = this.idleWaiters;
+        this.idleWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    /**
+     * Run a request, retrying retryable failures with exponential backoff
+     * @param {Function} task - Request function
+     * @param {AbortSignal} [signal] - Cancels the retries
+     * @returns {Promise<*>} Result
+     * @private
+     */
+    async runWithRetries(task, signal) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await this.waitForRateLimit();
+                if (signal && signal.aborted) throw this.createAbortError();
+                return await this.runWithTimeout(task);
+            } catch (error) {
+                if (signal && signal.aborted) throw this.createAbortError();
+
+                if (attempt > this.retries || !this.isRetryable(error)) {
+                    error.attempts = attempt;
+                    throw error;
+                }
+
+                this.stats.retries++;
+                await this.sleep(Math.min(this.retryDelay * 2 ** (attempt - 1), MAX_RETRY_DELAY), signal);
+            }
+        }
+    }
+
+    /**
+     * Run one attempt, aborting it when the timeout expires
+     * @param {Function} task - Request function
+     * @returns {Promise<*>} Result
+     * @private
+     */
+    async runWithTimeout(task) {
+        const controller = new AbortController();
+        let timer;
+
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                controller.abort();
+                reject(Object.assign(new Error(`Request timed out after ${this.timeout}ms`), { code: 'ETIMEDOUT' }));
+            }, this.timeout);
+        });
+
+        try {
+            return await Promise.race([task(controller.signal), timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Wait until the rate limit allows another attempt
+     * @returns {Promise<void>}
+     * @private
+     */
+    async waitForRateLimit() {
+        if (this.minInterval === 0) return;
+
+        const now = Date.now();
+        const start = Math.max(now, this.nextStart);
+        this.nextStart = start + this.minInterval;
+
+        if (start > now) await this.sleep(start - now);
+    }
+
+    /**
+     * Check whether a failed attempt is worth retrying
+     * @param {Error} error - Attempt error, with the `code` and HTTP `status` set by providers
+     * @returns {boolean} True for timeouts, dropped connections, 429 and 5xx responses
+     */
+    isRetryable(error) {
+        return RETRYABLE_CODES.includes(error.code) || error.status === 429 || error.status >= 500;
+    }
+
+    /**
+     * Create the error of a cancelled request
+     * @returns {Error} Error named AbortError, with code ABORT_ERR
+     * @private
+     */
+    createAbortError() {
+        return Object.assign(new Error('Request cancelled'), { name: 'AbortError', code: 'ABORT_ERR' });
+    }
+
+    /**
+     * Get request statistics
+     * @returns {Object} Request, success, failure, retry and cancellation counts
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+
+    /**
+     * Wait
+     * @param {number} ms - Milliseconds
+     * @param {AbortSignal} [signal] - Ends the wait early
+     * @returns {Promise<void>}
+     * @private
+     */
+    sleep(ms, signal) {
+        return new Promise(resolve => {
+            const done = () => {
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', done);
+                resolve();
+            };
+            const timer = setTimeout(done, ms);
+            if (signal) signal.addEventListener('abort', done, { once: true });
+        });
+    }
+}
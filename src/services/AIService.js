@@ -1,11 +1,43 @@
 /**
- * @fileoverview AI service for Ollama integration
+ * @fileoverview AI service generating descriptions through the configured LLM provider
  */
 
-import axios from 'axios';
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs-extra';
+import { OllamaProvider } from '../providers/OllamaProvider.js';
+import { analyzerRegistry } from '../analyzers/AnalyzerRegistry.js';
+import { AISchedulerService } from './AISchedulerService.js';
+import { SourceChunkService } from './SourceChunkService.js';
+import { PromptTemplateService } from './PromptTemplateService.js';
+import { StructuredResponseService } from './StructuredResponseService.js';
+import { HeuristicSummaryService } from './HeuristicSummaryService.js';
+import { RESPONSE_SCHEMAS } from '../config/ResponseSchemas.js';
+import { Translator, LANGUAGE_NAMES } from '../i18n/Translator.js';
 
 /**
- * Service for interacting with Ollama AI
+ * Rough number of characters per token, used to keep prompts inside the context window
+ */
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Tokens reserved for the fixed wording of a summary prompt
+ */
+const PROMPT_OVERHEAD_TOKENS = 512;
+
+/**
+ * Smallest token budget given to the file content or child summaries of a prompt
+ */
+const MIN_PROMPT_BUDGET = 512;
+
+/**
+ * Request kinds recorded as completed for a resumed run; chunk and folder part
+ * summaries only feed the file and folder prompts
+ */
+const RESUMABLE_KINDS = ['file', 'folder', 'overview', 'architecture', 'detailed'];
+
+/**
+ * Service generating AI descriptions and documentation
  */
 export class AIService {
     constructor() {
@@ -15,47 +47,460 @@ export class AIService {
             temperature: 0.7,
             maxTokens: 512
         };
+        this.cache = null;
+        this.progress = null;
+        this.provider = null;
+        this.redaction = null;
+        this.scheduler = new AISchedulerService();
+        this.sourceChunkService = new SourceChunkService();
+        this.prompts = new PromptTemplateService();
+        this.responses = new StructuredResponseService();
+        this.heuristics = new HeuristicSummaryService();
+        this.failures = [];
+        this.completed = [];
+        this.signal = null;
+        this.statsBaseline = this.scheduler.getStats();
+        this.usage = new Map();
+    }
+
+    /**
+     * Run requests through a scheduler
+     * @param {AISchedulerService} scheduler - Request scheduler
+     */
+    setScheduler(scheduler) {
+        this.scheduler = scheduler;
+        this.statsBaseline = scheduler.getStats();
+    }
+
+    /**
+     * Start a new failure report and list of completed requests
+     * @param {Object} [options] - Run options
+     * @param {AbortSignal} [options.signal] - Cancels the requests of the run
+     * @private
+     */
+    startRun(options = {}) {
+        this.failures = [];
+        this.completed = [];
+        this.signal = options.signal || null;
+        this.statsBaseline = this.scheduler.getStats();
+    }
+
+    /**
+     * Record an AI request that ended without a result
+     * @param {string} kind - Request kind: file, folder, detailed, overview or architecture
+     * @param {string|null} targetPath - Path of the file or folder left without AI description
+     * @param {Error} error - Final error
+     * @throws {Error} The error itself when the request was cancelled: the run stops and the target keeps no fallback
+     *     description, so a resumed run describes it
+     */
+    recordFailure(kind, targetPath, error) {
+        if (error.name === 'AbortError') throw error;
+
+        this.failures.push({
+            kind,
+            path: targetPath,
+            reason: error.message,
+            attempts: error.attempts || 1
+        });
+
+        if (this.progress) this.progress.recordFailure();
     }
 
     /**
-     * Generate description for a file
+     * Get the failures of the last enhancement or documentation run
+     * @returns {{failures: Object[], stats: Object}} Failed requests and the scheduler statistics of the run
+     */
+    getFailureReport() {
+        const stats = this.scheduler.getStats();
+
+        return {
+            failures: [...this.failures],
+            stats: Object.fromEntries(Object.entries(stats).map(([key, value]) => [key, value - (this.statsBaseline[key] || 0)]))
+        };
+    }
+
+    /**
+     * Get the requests of the current or last run that got a response, so an interrupted
+     * run can be resumed without them
+     * @returns {{kind: string, path: string|null}[]} File, folder, overview, architecture and detailed requests
+     */
+    getCompleted() {
+        return [...this.completed];
+    }
+
+    /**
+     * Build the keys of completed requests
+     * @param {{kind: string, path: string|null}[]} [requests] - Completed requests, see getCompleted()
+     * @returns {Set<string>} Keys, see getRunKey()
+     * @private
+     */
+    getRunKeys(requests = []) {
+        return new Set(requests.map(request => this.getRunKey(request.kind, request.path)));
+    }
+
+    /**
+     * Key of a request in a list of completed requests
+     * @param {string} kind - Request kind
+     * @param {string|null} targetPath - File or folder path, null for project prompts
+     * @returns {string} Key
+     * @private
+     */
+    getRunKey(kind, targetPath) {
+        return `${kind}:${targetPath || ''}`;
+    }
+
+    /**
+     * Check whether a resumed run keeps the result of a request completed by the interrupted run
+     * @param {Set<string>} skip - Keys of the completed requests
+     * @param {string} kind - Request kind
+     * @param {string|null} targetPath - File path, null for project prompts
+     * @param {string|undefined} result - Result restored from the interrupted run
+     * @returns {boolean} True when the request completed and its result was restored
+     * @private
+     */
+    isResumed(skip, kind, targetPath, result) {
+        return Boolean(result) && skip.has(this.getRunKey(kind, targetPath));
+    }
+
+    /**
+     * Use an LLM provider for every request
+     * @param {import('../providers/LLMProvider.js').LLMProvider|null} provider - Provider, or null to call Ollama with the per-request configuration
+     */
+    setProvider(provider) {
+        this.provider = provider;
+    }
+
+    /**
+     * Get the provider answering a request
+     * @param {Object} config - Ollama configuration, used when no provider is set
+     * @returns {import('../providers/LLMProvider.js').LLMProvider} Provider
+     */
+    getProvider(config) {
+        return this.provider || new OllamaProvider({ baseUrl: config.baseUrl, model: config.model });
+    }
+
+    /**
+     * Render prompts from a template set
+     * @param {PromptTemplateService} prompts - Prompt templates, project overrides loaded
+     */
+    setPrompts(prompts) {
+        this.prompts = prompts;
+    }
+
+    /**
+     * Redact file contents before they are put in a prompt
+     * @param {import('./RedactionService.js').RedactionService|null} redaction - Redaction service, null to send contents unchanged
+     */
+    setRedaction(redaction) {
+        this.redaction = redaction;
+        this.heuristics.setRedaction(redaction);
+    }
+
+    /**
+     * Attach a response cache
+     * @param {import('./AICacheService.js').AICacheService|null} cache - AI response cache
+     */
+    setCache(cache) {
+        this.cache = cache;
+    }
+
+    /**
+     * Report the progress of requests
+     * @param {import('./AIProgressService.js').AIProgressService|null} progress - Progress tracker, null to stop reporting
+     */
+    setProgress(progress) {
+        this.progress = progress;
+    }
+
+    /**
+     * Build cache key parameters for a request
+     * @param {string} kind - Request kind, also the name of its prompt template
+     * @param {string} targetPath - Path of the described file or folder
+     * @param {string} contentHash - Hash of the request input
+     * @param {Object} config - Ollama configuration
+     * @returns {Object} Cache key parameters
+     */
+    getCacheParams(kind, targetPath, contentHash, config) {
+        return {
+            kind,
+            path: targetPath,
+            model: this.getProvider(config).getCacheModel(),
+            promptVersion: this.prompts.getVersion(kind),
+            temperature: config.temperature,
+            contentHash
+        };
+    }
+
+    /**
+     * Call the provider, reusing a cached response when available
+     * @param {string} prompt - Input prompt
+     * @param {Object} config - Ollama configuration
+     * @param {Object|null} cacheParams - Cache key parameters, or null to bypass the cache
+     * @param {Function} [transform] - Applied to fresh responses before caching
+     * @returns {Promise<string>} Response
+     */
+    async callWithCache(prompt, config, cacheParams, transform = response => response) {
+        return this.withCache(cacheParams, async () => transform(await this.generate(prompt, config)));
+    }
+
+    /**
+     * Request a JSON response validated against a schema, reusing a cached response when available
+     * @param {string} prompt - Input prompt
+     * @param {Object} config - Ollama configuration
+     * @param {Object|null} cacheParams - Cache key parameters, or null to bypass the cache
+     * @param {Object} schema - Response schema, see config/ResponseSchemas.js
+     * @returns {Promise<Object>} Validated response
+     */
+    async callStructuredWithCache(prompt, config, cacheParams, schema) {
+        return this.withCache(cacheParams, () => this.generateStructured(prompt, config, schema));
+    }
+
+    /**
+     * Get a response from the cache, or produce and cache it
+     * @param {Object|null} cacheParams - Cache key parameters, or null to bypass the cache
+     * @param {Function} produce - Async function producing the response
+     * @returns {Promise<string|Object>} Response
+     * @private
+     */
+    async withCache(cacheParams, produce) {
+        if (this.cache && cacheParams) {
+            const cached = this.cache.get(cacheParams);
+            if (cached !== null) {
+                if (this.progress) this.progress.recordCacheHit();
+                return cached;
+            }
+        }
+
+        const response = await produce();
+
+        if (this.cache && cacheParams) {
+            this.cache.set(cacheParams, response);
+        }
+
+        return response;
+    }
+
+    /**
+     * Report a request to the progress tracker while it runs, and record it as
+     * completed once it gets a response
+     * @param {string} kind - Request kind
+     * @param {string|null} targetPath - File or folder path, null for project prompts
+     * @param {Function} produce - Async function sending the request
+     * @returns {Promise<*>} Result of `produce`
+     * @private
+     */
+    async track(kind, targetPath, produce) {
+        const request = this.progress ? this.progress.startRequest(kind, targetPath) : null;
+
+        try {
+            const result = await produce();
+            if (RESUMABLE_KINDS.includes(kind)) this.completed.push({ kind, path: targetPath });
+            return result;
+        } finally {
+            if (request) this.progress.finishRequest(request);
+        }
+    }
+
+    /**
+     * Hash arbitrary text for use as cache content hash
+     * @param {string} text - Text to hash
+     * @returns {string} Hex encoded SHA-256 hash
+     */
+    hashText(text) {
+        return crypto.createHash('sha256').update(text).digest('hex');
+    }
+
+    /**
+     * Hash identifying the input of a file prompt: the file content, the project language
+     * and the redaction rules the content went through
+     * @param {Object} file - File object with its content `hash`
+     * @param {Object} [project] - Project information
+     * @returns {string} Hex encoded SHA-256 hash
+     * @private
+     */
+    getFileContentHash(file, project) {
+        const fingerprint = this.redaction ? this.redaction.getFingerprint() : null;
+        return this.hashText([file.hash, project?.naturalLanguage, fingerprint].filter(Boolean).join(':'));
+    }
+
+    /**
+     * Generate description for a file. The structured fields of the response are
+     * stored in `file.aiDetails`.
      * @param {Object} file - File object
      * @param {Object} context - Additional context
      * @param {Object} config - Ollama configuration
-     * @returns {Promise<string>} Generated description
+     * @returns {Promise<string>} Generated description: the summary of the response
      */
     async generateFileDescription(file, context = {}, config = {}) {
         const ollamaConfig = { ...this.defaultConfig, ...config };
 
-        const prompt = this.buildFileDescriptionPrompt(file, context);
+        try {
+            const source = await this.summarizeSource(file, context, ollamaConfig);
+            const prompt = this.buildFileDescriptionPrompt(file, { ...context, ...source });
+            const contentHash = file.hash ? this.getFileContentHash(file, context.project) : this.hashText(prompt);
+            const cacheParams = this.getCacheParams('file', file.path, contentHash, ollamaConfig);
+            const { summary, ...details } = await this.track('file', file.path, () =>
+                this.callStructuredWithCache(prompt, ollamaConfig, cacheParams, RESPONSE_SCHEMAS.file));
+
+            file.aiDetails = details;
+            return summary;
+        } catch (error) {
+            this.recordFailure('file', file.path, error);
+            return await this.heuristics.describeFile(file, context.project)
+                || file.description
+                || this.translate(context.project, 'ai.fileUnavailable');
+        }
+    }
+
+    /**
+     * Get the source of a file for its prompts: the content when it fits in the
+     * context window, otherwise one summary per chunk (map step of a map-reduce
+     * summarization, the file prompt combining them). Records the number of chunks
+     * in `file.aiChunks`, 0 when the content fits.
+     * @param {Object} file - File object
+     * @param {Object} context - Additional context
+     * @param {Object} config - Ollama configuration
+     * @returns {Promise<{source?: string, chunkSummaries?: string[], symbols?: Object[]}>} Content or chunk summaries and the
+     *     file symbols, empty when the file cannot be read
+     * @private
+     */
+    async summarizeSource(file, context, config) {
+        const read = await this.readSource(file, config);
+        if (!read) return {};
+
+        const { content, symbols, chunks } = read;
+        const budget = this.getPromptBudget(config);
+
+        if (chunks.length <= 1) {
+            file.aiChunks = 0;
+            return { source: content, symbols };
+        }
+
+        file.aiChunks = chunks.length;
+
+        // A chunk failing fails the file, its description would miss part of the code
+        const summaries = await Promise.all(chunks.map((chunk, index) =>
+            this.generateChunkSummary(file, chunk, { ...context, part: index + 1, parts: chunks.length }, config)));
+
+        return {
+            symbols,
+            chunkSummaries: this.truncateEntries(
+                summaries.map((summary, index) => `- Part ${index + 1} (lines ${chunks[index].startLine}-${chunks[index].endLine}): ${summary}`),
+                budget
+            )
+        };
+    }
+
+    /**
+     * Read a file for its prompts, redacted, with its symbols and the chunks it is
+     * split into when it does not fit in the context window
+     * @param {Object} file - File object
+     * @param {Object} config - Ollama configuration
+     * @returns {Promise<{content: string, symbols: Object[], chunks: Object[]}|null>} Source, null when the file cannot be read
+     * @private
+     */
+    async readSource(file, config) {
+        let content;
+        try {
+            content = await fs.readFile(file.path, 'utf8');
+        } catch (error) {
+            return null;
+        }
+
+        if (this.redaction) {
+            content = this.redaction.redact(content, file.path);
+        }
+
+        const symbols = this.getSymbols(file, content);
+        const chunks = this.sourceChunkService.splitSource(content, symbols, this.getPromptBudget(config) * CHARS_PER_TOKEN);
+
+        return { content, symbols, chunks };
+    }
+
+    /**
+     * Summarize one chunk of a file too large for a single prompt
+     * @param {Object} file - File object
+     * @param {{startLine: number, endLine: number, text: string}} chunk - Source chunk
+     * @param {Object} context - Additional context, with the `part` number and the number of `parts`
+     * @param {Object} config - Ollama configuration
+     * @returns {Promise<string>} Summary of the chunk
+     */
+    async generateChunkSummary(file, chunk, context, config) {
+        const prompt = this.buildChunkSummaryPrompt(file, chunk, context);
+        const cacheParams = this.getCacheParams('chunk', file.path, this.hashText(prompt), config);
+
+        return this.track('chunk', file.path, () =>
+            this.callWithCache(prompt, config, cacheParams, response => this.cleanResponse(response)));
+    }
+
+    /**
+     * Get the symbols of a file, from its detailed analysis or its language analyzer
+     * @param {Object} file - File object
+     * @param {string} content - File content
+     * @returns {Object[]} Symbols, empty when the analyzer fails
+     * @private
+     */
+    getSymbols(file, content) {
+        if (file.metadata && Array.isArray(file.metadata.symbols)) {
+            return file.metadata.symbols;
+        }
 
         try {
-            const response = await this.callOllama(prompt, ollamaConfig);
-            return this.cleanResponse(response);
+            return analyzerRegistry.getAnalyzer(file).analyze(content, file).symbols;
         } catch (error) {
-            console.warn(`AI description failed for ${file.path}: ${error.message}`);
-            return file.description || 'File description unavailable';
+            return [];
         }
     }
 
     /**
-     * Generate description for a folder
+     * Generate description for a folder. The structured fields of the response are
+     * stored in `folder.aiDetails`.
      * @param {Object} folder - Folder object
      * @param {Object} context - Additional context
+     * @param {string[]} [context.entries] - Summaries of the child files and subfolders, one line each
+     * @param {{files: Object[], folders: Object[]}} [context.children] - Child files and subfolders, described without
+     *     the model when the request fails
      * @param {Object} config - Ollama configuration
-     * @returns {Promise<string>} Generated description
+     * @returns {Promise<string>} Generated description: the summary of the response
      */
     async generateFolderDescription(folder, context = {}, config = {}) {
         const ollamaConfig = { ...this.defaultConfig, ...config };
 
         const prompt = this.buildFolderDescriptionPrompt(folder, context);
+        const cacheParams = this.getCacheParams('folder', folder.path, this.hashText(prompt), ollamaConfig);
+
+        try {
+            const { summary, ...details } = await this.track('folder', folder.path, () =>
+                this.callStructuredWithCache(prompt, ollamaConfig, cacheParams, RESPONSE_SCHEMAS.folder));
+
+            folder.aiDetails = details;
+            return summary;
+        } catch (error) {
+            this.recordFailure('folder', folder.path, error);
+            return context.children
+                ? this.heuristics.describeFolder(folder, context.children, context.project)
+                : folder.description || this.translate(context.project, 'ai.folderUnavailable');
+        }
+    }
+
+    /**
+     * Summarize one group of the children of a folder too large for a single prompt
+     * @param {Object} folder - Folder object
+     * @param {string[]} entries - Child summaries of the group
+     * @param {Object} context - Additional context, with the `part` number and the number of `parts`
+     * @param {Object} config - Ollama configuration
+     * @returns {Promise<string>} Summary of the group
+     */
+    async generateFolderPartSummary(folder, entries, context, config) {
+        const prompt = this.buildFolderPartPrompt(folder, entries, context);
+        const cacheParams = this.getCacheParams('folder-part', folder.path, this.hashText(prompt), config);
 
         try {
-            const response = await this.callOllama(prompt, ollamaConfig);
-            return this.cleanResponse(response);
+            return await this.track('folder-part', folder.path, () =>
+                this.callWithCache(prompt, config, cacheParams, response => this.cleanResponse(response)));
         } catch (error) {
-            console.warn(`AI description failed for folder ${folder.path}: ${error.message}`);
-            return folder.description || 'Folder description unavailable';
+            this.recordFailure('folder', folder.path, error);
+            return this.cleanResponse(entries.join(' '));
         }
     }
 
@@ -63,70 +508,506 @@ export class AIService {
      * Enhance project index with AI descriptions
      * @param {Object} projectIndex - Project index object
      * @param {Object} config - Ollama configuration
+     * @param {Object} [options] - Enhancement options
+     * @param {string[]} [options.onlyPaths] - Only describe these files (absolute paths) and the folders containing them
+     * @param {AbortSignal} [options.signal] - Stops the run: queued requests are cancelled, sent ones complete
+     * @param {{kind: string, path: string}[]} [options.skip] - Requests completed by an interrupted run, see getCompleted();
+     *     their files and folders keep their description
      * @returns {Promise<void>}
+     * @throws {Error} AbortError when the run is stopped
      */
-    async enhanceProjectIndex(projectIndex, config = {}) {
+    async enhanceProjectIndex(projectIndex, config = {}, options = {}) {
         const ollamaConfig = { ...this.defaultConfig, ...config };
+        this.startRun(options);
+
+        await this.summarizeHierarchy(projectIndex, ollamaConfig, options);
+    }
 
-        // Generate descriptions for files
-        const filePromises = projectIndex.files.map(async (file) => {
-            if (!file.description || file.description.length < 10) {
-                const description = await this.generateFileDescription(
+    /**
+     * Summarize the project bottom-up: files first, then each folder from the deepest
+     * level up, its prompt listing the summaries of its files and subfolders. Children
+     * that do not fit in the context window are summarized in groups first.
+     * Folder summaries are always regenerated, the AI cache answers unchanged folders.
+     * @param {Object} projectIndex - Project index object
+     * @param {Object} config - Ollama configuration
+     * @param {Object} [options] - Options, see enhanceProjectIndex()
+     * @returns {Promise<Map<string, string[]>>} Child summaries given to each folder prompt, by folder path
+     * @private
+     */
+    async summarizeHierarchy(projectIndex, config, options = {}) {
+        const { files, folders } = this.selectTargets(projectIndex, options.onlyPaths);
+        const children = this.groupChildren(projectIndex);
+        const skip = this.getRunKeys(options.skip);
+
+        // Requests wait in the scheduler queue, description failures are recorded, not thrown
+        await Promise.all(files.map(async (file) => {
+            if (this.needsDescription(file) && !skip.has(this.getRunKey('file', file.path))) {
+                const siblings = children.get(path.dirname(file.path)).files;
+                file.description = await this.generateFileDescription(
                     file,
                     {
                         project: projectIndex.project,
                         language: file.language,
-                        type: file.type
+                        type: file.type,
+                        neighbors: siblings.filter(sibling => sibling !== file).slice(0, 20).map(sibling => path.basename(sibling.path))
                     },
-                    ollamaConfig
+                    config
                 );
-                file.description = description;
             }
-        });
+        }));
+
+        const folderEntries = new Map();
+        const depths = [...new Set(folders.map(folder => folder.depth))].sort((a, b) => b - a);
+
+        // A folder prompt needs the summaries of its subfolders, one level at a time
+        for (const depth of depths) {
+            await Promise.all(folders.filter(folder => folder.depth === depth).map(async (folder) => {
+                if (skip.has(this.getRunKey('folder', folder.path))) {
+                    folderEntries.set(folder.path, this.truncateEntries(this.buildChildEntries(children.get(folder.path)), this.getPromptBudget(config)));
+                    return;
+                }
 
-        // Generate descriptions for folders
-        const folderPromises = projectIndex.folders.map(async (folder) => {
-            if (!folder.description || folder.description.length < 10) {
-                const description = await this.generateFolderDescription(
+                const context = { project: projectIndex.project, fileCount: folder.fileCount };
+                const entries = await this.reduceEntries(folder, this.buildChildEntries(children.get(folder.path)), context, config);
+
+                folderEntries.set(folder.path, entries);
+                folder.description = await this.generateFolderDescription(
                     folder,
-                    {
-                        project: projectIndex.project,
-                        fileCount: folder.fileCount
-                    },
-                    ollamaConfig
+                    { ...context, entries, children: children.get(folder.path) },
+                    config
                 );
-                folder.description = description;
+            }));
+        }
+
+        this.applyDescriptionsToStructure(projectIndex);
+
+        return folderEntries;
+    }
+
+    /**
+     * Describe files and folders without the model, from their code and content.
+     * Files and folders already described by the model are kept.
+     * @param {Object} projectIndex - Project index object
+     * @param {Object} [options] - Options
+     * @param {string[]} [options.onlyPaths] - Only describe these files (absolute paths) and the folders containing them
+     * @returns {Promise<void>}
+     */
+    async describeWithoutAI(projectIndex, options = {}) {
+        const { files, folders } = this.selectTargets(projectIndex, options.onlyPaths);
+        const children = this.groupChildren(projectIndex);
+
+        await Promise.all(files.filter(file => !file.aiDetails).map(async (file) => {
+            file.description = await this.heuristics.describeFile(file, projectIndex.project) || file.description;
+        }));
+
+        folders.filter(folder => !folder.aiDetails).forEach(folder => {
+            folder.description = this.heuristics.describeFolder(folder, children.get(folder.path), projectIndex.project);
+        });
+
+        this.applyDescriptionsToStructure(projectIndex);
+    }
+
+    /**
+     * List the requests an enhancement run, or a full documentation run with `detailed`,
+     * would send, without calling the provider. Prompts are built from the current
+     * index the way the run builds them, so their size is known; the answers to chunk
+     * and folder part summaries are not, they are counted in `partResponses`. A request
+     * is `cached` when the attached AI cache holds its response; a folder is not when
+     * one of its children gets a new description.
+     * @param {Object} projectIndex - Project index object
+     * @param {Object} config - Ollama configuration
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.detailed] - Also plan the project overview, architecture analysis and detailed documentation
+     * @param {{kind: string, path: string}[]} [options.skip] - Requests a resumed run skips, see enhanceProjectIndex()
+     * @returns {Promise<Object[]>} Requests in run order: { kind, path, promptTokens, partResponses, cached }
+     */
+    async planRun(projectIndex, config = {}, options = {}) {
+        const ollamaConfig = { ...this.defaultConfig, ...config };
+        const project = projectIndex.project;
+        const budget = this.getPromptBudget(ollamaConfig);
+        const children = this.groupChildren(projectIndex);
+        const skip = this.getRunKeys(options.skip);
+        const requests = [];
+
+        // Descriptions the run would give, from the cache; null for the ones generated anew
+        const descriptions = new Map();
+
+        const add = (kind, targetPath, prompt, cacheParams, partResponses = 0) => {
+            const cached = Boolean(this.cache && cacheParams && this.cache.has(cacheParams));
+            requests.push({ kind, path: targetPath, promptTokens: this.estimateTokens(prompt), partResponses, cached });
+            return cached ? this.cache.peek(cacheParams) : null;
+        };
+
+        // The file prompt only gets the number of chunk summaries. Chunks summarized
+        // for the file description are answered by the cache the second time.
+        const planSource = async (file, context, summarized) => {
+            const read = await this.readSource(file, ollamaConfig);
+            if (!read) return {};
+            if (read.chunks.length <= 1) return { source: read.content, symbols: read.symbols };
+
+            if (!(summarized && this.cache)) {
+                read.chunks.forEach((chunk, index) => {
+                    const prompt = this.buildChunkSummaryPrompt(file, chunk, { ...context, part: index + 1, parts: read.chunks.length });
+                    add('chunk', file.path, prompt, this.getCacheParams('chunk', file.path, this.hashText(prompt), ollamaConfig));
+                });
             }
+
+            return { symbols: read.symbols, chunkSummaries: [], parts: read.chunks.length };
+        };
+
+        const chunked = new Set();
+        for (const file of projectIndex.files.filter(file => this.needsDescription(file) && !skip.has(this.getRunKey('file', file.path)))) {
+            const siblings = children.get(path.dirname(file.path)).files;
+            const context = {
+                project,
+                language: file.language,
+                type: file.type,
+                neighbors: siblings.filter(sibling => sibling !== file).slice(0, 20).map(sibling => path.basename(sibling.path))
+            };
+            const { parts = 0, ...source } = await planSource(file, context, false);
+            const prompt = this.buildFileDescriptionPrompt(file, { ...context, ...source });
+            const contentHash = file.hash ? this.getFileContentHash(file, project) : parts === 0 ? this.hashText(prompt) : null;
+            const response = add('file', file.path, prompt, contentHash && this.getCacheParams('file', file.path, contentHash, ollamaConfig), parts);
+
+            if (parts > 0) chunked.add(file.path);
+            descriptions.set(file.path, response ? response.summary : null);
+        }
+
+        const withPlannedDescription = item => descriptions.has(item.path) ? { ...item, description: descriptions.get(item.path) } : item;
+        const depths = [...new Set(projectIndex.folders.map(folder => folder.depth))].sort((a, b) => b - a);
+        let topLevel = [];
+
+        for (const depth of depths) {
+            for (const folder of projectIndex.folders.filter(folder => folder.depth === depth)) {
+                const folderChildren = children.get(folder.path) || { files: [], folders: [] };
+
+                if (skip.has(this.getRunKey('folder', folder.path))) {
+                    if (folder.depth === 0) topLevel = this.truncateEntries(this.buildChildEntries(folderChildren), budget);
+                    continue;
+                }
+
+                const changed = [...folderChildren.files, ...folderChildren.folders]
+                    .some(child => descriptions.has(child.path) && descriptions.get(child.path) === null);
+                const context = { project, fileCount: folder.fileCount };
+
+                let entries = this.buildChildEntries({
+                    files: folderChildren.files.map(withPlannedDescription),
+                    folders: folderChildren.folders.map(withPlannedDescription)
+                });
+                let parts = 0;
+                let partsCached = true;
+
+                // Only the first reduction is planned, it is the one almost every large folder needs
+                if (this.estimateTokens(entries.join('\n')) > budget) {
+                    const groups = this.chunkEntries(entries, budget);
+
+                    if (groups.length >= entries.length) {
+                        entries = this.truncateEntries(entries, budget);
+                    } else {
+                        groups.forEach((group, index) => {
+                            const prompt = this.buildFolderPartPrompt(folder, group, { ...context, part: index + 1, parts: groups.length });
+                            const cacheParams = changed ? null : this.getCacheParams('folder-part', folder.path, this.hashText(prompt), ollamaConfig);
+                            if (add('folder-part', folder.path, prompt, cacheParams) === null) partsCached = false;
+                        });
+                        entries = [];
+                        parts = groups.length;
+                    }
+                }
+
+                if (folder.depth === 0) topLevel = entries;
+
+                const prompt = this.buildFolderDescriptionPrompt(folder, { ...context, entries });
+
+                if (parts > 0) {
+                    // The prompt lists the part summaries, unchanged when the cache answers every part
+                    const cached = !changed && partsCached;
+                    requests.push({ kind: 'folder', path: folder.path, promptTokens: this.estimateTokens(prompt), partResponses: parts, cached });
+                    descriptions.set(folder.path, cached ? folder.description : null);
+                } else {
+                    const cacheParams = changed ? null : this.getCacheParams('folder', folder.path, this.hashText(prompt), ollamaConfig);
+                    const response = add('folder', folder.path, prompt, cacheParams);
+                    descriptions.set(folder.path, response ? response.summary : null);
+                }
+            }
+        }
+
+        if (!options.detailed) return requests;
+
+        const resumed = (kind, targetPath, result) => this.isResumed(skip, kind, targetPath, result);
+
+        // The project prompts are never cached
+        if (!resumed('overview', null, projectIndex.aiGeneratedOverview)) add('overview', null, this.prompts.render('overview', {
+            ...this.getProjectVariables(project),
+            languages: projectIndex.metadata.languages.join(', '),
+            totalFiles: projectIndex.metadata.totalFiles,
+            architecture: projectIndex.analysis.architecture.join(', '),
+            frameworks: projectIndex.analysis.frameworks.join(', '),
+            topLevel
+        }), null);
+        if (!resumed('architecture', null, projectIndex.aiArchitectureAnalysis)) add('architecture', null, this.prompts.render('architecture', {
+            ...this.getProjectVariables(project),
+            architecture: projectIndex.analysis.architecture.join(', '),
+            patterns: projectIndex.analysis.patterns.join(', '),
+            topLevel: topLevel.length > 0 ? topLevel : 'No component summaries available'
+        }), null);
+
+        for (const file of projectIndex.files.filter(file => file.complexity > 5 && !resumed('detailed', file.path, file.aiDetailedDoc))) {
+            const { parts = 0, ...source } = await planSource(file, { project }, chunked.has(file.path));
+            const prompt = this.buildDetailedDocumentationPrompt(file, { project, ...source });
+            const cacheParams = file.hash
+                ? this.getCacheParams('detailed', file.path, this.getFileContentHash(file, project), ollamaConfig)
+                : null;
+
+            add('detailed', file.path, prompt, cacheParams, parts);
+        }
+
+        return requests;
+    }
+
+    /**
+     * Check whether a file gets an AI description: every file without one does,
+     * whatever description indexing gave it. `aiDetails` is only set from a model
+     * response, restored with it from the persistent index for unchanged files.
+     * @param {Object} file - File object
+     * @returns {boolean} True when the file is described by the model
+     * @private
+     */
+    needsDescription(file) {
+        return !file.aiDetails;
+    }
+
+    /**
+     * Get the files and folders to describe
+     * @param {Object} projectIndex - Project index object
+     * @param {string[]} [onlyPaths] - Only these files (absolute paths) and the folders containing them
+     * @returns {{files: Object[], folders: Object[]}} Files and folders
+     * @private
+     */
+    selectTargets(projectIndex, onlyPaths) {
+        if (!onlyPaths) {
+            return { files: projectIndex.files, folders: projectIndex.folders };
+        }
+
+        const paths = new Set(onlyPaths);
+        return {
+            files: projectIndex.files.filter(file => paths.has(file.path)),
+            folders: projectIndex.folders.filter(folder =>
+                onlyPaths.some(filePath => filePath.startsWith(folder.path + '/'))
+            )
+        };
+    }
+
+    /**
+     * Group the files and folders of the index by parent folder path
+     * @param {Object} projectIndex - Project index object
+     * @returns {Map<string, {files: Object[], folders: Object[]}>} Children by folder path
+     * @private
+     */
+    groupChildren(projectIndex) {
+        const children = new Map();
+        const getChildren = folderPath => {
+            if (!children.has(folderPath)) children.set(folderPath, { files: [], folders: [] });
+            return children.get(folderPath);
+        };
+
+        projectIndex.folders
+            .filter(folder => folder.depth > 0)
+            .forEach(folder => getChildren(path.dirname(folder.path)).folders.push(folder));
+        projectIndex.files.forEach(file => getChildren(path.dirname(file.path)).files.push(file));
+
+        return children;
+    }
+
+    /**
+     * Build the summary lines of the children of a folder, subfolders first
+     * @param {{files: Object[], folders: Object[]}} [children] - Child files and folders
+     * @returns {string[]} One line per child
+     * @private
+     */
+    buildChildEntries(children = { files: [], folders: [] }) {
+        return [
+            ...children.folders.map(folder =>
+                `- ${path.basename(folder.path)}/: ${folder.description || `${folder.fileCount || 0} files`}`),
+            ...children.files.map(file =>
+                `- ${path.basename(file.path)}: ${file.description || `${file.language} ${file.type}, ${file.lineCount} lines`}`)
+        ];
+    }
+
+    /**
+     * Shrink child summaries until they fit in the context window, replacing groups
+     * of them with one summary each
+     * @param {Object} folder - Folder the children belong to
+     * @param {string[]} entries - Child summaries
+     * @param {Object} context - Additional context
+     * @param {Object} config - Ollama configuration
+     * @returns {Promise<string[]>} Summaries fitting in one prompt
+     * @private
+     */
+    async reduceEntries(folder, entries, context, config) {
+        const budget = this.getPromptBudget(config);
+        let current = entries;
+
+        while (this.estimateTokens(current.join('\n')) > budget) {
+            const groups = this.chunkEntries(current, budget);
+
+            // Entries too long to be combined: keep the ones that fit
+            if (groups.length >= current.length) {
+                return this.truncateEntries(current, budget);
+            }
+
+            const summaries = await Promise.all(groups.map((group, index) =>
+                this.generateFolderPartSummary(folder, group, { ...context, part: index + 1, parts: groups.length }, config)));
+            current = summaries.map((summary, index) => `- Part ${index + 1} of ${groups.length}: ${summary}`);
+        }
+
+        return current;
+    }
+
+    /**
+     * Split summaries into consecutive groups fitting in the token budget
+     * @param {string[]} entries - Summaries
+     * @param {number} budget - Tokens available per group
+     * @returns {string[][]} Groups, an entry larger than the budget alone in its group
+     * @private
+     */
+    chunkEntries(entries, budget) {
+        const groups = [];
+        let group = [];
+        let tokens = 0;
+
+        entries.forEach(entry => {
+            const entryTokens = this.estimateTokens(entry) + 1;
+            if (group.length > 0 && tokens + entryTokens > budget) {
+                groups.push(group);
+                group = [];
+                tokens = 0;
+            }
+            group.push(entry);
+            tokens += entryTokens;
         });
 
-        // Process in batches to avoid overwhelming the API
-        await this.processBatched([...filePromises, ...folderPromises], 5);
+        if (group.length > 0) groups.push(group);
+        return groups;
+    }
+
+    /**
+     * Keep the leading summaries fitting in the token budget
+     * @param {string[]} entries - Summaries
+     * @param {number} budget - Tokens available
+     * @returns {string[]} Kept summaries, followed by a count of the dropped ones
+     * @private
+     */
+    truncateEntries(entries, budget) {
+        const maxChars = budget * CHARS_PER_TOKEN;
+        const kept = [];
+        let length = 0;
+
+        for (const entry of entries) {
+            const line = entry.substring(0, maxChars);
+            if (kept.length > 0 && length + line.length + 1 > maxChars) break;
+            kept.push(line);
+            length += line.length + 1;
+        }
+
+        return kept.length < entries.length
+            ? [...kept, `- ... and ${entries.length - kept.length} more`]
+            : kept;
+    }
+
+    /**
+     * Estimate the number of tokens of a text
+     * @param {string} text - Text
+     * @returns {number} Approximate token count
+     */
+    estimateTokens(text) {
+        return Math.ceil(text.length / CHARS_PER_TOKEN);
+    }
+
+    /**
+     * Get the tokens left for file content or child summaries in a prompt: the
+     * provider context window minus the response and the fixed prompt wording
+     * @param {Object} config - Ollama configuration
+     * @returns {number} Token budget
+     * @private
+     */
+    getPromptBudget(config) {
+        const contextLength = this.getProvider(config).getCapabilities().contextLength;
+        return Math.max(contextLength - (config.maxTokens || 0) - PROMPT_OVERHEAD_TOKENS, MIN_PROMPT_BUDGET);
+    }
+
+    /**
+     * Copy the file and folder descriptions into the project structure tree,
+     * which holds copies made while indexing
+     * @param {Object} projectIndex - Project index object
+     * @private
+     */
+    applyDescriptionsToStructure(projectIndex) {
+        const descriptions = new Map([...projectIndex.files, ...projectIndex.folders]
+            .filter(item => item.description)
+            .map(item => [item.path, item.description]));
+
+        const apply = node => {
+            if (descriptions.has(node.path)) node.description = descriptions.get(node.path);
+            (node.children || []).forEach(apply);
+        };
+
+        if (projectIndex.structure && projectIndex.structure.path) apply(projectIndex.structure);
+    }
+
+    /**
+     * Get the summaries of the top-level files and folders
+     * @param {Object} projectIndex - Project index object
+     * @param {Map<string, string[]>} folderEntries - Child summaries by folder path, from summarizeHierarchy()
+     * @returns {string[]} Summaries, one line each
+     * @private
+     */
+    getTopLevelEntries(projectIndex, folderEntries) {
+        const root = projectIndex.folders.find(folder => folder.depth === 0);
+        return root ? folderEntries.get(root.path) || [] : [];
     }
 
     /**
      * Generate detailed documentation for the project
      * @param {Object} projectIndex - Project index object
      * @param {Object} config - Ollama configuration
+     * @param {Object} [options] - Documentation options
+     * @param {AbortSignal} [options.signal] - Stops the run: queued requests are cancelled, sent ones complete
+     * @param {{kind: string, path: string|null}[]} [options.skip] - Requests completed by an interrupted run, see
+     *     getCompleted(); their overview, analysis and documentation are kept when the index holds them
      * @returns {Promise<void>}
+     * @throws {Error} AbortError when the run is stopped
      */
-    async generateDetailedDocumentation(projectIndex, config = {}) {
+    async generateDetailedDocumentation(projectIndex, config = {}, options = {}) {
         const ollamaConfig = { ...this.defaultConfig, ...config };
+        const skip = this.getRunKeys(options.skip);
+        this.startRun(options);
+
+        // Summarize files and folders, the top-level summaries feed the project prompts
+        const folderEntries = await this.summarizeHierarchy(projectIndex, ollamaConfig, { skip: options.skip });
+        const topLevel = this.getTopLevelEntries(projectIndex, folderEntries);
 
         // Generate project overview
-        projectIndex.aiGeneratedOverview = await this.generateProjectOverview(
-            projectIndex,
-            ollamaConfig
-        );
+        if (!this.isResumed(skip, 'overview', null, projectIndex.aiGeneratedOverview)) {
+            projectIndex.aiGeneratedOverview = await this.generateProjectOverview(
+                projectIndex,
+                ollamaConfig,
+                topLevel
+            );
+        }
 
         // Generate architecture analysis
-        projectIndex.aiArchitectureAnalysis = await this.generateArchitectureAnalysis(
-            projectIndex,
-            ollamaConfig
-        );
+        if (!this.isResumed(skip, 'architecture', null, projectIndex.aiArchitectureAnalysis)) {
+            projectIndex.aiArchitectureAnalysis = await this.generateArchitectureAnalysis(
+                projectIndex,
+                ollamaConfig,
+                topLevel
+            );
+        }
 
         // Generate detailed file documentation
         const detailedPromises = projectIndex.files
             .filter(file => file.complexity > 5) // Focus on complex files
+            .filter(file => !this.isResumed(skip, 'detailed', file.path, file.aiDetailedDoc))
             .map(async (file) => {
                 file.aiDetailedDoc = await this.generateDetailedFileDocumentation(
                     file,
@@ -135,41 +1016,31 @@ export class AIService {
                 );
             });
 
-        await this.processBatched(detailedPromises, 3);
+        await Promise.all(detailedPromises);
     }
 
     /**
      * Generate project overview
      * @param {Object} projectIndex - Project index object
      * @param {Object} config - Ollama configuration
+     * @param {string[]} [topLevel] - Summaries of the top-level files and folders
      * @returns {Promise<string>} Generated overview
      */
-    async generateProjectOverview(projectIndex, config) {
-        const prompt = `
-Analyze this software project and provide a comprehensive overview:
-
-Project Information:
-- Languages: ${projectIndex.metadata.languages.join(', ')}
-- Total Files: ${projectIndex.metadata.totalFiles}
-- Architecture Patterns: ${projectIndex.analysis.architecture.join(', ')}
-- Frameworks: ${projectIndex.analysis.frameworks.join(', ')}
-
-Please provide:
-1. A brief project summary
-2. Main technologies and frameworks used
-3. Architecture overview
-4. Key components and their roles
-5. Overall complexity assessment
-
-Write in ${projectIndex.project.naturalLanguage === 'fr' ? 'French' : 'English'}.
-Keep it concise but informative (max 300 words).
-`;
+    async generateProjectOverview(projectIndex, config, topLevel = []) {
+        const prompt = this.prompts.render('overview', {
+            ...this.getProjectVariables(projectIndex.project),
+            languages: projectIndex.metadata.languages.join(', '),
+            totalFiles: projectIndex.metadata.totalFiles,
+            architecture: projectIndex.analysis.architecture.join(', '),
+            frameworks: projectIndex.analysis.frameworks.join(', '),
+            topLevel
+        });
 
         try {
-            return await this.callOllama(prompt, config);
+            return await this.track('overview', null, () => this.generate(prompt, config));
         } catch (error) {
-            console.warn(`Failed to generate project overview: ${error.message}`);
-            return 'Project overview generation failed';
+            this.recordFailure('overview', null, error);
+            return this.translate(projectIndex.project, 'ai.overviewFailed');
         }
     }
 
@@ -177,34 +1048,22 @@ Keep it concise but informative (max 300 words).
      * Generate architecture analysis
      * @param {Object} projectIndex - Project index object
      * @param {Object} config - Ollama configuration
+     * @param {string[]} [topLevel] - Summaries of the top-level files and folders
      * @returns {Promise<string>} Generated analysis
      */
-    async generateArchitectureAnalysis(projectIndex, config) {
-        const prompt = `
-Analyze the architecture of this software project:
-
-Project Structure:
-${JSON.stringify(projectIndex.structure, null, 2)}
-
-Architecture Patterns Detected: ${projectIndex.analysis.architecture.join(', ')}
-Design Patterns: ${projectIndex.analysis.patterns.join(', ')}
-
-Provide an analysis covering:
-1. Overall architecture assessment
-2. Strengths and potential improvements
-3. Code organization quality
-4. Scalability considerations
-5. Recommendations for development
-
-Write in ${projectIndex.project.naturalLanguage === 'fr' ? 'French' : 'English'}.
-Be technical but accessible (max 400 words).
-`;
+    async generateArchitectureAnalysis(projectIndex, config, topLevel = []) {
+        const prompt = this.prompts.render('architecture', {
+            ...this.getProjectVariables(projectIndex.project),
+            architecture: projectIndex.analysis.architecture.join(', '),
+            patterns: projectIndex.analysis.patterns.join(', '),
+            topLevel: topLevel.length > 0 ? topLevel : 'No component summaries available'
+        });
 
         try {
-            return await this.callOllama(prompt, config);
+            return await this.track('architecture', null, () => this.generate(prompt, config));
         } catch (error) {
-            console.warn(`Failed to generate architecture analysis: ${error.message}`);
-            return 'Architecture analysis generation failed';
+            this.recordFailure('architecture', null, error);
+            return this.translate(projectIndex.project, 'ai.architectureFailed');
         }
     }
 
@@ -216,129 +1075,318 @@ Be technical but accessible (max 400 words).
      * @returns {Promise<string>} Generated documentation
      */
     async generateDetailedFileDocumentation(file, projectIndex, config) {
-        const prompt = `
-Analyze this source code file in detail:
-
-File: ${file.path}
-Type: ${file.type}
-Language: ${file.language}
-Complexity: ${file.complexity}/10
-Lines: ${file.lineCount}
-
-${file.doc ? `Documentation: ${file.doc.substring(0, 500)}` : ''}
-
-${file.metadata ? `
-Classes: ${file.metadata.classes?.join(', ') || 'None'}
-Functions: ${file.metadata.functions?.slice(0, 5).join(', ') || 'None'}
-Dependencies: ${file.metadata.dependencies?.slice(0, 5).join(', ') || 'None'}
-` : ''}
-
-Provide detailed documentation including:
-1. Purpose and responsibility
-2. Key components (classes, functions)
-3. Dependencies and relationships
-4. Complexity analysis
-5. Potential improvements
-
-Write in ${projectIndex.project.naturalLanguage === 'fr' ? 'French' : 'English'}.
-Be technical and detailed (max 200 words).
-`;
+        const context = { project: projectIndex.project };
 
         try {
-            return await this.callOllama(prompt, config);
+            const source = await this.summarizeSource(file, context, config);
+            const prompt = this.buildDetailedDocumentationPrompt(file, { ...context, ...source });
+            const cacheParams = file.hash
+                ? this.getCacheParams('detailed', file.path, this.getFileContentHash(file, projectIndex.project), config)
+                : null;
+
+            return await this.track('detailed', file.path, () => this.callWithCache(prompt, config, cacheParams));
         } catch (error) {
-            console.warn(`Failed to generate detailed docs for ${file.path}: ${error.message}`);
-            return 'Detailed documentation generation failed';
+            this.recordFailure('detailed', file.path, error);
+            return this.translate(projectIndex.project, 'ai.detailedFailed');
         }
     }
 
+    /**
+     * Answer a question about the project from retrieved sources only. Sources are
+     * given in order of relevance until the context window is full; when none fits,
+     * or the model finds no answer in them, the localized `ai.noAnswer` text is returned.
+     * @param {string} question - Question
+     * @param {Object[]} sources - Retrieved sources, most relevant first: the `label` cited in answers and the `text` given to the model
+     * @param {Object[]} history - Previous turns of the conversation: { role: user|assistant, content }
+     * @param {Object} project - Project information
+     * @param {Object} config - Ollama configuration
+     * @returns {Promise<{answer: string, answered: boolean, sources: Object[]}>} Answer and the sources given to the model
+     */
+    async answerQuestion(question, sources, history, project, config) {
+        const noAnswer = this.translate(project, 'ai.noAnswer');
+        let budget = this.getPromptBudget(config) - this.estimateTokens(question);
+
+        // Recent turns first, older ones are dropped when they would take more than half of the budget
+        const turns = [];
+        let historyBudget = Math.floor(budget / 2);
+        for (const turn of [...history].reverse()) {
+            historyBudget -= this.estimateTokens(turn.content);
+            if (historyBudget < 0) break;
+            turns.unshift(turn);
+        }
+        budget -= turns.reduce((sum, turn) => sum + this.estimateTokens(turn.content), 0);
+
+        const used = [];
+        for (const source of sources) {
+            const tokens = this.estimateTokens(source.text);
+            if (tokens > budget) break;
+
+            used.push(source);
+            budget -= tokens;
+        }
+
+        if (used.length === 0) {
+            return { answer: noAnswer, answered: false, sources: [] };
+        }
+
+        const prompt = this.prompts.render('ask', {
+            ...this.getProjectVariables(project),
+            question,
+            context: used.map(source => source.text).join('\n\n'),
+            noAnswer
+        });
+        const answer = (await this.chat([...turns, { role: 'user', content: prompt }], config)).trim();
+
+        return { answer, answered: !answer.includes(noAnswer), sources: used };
+    }
+
     /**
      * Build prompt for file description
      * @param {Object} file - File object
-     * @param {Object} context - Additional context
+     * @param {Object} context - Additional context: the file `source` or its `chunkSummaries`, its `symbols`
+     *     and the names of its `neighbors`
      * @returns {string} Generated prompt
      */
     buildFileDescriptionPrompt(file, context) {
-        const language = context.project?.naturalLanguage === 'fr' ? 'French' : 'English';
+        return this.prompts.render('file', {
+            ...this.getProjectVariables(context.project),
+            path: file.path,
+            name: path.basename(file.path),
+            language: file.language,
+            type: file.type,
+            lineCount: file.lineCount,
+            documentation: file.doc ? file.doc.substring(0, 200) : null,
+            symbols: this.formatSymbols(context.symbols),
+            neighbors: (context.neighbors || []).join(', '),
+            source: context.source,
+            chunkSummaries: context.chunkSummaries
+        });
+    }
 
-        return `
-Describe this ${file.language} file briefly:
+    /**
+     * Build prompt for detailed file documentation
+     * @param {Object} file - File object
+     * @param {Object} context - Additional context: the file `source` or its `chunkSummaries` and its `symbols`
+     * @returns {string} Generated prompt
+     */
+    buildDetailedDocumentationPrompt(file, context) {
+        const metadata = file.metadata || {};
 
-File: ${file.path}
-Type: ${file.type}
-Size: ${file.lineCount} lines
-${file.doc ? `Documentation: ${file.doc.substring(0, 200)}` : ''}
+        return this.prompts.render('detailed', {
+            ...this.getProjectVariables(context.project),
+            path: file.path,
+            name: path.basename(file.path),
+            language: file.language,
+            type: file.type,
+            complexity: file.complexity,
+            lineCount: file.lineCount,
+            documentation: file.doc ? file.doc.substring(0, 500) : null,
+            classes: metadata.classes?.join(', ') || 'None',
+            functions: metadata.functions?.slice(0, 5).join(', ') || 'None',
+            dependencies: metadata.dependencies?.slice(0, 5).join(', ') || 'None',
+            symbols: this.formatSymbols(context.symbols),
+            source: context.source,
+            chunkSummaries: context.chunkSummaries
+        });
+    }
 
-Provide a concise description (1-2 sentences) of what this file does.
-Write in ${language}.
-Focus on the file's purpose and role in the project.
-`;
+    /**
+     * Build prompt summarizing one chunk of a file
+     * @param {Object} file - File object
+     * @param {{startLine: number, endLine: number, text: string}} chunk - Source chunk
+     * @param {Object} context - Additional context, with the `part` number and the number of `parts`
+     * @returns {string} Generated prompt
+     */
+    buildChunkSummaryPrompt(file, chunk, context) {
+        return this.prompts.render('chunk', {
+            ...this.getProjectVariables(context.project),
+            path: file.path,
+            name: path.basename(file.path),
+            language: file.language,
+            part: context.part,
+            parts: context.parts,
+            startLine: chunk.startLine,
+            endLine: chunk.endLine,
+            source: chunk.text
+        });
     }
 
     /**
      * Build prompt for folder description
      * @param {Object} folder - Folder object
-     * @param {Object} context - Additional context
+     * @param {Object} context - Additional context, with the child summaries as `entries`
      * @returns {string} Generated prompt
      */
     buildFolderDescriptionPrompt(folder, context) {
-        const language = context.project?.naturalLanguage === 'fr' ? 'French' : 'English';
+        return this.prompts.render('folder', {
+            ...this.getProjectVariables(context.project),
+            path: folder.path,
+            name: path.basename(folder.path),
+            fileCount: folder.fileCount || 0,
+            contents: context.entries
+        });
+    }
+
+    /**
+     * Build prompt summarizing one group of the children of a folder
+     * @param {Object} folder - Folder object
+     * @param {string[]} entries - Child summaries of the group
+     * @param {Object} context - Additional context, with the `part` number and the number of `parts`
+     * @returns {string} Generated prompt
+     */
+    buildFolderPartPrompt(folder, entries, context) {
+        return this.prompts.render('folder-part', {
+            ...this.getProjectVariables(context.project),
+            path: folder.path,
+            name: path.basename(folder.path),
+            part: context.part,
+            parts: context.parts,
+            contents: entries
+        });
+    }
+
+    /**
+     * Translate a fallback text into the natural language of the project
+     * @param {Object} [project] - Project information
+     * @param {string} key - Message key
+     * @returns {string} Localized text
+     * @private
+     */
+    translate(project, key) {
+        return new Translator(project?.naturalLanguage).t(key);
+    }
+
+    /**
+     * Get the variables every prompt template receives
+     * @param {Object} [project] - Project information
+     * @returns {{naturalLanguage: string, projectDescription: string|null}} Template variables
+     * @private
+     */
+    getProjectVariables(project) {
+        return {
+            naturalLanguage: LANGUAGE_NAMES[project?.naturalLanguage] || LANGUAGE_NAMES.en,
+            projectDescription: project?.description || null
+        };
+    }
+
+    /**
+     * Format the top-level symbols of a file for a prompt
+     * @param {Object[]} [symbols] - Analyzer symbols
+     * @returns {string} Kinds and names, at most 20
+     * @private
+     */
+    formatSymbols(symbols = []) {
+        const topLevel = symbols.filter(symbol => !symbol.parent && !['package', 'namespace'].includes(symbol.kind));
+        const names = topLevel.slice(0, 20).map(symbol => `${symbol.kind} ${symbol.name}`);
+
+        return topLevel.length > 20 ? `${names.join(', ')}...` : names.join(', ');
+    }
+
+    /**
+     * Generate a completion with the provider, queued in the scheduler
+     * @param {string} prompt - Input prompt
+     * @param {Object} config - Ollama configuration, supplies temperature and maxTokens
+     * @param {Object} [options] - Extra generation options, see LLMProvider.generate()
+     * @returns {Promise<string>} Completion text
+     */
+    async generate(prompt, config, options = {}) {
+        const provider = this.getProvider(config);
 
-        return `
-Describe this project folder briefly:
+        return this.scheduler.schedule(signal => this.measure(provider, prompt, onToken => provider.generate(prompt, {
+            temperature: config.temperature,
+            maxTokens: config.maxTokens,
+            ...options,
+            onToken,
+            signal
+        })), { signal: this.signal });
+    }
+
+    /**
+     * Generate the next assistant message of a conversation, queued in the scheduler
+     * @param {Object[]} messages - Messages: { role: system|user|assistant, content }
+     * @param {Object} config - Ollama configuration, supplies temperature and maxTokens
+     * @param {Object} [options] - Extra generation options, see LLMProvider.generate()
+     * @returns {Promise<string>} Assistant message text
+     */
+    async chat(messages, config, options = {}) {
+        const provider = this.getProvider(config);
 
-Folder: ${folder.path}
-Files: ${folder.fileCount || 0}
-${folder.description ? `Current description: ${folder.description}` : ''}
+        const prompt = messages.map(message => message.content).join('\n');
 
-Based on the folder name and context, provide a brief description (1 sentence) of what this folder contains.
-Write in ${language}.
-Focus on the folder's purpose in the project structure.
-`;
+        return this.scheduler.schedule(signal => this.measure(provider, prompt, onToken => provider.chat(messages, {
+            temperature: config.temperature,
+            maxTokens: config.maxTokens,
+            ...options,
+            onToken,
+            signal
+        })), { signal: this.signal });
     }
 
     /**
-     * Call Ollama API
+     * Run one provider attempt, adding its tokens and duration to the usage of the model
+     * when it succeeds. While a progress tracker is set, responses are streamed so it
+     * counts tokens as they are generated.
+     * @param {import('../providers/LLMProvider.js').LLMProvider} provider - Provider answering the request
+     * @param {string} prompt - Prompt text
+     * @param {Function} attempt - Async function calling the provider, receives the `onToken` option
+     * @returns {Promise<string>} Response
+     * @private
+     */
+    async measure(provider, prompt, attempt) {
+        const progress = this.progress;
+        const startedAt = Date.now();
+        let streamed = false;
+
+        const response = await attempt(progress ? () => {
+            streamed = true;
+            progress.recordTokens(1);
+        } : undefined);
+
+        if (progress && !streamed) {
+            progress.recordTokens(this.estimateTokens(response));
+        }
+
+        const model = provider.getCacheModel();
+        const usage = this.usage.get(model) || { requests: 0, promptTokens: 0, completionTokens: 0, durationMs: 0 };
+        usage.requests++;
+        usage.promptTokens += this.estimateTokens(prompt);
+        usage.completionTokens += this.estimateTokens(response);
+        usage.durationMs += Date.now() - startedAt;
+        this.usage.set(model, usage);
+
+        return response;
+    }
+
+    /**
+     * Get the tokens and time spent on successful requests since the last call, by model.
+     * Token counts are estimated from the text length.
+     * @returns {Object<string, {requests: number, promptTokens: number, completionTokens: number, durationMs: number}>} Usage by cache model name
+     */
+    takeUsage() {
+        const usage = Object.fromEntries(this.usage);
+        this.usage = new Map();
+        return usage;
+    }
+
+    /**
+     * Generate a JSON response and validate it against a schema. An invalid
+     * response is requested once more, the prompt telling what was wrong.
      * @param {string} prompt - Input prompt
      * @param {Object} config - Ollama configuration
-     * @returns {Promise<string>} API response
-     */
-    async callOllama(prompt, config) {
-        const requestData = {
-            model: config.model,
-            prompt: prompt,
-            stream: false,
-            options: {
-                temperature: config.temperature,
-                num_predict: config.maxTokens
-            }
-        };
+     * @param {Object} schema - Response schema, see config/ResponseSchemas.js
+     * @returns {Promise<Object>} Validated response
+     * @throws {Error} With code INVALID_RESPONSE when the retry is invalid too
+     */
+    async generateStructured(prompt, config, schema) {
+        const options = { json: true, schema };
 
         try {
-            const response = await axios.post(
-                `${config.baseUrl}/api/generate`,
-                requestData,
-                {
-                    timeout: 30000, // 30 second timeout
-                    headers: {
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
-
-            if (response.data && response.data.response) {
-                return response.data.response;
-            } else {
-                throw new Error('Invalid response format from Ollama');
-            }
+            return this.responses.parse(await this.generate(prompt, config, options), schema);
         } catch (error) {
-            if (error.code === 'ECONNREFUSED') {
-                throw new Error('Ollama server is not running. Please start Ollama first.');
-            } else if (error.response) {
-                throw new Error(`Ollama API error: ${error.response.status} - ${error.response.data?.error || 'Unknown error'}`);
-            } else {
-                throw new Error(`Ollama request failed: ${error.message}`);
-            }
+            if (error.code !== 'INVALID_RESPONSE') throw error;
+
+            const retryPrompt = `${prompt}\n${error.message}. Answer again with only the JSON object described above.`;
+            return this.responses.parse(await this.generate(retryPrompt, config, options), schema);
         }
     }
 
@@ -356,61 +1404,25 @@ Focus on the folder's purpose in the project structure.
     }
 
     /**
-     * Process promises in batches
-     * @param {Promise[]} promises - Array of promises
-     * @param {number} batchSize - Batch size
-     * @returns {Promise<void>}
-     */
-    async processBatched(promises, batchSize = 5) {
-        for (let i = 0; i < promises.length; i += batchSize) {
-            const batch = promises.slice(i, i + batchSize);
-            await Promise.allSettled(batch);
-
-            // Small delay between batches to be nice to the API
-            if (i + batchSize < promises.length) {
-                await new Promise(resolve => setTimeout(resolve, 1000));
-            }
-        }
-    }
-
-    /**
-     * Test Ollama connection
+     * Test the provider connection
      * @param {Object} config - Ollama configuration
      * @returns {Promise<boolean>} True if connection successful
      */
     async testConnection(config = {}) {
-        const ollamaConfig = { ...this.defaultConfig, ...config };
-
-        try {
-            const response = await axios.get(`${ollamaConfig.baseUrl}/api/tags`, {
-                timeout: 5000
-            });
-            return response.status === 200;
-        } catch (error) {
-            console.warn(`Ollama connection test failed: ${error.message}`);
-            return false;
-        }
+        return this.getProvider({ ...this.defaultConfig, ...config }).testConnection();
     }
 
     /**
-     * Get available models from Ollama
+     * Get the models available from the provider
      * @param {Object} config - Ollama configuration
      * @returns {Promise<string[]>} Array of model names
      */
     async getAvailableModels(config = {}) {
-        const ollamaConfig = { ...this.defaultConfig, ...config };
-
         try {
-            const response = await axios.get(`${ollamaConfig.baseUrl}/api/tags`);
-
-            if (response.data && response.data.models) {
-                return response.data.models.map(model => model.name);
-            }
-
-            return [];
+            return await this.getProvider({ ...this.defaultConfig, ...config }).listModels();
         } catch (error) {
-            console.warn(`Failed to get Ollama models: ${error.message}`);
+            console.warn(`Failed to get models: ${error.message}`);
             return [];
         }
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Checkpoint of an interrupted export, so a later run can resume it
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs-extra';
+import { DEFAULT_CACHE_DIR } from './IndexCacheService.js';
+
+/**
+ * Version of the on-disk checkpoint format. Bump when the stored shape changes.
+ */
+export const CHECKPOINT_VERSION = 1;
+
+/**
+ * Service storing the progress of a long-running export.
+ *
+ * The work itself is kept by the persistent index and the AI cache; the
+ * checkpoint records what the run had completed on top of them: the phase it
+ * reached, the AI requests answered and the project overview and architecture
+ * analysis, which no cache holds. It is tied to the configuration and the commit
+ * checked out, a run only resumes it when both are unchanged.
+ */
+export class CheckpointService {
+    /**
+     * Create a checkpoint store
+     * @param {string} rootPath - Project root path
+     * @param {Object} [options] - Checkpoint options
+     * @param {string} [options.cacheDir='.svc-indexer'] - Cache directory, relative to the project root
+     */
+    constructor(rootPath, options = {}) {
+        this.rootPath = path.resolve(rootPath);
+        this.cacheDir = path.resolve(this.rootPath, options.cacheDir || DEFAULT_CACHE_DIR);
+        this.checkpointPath = path.join(this.cacheDir, 'checkpoint.json');
+    }
+
+    /**
+     * Hash identifying a configuration
+     * @param {Object} config - Project configuration
+     * @returns {string} Hex encoded SHA-256 hash
+     */
+    static fingerprint(config) {
+        return crypto.createHash('sha256').update(JSON.stringify(config)).digest('hex');
+    }
+
+    /**
+     * Load the checkpoint of the last interrupted run
+     * @returns {Promise<Object|null>} Checkpoint with absolute paths, null when there is none or it cannot be read
+     */
+    async load() {
+        try {
+            if (!await fs.pathExists(this.checkpointPath)) {
+                return null;
+            }
+
+            const stored = await fs.readJson(this.checkpointPath);
+            if (stored.version !== CHECKPOINT_VERSION) {
+                return null;
+            }
+
+            return {
+                ...stored,
+                completed: (stored.completed || []).map(request => ({
+                    kind: request.kind,
+                    path: request.path === null ? null : path.resolve(this.rootPath, request.path)
+                }))
+            };
+        } catch (error) {
+            console.warn(`Warning: Could not load checkpoint: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Write the checkpoint
+     * @param {Object} checkpoint - Checkpoint
+     * @param {string} checkpoint.command - Command of the run
+     * @param {string} checkpoint.config - Configuration fingerprint
+     * @param {string|null} checkpoint.commit - Commit checked out
+     * @param {string} checkpoint.startedAt - ISO date the run started
+     * @param {string} checkpoint.phase - Phase reached: indexing or ai
+     * @param {{kind: string, path: string|null}[]} [checkpoint.completed] - AI requests answered, absolute paths
+     * @param {string|null} [checkpoint.overview] - Project overview
+     * @param {string|null} [checkpoint.architecture] - Architecture analysis
+     * @returns {Promise<void>}
+     */
+    async save(checkpoint) {
+        await fs.ensureDir(this.cacheDir);
+
+        const tempPath = `${this.checkpointPath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify({
+            version: CHECKPOINT_VERSION,
+            ...checkpoint,
+            updatedAt: new Date().toISOString(),
+            completed: (checkpoint.completed || []).map(request => ({
+                kind: request.kind,
+                path: request.path === null ? null : path.relative(this.rootPath, request.path)
+            }))
+        }), 'utf8');
+        await fs.move(tempPath, this.checkpointPath, { overwrite: true });
+    }
+
+    /**
+     * Delete the checkpoint, once the run completed
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await fs.remove(this.checkpointPath);
+    }
+
+    /**
+     * Tell why a checkpoint cannot be resumed by a run
+     * @param {Object} checkpoint - Loaded checkpoint
+     * @param {{config: string, commit: string|null}} run - Configuration fingerprint and commit of the run
+     * @returns {string|null} Reason, null when the checkpoint can be resumed
+     */
+    getMismatch(checkpoint, run) {
+        if (checkpoint.config !== run.config) {
+            return 'the configuration changed';
+        }
+
+        if (checkpoint.commit !== run.commit) {
+            const short = commit => commit ? commit.substring(0, 7) : 'none';
+            return `the commit changed (${short(checkpoint.commit)} → ${short(run.commit)})`;
+        }
+
+        return null;
+    }
+}
@@ -0,0 +1,217 @@
+/**
+ * @fileoverview File-level dependency graph built from resolved imports
+ */
+
+import path from 'path';
+import {ModuleResolver} from './ModuleResolver.js';
+import {analyzerRegistry} from '../analyzers/AnalyzerRegistry.js';
+
+/**
+ * Service resolving the imports of indexed files into a file-level dependency graph
+ */
+export class DependencyGraphService {
+    constructor() {
+        this.analyzerRegistry = analyzerRegistry;
+    }
+
+    /**
+     * Build the dependency graph of a project.
+     * Requires detailed analysis: files without metadata contribute nodes but no edges.
+     * @param {string} rootPath - Project root path
+     * @param {File[]} files - Indexed files
+     * @returns {Promise<Object>} Graph with nodes, edges, unresolved imports and stats
+     */
+    async buildGraph(rootPath, files) {
+        const resolver = await new ModuleResolver(rootPath, files.map(file => file.path)).load();
+        const toRelative = filePath => path.relative(rootPath, filePath).split(path.sep).join('/');
+
+        const nodes = new Map(files.map(file => [file.path, {
+            path: toRelative(file.path),
+            language: file.language,
+            type: file.type,
+            complexity: file.complexity,
+            inDegree: 0,
+            outDegree: 0
+        }]));
+        const edges = [];
+        const edgeKeys = new Set();
+        const unresolved = [];
+        const external = new Set();
+
+        files.forEach(file => {
+            if (!file.metadata || !file.metadata.importDetails) return;
+
+            const analyzer = this.analyzerRegistry.getAnalyzer(file);
+
+            file.metadata.importDetails.forEach(importRecord => {
+                const targets = resolver.resolve(importRecord, file).filter(target => target !== file.path);
+
+                if (targets.length === 0) {
+                    // Only imports written as project paths are expected to resolve
+                    if (analyzer.isRelativeImport(importRecord.source)) {
+                        unresolved.push({from: toRelative(file.path), source: importRecord.source, line: importRecord.line});
+                    } else {
+                        external.add(importRecord.source);
+                    }
+                    return;
+                }
+
+                targets.forEach(target => {
+                    const key = `${file.path}\0${target}`;
+                    if (edgeKeys.has(key)) return;
+                    edgeKeys.add(key);
+
+                    nodes.get(file.path).outDegree++;
+                    nodes.get(target).inDegree++;
+                    edges.push({
+                        from: toRelative(file.path),
+                        to: toRelative(target),
+                        source: importRecord.source,
+                        line: importRecord.line,
+                        kind: importRecord.kind
+                    });
+                });
+            });
+        });
+
+        return {
+            nodes: Array.from(nodes.values()),
+            edges,
+            unresolved,
+            stats: {
+                nodes: nodes.size,
+                edges: edges.length,
+                unresolved: unresolved.length,
+                external: external.size
+            }
+        };
+    }
+
+    /**
+     * Find import cycles between files and between folders
+     * @param {Object} graph - Graph returned by buildGraph()
+     * @returns {Object} File and folder cycles with counts
+     */
+    findCycles(graph) {
+        const fileCycles = this.findStronglyConnectedComponents(
+            graph.nodes.map(node => node.path),
+            graph.edges
+        ).map(files => ({
+            files,
+            imports: this.getComponentImports(graph.edges, new Set(files), edge => [edge.from, edge.to])
+        }));
+
+        // Collapse files to their folders; imports within a folder cannot form a folder cycle
+        const folderOf = filePath => path.posix.dirname(filePath);
+        const folderEdges = graph.edges
+            .filter(edge => folderOf(edge.from) !== folderOf(edge.to))
+            .map(edge => ({from: folderOf(edge.from), to: folderOf(edge.to)}));
+        const folders = [...new Set(graph.nodes.map(node => folderOf(node.path)))];
+
+        const folderCycles = this.findStronglyConnectedComponents(folders, folderEdges)
+            .map(cycleFolders => ({
+                folders: cycleFolders,
+                imports: this.getComponentImports(graph.edges, new Set(cycleFolders), edge => [folderOf(edge.from), folderOf(edge.to)])
+                    .filter(edge => folderOf(edge.from) !== folderOf(edge.to))
+            }));
+
+        return {
+            files: fileCycles,
+            folders: folderCycles,
+            totalFileCycles: fileCycles.length,
+            totalFolderCycles: folderCycles.length
+        };
+    }
+
+    /**
+     * Find the strongly connected components with more than one member (Tarjan's algorithm)
+     * @param {string[]} vertices - Vertex ids
+     * @param {Object[]} edges - Edges with from and to
+     * @returns {string[][]} Components, members sorted, largest first
+     * @private
+     */
+    findStronglyConnectedComponents(vertices, edges) {
+        const adjacency = new Map(vertices.map(vertex => [vertex, []]));
+        edges.forEach(edge => adjacency.get(edge.from).push(edge.to));
+
+        const indexes = new Map();
+        const lowLinks = new Map();
+        const onStack = new Set();
+        const stack = [];
+        const components = [];
+        let nextIndex = 0;
+
+        // Iterative depth-first search, deep import chains would overflow the call stack
+        vertices.forEach(start => {
+            if (indexes.has(start)) return;
+
+            const work = [{vertex: start, neighbor: 0}];
+            indexes.set(start, nextIndex);
+            lowLinks.set(start, nextIndex++);
+            stack.push(start);
+            onStack.add(start);
+
+            while (work.length > 0) {
+                const frame = work[work.length - 1];
+                const neighbors = adjacency.get(frame.vertex);
+
+                if (frame.neighbor < neighbors.length) {
+                    const next = neighbors[frame.neighbor++];
+                    if (!indexes.has(next)) {
+                        indexes.set(next, nextIndex);
+                        lowLinks.set(next, nextIndex++);
+                        stack.push(next);
+                        onStack.add(next);
+                        work.push({vertex: next, neighbor: 0});
+                    } else if (onStack.has(next)) {
+                        lowLinks.set(frame.vertex, Math.min(lowLinks.get(frame.vertex), indexes.get(next)));
+                    }
+                    continue;
+                }
+
+                work.pop();
+                if (work.length > 0) {
+                    const parent = work[work.length - 1].vertex;
+                    lowLinks.set(parent, Math.min(lowLinks.get(parent), lowLinks.get(frame.vertex)));
+                }
+
+                if (lowLinks.get(frame.vertex) === indexes.get(frame.vertex)) {
+                    const component = [];
+                    let member;
+                    do {
+                        member = stack.pop();
+                        onStack.delete(member);
+                        component.push(member);
+                    } while (member !== frame.vertex);
+
+                    if (component.length > 1) components.push(component.sort());
+                }
+            }
+        });
+
+        return components.sort((a, b) => b.length - a.length || a[0].localeCompare(b[0]));
+    }
+
+    /**
+     * Get the imports connecting members of a component, i.e. the import lines closing the cycle
+     * @param {Object[]} edges - File-level graph edges
+     * @param {Set<string>} members - Component members
+     * @param {Function} endpoints - Maps an edge to the [from, to] component members it connects
+     * @returns {Object[]} Imports with file, target, source and line
+     * @private
+     */
+    getComponentImports(edges, members, endpoints) {
+        return edges
+            .filter(edge => endpoints(edge).every(member => members.has(member)))
+            .map(edge => ({from: edge.from, to: edge.to, source: edge.source, line: edge.line}));
+    }
+
+    /**
+     * Get the import sources that resolved to project files
+     * @param {Object} graph - Graph returned by buildGraph()
+     * @returns {Set<string>} Import sources
+     */
+    getResolvedSources(graph) {
+        return new Set(graph.edges.map(edge => edge.source));
+    }
+}
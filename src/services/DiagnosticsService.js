@@ -0,0 +1,408 @@
+/**
+ * @fileoverview Environment and model diagnostics of the doctor command
+ */
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import ignore from 'ignore';
+import * as YAML from 'yaml';
+import { ConfigSchema } from '../config/ConfigSchema.js';
+import { createProvider, createEmbeddingProvider, getProviderSettings } from '../providers/ProviderRegistry.js';
+import { IndexingService } from './IndexingService.js';
+import { ExportService } from './ExportService.js';
+import { AIEstimateService } from './AIEstimateService.js';
+import { AIService } from './AIService.js';
+import { AICacheService } from './AICacheService.js';
+import { PromptTemplateService } from './PromptTemplateService.js';
+import { RedactionService } from './RedactionService.js';
+
+/**
+ * Prompt of the sample generation
+ */
+const SAMPLE_PROMPT = 'In two sentences, explain what a source code indexer does.';
+
+/**
+ * Tokens generated by the sample prompt at most
+ */
+const SAMPLE_MAX_TOKENS = 64;
+
+/**
+ * Rough number of characters per token, to estimate the generation speed
+ */
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Sample latency above which a full AI pass is considered slow
+ */
+const SLOW_LATENCY_MS = 30000;
+
+/**
+ * Estimated duration of a full AI pass above which a warning is given
+ */
+const LONG_PASS_MS = 60 * 60 * 1000;
+
+/**
+ * Service running the checks of the doctor command.
+ *
+ * Every check returns `{ id, label, status, message }`, `status` being pass, warn
+ * or fail. Checks never throw: failures are reported in their result.
+ */
+export class DiagnosticsService {
+    constructor() {
+        this.indexingService = new IndexingService();
+        this.exportService = new ExportService();
+        this.estimateService = new AIEstimateService();
+        this.aiService = new AIService();
+    }
+
+    /**
+     * Run every check. Checks depending on a valid configuration, or on the AI
+     * provider, are left out when those fail.
+     * @param {string} configPath - Path to config.yml file
+     * @returns {Promise<Object[]>} Check results, in order
+     */
+    async runChecks(configPath) {
+        const results = [];
+
+        const { result: configResult, config } = await this.checkConfig(configPath);
+        results.push(configResult);
+        if (!config) return results;
+
+        const projectResult = await this.checkProjectPath(config);
+        results.push(projectResult);
+
+        const providerResult = await this.checkProvider(config);
+        results.push(providerResult.result);
+
+        let sample = null;
+        if (providerResult.models) {
+            results.push(this.checkModel(config, providerResult.models));
+
+            if (config.ai.embeddings.enabled) {
+                results.push(this.checkEmbeddingModel(config, providerResult.models));
+            }
+
+            sample = await this.checkGeneration(config);
+            results.push(sample.result);
+        }
+
+        results.push(await this.checkPDF());
+
+        if (projectResult.status !== 'fail') {
+            const scan = await this.scanProject(config);
+            results.push(this.checkGitignore(config, scan));
+            results.push(await this.checkEstimate(config, configPath, scan));
+        }
+
+        return results;
+    }
+
+    /**
+     * Load and validate the configuration
+     * @param {string} configPath - Path to config.yml file
+     * @returns {Promise<{result: Object, config: Object|null}>} Result and merged configuration, null when invalid
+     */
+    async checkConfig(configPath) {
+        const label = 'Configuration';
+
+        if (!await fs.pathExists(configPath)) {
+            return {
+                result: this.fail('config', label, `Not found: ${configPath}. Run "svc-indexer init" to create one`),
+                config: null
+            };
+        }
+
+        try {
+            const config = ConfigSchema.mergeWithDefaults(YAML.parse(await fs.readFile(configPath, 'utf8')) || {});
+            ConfigSchema.validate(config);
+
+            return { result: this.pass('config', label, `Valid: ${path.resolve(configPath)}`), config };
+        } catch (error) {
+            return { result: this.fail('config', label, error.message), config: null };
+        }
+    }
+
+    /**
+     * Check that the project path is a readable folder
+     * @param {Object} config - Project configuration
+     * @returns {Promise<Object>} Result
+     */
+    async checkProjectPath(config) {
+        const label = 'Project path';
+        const rootPath = path.resolve(config.project.rootPath);
+
+        try {
+            const stats = await fs.stat(rootPath);
+            if (!stats.isDirectory()) {
+                return this.fail('project', label, `Not a folder: ${rootPath}`);
+            }
+
+            await fs.access(rootPath, fs.constants.R_OK);
+        } catch (error) {
+            return this.fail('project', label, error.code === 'ENOENT' ? `Does not exist: ${rootPath}` : error.message);
+        }
+
+        const isRepository = await this.indexingService.gitService.isGitRepository(rootPath);
+        return this.pass('project', label, `${rootPath}${isRepository ? ' (git repository)' : ''}`);
+    }
+
+    /**
+     * Check that the AI provider answers
+     * @param {Object} config - Project configuration
+     * @returns {Promise<{result: Object, models: string[]|null}>} Result and the models offered, null when unreachable
+     */
+    async checkProvider(config) {
+        const label = 'AI provider';
+        const settings = getProviderSettings(config);
+        const location = settings.baseUrl ? ` at ${settings.baseUrl}` : '';
+
+        try {
+            const models = await createProvider(config).listModels();
+            return {
+                result: this.pass('provider', label, `${settings.type}${location}, ${models.length} model(s) available`),
+                models
+            };
+        } catch (error) {
+            return {
+                result: this.fail('provider', label, `${settings.type}${location}: ${error.message}`),
+                models: null
+            };
+        }
+    }
+
+    /**
+     * Check that the completion model is available on the server
+     * @param {Object} config - Project configuration
+     * @param {string[]} models - Models offered by the server
+     * @returns {Object} Result
+     */
+    checkModel(config, models) {
+        const settings = getProviderSettings(config);
+        return this.checkModelAvailable('model', 'Model', settings.type, settings.model, models);
+    }
+
+    /**
+     * Check that the embedding model is available and supported
+     * @param {Object} config - Project configuration
+     * @param {string[]} models - Models offered by the server
+     * @returns {Object} Result
+     */
+    checkEmbeddingModel(config, models) {
+        const label = 'Embedding model';
+
+        let provider;
+        try {
+            provider = createEmbeddingProvider(config);
+        } catch (error) {
+            return this.fail('embeddings', label, error.message);
+        }
+
+        return this.checkModelAvailable('embeddings', label, getProviderSettings(config).type, provider.model, models);
+    }
+
+    /**
+     * Look a model up in the list offered by the server. Ollama lists models with
+     * their tag, `llama3` being `llama3:latest`.
+     * @param {string} id - Check identifier
+     * @param {string} label - Check label
+     * @param {string} type - Provider type
+     * @param {string} model - Model name
+     * @param {string[]} models - Models offered by the server
+     * @returns {Object} Result
+     * @private
+     */
+    checkModelAvailable(id, label, type, model, models) {
+        if (models.includes(model) || models.includes(`${model}:latest`)) {
+            return this.pass(id, label, model);
+        }
+
+        if (type === 'ollama') {
+            return this.fail(id, label, `${model} is not pulled, run "ollama pull ${model}"`);
+        }
+
+        // OpenAI-compatible servers do not always list every model they serve
+        return this.warn(id, label, `${model} is not listed by the server${models.length > 0 ? ` (available: ${models.slice(0, 5).join(', ')})` : ''}`);
+    }
+
+    /**
+     * Generate a short sample answer and measure its latency and speed
+     * @param {Object} config - Project configuration
+     * @returns {Promise<{result: Object, latency: number|null}>} Result and latency in milliseconds, null when the generation fails
+     */
+    async checkGeneration(config) {
+        const label = 'Sample generation';
+        const started = Date.now();
+
+        try {
+            const response = await createProvider(config).generate(SAMPLE_PROMPT, {
+                temperature: config.ollama.temperature,
+                maxTokens: SAMPLE_MAX_TOKENS,
+                signal: AbortSignal.timeout(config.ai.scheduler.timeout)
+            });
+            const latency = Date.now() - started;
+            const tokensPerSecond = (response.length / CHARS_PER_TOKEN) / Math.max(latency / 1000, 0.001);
+            const message = `${this.estimateService.formatDuration(latency)}, ~${tokensPerSecond.toFixed(1)} tokens/s`;
+
+            return {
+                result: latency > SLOW_LATENCY_MS
+                    ? this.warn('generation', label, `${message}, large projects will take long`)
+                    : this.pass('generation', label, message),
+                latency
+            };
+        } catch (error) {
+            const message = error.name === 'TimeoutError' || error.name === 'AbortError'
+                ? `No answer within ${this.estimateService.formatDuration(config.ai.scheduler.timeout)} (ai.scheduler.timeout)`
+                : error.message;
+
+            return { result: this.fail('generation', label, message), latency: null };
+        }
+    }
+
+    /**
+     * Render a small document to PDF in a temporary folder
+     * @returns {Promise<Object>} Result, a warning when PDF output is unavailable since exports still work without it
+     */
+    async checkPDF() {
+        const label = 'PDF generation';
+        const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'svc-indexer-doctor-'));
+        const outputPath = path.join(tempDir, 'doctor.pdf');
+
+        try {
+            await this.exportService.generatePDF('# SVC Indexer\n\nPDF check.', outputPath);
+            const stats = await fs.stat(outputPath);
+            return this.pass('pdf', label, `Working (${stats.size} bytes sample)`);
+        } catch (error) {
+            return this.warn('pdf', label, `${error.message}. export-full still writes Markdown`);
+        } finally {
+            await fs.remove(tempDir);
+        }
+    }
+
+    /**
+     * Scan the project folder like an indexing run, without reading file contents
+     * @param {Object} config - Project configuration
+     * @returns {Promise<{scanned: Object[], files: Object[], folders: Object[], gitignorePatterns: string[]}>}
+     *     Scanned files, indexed files and folders, and .gitignore patterns
+     */
+    async scanProject(config) {
+        const rootPath = path.resolve(config.project.rootPath);
+        const scan = await this.indexingService.fileSystemService.scanDirectory(rootPath, this.indexingService.getScanOptions(config));
+        const ignoreFilter = await this.indexingService.buildIgnoreFilter(config);
+        const gitignorePatterns = config.general.useGitignore
+            ? await this.indexingService.gitService.loadGitignorePatterns(rootPath)
+            : [];
+
+        return {
+            scanned: scan.files,
+            files: this.indexingService.filterFiles(scan.files, config, ignoreFilter),
+            folders: this.indexingService.filterFolders(scan.folders, config, ignoreFilter),
+            gitignorePatterns
+        };
+    }
+
+    /**
+     * Report the .gitignore patterns and the files they exclude
+     * @param {Object} config - Project configuration
+     * @param {Object} scan - Result of scanProject()
+     * @returns {Object} Result
+     */
+    checkGitignore(config, scan) {
+        const label = '.gitignore';
+
+        if (!config.general.useGitignore) {
+            return this.pass('gitignore', label, 'Not used (general.useGitignore is false)');
+        }
+
+        if (scan.gitignorePatterns.length === 0) {
+            return this.warn('gitignore', label, 'No .gitignore patterns at the project root, build outputs may be indexed');
+        }
+
+        const rootPath = path.resolve(config.project.rootPath);
+        const filter = ignore().add(scan.gitignorePatterns);
+        const ignored = scan.scanned.filter(file => filter.ignores(path.relative(rootPath, file.path))).length;
+        const negations = scan.gitignorePatterns.filter(pattern => pattern.startsWith('!')).length;
+
+        return this.pass(
+            'gitignore',
+            label,
+            `${scan.gitignorePatterns.length} pattern(s)${negations > 0 ? ` (${negations} negation(s))` : ''}, ${ignored} scanned file(s) ignored`
+        );
+    }
+
+    /**
+     * Estimate how long a full AI pass takes. The project is indexed and the pass
+     * planned the way `export-full --dry` does (AIService.planRun() and
+     * AIEstimateService), so both report the same requests, AI cache hits and duration.
+     * @param {Object} config - Project configuration
+     * @param {string} configPath - Path to config.yml file, prompt overrides are resolved from its folder
+     * @param {Object} scan - Result of scanProject()
+     * @returns {Promise<Object>} Result
+     */
+    async checkEstimate(config, configPath, scan) {
+        const label = 'Full AI pass';
+
+        try {
+            const redaction = new RedactionService(config.redaction);
+            this.indexingService.setRedaction(redaction);
+            this.aiService.setRedaction(redaction);
+            this.aiService.setProvider(createProvider(config));
+
+            const prompts = new PromptTemplateService();
+            await prompts.loadOverrides(path.resolve(path.dirname(configPath), config.ai.prompts.directory));
+            this.aiService.setPrompts(prompts);
+
+            const cache = config.general.useCache
+                ? await new AICacheService(config.project.rootPath, { cacheDir: config.general.cacheDir }).load()
+                : null;
+            this.aiService.setCache(cache);
+
+            const projectIndex = await this.indexingService.indexProject(config, { detailed: true });
+            const requests = await this.aiService.planRun(projectIndex, config.ollama, { detailed: true });
+            const usage = cache ? cache.getUsage(this.aiService.getProvider(config.ollama).getCacheModel()) : null;
+            const { total, durationMs } = this.estimateService.estimate(requests, config, usage);
+
+            const message = `${scan.files.length} files, ${scan.folders.length} folders, ${total.requests} requests ` +
+                `(${total.cached} cached), about ${this.estimateService.formatDuration(durationMs)} at concurrency ${config.ai.scheduler.concurrency}`;
+            return durationMs > LONG_PASS_MS ? this.warn('estimate', label, message) : this.pass('estimate', label, message);
+        } catch (error) {
+            return this.warn('estimate', label, `Could not plan the AI pass: ${error.message}`);
+        }
+    }
+
+    /**
+     * Build a passing result
+     * @param {string} id - Check identifier
+     * @param {string} label - Check label
+     * @param {string} message - Details
+     * @returns {Object} Result
+     * @private
+     */
+    pass(id, label, message) {
+        return { id, label, status: 'pass', message };
+    }
+
+    /**
+     * Build a warning result
+     * @param {string} id - Check identifier
+     * @param {string} label - Check label
+     * @param {string} message - Details
+     * @returns {Object} Result
+     * @private
+     */
+    warn(id, label, message) {
+        return { id, label, status: 'warn', message };
+    }
+
+    /**
+     * Build a failing result
+     * @param {string} id - Check identifier
+     * @param {string} label - Check label
+     * @param {string} message - Details
+     * @returns {Object} Result
+     * @private
+     */
+    fail(id, label, message) {
+        return { id, label, status: 'fail', message };
+    }
+}
@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Embedding of file descriptions and symbols for semantic search
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+
+/**
+ * Symbol kinds embedded on their own, declarations such as packages and imports are skipped
+ */
+const EMBEDDED_SYMBOL_KINDS = ['class', 'struct', 'interface', 'trait', 'enum', 'record', 'type', 'function', 'method'];
+
+/**
+ * Service computing the embeddings of a project index and querying them.
+ *
+ * Every file and folder is embedded from its path, AI description and structured
+ * details; every class, function and method from its name, kind, file and doc comment.
+ * Only texts that changed since the vectors were stored are sent to the provider.
+ */
+export class EmbeddingService {
+    /**
+     * Create an embedding service
+     * @param {import('../providers/LLMProvider.js').LLMProvider} provider - Provider computing the embeddings
+     * @param {import('./AISchedulerService.js').AISchedulerService} scheduler - Queue the embedding requests go through
+     * @param {Object} [options] - Embedding options
+     * @param {number} [options.batchSize=32] - Texts sent in one request
+     */
+    constructor(provider, scheduler, options = {}) {
+        this.provider = provider;
+        this.scheduler = scheduler;
+        this.batchSize = options.batchSize || 32;
+    }
+
+    /**
+     * Embed the files, symbols and folders of a project index that are missing from the store
+     * or changed, and drop the vectors of those that no longer exist
+     * @param {Object} projectIndex - Project index returned by IndexingService.indexProject()
+     * @param {import('./VectorStoreService.js').VectorStoreService} store - Loaded vector store
+     * @returns {Promise<{embedded: number, reused: number, removed: number}>} Entry counts
+     */
+    async updateIndex(projectIndex, store) {
+        store.setModel(this.provider.getCacheModel());
+
+        // Symbols moved to other lines keep their text, their vector is reused under the new key
+        const vectorsByHash = new Map([...store.entries.values()].map(entry => [entry.hash, entry.vector]));
+        const documents = this.getDocuments(projectIndex);
+        const pending = [];
+
+        documents.forEach(({ key, text, ...entry }) => {
+            const stored = store.get(key);
+            if (stored && stored.hash === entry.hash) return;
+
+            if (vectorsByHash.has(entry.hash)) {
+                store.set(key, { ...entry, vector: vectorsByHash.get(entry.hash) });
+            } else {
+                pending.push({ key, text, ...entry });
+            }
+        });
+
+        const batches = [];
+        for (let start = 0; start < pending.length; start += this.batchSize) {
+            batches.push(pending.slice(start, start + this.batchSize));
+        }
+
+        await Promise.all(batches.map(async batch => {
+            const vectors = await this.embed(batch.map(document => document.text));
+
+            batch.forEach(({ key, text, ...entry }, index) => {
+                store.set(key, { ...entry, vector: vectors[index] });
+            });
+        }));
+
+        // Indexes built without detailed analysis have no symbols, keep those embedded by an earlier run
+        const rootPath = projectIndex.project.rootPath;
+        const unanalyzed = new Set(projectIndex.files.filter(file => !file.metadata).map(file => path.relative(rootPath, file.path)));
+        const keptSymbols = [...store.entries].filter(([, entry]) => entry.kind === 'symbol' && unanalyzed.has(entry.path)).map(([key]) => key);
+
+        return {
+            embedded: pending.length,
+            reused: documents.length - pending.length,
+            removed: store.retain([...documents.map(document => document.key), ...keptSymbols])
+        };
+    }
+
+    /**
+     * Find the files, symbols and folders closest to a natural language query
+     * @param {string} query - Query text
+     * @param {import('./VectorStoreService.js').VectorStoreService} store - Vector store updated by updateIndex()
+     * @param {Object} [options] - Search options, see VectorStoreService.search()
+     * @returns {Promise<Object[]>} Matching entries with their score, best first
+     */
+    async search(query, store, options = {}) {
+        const [vector] = await this.embed([query]);
+        return store.search(vector, options);
+    }
+
+    /**
+     * Build the texts to embed for the files, symbols and folders of a project index
+     * @param {Object} projectIndex - Project index
+     * @returns {Object[]} Documents: key, text, hash and the fields stored with the vector
+     * @private
+     */
+    getDocuments(projectIndex) {
+        const rootPath = projectIndex.project.rootPath;
+        const documents = [];
+
+        projectIndex.files.forEach(file => {
+            const relativePath = path.relative(rootPath, file.path);
+            const details = file.aiDetails || {};
+
+            documents.push(this.createDocument(relativePath, {
+                kind: 'file',
+                path: relativePath,
+                name: path.basename(file.path),
+                description: file.description || ''
+            }, [
+                `File ${relativePath} (${file.type}, ${file.language})`,
+                file.description,
+                ...(details.responsibilities || []),
+                details.keySymbols && details.keySymbols.length > 0 ? `Key symbols: ${details.keySymbols.join(', ')}` : null,
+                details.tags && details.tags.length > 0 ? `Tags: ${details.tags.join(', ')}` : null
+            ]));
+
+            const symbols = (file.metadata && file.metadata.symbols) || [];
+            symbols
+                .filter(symbol => EMBEDDED_SYMBOL_KINDS.includes(symbol.kind))
+                .forEach(symbol => {
+                    const name = symbol.parent ? `${symbol.parent}.${symbol.name}` : symbol.name;
+
+                    documents.push(this.createDocument(`${relativePath}#${name}:${symbol.startLine}`, {
+                        kind: 'symbol',
+                        path: relativePath,
+                        name,
+                        symbolKind: symbol.kind,
+                        line: symbol.startLine,
+                        endLine: symbol.endLine,
+                        description: symbol.doc || ''
+                    }, [
+                        `${symbol.kind} ${name}${symbol.params ? `(${symbol.params.join(', ')})` : ''} in ${relativePath}`,
+                        symbol.doc
+                    ]));
+                });
+        });
+
+        projectIndex.folders.forEach(folder => {
+            const relativePath = path.relative(rootPath, folder.path) || '.';
+            const details = folder.aiDetails || {};
+
+            documents.push(this.createDocument(`${relativePath}/`, {
+                kind: 'folder',
+                path: relativePath,
+                name: path.basename(folder.path),
+                description: folder.description || ''
+            }, [
+                `Folder ${relativePath}`,
+                folder.description,
+                ...(details.responsibilities || []),
+                details.tags && details.tags.length > 0 ? `Tags: ${details.tags.join(', ')}` : null
+            ]));
+        });
+
+        return documents;
+    }
+
+    /**
+     * Build a document from its fields and text lines
+     * @param {string} key - Store key
+     * @param {Object} fields - Fields stored with the vector
+     * @param {Array<string|null|undefined>} lines - Text lines, empty ones are skipped
+     * @returns {Object} Document
+     * @private
+     */
+    createDocument(key, fields, lines) {
+        const text = lines.filter(Boolean).join('\n');
+
+        return {
+            ...fields,
+            key,
+            text,
+            hash: crypto.createHash('sha256').update(text).digest('hex')
+        };
+    }
+
+    /**
+     * Embed texts through the scheduler
+     * @param {string[]} texts - Texts to embed
+     * @returns {Promise<number[][]>} One vector per text
+     * @throws {Error} If the provider does not return one vector per text
+     * @private
+     */
+    async embed(texts) {
+        const vectors = await this.scheduler.schedule(signal => this.provider.embed(texts, { signal }));
+
+        if (!Array.isArray(vectors) || vectors.length !== texts.length) {
+            throw new Error(`Expected ${texts.length} embedding(s), received ${Array.isArray(vectors) ? vectors.length : 'none'}`);
+        }
+
+        return vectors;
+    }
+}
@@ -4,8 +4,10 @@
 
 import path from 'path';
 import fs from 'fs-extra';
+import { createRequire } from 'module';
 import markdownPdf from 'markdown-pdf';
 import * as YAML from 'yaml';
+import { Translator } from '../i18n/Translator.js';
 
 /**
  * Service for exporting project documentation in various formats
@@ -13,6 +15,26 @@ import * as YAML from 'yaml';
 export class ExportService {
     constructor() {
         this.maxFileSize = 10 * 1024 * 1024; // 10MB default
+        this.translator = new Translator();
+    }
+
+    /**
+     * Use the catalog of the project's natural language for document labels
+     * @param {Object} project - Project configuration
+     */
+    setLanguage(project) {
+        this.translator = new Translator(project?.naturalLanguage);
+    }
+
+    /**
+     * Translate a document label
+     * @param {string} key - Message key
+     * @param {Object} [params] - Placeholder values
+     * @returns {string} Localized label
+     * @private
+     */
+    t(key, params) {
+        return this.translator.t(key, params);
     }
 
     /**
@@ -26,6 +48,7 @@ export class ExportService {
      */
     async generateMindmap(projectIndex, options = {}) {
         const { format = 'markdown', maxDepth = 10, typesOnly = null } = options;
+        this.setLanguage(projectIndex.project);
 
         // Filter files if type filter is specified
         let files = projectIndex.files;
@@ -55,39 +78,39 @@ export class ExportService {
         const project = projectIndex.project;
         const structure = projectIndex.structure;
 
-        let markdown = `# Mind Map: ${project.description || 'Project Documentation'}\n\n`;
+        let markdown = `# ${this.t('title.mindmap', { title: project.description || this.t('title.projectDocumentation') })}\n\n`;
 
         // Project overview
-        markdown += `## Project Overview\n\n`;
-        markdown += `- **Languages**: ${projectIndex.metadata.languages.join(', ')}\n`;
-        markdown += `- **Total Files**: ${projectIndex.metadata.totalFiles}\n`;
-        markdown += `- **Total Size**: ${this.formatBytes(projectIndex.metadata.totalSize)}\n`;
+        markdown += `## ${this.t('section.projectOverview')}\n\n`;
+        markdown += `- **${this.t('label.languages')}**: ${projectIndex.metadata.languages.join(', ')}\n`;
+        markdown += `- **${this.t('label.totalFiles')}**: ${projectIndex.metadata.totalFiles}\n`;
+        markdown += `- **${this.t('label.totalSize')}**: ${this.formatBytes(projectIndex.metadata.totalSize)}\n`;
 
         if (projectIndex.analysis.frameworks.length > 0) {
-            markdown += `- **Frameworks**: ${projectIndex.analysis.frameworks.join(', ')}\n`;
+            markdown += `- **${this.t('label.frameworks')}**: ${projectIndex.analysis.frameworks.join(', ')}\n`;
         }
 
         if (projectIndex.analysis.architecture.length > 0) {
-            markdown += `- **Architecture**: ${projectIndex.analysis.architecture.join(', ')}\n`;
+            markdown += `- **${this.t('label.architecture')}**: ${projectIndex.analysis.architecture.join(', ')}\n`;
         }
 
-        markdown += '\n## Project Structure\n\n';
+        markdown += `\n## ${this.t('section.projectStructure')}\n\n`;
 
         // Generate structure recursively
         markdown += this.buildMarkdownStructure(structure, 0, maxDepth);
 
         // File type summary
-        markdown += '\n## File Type Distribution\n\n';
+        markdown += `\n## ${this.t('section.fileTypeDistribution')}\n\n`;
         Object.entries(projectIndex.metadata.fileTypes).forEach(([type, count]) => {
-            markdown += `- **${type}**: ${count} files\n`;
+            markdown += `- **${type}**: ${this.t('value.files', { count })}\n`;
         });
 
         // Complexity overview
         if (projectIndex.metadata.complexity) {
-            markdown += '\n## Complexity Overview\n\n';
-            markdown += `- **Average Complexity**: ${projectIndex.metadata.complexity.average}/10\n`;
-            markdown += `- **Most Complex**: ${projectIndex.metadata.complexity.max}/10\n`;
-            markdown += `- **Least Complex**: ${projectIndex.metadata.complexity.min}/10\n`;
+            markdown += `\n## ${this.t('section.complexityOverview')}\n\n`;
+            markdown += `- **${this.t('label.averageComplexity')}**: ${projectIndex.metadata.complexity.average}/10\n`;
+            markdown += `- **${this.t('label.mostComplex')}**: ${projectIndex.metadata.complexity.max}/10\n`;
+            markdown += `- **${this.t('label.leastComplex')}**: ${projectIndex.metadata.complexity.min}/10\n`;
         }
 
         return markdown;
@@ -107,7 +130,7 @@ export class ExportService {
         let content = '';
 
         if (node.type === 'folder') {
-            content += `${indent}- **${node.name}/** — ${node.description || 'Folder'}\n`;
+            content += `${indent}- **${node.name}/** — ${node.description || this.t('value.folder')}\n`;
 
             if (node.children) {
                 node.children.forEach(child => {
@@ -117,7 +140,7 @@ export class ExportService {
         } else if (node.type === 'file') {
             const icon = this.getFileIcon(node.fileType, node.language);
             const complexityBadge = node.complexity > 7 ? ' 🔥' : node.complexity > 4 ? ' ⚡' : '';
-            content += `${indent}- ${icon} **${node.name}** — ${node.description || 'File'}${complexityBadge}\n`;
+            content += `${indent}- ${icon} **${node.name}** — ${node.description || this.t('value.file')}${complexityBadge}\n`;
         }
 
         return content;
@@ -137,7 +160,7 @@ export class ExportService {
         const project = projectIndex.project;
         const rootId = 'ROOT';
 
-        mermaid += `    ${rootId}["${project.description || 'Project'}"]\n`;
+        mermaid += `    ${rootId}["${project.description || this.t('title.project')}"]\n`;
 
         // Add main categories
         const categories = this.groupFilesByCategory(files);
@@ -173,14 +196,14 @@ export class ExportService {
         dot += '  node [shape=box, style=rounded];\n\n';
 
         // Root node
-        dot += `  "root" [label="${project.description || 'Project'}", style=filled, fillcolor=lightblue];\n`;
+        dot += `  "root" [label="${project.description || this.t('title.project')}", style=filled, fillcolor=lightblue];\n`;
 
         // Add categories
         const categories = this.groupFilesByCategory(files);
 
         Object.entries(categories).forEach(([category, categoryFiles], index) => {
             const categoryId = `cat${index}`;
-            dot += `  "${categoryId}" [label="${category}\\n(${categoryFiles.length} files)", style=filled, fillcolor=lightgreen];\n`;
+            dot += `  "${categoryId}" [label="${category}\\n(${this.t('value.files', { count: categoryFiles.length })})", style=filled, fillcolor=lightgreen];\n`;
             dot += `  "root" -> "${categoryId}";\n`;
 
             // Add representative files
@@ -204,6 +227,7 @@ export class ExportService {
      */
     async generateFullDocumentation(projectIndex, options = {}) {
         const { format = 'markdown', maxFileSize = this.maxFileSize, splitFiles = true } = options;
+        this.setLanguage(projectIndex.project);
 
         let fullDoc = '';
 
@@ -240,24 +264,24 @@ export class ExportService {
      */
     generateTitlePage(projectIndex) {
         const project = projectIndex.project;
-        const date = new Date().toLocaleDateString();
+        const date = this.translator.formatDate(new Date());
 
-        return `# ${project.description || 'Project Documentation'}
+        return `# ${project.description || this.t('title.projectDocumentation')}
 
-**Generated by SVC Indexer**  
-*Date: ${date}*
+**${this.t('title.generatedBy')}**  
+*${this.t('title.date', { date })}*
 
 ---
 
-## Project Information
+## ${this.t('section.projectInformation')}
 
-- **Path**: \`${project.rootPath}\`
-- **Languages**: ${projectIndex.metadata.languages.join(', ')}
-- **Framework**: ${project.framework || 'None specified'}
-- **Total Files**: ${projectIndex.metadata.totalFiles}
-- **Total Size**: ${this.formatBytes(projectIndex.metadata.totalSize)}
+- **${this.t('label.path')}**: \`${project.rootPath}\`
+- **${this.t('label.languages')}**: ${projectIndex.metadata.languages.join(', ')}
+- **${this.t('label.framework')}**: ${project.framework || this.t('value.noneSpecified')}
+- **${this.t('label.totalFiles')}**: ${projectIndex.metadata.totalFiles}
+- **${this.t('label.totalSize')}**: ${this.formatBytes(projectIndex.metadata.totalSize)}
 
-${projectIndex.aiGeneratedOverview ? `\n## AI-Generated Overview\n\n${projectIndex.aiGeneratedOverview}\n` : ''}
+${projectIndex.aiGeneratedOverview ? `\n## ${this.t('section.aiOverview')}\n\n${projectIndex.aiGeneratedOverview}\n` : ''}
 
 ---
 
@@ -270,20 +294,19 @@ ${projectIndex.aiGeneratedOverview ? `\n## AI-Generated Overview\n\n${projectInd
      * @returns {string} Table of contents
      */
     generateTableOfContents(projectIndex) {
-        return `## Table of Contents
-
-1. [Project Overview](#project-overview)
-2. [Architecture Analysis](#architecture-analysis)
-3. [File Documentation](#file-documentation)
-   - [Controllers](#controllers)
-   - [Services](#services)
-   - [Models](#models)
-   - [Utilities](#utilities)
-   - [Tests](#tests)
-   - [Configuration](#configuration)
-4. [Dependencies](#dependencies)
-5. [Complexity Analysis](#complexity-analysis)
-6. [Recommendations](#recommendations)
+        const link = key => `[${this.t(key)}](#${this.slugify(this.t(key))})`;
+        const fileTypes = Object.keys(this.groupFilesByType(projectIndex.files))
+            .map(type => `   - [${this.getFileTypeHeading(type)}](#${this.slugify(this.getFileTypeHeading(type))})`)
+            .join('\n');
+
+        return `## ${this.t('section.tableOfContents')}
+
+1. ${link('section.projectOverview')}
+2. ${link('section.architectureAnalysis')}
+3. ${link('section.fileDocumentation')}
+${fileTypes ? `${fileTypes}\n` : ''}4. ${link('section.dependencies')}
+5. ${link('section.complexityAnalysis')}
+6. ${link('section.recommendations')}
 
 ---
 
@@ -298,41 +321,43 @@ ${projectIndex.aiGeneratedOverview ? `\n## AI-Generated Overview\n\n${projectInd
     generateProjectOverview(projectIndex) {
         const analysis = projectIndex.analysis;
 
-        let content = `## Project Overview
+        const yesNo = value => this.t(value ? 'value.yes' : 'value.no');
 
-### Technologies Used
+        let content = `## ${this.t('section.projectOverview')}
 
-**Programming Languages:**
+### ${this.t('section.technologiesUsed')}
+
+**${this.t('label.programmingLanguages')}:**
 ${projectIndex.metadata.languages.map(lang => `- ${lang}`).join('\n')}
 
-${analysis.frameworks.length > 0 ? `**Frameworks:**
+${analysis.frameworks.length > 0 ? `**${this.t('label.frameworks')}:**
 ${analysis.frameworks.map(fw => `- ${fw}`).join('\n')}` : ''}
 
-### Architecture Patterns
+### ${this.t('section.architecturePatterns')}
 
 ${analysis.architecture.length > 0 ?
             analysis.architecture.map(pattern => `- ${pattern}`).join('\n') :
-            '- No specific patterns detected'}
+            `- ${this.t('value.noPatterns')}`}
 
-### Design Patterns
+### ${this.t('section.designPatterns')}
 
 ${analysis.patterns.length > 0 ?
             analysis.patterns.map(pattern => `- ${pattern}`).join('\n') :
-            '- No specific patterns detected'}
+            `- ${this.t('value.noPatterns')}`}
 
-### Test Coverage
+### ${this.t('section.testCoverage')}
 
-- **Test Files**: ${analysis.testCoverage.testFiles}
-- **Source Files**: ${analysis.testCoverage.sourceFiles}
-- **Estimated Coverage**: ${analysis.testCoverage.estimatedCoverage}%
-- **Has Tests**: ${analysis.testCoverage.hasTests ? 'Yes' : 'No'}
+- **${this.t('label.testFiles')}**: ${analysis.testCoverage.testFiles}
+- **${this.t('label.sourceFiles')}**: ${analysis.testCoverage.sourceFiles}
+- **${this.t('label.estimatedCoverage')}**: ${analysis.testCoverage.estimatedCoverage}%
+- **${this.t('label.hasTests')}**: ${yesNo(analysis.testCoverage.hasTests)}
 
-### Documentation Quality
+### ${this.t('section.documentationQuality')}
 
-- **Documentation Files**: ${analysis.documentation.documentationFiles}
-- **Files with Docs**: ${analysis.documentation.filesWithDocumentation}
-- **Documentation Ratio**: ${Math.round(analysis.documentation.documentationRatio)}%
-- **Has README**: ${analysis.documentation.hasReadme ? 'Yes' : 'No'}
+- **${this.t('label.documentationFiles')}**: ${analysis.documentation.documentationFiles}
+- **${this.t('label.filesWithDocs')}**: ${analysis.documentation.filesWithDocumentation}
+- **${this.t('label.documentationRatio')}**: ${Math.round(analysis.documentation.documentationRatio)}%
+- **${this.t('label.hasReadme')}**: ${yesNo(analysis.documentation.hasReadme)}
 
 ---
 
@@ -347,27 +372,30 @@ ${analysis.patterns.length > 0 ?
      * @returns {string} Architecture content
      */
     generateArchitectureSection(projectIndex) {
-        let content = `## Architecture Analysis
+        let content = `## ${this.t('section.architectureAnalysis')}
 
-### Project Structure
+### ${this.t('section.projectStructure')}
 
 \`\`\`
 ${this.generateTextStructure(projectIndex.structure, 0, 3)}
 \`\`\`
 
-### Dependencies
+### ${this.t('section.dependencies')}
 
-**External Dependencies:**
+**${this.t('label.externalDependencies')}:**
 ${projectIndex.analysis.dependencies.externalDependencies.length > 0 ?
             projectIndex.analysis.dependencies.externalDependencies.map(dep => `- ${dep}`).join('\n') :
-            '- None detected'}
+            `- ${this.t('value.noneDetected')}`}
 
-**Internal Modules:**
+**${this.t('label.internalModules')}:**
 ${projectIndex.analysis.dependencies.internalModules.length > 0 ?
             projectIndex.analysis.dependencies.internalModules.slice(0, 10).map(mod => `- ${mod}`).join('\n') :
-            '- None detected'}
+            `- ${this.t('value.noneDetected')}`}
+${this.generatePackageFlags(projectIndex.analysis.dependencies)}
+${this.generateDependencyGraphSummary(projectIndex.dependencyGraph)}
+${this.generateCircularDependenciesSection(projectIndex.analysis.circularDependencies)}
 
-${projectIndex.aiArchitectureAnalysis ? `\n### AI Architecture Analysis\n\n${projectIndex.aiArchitectureAnalysis}\n` : ''}
+${projectIndex.aiArchitectureAnalysis ? `\n### ${this.t('section.aiArchitectureAnalysis')}\n\n${projectIndex.aiArchitectureAnalysis}\n` : ''}
 
 ---
 
@@ -382,7 +410,7 @@ ${projectIndex.aiArchitectureAnalysis ? `\n### AI Architecture Analysis\n\n${pro
      * @returns {string} File documentation content
      */
     generateFileDocumentation(projectIndex) {
-        let content = `## File Documentation
+        let content = `## ${this.t('section.fileDocumentation')}
 
 `;
 
@@ -392,7 +420,7 @@ ${projectIndex.aiArchitectureAnalysis ? `\n### AI Architecture Analysis\n\n${pro
         Object.entries(filesByType).forEach(([type, files]) => {
             if (files.length === 0) return;
 
-            content += `### ${this.capitalizeFirstLetter(type)}s\n\n`;
+            content += `### ${this.getFileTypeHeading(type)}\n\n`;
 
             files.forEach(file => {
                 content += this.generateFileEntry(file);
@@ -414,79 +442,271 @@ ${projectIndex.aiArchitectureAnalysis ? `\n### AI Architecture Analysis\n\n${pro
         const complexityEmoji = this.getComplexityEmoji(file.complexity);
 
         let entry = `#### ${fileName} ${complexityEmoji}\n\n`;
-        entry += `**Path:** \`${file.path}\`  \n`;
-        entry += `**Type:** ${file.type}  \n`;
-        entry += `**Language:** ${file.language}  \n`;
-        entry += `**Lines:** ${file.lineCount}  \n`;
-        entry += `**Complexity:** ${file.complexity}/10  \n`;
+        entry += `**${this.t('label.path')}:** \`${file.path}\`  \n`;
+        entry += `**${this.t('label.type')}:** ${file.type}  \n`;
+        entry += `**${this.t('label.language')}:** ${file.language}  \n`;
+        entry += `**${this.t('label.lines')}:** ${file.lineCount}  \n`;
+        entry += `**${this.t('label.complexity')}:** ${file.complexity}/10  \n`;
 
         if (file.size) {
-            entry += `**Size:** ${this.formatBytes(file.size)}  \n`;
+            entry += `**${this.t('label.size')}:** ${this.formatBytes(file.size)}  \n`;
         }
 
         if (file.description) {
-            entry += `\n**Description:** ${file.description}\n`;
+            entry += `\n**${this.t('label.description')}:** ${file.description}\n`;
+        }
+
+        if (file.aiDetails) {
+            entry += this.generateAIDetails(file.aiDetails);
         }
 
         if (file.aiDetailedDoc) {
-            entry += `\n**AI Analysis:** ${file.aiDetailedDoc}\n`;
+            entry += `\n**${this.t('label.aiAnalysis')}:** ${file.aiDetailedDoc}\n`;
+        }
+
+        if (file.aiChunks > 1) {
+            entry += `\n*${this.t('file.chunked', { count: file.aiChunks })}*\n`;
         }
 
         if (file.metadata) {
             if (file.metadata.classes && file.metadata.classes.length > 0) {
-                entry += `\n**Classes:** ${file.metadata.classes.join(', ')}\n`;
+                entry += `\n**${this.t('label.classes')}:** ${file.metadata.classes.join(', ')}\n`;
             }
 
             if (file.metadata.functions && file.metadata.functions.length > 0) {
-                entry += `\n**Functions:** ${file.metadata.functions.slice(0, 5).join(', ')}${file.metadata.functions.length > 5 ? '...' : ''}\n`;
+                entry += `\n**${this.t('label.functions')}:** ${file.metadata.functions.slice(0, 5).join(', ')}${file.metadata.functions.length > 5 ? '...' : ''}\n`;
             }
 
             if (file.metadata.dependencies && file.metadata.dependencies.length > 0) {
-                entry += `\n**Dependencies:** ${file.metadata.dependencies.slice(0, 5).join(', ')}${file.metadata.dependencies.length > 5 ? '...' : ''}\n`;
+                entry += `\n**${this.t('label.dependencies')}:** ${file.metadata.dependencies.slice(0, 5).join(', ')}${file.metadata.dependencies.length > 5 ? '...' : ''}\n`;
+            }
+
+            if (file.metadata.exports && file.metadata.exports.length > 0) {
+                entry += `\n**${this.t('label.exports')}:** ${file.metadata.exports.slice(0, 10).join(', ')}${file.metadata.exports.length > 10 ? '...' : ''}\n`;
+            }
+
+            if (file.metadata.symbols && file.metadata.symbols.length > 0) {
+                entry += this.generateSymbolTable(file.metadata.symbols);
             }
         }
 
         if (file.doc && file.doc.trim()) {
-            entry += `\n**Documentation:**\n\`\`\`\n${file.doc.substring(0, 500)}${file.doc.length > 500 ? '...' : ''}\n\`\`\`\n`;
+            entry += `\n**${this.t('label.documentation')}:**\n\`\`\`\n${file.doc.substring(0, 500)}${file.doc.length > 500 ? '...' : ''}\n\`\`\`\n`;
         }
 
         entry += '\n---\n\n';
         return entry;
     }
 
+    /**
+     * Generate the structured fields of an AI description
+     * @param {Object} details - Responsibilities, key symbols, side effects and tags
+     * @returns {string} Markdown content, empty when every field is empty
+     */
+    generateAIDetails(details) {
+        let content = '';
+
+        if (details.responsibilities?.length > 0) {
+            content += `\n**${this.t('label.responsibilities')}:**\n${details.responsibilities.map(item => `- ${item}`).join('\n')}\n`;
+        }
+
+        if (details.keySymbols?.length > 0) {
+            content += `\n**${this.t('label.keySymbols')}:** ${details.keySymbols.map(name => `\`${name}\``).join(', ')}\n`;
+        }
+
+        if (details.sideEffects?.length > 0) {
+            content += `\n**${this.t('label.sideEffects')}:**\n${details.sideEffects.map(item => `- ${item}`).join('\n')}\n`;
+        }
+
+        if (details.tags?.length > 0) {
+            content += `\n**${this.t('label.tags')}:** ${details.tags.map(tag => `\`${tag}\``).join(' ')}\n`;
+        }
+
+        return content;
+    }
+
+    /**
+     * Generate a table of the exported symbols of a file
+     * @param {Object[]} symbols - Extracted symbols
+     * @returns {string} Markdown table, empty when nothing is exported
+     */
+    generateSymbolTable(symbols) {
+        const exported = symbols.filter(symbol => symbol.exported);
+        if (exported.length === 0) return '';
+
+        let table = `\n| ${this.t('table.symbol')} | ${this.t('table.kind')} | ${this.t('table.lines')} | ${this.t('table.parameters')} |\n|---|---|---|---|\n`;
+        exported.slice(0, 20).forEach(symbol => {
+            const params = symbol.params ? symbol.params.join(', ').replace(/\|/g, '\\|') : '';
+            table += `| \`${symbol.name}\` | ${symbol.kind} | ${symbol.startLine}-${symbol.endLine} | ${params} |\n`;
+        });
+
+        return table;
+    }
+
+    /**
+     * Generate a summary of the resolved file dependency graph
+     * @param {Object|null} dependencyGraph - Dependency graph from the project index
+     * @returns {string} Markdown content, empty when no graph was built
+     */
+    generateDependencyGraphSummary(dependencyGraph) {
+        if (!dependencyGraph) return '';
+
+        const mostDependent = [...dependencyGraph.nodes]
+            .filter(node => node.outDegree > 0)
+            .sort((a, b) => b.outDegree - a.outDegree)
+            .slice(0, 5);
+
+        return `
+**${this.t('label.dependencyGraph')}:** ${this.t('graph.summary', dependencyGraph.stats)}
+
+${mostDependent.length > 0 ? `**${this.t('label.mostInternalImports')}:**
+${mostDependent.map(node => `- ${this.t('graph.node', { path: node.path, imports: node.outDegree, importedBy: node.inDegree })}`).join('\n')}
+` : ''}${dependencyGraph.unresolved.length > 0 ? `
+**${this.t('label.unresolvedImports')}:**
+${dependencyGraph.unresolved.slice(0, 10).map(item => `- ${this.t('graph.unresolved', { source: item.source, location: `${item.from}:${item.line}` })}`).join('\n')}
+` : ''}`;
+    }
+
+    /**
+     * Generate the circular dependencies report
+     * @param {Object|null} cycles - Cycles from the project analysis
+     * @returns {string} Markdown content, empty when no dependency graph was built
+     */
+    generateCircularDependenciesSection(cycles) {
+        if (!cycles) return '';
+
+        if (cycles.totalFileCycles === 0 && cycles.totalFolderCycles === 0) {
+            return `### ${this.t('section.circularDependencies')}
+
+- ${this.t('value.noneDetected')}
+`;
+        }
+
+        const formatImports = imports => imports
+            .map(imp => `   - ${this.t('cycle.import', imp)}`)
+            .join('\n');
+
+        const fileCycles = cycles.files.map((cycle, index) =>
+            `${index + 1}. ${cycle.files.join(' ↔ ')}\n${formatImports(cycle.imports)}`).join('\n');
+
+        const folderCycles = cycles.folders.map((cycle, index) =>
+            `${index + 1}. ${cycle.folders.join(' ↔ ')}\n${formatImports(cycle.imports)}`).join('\n');
+
+        return `### ${this.t('section.circularDependencies')}
+
+**${this.t('label.fileCycles', { count: cycles.totalFileCycles })}:**
+${fileCycles || `- ${this.t('value.noneDetected')}`}
+
+**${this.t('label.folderCycles', { count: cycles.totalFolderCycles })}:**
+${folderCycles || `- ${this.t('value.noneDetected')}`}
+`;
+    }
+
+    /**
+     * Generate the unused and undeclared package warnings
+     * @param {Object} dependencies - Dependencies analysis
+     * @returns {string} Markdown content, empty when nothing is flagged
+     */
+    generatePackageFlags(dependencies) {
+        const unused = dependencies.unusedPackages || [];
+        const undeclared = dependencies.undeclaredPackages || [];
+        if (unused.length === 0 && undeclared.length === 0) return '';
+
+        const usedBy = pkg => `${pkg.usedBy.slice(0, 3).join(', ')}${pkg.usedBy.length > 3 ? '...' : ''}`;
+
+        return `
+**${this.t('label.unusedPackages', { count: unused.length })}:**
+${unused.map(pkg => `- ${pkg.name} (${pkg.ecosystem}, ${pkg.manifest})`).join('\n') || `- ${this.t('value.noneDetected')}`}
+
+**${this.t('label.undeclaredPackages', { count: undeclared.length })}:**
+${undeclared.map(pkg => `- ${this.t('package.usedBy', { name: pkg.name, ecosystem: pkg.ecosystem, files: usedBy(pkg) })}`).join('\n') || `- ${this.t('value.noneDetected')}`}
+`;
+    }
+
+    /**
+     * Generate the package inventory table read from manifests and lockfiles
+     * @param {Object} dependencies - Dependencies analysis
+     * @returns {string} Markdown content, empty when no manifest was found
+     */
+    generatePackageInventory(dependencies) {
+        const manifests = dependencies.manifests || [];
+        if (manifests.length === 0) return '';
+
+        const unused = new Set((dependencies.unusedPackages || []).map(pkg => `${pkg.ecosystem}:${pkg.name}`));
+        const rows = (dependencies.packages || [])
+            .filter(pkg => pkg.direct)
+            .map(pkg => {
+                const flags = unused.has(`${pkg.ecosystem}:${pkg.name}`) ? this.t('value.unused') : '';
+                return `| ${pkg.name} | ${pkg.ecosystem} | ${pkg.declaredVersion || '-'} | ${pkg.resolvedVersion || '-'} | ${pkg.scope} | ${pkg.usedBy.length} | ${flags} |`;
+            });
+        const transitive = (dependencies.packages || []).filter(pkg => !pkg.direct).length;
+
+        return `
+### ${this.t('section.packageInventory')}
+
+**${this.t('label.manifests')}:** ${manifests.map(manifest => manifest.path).join(', ')}
+
+| ${['package', 'ecosystem', 'declared', 'resolved', 'scope', 'usedBy', 'flags'].map(key => this.t(`table.${key}`)).join(' | ')} |
+|---------|-----------|----------|----------|-------|---------|-------|
+${rows.join('\n') || '| - | - | - | - | - | - | - |'}
+
+**${this.t('label.transitivePackages')}:** ${transitive}
+`;
+    }
+
+    /**
+     * Generate the list of files whose AI output was summarized in chunks
+     * @param {Object[]} files - Project files
+     * @returns {string} Markdown content, empty when every file fit in one prompt
+     */
+    generateChunkedFilesSection(files) {
+        const chunked = files.filter(file => file.aiChunks > 1);
+        if (chunked.length === 0) return '';
+
+        return `
+## ${this.t('section.chunkedSummaries')}
+
+${this.t('chunked.intro')}
+
+${chunked.map(file => `- \`${file.path}\`: ${this.t('chunked.file', { count: file.aiChunks })}`).join('\n')}
+`;
+    }
+
     /**
      * Generate appendices
      * @param {Object} projectIndex - Project index object
      * @returns {string} Appendices content
      */
     generateAppendices(projectIndex) {
-        return `## Dependencies
+        const analysis = projectIndex.analysis;
 
-### External Dependencies
-${projectIndex.analysis.dependencies.externalDependencies.map(dep => `- ${dep}`).join('\n') || '- None'}
+        return `## ${this.t('section.dependencies')}
 
-### Internal Modules
-${projectIndex.analysis.dependencies.internalModules.map(mod => `- ${mod}`).join('\n') || '- None'}
+### ${this.t('section.externalDependencies')}
+${analysis.dependencies.externalDependencies.map(dep => `- ${dep}`).join('\n') || `- ${this.t('value.none')}`}
+${this.generatePackageInventory(analysis.dependencies)}
+### ${this.t('section.internalModules')}
+${analysis.dependencies.internalModules.map(mod => `- ${mod}`).join('\n') || `- ${this.t('value.none')}`}
 
-## Complexity Analysis
+## ${this.t('section.complexityAnalysis')}
 
-### Distribution by Complexity Level
+### ${this.t('section.complexityDistribution')}
 ${Object.entries(projectIndex.metadata.complexity.distribution || {})
-            .map(([level, count]) => `- Level ${level}: ${count} files`)
+            .map(([level, count]) => `- ${this.t('complexity.level', { level, count })}`)
             .join('\n')}
 
-### Recommendations
-
-Based on the analysis, here are some recommendations:
+### ${this.t('section.recommendations')}
 
-1. **High Complexity Files**: Review files with complexity > 7 for potential refactoring
-2. **Test Coverage**: ${projectIndex.analysis.testCoverage.estimatedCoverage < 50 ? 'Consider adding more tests' : 'Good test coverage'}
-3. **Documentation**: ${projectIndex.analysis.documentation.documentationRatio < 30 ? 'Add more inline documentation' : 'Good documentation coverage'}
-4. **Architecture**: ${projectIndex.analysis.architecture.includes('Unknown') ? 'Consider adopting a clear architectural pattern' : 'Architecture patterns are well defined'}
+${this.t('recommendation.intro')}
 
+1. **${this.t('recommendation.highComplexity')}**: ${this.t('recommendation.reviewComplexity')}
+2. **${this.t('section.testCoverage')}**: ${this.t(analysis.testCoverage.estimatedCoverage < 50 ? 'recommendation.addTests' : 'recommendation.goodTests')}
+3. **${this.t('label.documentation')}**: ${this.t(analysis.documentation.documentationRatio < 30 ? 'recommendation.addDocs' : 'recommendation.goodDocs')}
+4. **${this.t('label.architecture')}**: ${this.t(analysis.architecture.includes('Unknown') ? 'recommendation.adoptPattern' : 'recommendation.goodArchitecture')}
+${this.generateChunkedFilesSection(projectIndex.files)}
 ---
 
-*Generated by SVC Indexer on ${new Date().toISOString()}*
+*${this.t('footer.generated', { date: new Date().toISOString() })}*
 `;
     }
 
@@ -514,7 +734,7 @@ Based on the analysis, here are some recommendations:
 
         // Add file components
         projectIndex.files.forEach(file => {
-            if (file.metadata && (file.metadata.functions?.length > 0 || file.metadata.classes?.length > 0)) {
+            if (file.metadata && (file.metadata.functions?.length > 0 || file.metadata.classes?.length > 0 || file.metadata.symbols?.length > 0)) {
                 const componentName = file.name || path.basename(file.path, path.extname(file.path));
 
                 spec.components[componentName] = {
@@ -527,6 +747,22 @@ Based on the analysis, here are some recommendations:
                     functions: file.metadata.functions || [],
                     dependencies: file.metadata.dependencies || []
                 };
+
+                if (file.metadata.exports) {
+                    spec.components[componentName].exports = file.metadata.exports;
+                }
+
+                if (file.metadata.symbols) {
+                    spec.components[componentName].symbols = file.metadata.symbols.map(symbol => ({
+                        name: symbol.parent ? `${symbol.parent}.${symbol.name}` : symbol.name,
+                        kind: symbol.kind,
+                        lines: `${symbol.startLine}-${symbol.endLine}`,
+                        exported: symbol.exported,
+                        visibility: symbol.visibility,
+                        ...(symbol.params ? { params: symbol.params } : {}),
+                        ...(symbol.doc ? { description: symbol.doc.split('\n')[0] } : {})
+                    }));
+                }
             }
         });
 
@@ -548,6 +784,7 @@ Based on the analysis, here are some recommendations:
             project: projectIndex.project,
             metadata: projectIndex.metadata,
             analysis: projectIndex.analysis,
+            dependencyGraph: projectIndex.dependencyGraph || null,
             files: projectIndex.files.map(file => ({
                 ...file,
                 relativePath: path.relative(projectIndex.project.rootPath, file.path)
@@ -563,12 +800,19 @@ Based on the analysis, here are some recommendations:
      * @returns {Promise<void>}
      */
     async generatePDF(markdownContent, outputPath) {
+        // markdown-pdf renders with PhantomJS and crashes the process when its binary is missing
+        const phantomPath = this.getPhantomPath();
+        if (!phantomPath || !await fs.pathExists(phantomPath)) {
+            throw new Error('PhantomJS is not installed, reinstall markdown-pdf with its install scripts enabled');
+        }
+
         return new Promise((resolve, reject) => {
             const options = {
                 cssPath: null, // Could add custom CSS
                 paperFormat: 'A4',
                 paperBorder: '2cm',
-                runningsPath: null
+                runningsPath: null,
+                phantomPath
             };
 
             markdownPdf(options)
@@ -583,6 +827,19 @@ Based on the analysis, here are some recommendations:
         });
     }
 
+    /**
+     * Get the PhantomJS binary installed with markdown-pdf
+     * @returns {string|null} Binary path, null when the package or its binary is missing
+     */
+    getPhantomPath() {
+        try {
+            const require = createRequire(createRequire(import.meta.url).resolve('markdown-pdf'));
+            return require('phantomjs-prebuilt').path || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
     // Helper methods
 
     /**
@@ -622,43 +879,44 @@ Based on the analysis, here are some recommendations:
      */
     groupFilesByCategory(files) {
         const categories = {
-            'Source Code': [],
-            'Tests': [],
-            'Configuration': [],
-            'Documentation': [],
-            'Assets': []
+            source: [],
+            tests: [],
+            configuration: [],
+            documentation: [],
+            assets: []
         };
 
         files.forEach(file => {
             switch (file.type) {
                 case 'test':
-                    categories['Tests'].push(file);
+                    categories.tests.push(file);
                     break;
                 case 'config':
-                    categories['Configuration'].push(file);
+                    categories.configuration.push(file);
                     break;
                 case 'readme':
                 case 'documentation':
-                    categories['Documentation'].push(file);
+                    categories.documentation.push(file);
                     break;
                 case 'style':
                 case 'template':
                 case 'data':
-                    categories['Assets'].push(file);
+                    categories.assets.push(file);
                     break;
                 default:
-                    categories['Source Code'].push(file);
+                    categories.source.push(file);
             }
         });
 
-        // Remove empty categories
-        Object.keys(categories).forEach(key => {
-            if (categories[key].length === 0) {
-                delete categories[key];
+        // Drop empty categories and label the others in the project language
+        const labeled = {};
+        Object.entries(categories).forEach(([key, categoryFiles]) => {
+            if (categoryFiles.length > 0) {
+                labeled[this.t(`category.${key}`)] = categoryFiles;
             }
         });
 
-        return categories;
+        return labeled;
     }
 
     /**
@@ -777,6 +1035,30 @@ Based on the analysis, here are some recommendations:
         return '🟢';
     }
 
+    /**
+     * Get the heading of a file type group in the file documentation
+     * @param {string} type - File type
+     * @returns {string} Localized plural heading, the capitalized type when no message exists
+     */
+    getFileTypeHeading(type) {
+        const key = `fileType.${type}`;
+        const heading = this.t(key);
+        return heading === key ? `${this.capitalizeFirstLetter(type)}s` : heading;
+    }
+
+    /**
+     * Build the anchor that markdown renderers generate for a heading
+     * @param {string} heading - Heading text
+     * @returns {string} Anchor slug
+     */
+    slugify(heading) {
+        return heading
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}\s-]/gu, '')
+            .trim()
+            .replace(/\s/g, '-');
+    }
+
     /**
      * Capitalize first letter of string
      * @param {string} str - Input string
@@ -8,6 +8,7 @@ import { glob } from 'glob';
 import ignore from 'ignore';
 import { File, FileTypes } from '../models/File.js';
 import { Folder } from '../models/Folder.js';
+import { analyzerRegistry } from '../analyzers/AnalyzerRegistry.js';
 
 /**
  * Service for file system operations and scanning
@@ -166,8 +167,14 @@ export class FileSystemService {
             // Auto-detect file type
             file.type = file.autoDetectType();
 
+            // Languages added by analyzer plugins
+            const pluginLanguage = analyzerRegistry.getLanguageForExtension(file.extension);
+            if (file.language === 'unknown' && pluginLanguage) {
+                file.language = pluginLanguage;
+            }
+
             // Skip unsupported file types
-            if (!this.supportedExtensions.has(file.extension)) {
+            if (!this.supportedExtensions.has(file.extension) && !pluginLanguage) {
                 // Only include if it's a known important file
                 const importantFiles = ['readme', 'license', 'changelog', 'makefile', 'dockerfile'];
                 if (!importantFiles.some(name => file.getName().toLowerCase().includes(name))) {
@@ -179,10 +186,7 @@ export class FileSystemService {
             if (readContent) {
                 try {
                     const content = await fs.readFile(filePath, 'utf8');
-                    file.lineCount = content.split('\n').length;
-                    file.complexity = file.calculateComplexity(content);
-                    file.doc = this.extractDocumentation(content, file.language);
-                    file.description = this.generateFileDescription(file, content);
+                    this.analyzeContent(file, content);
                 } catch (error) {
                     // File might be binary or too large
                     console.warn(`Warning: Unable to read content of ${filePath}: ${error.message}`);
@@ -199,59 +203,28 @@ export class FileSystemService {
         }
     }
 
+    /**
+     * Populate content-derived file properties
+     * @param {File} file - File to analyze
+     * @param {string} content - File content
+     * @returns {File} The analyzed file
+     */
+    analyzeContent(file, content) {
+        file.lineCount = content.split('\n').length;
+        file.complexity = file.calculateComplexity(content);
+        file.doc = this.extractDocumentation(content, file);
+        file.description = this.generateFileDescription(file, content);
+        return file;
+    }
+
     /**
      * Extract documentation from file content
      * @param {string} content - File content
-     * @param {string} language - Programming language
+     * @param {File} file - File the content belongs to
      * @returns {string} Extracted documentation
      */
-    extractDocumentation(content, language) {
-        const docPatterns = {
-            javascript: [
-                /\/\*\*[\s\S]*?\*\//g, // JSDoc
-                /\/\*[\s\S]*?\*\//g,   // Block comments
-                /\/\/.*$/gm            // Line comments
-            ],
-            typescript: [
-                /\/\*\*[\s\S]*?\*\//g,
-                /\/\*[\s\S]*?\*\//g,
-                /\/\/.*$/gm
-            ],
-            php: [
-                /\/\*\*[\s\S]*?\*\//g,
-                /\/\*[\s\S]*?\*\//g,
-                /\/\/.*$/gm,
-                /#.*$/gm
-            ],
-            python: [
-                /"""[\s\S]*?"""/g,     // Docstrings
-                /'''[\s\S]*?'''/g,
-                /#.*$/gm               // Comments
-            ],
-            java: [
-                /\/\*\*[\s\S]*?\*\//g,
-                /\/\*[\s\S]*?\*\//g,
-                /\/\/.*$/gm
-            ],
-            csharp: [
-                /\/\/\/.*$/gm,         // XML documentation
-                /\/\*\*[\s\S]*?\*\//g,
-                /\/\*[\s\S]*?\*\//g,
-                /\/\/.*$/gm
-            ]
-        };
-
-        const patterns = docPatterns[language] || docPatterns.javascript;
-        const docs = [];
-
-        patterns.forEach(pattern => {
-            const matches = content.match(pattern);
-            if (matches) {
-                docs.push(...matches);
-            }
-        });
-
-        return docs.join('\n').trim();
+    extractDocumentation(content, file) {
+        return analyzerRegistry.getAnalyzer(file).extractDocs(content, file);
     }
 
     /**
@@ -462,6 +462,47 @@ export class GitService {
         }
     }
 
+    /**
+     * Get the commit checked out, following the HEAD reference through loose and packed refs
+     * @param {string} projectPath - Path to project root
+     * @returns {Promise<string|null>} Full commit hash, null when not a repository or the reference cannot be resolved
+     */
+    async getHeadCommit(projectPath) {
+        if (!await this.isGitRepository(projectPath)) {
+            return null;
+        }
+
+        try {
+            const gitDir = path.join(projectPath, '.git');
+            const headContent = await fs.readFile(path.join(gitDir, 'HEAD'), 'utf8').then(content => content.trim());
+
+            // Detached HEAD holds the hash itself
+            if (!headContent.startsWith('ref: ')) {
+                return headContent;
+            }
+
+            const ref = headContent.slice('ref: '.length);
+            const refPath = path.join(gitDir, ref);
+
+            if (await fs.pathExists(refPath)) {
+                return await fs.readFile(refPath, 'utf8').then(content => content.trim());
+            }
+
+            const packedRefsPath = path.join(gitDir, 'packed-refs');
+            if (!await fs.pathExists(packedRefsPath)) {
+                return null;
+            }
+
+            const packedRefs = await fs.readFile(packedRefsPath, 'utf8');
+            const line = packedRefs.split('\n').find(entry => entry.trim().endsWith(` ${ref}`));
+
+            return line ? line.trim().split(' ')[0] : null;
+        } catch (error) {
+            console.warn(`Warning: Could not read Git HEAD: ${error.message}`);
+            return null;
+        }
+    }
+
     /**
      * Check if file/path is ignored by Git
      * @param {string} projectPath - Path to project root
@@ -0,0 +1,406 @@
+/**
+ * @fileoverview Export of the module dependency graph as DOT, Mermaid and GraphML
+ */
+
+import path from 'path';
+import ignore from 'ignore';
+
+/**
+ * Supported graph formats and their file extensions
+ */
+export const GRAPH_FORMATS = {
+    dot: 'dot',
+    mermaid: 'mmd',
+    graphml: 'graphml'
+};
+
+/**
+ * Node fill colors by file type
+ */
+const TYPE_COLORS = {
+    class: '#8dd3c7',
+    module: '#ffffb3',
+    component: '#bebada',
+    service: '#fb8072',
+    controller: '#80b1d3',
+    model: '#fdb462',
+    utility: '#b3de69',
+    test: '#fccde5',
+    config: '#d9d9d9',
+    script: '#bc80bd',
+    style: '#ccebc5',
+    template: '#ffed6f',
+    other: '#f0f0f0'
+};
+
+/**
+ * Node fill colors by complexity, from 1 (index 0) to 10
+ */
+const COMPLEXITY_COLORS = [
+    '#1a9850', '#66bd63', '#a6d96a', '#d9ef8b', '#ffffbf',
+    '#fee08b', '#fdae61', '#f46d43', '#d73027', '#a50026'
+];
+
+/**
+ * Color of nodes and edges that are part of a cycle when cycles are highlighted
+ */
+const CYCLE_COLOR = '#d62728';
+
+/**
+ * Service rendering the resolved dependency graph of a project index
+ */
+export class GraphExportService {
+    /**
+     * Generate the dependency graph in the requested format
+     * @param {Object} projectIndex - Project index built with detailed analysis
+     * @param {Object} [options] - Export options
+     * @param {string} [options.format='dot'] - Output format: dot, mermaid, graphml
+     * @param {string} [options.level='file'] - Graph level: file or folder
+     * @param {string[]} [options.filter] - Only keep files matching these globs (gitignore syntax, relative to the project root)
+     * @param {string} [options.root] - Only keep files reachable from this file (relative to the project root)
+     * @param {number} [options.depth] - Maximum number of imports followed from the root file
+     * @param {boolean} [options.highlightCycles=false] - Draw nodes and imports that are part of a cycle in red
+     * @param {string} [options.colorBy='type'] - Node color: type, complexity or none
+     * @returns {string} Graph content
+     */
+    generateGraph(projectIndex, options = {}) {
+        const { format = 'dot' } = options;
+        const graph = this.buildGraphView(projectIndex, options);
+
+        switch (format) {
+            case 'dot':
+                return this.generateDot(graph, projectIndex.project);
+            case 'mermaid':
+                return this.generateMermaid(graph);
+            case 'graphml':
+                return this.generateGraphML(graph);
+            default:
+                throw new Error(`Unsupported graph format: ${format}. Use one of: ${Object.keys(GRAPH_FORMATS).join(', ')}`);
+        }
+    }
+
+    /**
+     * Select, collapse and decorate the nodes and edges to draw
+     * @param {Object} projectIndex - Project index built with detailed analysis
+     * @param {Object} options - Export options, see generateGraph()
+     * @returns {{nodes: Object[], edges: Object[]}} Graph view
+     */
+    buildGraphView(projectIndex, options = {}) {
+        const { level = 'file', filter = null, root = null, depth = null, highlightCycles = false, colorBy = 'type' } = options;
+        const dependencyGraph = projectIndex.dependencyGraph;
+
+        if (!dependencyGraph) {
+            throw new Error('The project index has no dependency graph, index the project with detailed analysis');
+        }
+        if (!['file', 'folder'].includes(level)) {
+            throw new Error(`Unsupported graph level: ${level}. Use file or folder`);
+        }
+        if (!['type', 'complexity', 'none'].includes(colorBy)) {
+            throw new Error(`Unsupported node coloring: ${colorBy}. Use type, complexity or none`);
+        }
+
+        let files = dependencyGraph.nodes;
+        let edges = dependencyGraph.edges;
+
+        if (root) {
+            const reachable = this.findReachable(dependencyGraph, root, depth);
+            files = files.filter(node => reachable.has(node.path));
+        } else if (depth !== null && depth !== undefined) {
+            throw new Error('A depth limit requires a root file');
+        }
+
+        if (filter && filter.length > 0) {
+            const matcher = ignore().add(filter);
+            files = files.filter(node => matcher.ignores(node.path));
+        }
+
+        const kept = new Set(files.map(node => node.path));
+        edges = edges.filter(edge => kept.has(edge.from) && kept.has(edge.to));
+
+        const cycles = projectIndex.analysis.circularDependencies || { files: [], folders: [] };
+        const graph = level === 'folder'
+            ? this.collapseToFolders(files, edges, cycles.folders.map(cycle => cycle.folders))
+            : this.createFileView(files, edges, cycles.files.map(cycle => cycle.files));
+
+        graph.nodes.forEach(node => {
+            node.color = this.getNodeColor(node, colorBy);
+            node.highlighted = highlightCycles && node.inCycle;
+        });
+        graph.edges.forEach(edge => {
+            edge.highlighted = highlightCycles && edge.inCycle;
+        });
+
+        return graph;
+    }
+
+    /**
+     * Find the files reachable from a root file
+     * @param {Object} dependencyGraph - Dependency graph from the project index
+     * @param {string} root - Root file, relative to the project root
+     * @param {number|null} depth - Maximum number of imports to follow, unlimited when null
+     * @returns {Set<string>} Reachable file paths, including the root
+     * @private
+     */
+    findReachable(dependencyGraph, root, depth) {
+        const rootPath = path.posix.normalize(root.split(path.sep).join('/')).replace(/^\.\//, '');
+        if (!dependencyGraph.nodes.some(node => node.path === rootPath)) {
+            throw new Error(`Root file is not part of the index: ${root}`);
+        }
+
+        const adjacency = new Map();
+        dependencyGraph.edges.forEach(edge => {
+            if (!adjacency.has(edge.from)) adjacency.set(edge.from, []);
+            adjacency.get(edge.from).push(edge.to);
+        });
+
+        const maxDepth = depth === null || depth === undefined ? Infinity : depth;
+        const reachable = new Set([rootPath]);
+        let frontier = [rootPath];
+
+        for (let level = 0; level < maxDepth && frontier.length > 0; level++) {
+            const next = [];
+            frontier.forEach(filePath => {
+                (adjacency.get(filePath) || []).forEach(target => {
+                    if (reachable.has(target)) return;
+                    reachable.add(target);
+                    next.push(target);
+                });
+            });
+            frontier = next;
+        }
+
+        return reachable;
+    }
+
+    /**
+     * Create a file-level view
+     * @param {Object[]} files - Graph nodes to keep
+     * @param {Object[]} edges - Graph edges between kept nodes
+     * @param {string[][]} cycles - Files of each cycle
+     * @returns {{nodes: Object[], edges: Object[]}} Graph view
+     * @private
+     */
+    createFileView(files, edges, cycles) {
+        const componentOf = this.indexComponents(cycles);
+
+        return {
+            nodes: files.map(node => ({
+                id: node.path,
+                label: node.path,
+                type: node.type,
+                language: node.language,
+                complexity: node.complexity,
+                files: 1,
+                inCycle: componentOf.has(node.path)
+            })),
+            edges: edges.map(edge => ({
+                from: edge.from,
+                to: edge.to,
+                weight: 1,
+                imports: [`${edge.from}:${edge.line} ${edge.source}`],
+                inCycle: componentOf.has(edge.from) && componentOf.get(edge.from) === componentOf.get(edge.to)
+            }))
+        };
+    }
+
+    /**
+     * Collapse files to their folders, merging parallel imports into weighted edges
+     * @param {Object[]} files - Graph nodes to keep
+     * @param {Object[]} edges - Graph edges between kept nodes
+     * @param {string[][]} cycles - Folders of each cycle
+     * @returns {{nodes: Object[], edges: Object[]}} Graph view
+     * @private
+     */
+    collapseToFolders(files, edges, cycles) {
+        const componentOf = this.indexComponents(cycles);
+        const folderOf = filePath => path.posix.dirname(filePath);
+        const folders = new Map();
+        const folderEdges = new Map();
+
+        files.forEach(node => {
+            const id = folderOf(node.path);
+            if (!folders.has(id)) {
+                folders.set(id, { id, label: id === '.' ? '(root)' : id, type: 'folder', language: null, complexity: 1, files: 0, inCycle: componentOf.has(id) });
+            }
+            const folder = folders.get(id);
+            folder.files++;
+            folder.complexity = Math.max(folder.complexity, node.complexity || 1);
+        });
+
+        edges.forEach(edge => {
+            const from = folderOf(edge.from);
+            const to = folderOf(edge.to);
+            if (from === to) return;
+
+            const key = `${from}\0${to}`;
+            if (!folderEdges.has(key)) {
+                folderEdges.set(key, {
+                    from,
+                    to,
+                    weight: 0,
+                    imports: [],
+                    inCycle: componentOf.has(from) && componentOf.get(from) === componentOf.get(to)
+                });
+            }
+            const folderEdge = folderEdges.get(key);
+            folderEdge.weight++;
+            folderEdge.imports.push(`${edge.from}:${edge.line} ${edge.source}`);
+        });
+
+        return {
+            nodes: Array.from(folders.values()),
+            edges: Array.from(folderEdges.values())
+        };
+    }
+
+    /**
+     * Map each member of a cycle to the index of its cycle
+     * @param {string[][]} cycles - Cycle members
+     * @returns {Map<string, number>} Member to cycle index
+     * @private
+     */
+    indexComponents(cycles) {
+        const componentOf = new Map();
+        cycles.forEach((members, index) => members.forEach(member => componentOf.set(member, index)));
+        return componentOf;
+    }
+
+    /**
+     * Get the fill color of a node
+     * @param {Object} node - Graph view node
+     * @param {string} colorBy - type, complexity or none
+     * @returns {string|null} Hex color, or null for the default
+     * @private
+     */
+    getNodeColor(node, colorBy) {
+        if (colorBy === 'complexity') {
+            return COMPLEXITY_COLORS[Math.max(1, Math.min(10, node.complexity || 1)) - 1];
+        }
+        if (colorBy === 'type') {
+            return node.type === 'folder' ? '#add8e6' : (TYPE_COLORS[node.type] || TYPE_COLORS.other);
+        }
+        return null;
+    }
+
+    /**
+     * Generate a Graphviz DOT graph
+     * @param {Object} graph - Graph view
+     * @param {Object} project - Project information
+     * @returns {string} DOT content
+     */
+    generateDot(graph, project) {
+        const quote = value => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+
+        let dot = `digraph ${quote(`${project.description || 'Project'} dependencies`)} {\n`;
+        dot += '  rankdir=LR;\n';
+        dot += '  node [shape=box, style="rounded,filled", fillcolor=white, fontname=Helvetica];\n';
+        dot += '  edge [color=gray40];\n\n';
+
+        graph.nodes.forEach(node => {
+            const attributes = [`label=${quote(node.files > 1 ? `${node.label}\n(${node.files} files)` : node.label)}`];
+            if (node.color) attributes.push(`fillcolor=${quote(node.color)}`);
+            if (node.highlighted) attributes.push(`color=${quote(CYCLE_COLOR)}`, 'penwidth=2');
+            dot += `  ${quote(node.id)} [${attributes.join(', ')}];\n`;
+        });
+
+        dot += '\n';
+
+        graph.edges.forEach(edge => {
+            const attributes = [];
+            if (edge.weight > 1) attributes.push(`label=${quote(edge.weight)}`, `penwidth=${Math.min(1 + Math.log2(edge.weight), 5).toFixed(1)}`);
+            if (edge.highlighted) attributes.push(`color=${quote(CYCLE_COLOR)}`, 'penwidth=2');
+            dot += `  ${quote(edge.from)} -> ${quote(edge.to)}${attributes.length > 0 ? ` [${attributes.join(', ')}]` : ''};\n`;
+        });
+
+        dot += '}\n';
+        return dot;
+    }
+
+    /**
+     * Generate a Mermaid flowchart
+     * @param {Object} graph - Graph view
+     * @returns {string} Mermaid content
+     */
+    generateMermaid(graph) {
+        // Mermaid ids cannot contain path characters, labels carry the paths
+        const ids = new Map(graph.nodes.map((node, index) => [node.id, `N${index}`]));
+        const escape = value => String(value).replace(/"/g, '#quot;');
+
+        let mermaid = 'flowchart LR\n';
+
+        graph.nodes.forEach(node => {
+            const label = node.files > 1 ? `${node.label}<br/>(${node.files} files)` : node.label;
+            mermaid += `    ${ids.get(node.id)}["${escape(label)}"]\n`;
+        });
+
+        graph.edges.forEach(edge => {
+            const label = edge.weight > 1 ? `|${edge.weight}|` : '';
+            mermaid += `    ${ids.get(edge.from)} -->${label} ${ids.get(edge.to)}\n`;
+        });
+
+        graph.nodes.forEach(node => {
+            const styles = [];
+            if (node.color) styles.push(`fill:${node.color}`);
+            if (node.highlighted) styles.push(`stroke:${CYCLE_COLOR}`, 'stroke-width:2px');
+            if (styles.length > 0) mermaid += `    style ${ids.get(node.id)} ${styles.join(',')}\n`;
+        });
+
+        graph.edges.forEach((edge, index) => {
+            if (edge.highlighted) mermaid += `    linkStyle ${index} stroke:${CYCLE_COLOR},stroke-width:2px\n`;
+        });
+
+        return mermaid;
+    }
+
+    /**
+     * Generate GraphML, with node and edge attributes for yEd and Gephi
+     * @param {Object} graph - Graph view
+     * @returns {string} GraphML content
+     */
+    generateGraphML(graph) {
+        const escape = value => String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const data = (key, value) => (value === null || value === undefined ? '' : `      <data key="${key}">${escape(value)}</data>\n`);
+
+        let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+        xml += '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">\n';
+        xml += '  <key id="label" for="node" attr.name="label" attr.type="string"/>\n';
+        xml += '  <key id="type" for="node" attr.name="type" attr.type="string"/>\n';
+        xml += '  <key id="language" for="node" attr.name="language" attr.type="string"/>\n';
+        xml += '  <key id="complexity" for="node" attr.name="complexity" attr.type="int"/>\n';
+        xml += '  <key id="files" for="node" attr.name="files" attr.type="int"/>\n';
+        xml += '  <key id="color" for="node" attr.name="color" attr.type="string"/>\n';
+        xml += '  <key id="nodeCycle" for="node" attr.name="inCycle" attr.type="boolean"/>\n';
+        xml += '  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>\n';
+        xml += '  <key id="imports" for="edge" attr.name="imports" attr.type="string"/>\n';
+        xml += '  <key id="edgeCycle" for="edge" attr.name="inCycle" attr.type="boolean"/>\n';
+        xml += `  <graph id="dependencies" edgedefault="directed">\n`;
+
+        graph.nodes.forEach(node => {
+            xml += `    <node id="${escape(node.id)}">\n`;
+            xml += data('label', node.label);
+            xml += data('type', node.type);
+            xml += data('language', node.language);
+            xml += data('complexity', node.complexity);
+            xml += data('files', node.files);
+            xml += data('color', node.highlighted ? CYCLE_COLOR : node.color);
+            xml += data('nodeCycle', node.inCycle);
+            xml += '    </node>\n';
+        });
+
+        graph.edges.forEach((edge, index) => {
+            xml += `    <edge id="e${index}" source="${escape(edge.from)}" target="${escape(edge.to)}">\n`;
+            xml += data('weight', edge.weight);
+            xml += data('imports', edge.imports.join('\n'));
+            xml += data('edgeCycle', edge.inCycle);
+            xml += '    </edge>\n';
+        });
+
+        xml += '  </graph>\n';
+        xml += '</graphml>\n';
+        return xml;
+    }
+}
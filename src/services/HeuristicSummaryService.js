@@ -0,0 +1,271 @@
+/**
+ * @fileoverview Deterministic file and folder descriptions built without a model
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { analyzerRegistry } from '../analyzers/AnalyzerRegistry.js';
+import { Translator } from '../i18n/Translator.js';
+
+/**
+ * Most names listed in one part of a description
+ */
+const MAX_NAMES = 5;
+
+/**
+ * Most file type groups listed in a folder description
+ */
+const MAX_GROUPS = 4;
+
+/**
+ * Longest sentence kept from a leading comment
+ */
+const MAX_SENTENCE_LENGTH = 200;
+
+/**
+ * Symbol kinds that do not describe what a file offers
+ */
+const SKIPPED_KINDS = ['package', 'namespace'];
+
+/**
+ * Class-like symbol kinds whose public methods are listed when a file exposes only one
+ */
+const TYPE_KINDS = ['class', 'struct', 'interface', 'trait', 'enum', 'record'];
+
+/**
+ * Members never listed as exposed
+ */
+const SKIPPED_MEMBERS = ['constructor', '__init__', '__construct'];
+
+/**
+ * Service describing files from their leading comment, exposed symbols, imports and
+ * type, and folders from their content, e.g. "Service exposing indexProject,
+ * buildIgnoreFilter; depends on FileSystemService, GitService".
+ *
+ * Used when no model is available: with `--no-ai`, when the provider cannot be
+ * reached, and for every file or folder whose AI request fails.
+ */
+export class HeuristicSummaryService {
+    constructor() {
+        this.redaction = null;
+    }
+
+    /**
+     * Redact file contents before describing them
+     * @param {import('./RedactionService.js').RedactionService|null} redaction - Redaction service, null to read contents unchanged
+     */
+    setRedaction(redaction) {
+        this.redaction = redaction;
+    }
+
+    /**
+     * Describe a file
+     * @param {Object} file - File object
+     * @param {Object} [project] - Project information, for the language of the description
+     * @returns {Promise<string|null>} Description, null when the file cannot be read
+     */
+    async describeFile(file, project) {
+        let content;
+        try {
+            content = await fs.readFile(file.path, 'utf8');
+        } catch (error) {
+            return null;
+        }
+
+        if (this.redaction) {
+            content = this.redaction.redact(content, file.path);
+        }
+
+        const translator = new Translator(project?.naturalLanguage);
+        const analysis = this.analyze(file, content);
+        const role = translator.t(`summary.role.${file.type}`);
+        const names = this.getExposedNames(analysis.symbols);
+        const dependencies = this.getDependencies(file, analysis.imports);
+
+        const structure = [
+            names.length > 0
+                ? translator.t('summary.exposing', { role, names: this.formatNames(names, translator) })
+                : translator.t('summary.inLanguage', { role, language: file.language }),
+            dependencies.length > 0
+                ? translator.t('summary.dependsOn', { names: this.formatNames(dependencies, translator) })
+                : null
+        ].filter(Boolean).join('; ');
+
+        const sentence = this.getLeadingSentence(file, content);
+        return sentence ? `${sentence} ${this.capitalize(structure)}` : this.capitalize(structure);
+    }
+
+    /**
+     * Describe a folder from the files and subfolders it directly contains
+     * @param {Object} folder - Folder object
+     * @param {{files: Object[], folders: Object[]}} [children] - Direct children
+     * @param {Object} [project] - Project information, for the language of the description
+     * @returns {string} Description
+     */
+    describeFolder(folder, children = { files: [], folders: [] }, project) {
+        const translator = new Translator(project?.naturalLanguage);
+        const groups = new Map();
+
+        children.files.forEach(file => {
+            if (!groups.has(file.type)) groups.set(file.type, []);
+            groups.get(file.type).push(path.basename(file.path, path.extname(file.path)));
+        });
+
+        const parts = [];
+        if (children.files.length > 0) {
+            const listed = [...groups]
+                .sort((a, b) => b[1].length - a[1].length)
+                .slice(0, MAX_GROUPS)
+                .map(([type, names]) => `${translator.t(`fileType.${type}`)} (${this.formatNames(names.sort(), translator, 3)})`);
+
+            parts.push(translator.t('summary.folderFiles', { count: children.files.length, groups: listed.join(', ') }));
+        }
+
+        if (children.folders.length > 0) {
+            const names = children.folders.map(child => `${path.basename(child.path)}/`).sort();
+            parts.push(translator.t('summary.folderSubfolders', { names: this.formatNames(names, translator) }));
+        }
+
+        return parts.length > 0 ? this.capitalize(parts.join('; ')) : translator.t('summary.emptyFolder');
+    }
+
+    /**
+     * Run the language analyzer of a file
+     * @param {Object} file - File object
+     * @param {string} content - File content
+     * @returns {{symbols: Object[], imports: Object[]}} Symbols and imports, empty when the analyzer fails
+     * @private
+     */
+    analyze(file, content) {
+        try {
+            const { symbols, imports } = analyzerRegistry.getAnalyzer(file).analyze(content, file);
+            return { symbols: symbols || [], imports: imports || [] };
+        } catch (error) {
+            return { symbols: [], imports: [] };
+        }
+    }
+
+    /**
+     * Get the names a file offers: its exported top-level symbols, or the public
+     * methods of its only exported class
+     * @param {Object[]} symbols - File symbols
+     * @returns {string[]} Names, in file order
+     * @private
+     */
+    getExposedNames(symbols) {
+        const isPublic = symbol => symbol.visibility === 'public' && !(symbol.doc && symbol.doc.includes('@private'));
+        const topLevel = symbols.filter(symbol => !symbol.parent && !SKIPPED_KINDS.includes(symbol.kind));
+        const exported = topLevel.filter(symbol => symbol.exported);
+        const exposed = exported.length > 0 ? exported : topLevel.filter(isPublic);
+
+        if (exposed.length === 1 && TYPE_KINDS.includes(exposed[0].kind)) {
+            const members = symbols
+                .filter(symbol => symbol.parent === exposed[0].name && ['method', 'function'].includes(symbol.kind))
+                .filter(symbol => isPublic(symbol) && !SKIPPED_MEMBERS.includes(symbol.name) && !symbol.name.startsWith('_'));
+
+            if (members.length > 0) {
+                return [...new Set(members.map(symbol => symbol.name))];
+            }
+        }
+
+        return [...new Set(exposed.map(symbol => symbol.name))];
+    }
+
+    /**
+     * Get what a file depends on: the project modules it imports, or its packages
+     * when it imports none
+     * @param {Object} file - File object
+     * @param {Object[]} imports - Imports from the language analyzer: { source }
+     * @returns {string[]} Module names without extension, or package names
+     * @private
+     */
+    getDependencies(file, imports) {
+        const analyzer = analyzerRegistry.getAnalyzer(file);
+        const sources = [...new Set(imports.map(imp => imp.source).filter(Boolean))];
+        const internal = sources
+            .filter(source => analyzer.isRelativeImport(source))
+            .map(source => path.basename(source, path.extname(source)));
+
+        return internal.length > 0 ? [...new Set(internal)] : sources;
+    }
+
+    /**
+     * Get the first sentence of the comment opening a file, or the title of a
+     * documentation file. License headers are skipped.
+     * @param {Object} file - File object
+     * @param {string} content - File content
+     * @returns {string|null} Sentence ending with a period, null when there is none
+     * @private
+     */
+    getLeadingSentence(file, content) {
+        let text;
+
+        if (['readme', 'documentation'].includes(file.type)) {
+            const heading = content.match(/^\s*#+\s*(.+)$/m);
+            text = heading ? heading[1] : null;
+        } else {
+            text = this.getLeadingComment(content);
+        }
+
+        if (!text || /copyright|license/i.test(text)) return null;
+
+        const sentence = text.replace(/\s+/g, ' ').trim().split(/(?<=[.!?])\s/)[0].replace(/[.:;,]$/, '');
+        if (sentence.length < 3) return null;
+
+        const shortened = sentence.length > MAX_SENTENCE_LENGTH ? `${sentence.substring(0, MAX_SENTENCE_LENGTH - 1)}…` : sentence;
+        return `${shortened}.`;
+    }
+
+    /**
+     * Get the text of the comment or docstring opening a file, after a shebang,
+     * `<?php` or `'use strict'`. A `@fileoverview`, `@file` or `@module` tag is
+     * preferred, other tags are dropped.
+     * @param {string} content - File content
+     * @returns {string|null} Comment text without comment markers
+     * @private
+     */
+    getLeadingComment(content) {
+        const code = content
+            .replace(/^\uFEFF/, '')
+            .replace(/^#!.*\n/, '')
+            .replace(/^\s*(?:<\?php|['"]use strict['"];?)/, '');
+
+        const block = code.match(/^\s*\/\*+([\s\S]*?)\*\//) || code.match(/^\s*(?:"""|''')([\s\S]*?)(?:"""|''')/);
+        const lines = code.match(/^(?:[ \t]*(?:\/\/\/?|#)[^\n]*\n?)+/);
+        const raw = block ? block[1] : lines ? lines[0] : null;
+        if (!raw) return null;
+
+        const text = raw
+            .split('\n')
+            .map(line => line.replace(/^\s*(?:\*+|\/\/\/?|#+)?\s?/, '').trim())
+            .join('\n');
+
+        const tagged = text.match(/@(?:fileoverview|file|module)\s+([\s\S]*?)(?=\n\s*@|$)/);
+        if (tagged) return tagged[1].trim() || null;
+
+        return text.split(/\n\s*@/)[0].trim() || null;
+    }
+
+    /**
+     * Join names, the ones beyond the limit counted
+     * @param {string[]} names - Names
+     * @param {Translator} translator - Translator of the project language
+     * @param {number} [limit=MAX_NAMES] - Most names listed
+     * @returns {string} Comma separated names
+     * @private
+     */
+    formatNames(names, translator, limit = MAX_NAMES) {
+        const listed = names.slice(0, limit).join(', ');
+        return names.length > limit ? `${listed}, ${translator.t('summary.more', { count: names.length - limit })}` : listed;
+    }
+
+    /**
+     * Upper-case the first character of a text
+     * @param {string} text - Text
+     * @returns {string} Capitalized text
+     * @private
+     */
+    capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+}
@@ -0,0 +1,274 @@
+/**
+ * @fileoverview Persistent on-disk project index used for incremental re-indexing
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs-extra';
+import ignore from 'ignore';
+
+/**
+ * Version of the on-disk index format. Bump when the stored shape changes.
+ */
+export const INDEX_CACHE_VERSION = 3;
+
+/**
+ * Default cache directory, relative to the project root
+ */
+export const DEFAULT_CACHE_DIR = '.svc-indexer';
+
+/**
+ * Service persisting indexed file data between runs
+ */
+export class IndexCacheService {
+    /**
+     * Create a new index cache
+     * @param {string} rootPath - Project root path
+     * @param {Object} [options] - Cache options
+     * @param {string} [options.cacheDir='.svc-indexer'] - Cache directory, relative to the project root
+     * @param {string|null} [options.fingerprint=null] - Settings the stored analysis depends on, such as the
+     *     redaction rules; an index saved with another fingerprint is discarded
+     */
+    constructor(rootPath, options = {}) {
+        this.rootPath = path.resolve(rootPath);
+        this.cacheDir = path.resolve(this.rootPath, options.cacheDir || DEFAULT_CACHE_DIR);
+        this.indexPath = path.join(this.cacheDir, 'index.json');
+        this.fingerprint = options.fingerprint || null;
+        this.files = new Map();
+        this.folders = new Map();
+        this.stats = {
+            reused: 0,
+            analyzed: 0,
+            removed: 0
+        };
+        this.changedFiles = [];
+        this.removedFiles = [];
+    }
+
+    /**
+     * Compute the content hash used to detect changed files
+     * @param {string} content - File content
+     * @returns {string} Hex encoded SHA-256 hash
+     */
+    static hashContent(content) {
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    /**
+     * Load the persisted index from disk
+     * @returns {Promise<IndexCacheService>} This instance
+     */
+    async load() {
+        try {
+            if (!await fs.pathExists(this.indexPath)) {
+                return this;
+            }
+
+            const stored = await fs.readJson(this.indexPath);
+
+            // Discard indexes written by an incompatible version or with other settings
+            if (stored.version !== INDEX_CACHE_VERSION || (stored.fingerprint || null) !== this.fingerprint) {
+                return this;
+            }
+
+            this.files = new Map(Object.entries(stored.files || {}));
+            this.folders = new Map(Object.entries(stored.folders || {}));
+        } catch (error) {
+            console.warn(`Warning: Could not load index cache, rebuilding: ${error.message}`);
+            this.files = new Map();
+            this.folders = new Map();
+        }
+
+        return this;
+    }
+
+    /**
+     * Write the index to disk
+     * @returns {Promise<void>}
+     */
+    async save() {
+        await fs.ensureDir(this.cacheDir);
+
+        const data = {
+            version: INDEX_CACHE_VERSION,
+            fingerprint: this.fingerprint,
+            savedAt: new Date().toISOString(),
+            files: Object.fromEntries(this.files),
+            folders: Object.fromEntries(this.folders)
+        };
+
+        // Write to a temporary file first so an interrupted save never corrupts the index
+        const tempPath = `${this.indexPath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(data), 'utf8');
+        await fs.move(tempPath, this.indexPath, { overwrite: true });
+    }
+
+    /**
+     * Get the cache key for a file or folder path
+     * @param {string} filePath - Absolute path
+     * @returns {string} Path relative to the project root
+     */
+    getKey(filePath) {
+        return path.relative(this.rootPath, filePath);
+    }
+
+    /**
+     * Find a cached entry whose mtime and size match the file on disk
+     * @param {Object} file - File with path, size and lastModified
+     * @returns {Object|null} Cached entry or null
+     */
+    lookup(file) {
+        const entry = this.files.get(this.getKey(file.path));
+        if (!entry) return null;
+
+        const mtimeMs = new Date(file.lastModified).getTime();
+        if (entry.mtimeMs === mtimeMs && entry.size === file.size) {
+            return entry;
+        }
+
+        return null;
+    }
+
+    /**
+     * Find a cached entry whose content hash matches, e.g. after a touch or checkout
+     * @param {Object} file - File with path
+     * @param {string} hash - Content hash
+     * @returns {Object|null} Cached entry or null
+     */
+    lookupByHash(file, hash) {
+        const entry = this.files.get(this.getKey(file.path));
+        return entry && entry.hash === hash ? entry : null;
+    }
+
+    /**
+     * Record that a file was reused from the cache
+     */
+    markReused() {
+        this.stats.reused++;
+    }
+
+    /**
+     * Record that a file was (re-)analyzed
+     * @param {string} filePath - Absolute file path
+     */
+    markAnalyzed(filePath) {
+        this.stats.analyzed++;
+        this.changedFiles.push(filePath);
+    }
+
+    /**
+     * Store indexed file data
+     * @param {Object} fileData - Plain file object, as produced by File.toObject()
+     * @param {Object} [options] - Entry options
+     * @param {boolean} [options.detailed=false] - Whether the data includes detailed metadata
+     */
+    setFile(fileData, options = {}) {
+        if (!fileData.hash) return;
+
+        const key = this.getKey(fileData.path);
+        const previous = this.files.get(key);
+
+        this.files.set(key, {
+            mtimeMs: new Date(fileData.lastModified).getTime(),
+            size: fileData.size,
+            hash: fileData.hash,
+            detailed: Boolean(options.detailed || (previous && previous.hash === fileData.hash && previous.detailed)),
+            data: fileData
+        });
+    }
+
+    /**
+     * Get cached folder data
+     * @param {string} folderPath - Absolute folder path
+     * @returns {Object|null} Cached folder data
+     */
+    getFolder(folderPath) {
+        return this.folders.get(this.getKey(folderPath)) || null;
+    }
+
+    /**
+     * Store folder data
+     * @param {Object} folderData - Plain folder object
+     */
+    setFolder(folderData) {
+        if (!folderData.description) return;
+
+        this.folders.set(this.getKey(folderData.path), {
+            description: folderData.description,
+            aiDetails: folderData.aiDetails || null
+        });
+    }
+
+    /**
+     * Drop entries for files and folders that no longer exist in the project
+     * @param {string[]} filePaths - Absolute paths of indexed files
+     * @param {string[]} [folderPaths] - Absolute paths of indexed folders
+     * @returns {string[]} Absolute paths of removed files
+     */
+    prune(filePaths, folderPaths = null) {
+        const liveFiles = new Set(filePaths.map(filePath => this.getKey(filePath)));
+
+        for (const key of [...this.files.keys()]) {
+            if (!liveFiles.has(key)) {
+                this.files.delete(key);
+                this.removedFiles.push(path.join(this.rootPath, key));
+            }
+        }
+
+        if (folderPaths) {
+            const liveFolders = new Set(folderPaths.map(folderPath => this.getKey(folderPath)));
+            for (const key of [...this.folders.keys()]) {
+                if (!liveFolders.has(key)) this.folders.delete(key);
+            }
+        }
+
+        this.stats.removed = this.removedFiles.length;
+        return this.removedFiles;
+    }
+
+    /**
+     * Drop the entries of files and folders matching path globs, so the next run analyzes
+     * them again and asks the model for new descriptions instead of restoring the stored ones
+     * @param {string|string[]} [paths] - Globs (gitignore syntax, relative to the project root), all entries when empty
+     * @returns {number} Number of removed file and folder entries
+     */
+    invalidate(paths) {
+        const globs = [].concat(paths || []);
+        const matcher = globs.length > 0 ? ignore().add(globs) : null;
+        let removed = 0;
+
+        for (const entries of [this.files, this.folders]) {
+            for (const key of [...entries.keys()]) {
+                // The project root folder is keyed by an empty path, which ignore() rejects
+                if (matcher && (!key || !matcher.ignores(key))) continue;
+
+                entries.delete(key);
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Get a summary of the last incremental indexing run
+     * @returns {Object} Reused, analyzed and removed counts plus changed paths
+     */
+    getSummary() {
+        return {
+            ...this.stats,
+            changedFiles: [...this.changedFiles],
+            removedFiles: [...this.removedFiles]
+        };
+    }
+
+    /**
+     * Delete the persisted index
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.files.clear();
+        this.folders.clear();
+        await fs.remove(this.indexPath);
+    }
+}
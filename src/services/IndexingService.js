@@ -3,11 +3,21 @@
  */
 
 import path from 'path';
+import fs from 'fs-extra';
 import ignore from 'ignore';
 import {FileSystemService} from './FileSystemService.js';
 import {GitService} from './GitService.js';
+import {IndexCacheService} from './IndexCacheService.js';
+import {DependencyGraphService} from './DependencyGraphService.js';
+import {ManifestService} from './ManifestService.js';
+import {analyzerRegistry} from '../analyzers/AnalyzerRegistry.js';
 import {Project} from '../models/Project.js';
 
+/**
+ * Time between two saves of the persistent index while files are analyzed, in milliseconds
+ */
+const CHECKPOINT_INTERVAL_MS = 30000;
+
 /**
  * Service for indexing programming projects
  */
@@ -15,6 +25,19 @@ export class IndexingService {
     constructor() {
         this.fileSystemService = new FileSystemService();
         this.gitService = new GitService();
+        this.dependencyGraphService = new DependencyGraphService();
+        this.manifestService = new ManifestService();
+        this.indexCache = null;
+        this.redaction = null;
+        this.analyzerRegistry = analyzerRegistry;
+    }
+
+    /**
+     * Redact file contents before they are analyzed, so documentation and symbols never hold secrets
+     * @param {import('./RedactionService.js').RedactionService|null} redaction - Redaction service, null to keep contents unchanged
+     */
+    setRedaction(redaction) {
+        this.redaction = redaction;
     }
 
     /**
@@ -23,10 +46,19 @@ export class IndexingService {
      * @param {Object} options - Indexing options
      * @param {boolean} [options.detailed=false] - Perform detailed analysis
      * @param {boolean} [options.readContent=true] - Read file contents
+     * @param {boolean} [options.useCache] - Reuse the persistent index (defaults to config.general.useCache)
+     * @param {AbortSignal} [options.signal] - Stops the analysis of files; the files analyzed so far are saved to
+     *     the persistent index
      * @returns {Promise<Object>} Project index
+     * @throws {Error} AbortError when the indexing is stopped
      */
     async indexProject(config, options = {}) {
-        const {detailed = false, readContent = true} = options;
+        const {
+            detailed = false,
+            readContent = true,
+            useCache = config.general.useCache !== false,
+            signal = null
+        } = options;
 
         // Create project instance
         const project = new Project(config.project);
@@ -39,38 +71,57 @@ export class IndexingService {
         }
 
         // Check if root path exists
-        const fs = await import('fs-extra');
         if (!await fs.pathExists(rootPath)) {
             throw new Error(`Project root path does not exist: ${rootPath}`);
         }
 
+        // Register third-party analyzers before files are scanned, they may add languages
+        await this.analyzerRegistry.loadPlugins(config.analyzers || [], rootPath);
+
         // Build ignore filter
         const ignoreFilter = await this.buildIgnoreFilter(config);
 
         // Scan project structure
-        const scanOptions = {
-            maxDepth: 15,
-            includeFiles: true,
-            includeHidden: !config.general.ignoreHidden,
-            excludePatterns: config.exclude
-        };
-
         const scanResult = await this.fileSystemService.scanDirectory(
             rootPath,
-            scanOptions
+            this.getScanOptions(config)
         );
 
         // Filter based on include/exclude patterns
         const filteredFiles = this.filterFiles(scanResult.files, config, ignoreFilter);
         const filteredFolders = this.filterFolders(scanResult.folders, config, ignoreFilter);
 
+        // Load the persistent index so unchanged files are not re-analyzed
+        this.indexCache = useCache && readContent
+            ? await new IndexCacheService(rootPath, {
+                cacheDir: config.general.cacheDir,
+                fingerprint: this.redaction ? this.redaction.getFingerprint() : null
+            }).load()
+            : null;
+
         // Read file contents if requested
         if (readContent) {
-            await this.enrichFilesWithContent(filteredFiles, detailed);
+            await this.enrichFilesWithContent(filteredFiles, detailed, this.indexCache, signal);
         }
 
+        if (this.indexCache) {
+            this.indexCache.prune(
+                filteredFiles.map(file => file.path),
+                filteredFolders.map(folder => folder.path)
+            );
+            this.restoreFolderDescriptions(filteredFolders, this.indexCache);
+        }
+
+        // Resolve imports to project files, only detailed analysis records them
+        const dependencyGraph = detailed
+            ? await this.dependencyGraphService.buildGraph(rootPath, filteredFiles)
+            : null;
+
+        // Read manifests and lockfiles, package usage needs the imports of detailed analysis
+        const inventory = await this.manifestService.buildInventory(rootPath, filteredFiles, {ignoreFilter, dependencyGraph});
+
         // Analyze project structure
-        const analysis = this.analyzeProjectStructure(filteredFiles, filteredFolders);
+        const analysis = this.analyzeProjectStructure(filteredFiles, filteredFolders, dependencyGraph, inventory);
 
         // Build final index
         const projectIndex = {
@@ -79,6 +130,7 @@ export class IndexingService {
             folders: filteredFolders.map(folder => folder.toObject()),
             structure: this.buildProjectStructure(filteredFolders, filteredFiles),
             analysis,
+            dependencyGraph,
             metadata: {
                 indexedAt: new Date(),
                 totalFiles: filteredFiles.length,
@@ -86,13 +138,64 @@ export class IndexingService {
                 totalSize: filteredFiles.reduce((sum, file) => sum + (file.size || 0), 0),
                 languages: this.extractLanguages(filteredFiles),
                 fileTypes: this.getFileTypeDistribution(filteredFiles),
-                complexity: this.calculateOverallComplexity(filteredFiles)
+                complexity: this.calculateOverallComplexity(filteredFiles),
+                incremental: this.indexCache ? this.indexCache.getSummary() : null
             }
         };
 
         return projectIndex;
     }
 
+    /**
+     * Persist the project index so the next run only re-analyzes changed files.
+     * Call after AI enhancement so generated descriptions are kept as well.
+     * @param {Object} projectIndex - Project index returned by indexProject()
+     * @param {Object} [options] - Save options
+     * @param {boolean} [options.detailed=false] - Whether the index was built with detailed analysis
+     * @returns {Promise<void>}
+     */
+    async saveIndexCache(projectIndex, options = {}) {
+        if (!this.indexCache) return;
+
+        projectIndex.files.forEach(file => this.indexCache.setFile(file, options));
+        projectIndex.folders.forEach(folder => this.indexCache.setFolder(folder));
+
+        try {
+            await this.indexCache.save();
+        } catch (error) {
+            console.warn(`Warning: Could not save index cache: ${error.message}`);
+        }
+    }
+
+    /**
+     * Restore previously generated folder descriptions from the persistent index
+     * @param {Folder[]} folders - Project folders
+     * @param {IndexCacheService} indexCache - Loaded index cache
+     */
+    restoreFolderDescriptions(folders, indexCache) {
+        folders.forEach(folder => {
+            const cached = indexCache.getFolder(folder.path);
+            if (cached && !folder.description) {
+                folder.description = cached.description;
+                folder.aiDetails = cached.aiDetails || null;
+            }
+        });
+    }
+
+    /**
+     * Get the options of the project directory scan
+     * @param {Object} config - Project configuration
+     * @returns {Object} Options for FileSystemService.scanDirectory()
+     */
+    getScanOptions(config) {
+        return {
+            maxDepth: 15,
+            includeFiles: true,
+            includeHidden: !config.general.ignoreHidden,
+            excludePatterns: config.exclude
+        };
+    }
+
     /**
      * Build ignore filter from configuration
      * @param {Object} config - Project configuration
@@ -207,27 +310,66 @@ export class IndexingService {
      * Enrich files with content analysis
      * @param {File[]} files - Files to enrich
      * @param {boolean} detailed - Perform detailed analysis
+     * @param {IndexCacheService|null} [indexCache=null] - Persistent index to reuse unchanged files from; the files
+     *     analyzed are saved to it periodically, so an interrupted run does not analyze them again
+     * @param {AbortSignal|null} [signal=null] - Stops the analysis, files not analyzed yet are left as scanned
+     * @throws {Error} AbortError when the analysis is stopped
      */
-    async enrichFilesWithContent(files, detailed = false) {
+    async enrichFilesWithContent(files, detailed = false, indexCache = null, signal = null) {
+        const analyzed = [];
+        let savedAt = Date.now();
+        let saving = null;
+
         const promises = files.map(async (file) => {
             try {
-                const enrichedFile = await this.fileSystemService.createFileFromPath(
-                    file.path,
-                    true // Read content
-                );
+                // Unchanged mtime and size: reuse without reading the file
+                const cached = indexCache && indexCache.lookup(file);
+                if (cached && (cached.detailed || !detailed)) {
+                    this.applyCachedData(file, cached.data);
+                    indexCache.markReused();
+                    return;
+                }
+
+                const rawContent = await fs.readFile(file.path, 'utf8');
+                if (signal && signal.aborted) return;
+
+                file.hash = IndexCacheService.hashContent(rawContent);
+
+                // Touched but identical content: reuse as well
+                const sameContent = indexCache && indexCache.lookupByHash(file, file.hash);
+                if (sameContent && (sameContent.detailed || !detailed)) {
+                    this.applyCachedData(file, sameContent.data);
+                    indexCache.markReused();
+                    return;
+                }
+
+                const content = this.redactContent(rawContent, file);
+                this.fileSystemService.analyzeContent(file, content);
 
-                if (enrichedFile) {
-                    // Copy enriched data back to original file
-                    Object.assign(file, {
-                        lineCount: enrichedFile.lineCount,
-                        complexity: enrichedFile.complexity,
-                        doc: enrichedFile.doc,
-                        description: enrichedFile.description
-                    });
-
-                    // Perform detailed analysis if requested
-                    if (detailed) {
-                        await this.performDetailedAnalysis(file);
+                // Perform detailed analysis if requested
+                if (detailed) {
+                    await this.performDetailedAnalysis(file, content);
+                }
+
+                if (sameContent) {
+                    // Content unchanged, only detailed metadata was missing: keep AI output
+                    file.description = sameContent.data.description || file.description;
+                    file.aiDetailedDoc = sameContent.data.aiDetailedDoc || null;
+                    file.aiChunks = sameContent.data.aiChunks || 0;
+                    file.aiDetails = sameContent.data.aiDetails || null;
+                    indexCache.markReused();
+                } else if (indexCache) {
+                    indexCache.markAnalyzed(file.path);
+                }
+
+                if (indexCache) {
+                    analyzed.push(file);
+
+                    if (!saving && Date.now() - savedAt >= CHECKPOINT_INTERVAL_MS) {
+                        saving = this.saveAnalyzedFiles(analyzed, detailed, indexCache).finally(() => {
+                            saving = null;
+                            savedAt = Date.now();
+                        });
                     }
                 }
             } catch (error) {
@@ -236,269 +378,125 @@ export class IndexingService {
         });
 
         await Promise.all(promises);
+        if (saving) await saving;
+
+        if (signal && signal.aborted) {
+            if (indexCache) await this.saveAnalyzedFiles(analyzed, detailed, indexCache);
+            throw Object.assign(new Error('Indexing cancelled'), { name: 'AbortError', code: 'ABORT_ERR' });
+        }
     }
 
     /**
-     * Perform detailed file analysis
-     * @param {File} file - File to analyze
+     * Save analyzed files to the persistent index before the whole project is indexed
+     * @param {File[]} files - Analyzed files
+     * @param {boolean} detailed - Whether the files got a detailed analysis
+     * @param {IndexCacheService} indexCache - Persistent index
+     * @private
      */
-    async performDetailedAnalysis(file) {
-        try {
-            const fs = await import('fs-extra');
-            const content = await fs.readFile(file.path, 'utf8');
-
-            // Enhanced complexity analysis
-            file.complexity = this.calculateAdvancedComplexity(content, file.language);
-
-            // Extract additional metadata
-            file.metadata = {
-                imports: this.extractImports(content, file.language),
-                exports: this.extractExports(content, file.language),
-                classes: this.extractClasses(content, file.language),
-                functions: this.extractFunctions(content, file.language),
-                dependencies: this.extractDependencies(content, file.language)
-            };
+    async saveAnalyzedFiles(files, detailed, indexCache) {
+        files.forEach(file => indexCache.setFile(file.toObject(), { detailed }));
 
+        try {
+            await indexCache.save();
         } catch (error) {
-            console.warn(`Warning: Detailed analysis failed for ${file.path}: ${error.message}`);
+            console.warn(`Warning: Could not save index cache: ${error.message}`);
         }
     }
 
     /**
-     * Calculate advanced complexity score
-     * @param {string} content - File content
-     * @param {string} language - Programming language
-     * @returns {number} Complexity score (1-10)
+     * Copy cached file data onto a scanned file
+     * @param {File} file - Scanned file
+     * @param {Object} data - Cached plain file object
      */
-    calculateAdvancedComplexity(content, language) {
-        let complexity = 1;
-
-        // Cyclomatic complexity
-        const cyclomaticKeywords = {
-            javascript: ['if', 'else', 'switch', 'case', 'for', 'while', 'do', 'try', 'catch', '&&', '||'],
-            python: ['if', 'elif', 'else', 'for', 'while', 'try', 'except', 'and', 'or'],
-            java: ['if', 'else', 'switch', 'case', 'for', 'while', 'do', 'try', 'catch', '&&', '||'],
-            php: ['if', 'else', 'switch', 'case', 'for', 'while', 'do', 'try', 'catch', '&&', '||']
-        };
-
-        const keywords = cyclomaticKeywords[language] || cyclomaticKeywords.javascript;
-        let keywordCount = 0;
-
-        keywords.forEach(keyword => {
-            const regex = new RegExp(`\\b${keyword}\\b`, 'gi');
-            const matches = content.match(regex);
-            if (matches) keywordCount += matches.length;
+    applyCachedData(file, data) {
+        Object.assign(file, {
+            lineCount: data.lineCount,
+            complexity: data.complexity,
+            doc: data.doc,
+            description: data.description,
+            hash: data.hash,
+            metadata: data.metadata || null,
+            aiDetailedDoc: data.aiDetailedDoc || null,
+            aiChunks: data.aiChunks || 0,
+            aiDetails: data.aiDetails || null
         });
-
-        // Base complexity on control flow
-        if (keywordCount > 100) complexity += 4;
-        else if (keywordCount > 50) complexity += 3;
-        else if (keywordCount > 20) complexity += 2;
-        else if (keywordCount > 10) complexity += 1;
-
-        // Nesting level (approximate)
-        const nestingLevel = this.calculateNestingLevel(content);
-        if (nestingLevel > 5) complexity += 2;
-        else if (nestingLevel > 3) complexity += 1;
-
-        // Lines of code
-        const lines = content.split('\n').length;
-        if (lines > 1000) complexity += 3;
-        else if (lines > 500) complexity += 2;
-        else if (lines > 200) complexity += 1;
-
-        // Language-specific patterns
-        if (content.includes('async') || content.includes('await')) complexity += 1;
-        if (content.includes('Promise') || content.includes('callback')) complexity += 1;
-        if (content.includes('regex') || content.includes('RegExp')) complexity += 1;
-
-        return Math.max(1, Math.min(10, complexity));
     }
 
     /**
-     * Calculate approximate nesting level
+     * Redact the content of a file when a redaction service is set
      * @param {string} content - File content
-     * @returns {number} Maximum nesting level
+     * @param {File} file - File the content belongs to
+     * @returns {string} Redacted content
      */
-    calculateNestingLevel(content) {
-        let maxLevel = 0;
-        let currentLevel = 0;
-
-        for (const char of content) {
-            if (char === '{') {
-                currentLevel++;
-                maxLevel = Math.max(maxLevel, currentLevel);
-            } else if (char === '}') {
-                currentLevel = Math.max(0, currentLevel - 1);
-            }
-        }
-
-        return maxLevel;
+    redactContent(content, file) {
+        return this.redaction ? this.redaction.redact(content, file.path) : content;
     }
 
     /**
-     * Extract imports from file content
-     * @param {string} content - File content
-     * @param {string} language - Programming language
-     * @returns {string[]} Array of imports
-     */
-    extractImports(content, language) {
-        const importPatterns = {
-            javascript: [
-                /import\s+.*\s+from\s+['"]([^'"]+)['"]/g,
-                /require\(['"]([^'"]+)['"]\)/g
-            ],
-            python: [
-                /import\s+([^\s]+)/g,
-                /from\s+([^\s]+)\s+import/g
-            ],
-            java: [
-                /import\s+([^;]+);/g
-            ],
-            php: [
-                /use\s+([^;]+);/g,
-                /require_once\s+['"]([^'"]+)['"]/g
-            ]
-        };
-
-        const patterns = importPatterns[language] || importPatterns.javascript;
-        const imports = [];
-
-        patterns.forEach(pattern => {
-            let match;
-            while ((match = pattern.exec(content)) !== null) {
-                imports.push(match[1]);
-            }
-        });
-
-        return [...new Set(imports)];
-    }
-
-    /**
-     * Extract exports from file content
-     * @param {string} content - File content
-     * @param {string} language - Programming language
-     * @returns {string[]} Array of exports
+     * Perform detailed file analysis
+     * @param {File} file - File to analyze
+     * @param {string} [content] - File content, read from disk when omitted
      */
-    extractExports(content, language) {
-        const exportPatterns = {
-            javascript: [
-                /export\s+(?:default\s+)?(?:class|function|const|let|var)\s+([^\s(]+)/g,
-                /export\s*{\s*([^}]+)\s*}/g
-            ],
-            python: [
-                /def\s+([^\s(]+)/g,
-                /class\s+([^\s(:]+)/g
-            ]
-        };
-
-        const patterns = exportPatterns[language] || exportPatterns.javascript;
-        const exports = [];
-
-        patterns.forEach(pattern => {
-            let match;
-            while ((match = pattern.exec(content)) !== null) {
-                if (match[1].includes(',')) {
-                    exports.push(...match[1].split(',').map(e => e.trim()));
-                } else {
-                    exports.push(match[1]);
-                }
+    async performDetailedAnalysis(file, content = null) {
+        try {
+            if (content === null) {
+                content = this.redactContent(await fs.readFile(file.path, 'utf8'), file);
             }
-        });
 
-        return [...new Set(exports)];
-    }
+            const analyzer = this.analyzerRegistry.getAnalyzer(file);
 
-    /**
-     * Extract classes from file content
-     * @param {string} content - File content
-     * @param {string} language - Programming language
-     * @returns {string[]} Array of class names
-     */
-    extractClasses(content, language) {
-        const classPatterns = {
-            javascript: /class\s+([^\s{]+)/g,
-            python: /class\s+([^\s(:]+)/g,
-            java: /class\s+([^\s{]+)/g,
-            php: /class\s+([^\s{]+)/g,
-            csharp: /class\s+([^\s{]+)/g
-        };
-
-        const pattern = classPatterns[language];
-        if (!pattern) return [];
+            file.complexity = analyzer.computeComplexity(content, file);
+            file.metadata = this.extractMetadata(content, file, analyzer);
 
-        const classes = [];
-        let match;
-        while ((match = pattern.exec(content)) !== null) {
-            classes.push(match[1]);
+        } catch (error) {
+            console.warn(`Warning: Detailed analysis failed for ${file.path}: ${error.message}`);
         }
-
-        return classes;
     }
 
     /**
-     * Extract functions from file content
+     * Extract imports, exports and symbols with the file's language analyzer
      * @param {string} content - File content
-     * @param {string} language - Programming language
-     * @returns {string[]} Array of function names
+     * @param {File} file - File being analyzed
+     * @param {LanguageAnalyzer} [analyzer] - Analyzer to use, looked up in the registry when omitted
+     * @returns {Object} Metadata
      */
-    extractFunctions(content, language) {
-        const functionPatterns = {
-            javascript: [
-                /function\s+([^\s(]+)/g,
-                /const\s+([^\s=]+)\s*=\s*(?:async\s+)?\(/g,
-                /([^\s=]+)\s*:\s*(?:async\s+)?function/g
-            ],
-            python: [
-                /def\s+([^\s(]+)/g
-            ],
-            java: [
-                /(?:public|private|protected)?\s*(?:static\s+)?[^\s]+\s+([^\s(]+)\s*\(/g
-            ],
-            php: [
-                /function\s+([^\s(]+)/g
-            ]
-        };
-
-        const patterns = functionPatterns[language] || functionPatterns.javascript;
-        const functions = [];
+    extractMetadata(content, file, analyzer = this.analyzerRegistry.getAnalyzer(file)) {
+        const analysis = analyzer.analyze(content, file);
+        const imports = [...new Set(analysis.imports.map(imp => imp.source))];
 
-        patterns.forEach(pattern => {
-            let match;
-            while ((match = pattern.exec(content)) !== null) {
-                functions.push(match[1]);
-            }
-        });
-
-        return [...new Set(functions)];
-    }
-
-    /**
-     * Extract dependencies from file content
-     * @param {string} content - File content
-     * @param {string} language - Programming language
-     * @returns {string[]} Array of dependencies
-     */
-    extractDependencies(content, language) {
-        // This is a simplified version - could be enhanced with package.json parsing, etc.
-        return this.extractImports(content, language)
-            .filter(imp => !imp.startsWith('.') && !imp.startsWith('/'));
+        return {
+            analyzer: analyzer.name,
+            imports,
+            importDetails: analysis.imports,
+            exports: analysis.exports,
+            classes: analysis.symbols
+                .filter(symbol => ['class', 'struct', 'interface', 'trait', 'enum', 'record'].includes(symbol.kind))
+                .map(symbol => symbol.name),
+            functions: analysis.symbols
+                .filter(symbol => symbol.kind === 'function' || symbol.kind === 'method')
+                .map(symbol => symbol.parent ? `${symbol.parent}.${symbol.name}` : symbol.name),
+            dependencies: imports.filter(imp => !analyzer.isRelativeImport(imp)),
+            symbols: analysis.symbols
+        };
     }
 
     /**
      * Analyze project structure
      * @param {File[]} files - Project files
      * @param {Folder[]} folders - Project folders
+     * @param {Object|null} [dependencyGraph=null] - Resolved file dependency graph
+     * @param {Object|null} [inventory=null] - Manifest dependency inventory
      * @returns {Object} Structure analysis
      */
-    analyzeProjectStructure(files, folders) {
+    analyzeProjectStructure(files, folders, dependencyGraph = null, inventory = null) {
         return {
             architecture: this.detectArchitecturePattern(folders),
             frameworks: this.detectFrameworks(files),
             patterns: this.detectDesignPatterns(files),
             testCoverage: this.calculateTestCoverage(files),
             documentation: this.analyzeDocumentation(files),
-            dependencies: this.analyzeDependencies(files)
+            dependencies: this.analyzeDependencies(files, dependencyGraph, inventory),
+            circularDependencies: dependencyGraph ? this.dependencyGraphService.findCycles(dependencyGraph) : null
         };
     }
 
@@ -679,9 +677,11 @@ export class IndexingService {
     /**
      * Analyze project dependencies
      * @param {File[]} files - Project files
+     * @param {Object|null} [dependencyGraph=null] - Resolved file dependency graph
+     * @param {Object|null} [inventory=null] - Manifest dependency inventory
      * @returns {Object} Dependencies analysis
      */
-    analyzeDependencies(files) {
+    analyzeDependencies(files, dependencyGraph = null, inventory = null) {
         const allDependencies = new Set();
         const internalModules = new Set();
 
@@ -690,20 +690,47 @@ export class IndexingService {
                 file.metadata.dependencies.forEach(dep => allDependencies.add(dep));
             }
 
-            if (file.metadata && file.metadata.imports) {
+            if (!dependencyGraph && file.metadata && file.metadata.imports) {
+                const dependencies = file.metadata.dependencies || [];
                 file.metadata.imports.forEach(imp => {
-                    if (imp.startsWith('.') || imp.startsWith('/')) {
+                    if (!dependencies.includes(imp)) {
                         internalModules.add(imp);
                     }
                 });
             }
         });
 
+        if (dependencyGraph) {
+            // Aliased and package-name imports that resolved to project files are internal
+            this.dependencyGraphService.getResolvedSources(dependencyGraph)
+                .forEach(source => allDependencies.delete(source));
+
+            // Most imported files first
+            dependencyGraph.nodes
+                .filter(node => node.inDegree > 0)
+                .sort((a, b) => b.inDegree - a.inDegree || a.path.localeCompare(b.path))
+                .forEach(node => internalModules.add(node.path));
+        }
+
+        if (inventory && inventory.usageAnalyzed) {
+            // Packages instead of raw import sources, without built-in modules
+            allDependencies.clear();
+            inventory.packages
+                .filter(pkg => pkg.usedBy.length > 0)
+                .forEach(pkg => allDependencies.add(pkg.name));
+            inventory.undeclared.forEach(pkg => allDependencies.add(pkg.name));
+        }
+
         return {
             externalDependencies: Array.from(allDependencies),
             internalModules: Array.from(internalModules),
             totalDependencies: allDependencies.size,
-            totalInternalModules: internalModules.size
+            totalInternalModules: internalModules.size,
+            manifests: inventory ? inventory.manifests : [],
+            packages: inventory ? inventory.packages : [],
+            unusedPackages: inventory ? inventory.unused : [],
+            undeclaredPackages: inventory ? inventory.undeclared : [],
+            license: inventory ? inventory.license : null
         };
     }
 
@@ -0,0 +1,210 @@
+/**
+ * @fileoverview External dependency inventory built from package manifests and lockfiles
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import {NpmManifestParser} from '../manifests/NpmManifestParser.js';
+import {ComposerManifestParser} from '../manifests/ComposerManifestParser.js';
+import {PythonManifestParser} from '../manifests/PythonManifestParser.js';
+import {GoManifestParser} from '../manifests/GoManifestParser.js';
+import {CargoManifestParser} from '../manifests/CargoManifestParser.js';
+import {MavenManifestParser} from '../manifests/MavenManifestParser.js';
+import {analyzerRegistry} from '../analyzers/AnalyzerRegistry.js';
+
+/**
+ * Directories never searched for manifests, whatever the exclude patterns say
+ */
+const SKIPPED_DIRECTORIES = new Set(['node_modules', 'vendor', '.git', 'target', '__pycache__', '.venv', 'venv']);
+
+/**
+ * Service reading package manifests and lockfiles and relating their packages to source imports
+ */
+export class ManifestService {
+    constructor() {
+        this.parsers = [
+            new NpmManifestParser(),
+            new ComposerManifestParser(),
+            new PythonManifestParser(),
+            new GoManifestParser(),
+            new CargoManifestParser(),
+            new MavenManifestParser()
+        ];
+        this.analyzerRegistry = analyzerRegistry;
+    }
+
+    /**
+     * Build the dependency inventory of a project.
+     * Package usage is only known when files carry detailed metadata (imports).
+     * @param {string} rootPath - Project root path
+     * @param {File[]} files - Indexed files
+     * @param {Object} [options] - Inventory options
+     * @param {Object} [options.ignoreFilter] - Ignore filter for project-relative paths
+     * @param {Object|null} [options.dependencyGraph] - Resolved file dependency graph, its imports are internal
+     * @returns {Promise<Object>} Manifests, packages, unused and undeclared packages, and the project license
+     */
+    async buildInventory(rootPath, files, options = {}) {
+        const {ignoreFilter = null, dependencyGraph = null} = options;
+        const toRelative = filePath => path.relative(rootPath, filePath).split(path.sep).join('/');
+        const directories = await this.findManifests(rootPath, ignoreFilter);
+
+        const manifests = [];
+        const packages = [];
+        const internal = new Map(this.parsers.map(parser => [parser.ecosystem, []]));
+        const packageKeys = new Set();
+        let license = null;
+
+        for (const [directory, fileNames] of directories) {
+            for (const parser of this.parsers) {
+                const claimed = fileNames.filter(fileName => parser.detect(fileName));
+                if (claimed.length === 0) continue;
+
+                const result = await parser.parse(directory, claimed);
+                manifests.push(...result.manifests.map(manifest => ({...manifest, path: toRelative(manifest.path)})));
+                internal.get(parser.ecosystem).push(...result.internal);
+
+                // The project license is the one declared by the manifests at the root
+                if (directory === rootPath && !license) license = result.license || null;
+
+                result.packages.forEach(pkg => {
+                    // The same package locked in several workspaces is listed once
+                    const key = `${pkg.ecosystem}:${parser.normalizeName(pkg.name)}@${pkg.resolvedVersion || pkg.declaredVersion}:${pkg.direct}`;
+                    if (packageKeys.has(key)) return;
+                    packageKeys.add(key);
+
+                    packages.push({
+                        ...pkg,
+                        manifest: pkg.manifest ? toRelative(pkg.manifest) : null,
+                        lockfile: pkg.lockfile ? toRelative(pkg.lockfile) : null,
+                        usedBy: []
+                    });
+                });
+            }
+        }
+
+        const usageAnalyzed = files.some(file => file.metadata && file.metadata.importDetails);
+        const undeclared = usageAnalyzed
+            ? this.recordUsage(files, packages, manifests, internal, dependencyGraph, toRelative)
+            : [];
+
+        // Tooling such as linters and type packages is never imported, only runtime packages can be unused
+        const usedEcosystems = new Set(files
+            .map(file => this.getParserForLanguage(file.language))
+            .filter(Boolean)
+            .map(parser => parser.ecosystem));
+        const unused = usageAnalyzed
+            ? packages.filter(pkg => pkg.direct && pkg.scope === 'runtime' && pkg.usedBy.length === 0
+                && usedEcosystems.has(pkg.ecosystem) && !pkg.name.startsWith('@types/'))
+            : [];
+
+        return {
+            manifests,
+            packages: packages.map(({namespaces, ...pkg}) => pkg),
+            unused: unused.map(pkg => ({ecosystem: pkg.ecosystem, name: pkg.name, manifest: pkg.manifest})),
+            undeclared,
+            usageAnalyzed,
+            license
+        };
+    }
+
+    /**
+     * Find the directories holding manifests or lockfiles
+     * @param {string} rootPath - Project root path
+     * @param {Object|null} ignoreFilter - Ignore filter for project-relative paths
+     * @param {number} [maxDepth=8] - Maximum directory depth
+     * @returns {Promise<Map<string, string[]>>} Directory to detected file names
+     */
+    async findManifests(rootPath, ignoreFilter, maxDepth = 8) {
+        const found = new Map();
+
+        const walk = async (directory, depth) => {
+            let entries;
+            try {
+                entries = await fs.readdir(directory, {withFileTypes: true});
+            } catch (error) {
+                return;
+            }
+
+            const names = [];
+            for (const entry of entries) {
+                const entryPath = path.join(directory, entry.name);
+                const relativePath = path.relative(rootPath, entryPath);
+                if (ignoreFilter && ignoreFilter.ignores(entry.isDirectory() ? `${relativePath}/` : relativePath)) continue;
+
+                if (entry.isDirectory()) {
+                    if (depth < maxDepth && !SKIPPED_DIRECTORIES.has(entry.name) && !entry.name.startsWith('.')) {
+                        await walk(entryPath, depth + 1);
+                    }
+                } else if (this.parsers.some(parser => parser.detect(entry.name))) {
+                    names.push(entry.name);
+                }
+            }
+
+            if (names.length > 0) found.set(directory, names.sort());
+        };
+
+        await walk(rootPath, 0);
+        return found;
+    }
+
+    /**
+     * Attach importing files to packages and collect imports no manifest declares
+     * @param {File[]} files - Indexed files with detailed metadata
+     * @param {Object[]} packages - Inventory packages, receive usedBy
+     * @param {Object[]} manifests - Found manifests
+     * @param {Map<string, string[]>} internal - Project-owned names by ecosystem
+     * @param {Object|null} dependencyGraph - Resolved file dependency graph
+     * @param {Function} toRelative - Converts absolute paths to project-relative ones
+     * @returns {Object[]} Undeclared packages with the files using them
+     * @private
+     */
+    recordUsage(files, packages, manifests, internal, dependencyGraph, toRelative) {
+        const declaredEcosystems = new Set(manifests.filter(manifest => manifest.kind === 'manifest').map(manifest => manifest.ecosystem));
+        const undeclared = new Map();
+        const resolvedImports = new Set((dependencyGraph ? dependencyGraph.edges : []).map(edge => `${edge.from}\0${edge.source}`));
+
+        // Only declared packages can satisfy an import; lockfile-only packages are undeclared when imported
+        const directByEcosystem = new Map(this.parsers.map(parser => [parser.ecosystem, new Map(packages
+            .filter(pkg => pkg.ecosystem === parser.ecosystem && pkg.direct)
+            .map(pkg => [parser.normalizeName(pkg.name), pkg]))]));
+
+        files.forEach(file => {
+            if (!file.metadata || !file.metadata.importDetails) return;
+
+            const parser = this.getParserForLanguage(file.language);
+            if (!parser) return;
+
+            const analyzer = this.analyzerRegistry.getAnalyzer(file);
+            const filePath = toRelative(file.path);
+
+            file.metadata.importDetails.forEach(({source}) => {
+                if (analyzer.isRelativeImport(source) || resolvedImports.has(`${filePath}\0${source}`)) return;
+                if (parser.isBuiltin(source) || parser.isInternal(source, internal.get(parser.ecosystem))) return;
+
+                const pkg = parser.findPackage(source, directByEcosystem.get(parser.ecosystem));
+                if (pkg) {
+                    if (!pkg.usedBy.includes(filePath)) pkg.usedBy.push(filePath);
+                    return;
+                }
+
+                if (!declaredEcosystems.has(parser.ecosystem)) return;
+
+                const name = parser.getImportedName(source);
+                const key = `${parser.ecosystem}:${name}`;
+                if (!undeclared.has(key)) undeclared.set(key, {ecosystem: parser.ecosystem, name, usedBy: []});
+                if (!undeclared.get(key).usedBy.includes(filePath)) undeclared.get(key).usedBy.push(filePath);
+            });
+        });
+
+        return Array.from(undeclared.values());
+    }
+
+    /**
+     * Get the parser for the ecosystem of a language
+     * @param {string} language - File language
+     * @returns {ManifestParser|null} Parser
+     */
+    getParserForLanguage(language) {
+        return this.parsers.find(parser => parser.languages.includes(language)) || null;
+    }
+}
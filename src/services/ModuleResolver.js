@@ -0,0 +1,569 @@
+/**
+ * @fileoverview Resolution of import specifiers to indexed project files
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+
+/**
+ * Extensions tried for extension-less JavaScript/TypeScript imports, in order
+ */
+const JS_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts', '.js', '.jsx', '.mjs', '.cjs', '.json'];
+
+/**
+ * Extension of TypeScript declaration files, only resolved when no source file matches
+ */
+const DECLARATION_EXTENSION = '.d.ts';
+
+/**
+ * Conditions honoured when resolving package.json `exports`, in priority order.
+ * `types` comes last: it points at declarations, not at the code
+ */
+const EXPORT_CONDITIONS = ['import', 'module', 'node', 'require', 'default', 'types'];
+
+/**
+ * Folders commonly used as Python source roots
+ */
+const PYTHON_SOURCE_ROOTS = ['', 'src', 'lib', 'app'];
+
+/**
+ * Resolver mapping import records to the indexed files they refer to
+ */
+export class ModuleResolver {
+    /**
+     * Create a new resolver
+     * @param {string} rootPath - Project root path
+     * @param {string[]} filePaths - Absolute paths of all indexed files
+     */
+    constructor(rootPath, filePaths) {
+        this.rootPath = path.resolve(rootPath);
+        this.files = new Set(filePaths);
+        this.filesByDirectory = new Map();
+        this.tsconfig = null;
+        this.packages = [];
+        this.goModule = null;
+
+        filePaths.forEach(filePath => {
+            const directory = path.dirname(filePath);
+            if (!this.filesByDirectory.has(directory)) this.filesByDirectory.set(directory, []);
+            this.filesByDirectory.get(directory).push(filePath);
+        });
+    }
+
+    /**
+     * Load tsconfig/jsconfig path mappings, package.json manifests and go.mod
+     * @returns {Promise<ModuleResolver>} This instance
+     */
+    async load() {
+        for (const name of ['tsconfig.json', 'jsconfig.json']) {
+            const configPath = path.join(this.rootPath, name);
+            if (await fs.pathExists(configPath)) {
+                this.tsconfig = await this.loadTsconfig(configPath);
+                break;
+            }
+        }
+
+        // Every package.json in the project, so workspace packages can import each other by name
+        const manifests = [path.join(this.rootPath, 'package.json'),
+            ...[...this.files].filter(filePath => path.basename(filePath) === 'package.json')];
+
+        for (const manifestPath of new Set(manifests)) {
+            const manifest = await this.readJson(manifestPath);
+            if (manifest && manifest.name) {
+                this.packages.push({
+                    name: manifest.name,
+                    directory: path.dirname(manifestPath),
+                    exports: manifest.exports !== undefined ? manifest.exports : null,
+                    main: manifest.main || null
+                });
+            }
+        }
+
+        const goModPath = path.join(this.rootPath, 'go.mod');
+        if (await fs.pathExists(goModPath)) {
+            const match = (await fs.readFile(goModPath, 'utf8')).match(/^module\s+(\S+)/m);
+            if (match) this.goModule = match[1];
+        }
+
+        return this;
+    }
+
+    /**
+     * Resolve an import record to indexed files
+     * @param {Object} importRecord - Import record { source, kind, names }
+     * @param {Object} file - Importing file with path and language
+     * @returns {string[]} Absolute paths of the imported files, empty if unresolved or external
+     */
+    resolve(importRecord, file) {
+        switch (file.language) {
+            case 'javascript':
+            case 'typescript':
+                return this.toList(this.resolveJavaScript(importRecord.source, file.path));
+            case 'python':
+                return this.resolvePython(importRecord, file.path);
+            case 'java':
+            case 'kotlin':
+                return this.toList(this.resolveJava(importRecord.source));
+            case 'go':
+                return this.resolveGo(importRecord.source, file.path);
+            case 'rust':
+                return this.toList(this.resolveRust(importRecord, file.path));
+            default:
+                return this.toList(this.resolveRelativePath(importRecord.source, file.path));
+        }
+    }
+
+    /**
+     * Resolve a JavaScript/TypeScript specifier
+     * @param {string} source - Import specifier
+     * @param {string} fromPath - Importing file
+     * @returns {string|null} Resolved file
+     */
+    resolveJavaScript(source, fromPath) {
+        if (source.startsWith('.')) {
+            return this.resolveAsFileOrDirectory(path.resolve(path.dirname(fromPath), source));
+        }
+
+        if (source.startsWith('/')) {
+            return this.resolveAsFileOrDirectory(source)
+                || this.resolveAsFileOrDirectory(path.join(this.rootPath, source));
+        }
+
+        return this.resolveTsconfigPath(source) || this.resolvePackage(source);
+    }
+
+    /**
+     * Resolve a path as a file (trying extensions) or as a directory (package.json main or index file)
+     * @param {string} basePath - Absolute path without or with extension
+     * @returns {string|null} Resolved file
+     */
+    resolveAsFileOrDirectory(basePath) {
+        if (this.files.has(basePath)) return basePath;
+
+        for (const extension of JS_EXTENSIONS) {
+            if (this.files.has(basePath + extension)) return basePath + extension;
+        }
+
+        // TypeScript ESM imports name the emitted file: './user.js' refers to './user.ts'
+        const emitted = basePath.match(/^(.*)\.(m|c)?js$/);
+        if (emitted) {
+            const candidates = emitted[2] ? [`.${emitted[2]}ts`] : ['.ts', '.tsx'];
+            const found = candidates.map(extension => emitted[1] + extension).find(candidate => this.files.has(candidate));
+            if (found) return found;
+        }
+
+        const workspacePackage = this.packages.find(pkg => pkg.directory === basePath);
+        if (workspacePackage && workspacePackage.main) {
+            const main = this.resolveAsFile(path.resolve(basePath, workspacePackage.main));
+            if (main) return main;
+        }
+
+        return this.resolveAsFile(path.join(basePath, 'index'))
+            || this.resolveDeclaration(emitted ? emitted[1] : basePath);
+    }
+
+    /**
+     * Resolve a path as a file, trying the JavaScript/TypeScript extensions
+     * @param {string} basePath - Absolute path
+     * @returns {string|null} Resolved file
+     */
+    resolveAsFile(basePath) {
+        if (this.files.has(basePath)) return basePath;
+        const extension = JS_EXTENSIONS.find(candidate => this.files.has(basePath + candidate));
+        return extension ? basePath + extension : this.resolveDeclaration(basePath);
+    }
+
+    /**
+     * Resolve a path to its TypeScript declaration file, once no source file matched
+     * @param {string} basePath - Absolute path without extension
+     * @returns {string|null} Declaration file
+     */
+    resolveDeclaration(basePath) {
+        const declaration = basePath + DECLARATION_EXTENSION;
+        return this.files.has(declaration) ? declaration : null;
+    }
+
+    /**
+     * Resolve a specifier through tsconfig `paths` and `baseUrl`
+     * @param {string} source - Import specifier
+     * @returns {string|null} Resolved file
+     */
+    resolveTsconfigPath(source) {
+        if (!this.tsconfig) return null;
+
+        const { baseUrl, paths } = this.tsconfig;
+
+        for (const [pattern, targets] of Object.entries(paths)) {
+            const wildcard = pattern.indexOf('*');
+            let captured = null;
+
+            if (wildcard === -1) {
+                if (source === pattern) captured = '';
+            } else {
+                const prefix = pattern.slice(0, wildcard);
+                const suffix = pattern.slice(wildcard + 1);
+                if (source.startsWith(prefix) && source.endsWith(suffix) && source.length >= prefix.length + suffix.length) {
+                    captured = source.slice(prefix.length, source.length - suffix.length);
+                }
+            }
+
+            if (captured === null) continue;
+
+            for (const target of targets) {
+                const resolved = this.resolveAsFileOrDirectory(path.resolve(baseUrl, target.replace('*', captured)));
+                if (resolved) return resolved;
+            }
+        }
+
+        return this.tsconfig.hasBaseUrl ? this.resolveAsFileOrDirectory(path.resolve(baseUrl, source)) : null;
+    }
+
+    /**
+     * Resolve a bare specifier naming a package of this project (self-reference or workspace)
+     * @param {string} source - Import specifier
+     * @returns {string|null} Resolved file
+     */
+    resolvePackage(source) {
+        const pkg = this.packages
+            .filter(candidate => source === candidate.name || source.startsWith(`${candidate.name}/`))
+            .sort((a, b) => b.name.length - a.name.length)[0];
+        if (!pkg) return null;
+
+        const subpath = `.${source.slice(pkg.name.length)}`;
+
+        if (pkg.exports !== null) {
+            const target = this.resolveExports(pkg.exports, subpath);
+            return target ? this.resolveAsFileOrDirectory(path.resolve(pkg.directory, target)) : null;
+        }
+
+        if (subpath === '.') {
+            return this.resolveAsFileOrDirectory(path.resolve(pkg.directory, pkg.main || 'index'));
+        }
+
+        return this.resolveAsFileOrDirectory(path.resolve(pkg.directory, subpath));
+    }
+
+    /**
+     * Match a subpath against a package.json `exports` field
+     * @param {string|Object|Array} exportsField - Value of `exports`
+     * @param {string} subpath - Subpath such as `.` or `./utils`
+     * @returns {string|null} Target path relative to the package directory
+     */
+    resolveExports(exportsField, subpath) {
+        // "exports": "./index.js" or a conditions object applies to the root only
+        const isSubpathMap = exportsField && typeof exportsField === 'object' && !Array.isArray(exportsField)
+            && Object.keys(exportsField).some(key => key.startsWith('.'));
+
+        if (!isSubpathMap) {
+            return subpath === '.' ? this.resolveConditions(exportsField) : null;
+        }
+
+        if (exportsField[subpath] !== undefined) {
+            return this.resolveConditions(exportsField[subpath]);
+        }
+
+        // Subpath patterns: "./features/*": "./src/features/*.js"
+        for (const [key, value] of Object.entries(exportsField)) {
+            const wildcard = key.indexOf('*');
+            if (wildcard === -1) continue;
+
+            const prefix = key.slice(0, wildcard);
+            const suffix = key.slice(wildcard + 1);
+            if (subpath.startsWith(prefix) && subpath.endsWith(suffix)) {
+                const captured = subpath.slice(prefix.length, subpath.length - suffix.length);
+                const target = this.resolveConditions(value);
+                if (target) return target.replace(/\*/g, captured);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Pick the target of a conditional export
+     * @param {string|Object|Array|null} value - Export target
+     * @returns {string|null} Target path
+     */
+    resolveConditions(value) {
+        if (typeof value === 'string') return value;
+        if (Array.isArray(value)) {
+            for (const entry of value) {
+                const target = this.resolveConditions(entry);
+                if (target) return target;
+            }
+            return null;
+        }
+        if (value && typeof value === 'object') {
+            for (const condition of EXPORT_CONDITIONS) {
+                if (value[condition] !== undefined) {
+                    const target = this.resolveConditions(value[condition]);
+                    if (target) return target;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Resolve a Python import, including `from package import module`
+     * @param {Object} importRecord - Import record
+     * @param {string} fromPath - Importing file
+     * @returns {string[]} Resolved files
+     */
+    resolvePython(importRecord, fromPath) {
+        const { source, names = [] } = importRecord;
+        const bases = [];
+
+        if (source.startsWith('.')) {
+            const dots = source.match(/^\.+/)[0].length;
+            let directory = path.dirname(fromPath);
+            for (let i = 1; i < dots; i++) directory = path.dirname(directory);
+            bases.push(path.join(directory, ...source.slice(dots).split('.').filter(Boolean)));
+        } else {
+            const parts = source.split('.');
+            PYTHON_SOURCE_ROOTS.forEach(root => bases.push(path.join(this.rootPath, root, ...parts)));
+        }
+
+        for (const base of bases) {
+            const module = this.resolvePythonModule(base);
+
+            // `from package import module` imports submodules rather than names from __init__
+            const submodules = names
+                .map(name => this.resolvePythonModule(path.join(base, name)))
+                .filter(Boolean);
+
+            if (submodules.length > 0) return submodules;
+            if (module) return [module];
+        }
+
+        return [];
+    }
+
+    /**
+     * Resolve a Python module path to `module.py` or `module/__init__.py`
+     * @param {string} basePath - Absolute path without extension
+     * @returns {string|null} Resolved file
+     */
+    resolvePythonModule(basePath) {
+        for (const candidate of [`${basePath}.py`, `${basePath}.pyi`, path.join(basePath, '__init__.py')]) {
+            if (this.files.has(candidate)) return candidate;
+        }
+        return null;
+    }
+
+    /**
+     * Resolve a fully qualified Java/Kotlin class import by its package path
+     * @param {string} source - Import such as `com.example.Foo`
+     * @returns {string|null} Resolved file
+     */
+    resolveJava(source) {
+        if (source.endsWith('.*')) return null;
+
+        const suffixes = ['.java', '.kt'].map(extension => path.sep + source.split('.').join(path.sep) + extension);
+        // Static imports name a member: com.example.Foo.bar
+        const parent = source.split('.').slice(0, -1).join(path.sep);
+        if (parent) suffixes.push(...['.java', '.kt'].map(extension => path.sep + parent + extension));
+
+        for (const suffix of suffixes) {
+            for (const filePath of this.files) {
+                if (filePath.endsWith(suffix)) return filePath;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Resolve a Go import path to the files of the package directory
+     * @param {string} source - Import path
+     * @param {string} fromPath - Importing file
+     * @returns {string[]} Non-test Go files of the package
+     */
+    resolveGo(source, fromPath) {
+        let directory = null;
+
+        if (source.startsWith('./') || source.startsWith('../')) {
+            directory = path.resolve(path.dirname(fromPath), source);
+        } else if (this.goModule && (source === this.goModule || source.startsWith(`${this.goModule}/`))) {
+            directory = path.join(this.rootPath, source.slice(this.goModule.length));
+        }
+
+        if (!directory) return [];
+
+        return (this.filesByDirectory.get(directory) || [])
+            .filter(filePath => filePath.endsWith('.go') && !filePath.endsWith('_test.go'));
+    }
+
+    /**
+     * Resolve a Rust `mod` declaration or crate-local `use` path
+     * @param {Object} importRecord - Import record
+     * @param {string} fromPath - Importing file
+     * @returns {string|null} Resolved file
+     */
+    resolveRust(importRecord, fromPath) {
+        const segments = importRecord.source.split('::');
+        const head = segments.shift();
+        let directory;
+
+        if (head === 'crate') {
+            directory = this.findRustCrateRoot(fromPath);
+        } else if (head === 'self' || head === 'super') {
+            directory = this.getRustModuleDirectory(fromPath);
+            if (head === 'super') directory = path.dirname(directory);
+            while (segments[0] === 'super') {
+                segments.shift();
+                directory = path.dirname(directory);
+            }
+        } else {
+            return null;
+        }
+
+        // Walk the longest prefix that maps to a module file; the rest names items inside it
+        let resolved = null;
+        for (let i = 1; i <= segments.length; i++) {
+            const base = path.join(directory, ...segments.slice(0, i));
+            const candidate = [`${base}.rs`, path.join(base, 'mod.rs')].find(filePath => this.files.has(filePath));
+            if (candidate) resolved = candidate;
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Get the directory holding the child modules of a Rust file
+     * @param {string} filePath - Rust source file
+     * @returns {string} Directory
+     */
+    getRustModuleDirectory(filePath) {
+        const name = path.basename(filePath, '.rs');
+        return ['mod', 'lib', 'main'].includes(name)
+            ? path.dirname(filePath)
+            : path.join(path.dirname(filePath), name);
+    }
+
+    /**
+     * Find the source directory of the crate containing a file
+     * @param {string} filePath - Rust source file
+     * @returns {string} Directory containing lib.rs or main.rs
+     */
+    findRustCrateRoot(filePath) {
+        let directory = path.dirname(filePath);
+
+        while (directory.startsWith(this.rootPath)) {
+            if (this.files.has(path.join(directory, 'lib.rs')) || this.files.has(path.join(directory, 'main.rs'))) {
+                return directory;
+            }
+            if (directory === this.rootPath) break;
+            directory = path.dirname(directory);
+        }
+
+        return path.join(this.rootPath, 'src');
+    }
+
+    /**
+     * Resolve a path relative to the importing file, then to the project root
+     * @param {string} source - Import path
+     * @param {string} fromPath - Importing file
+     * @returns {string|null} Resolved file
+     */
+    resolveRelativePath(source, fromPath) {
+        const candidates = path.isAbsolute(source)
+            ? [source, path.join(this.rootPath, source)]
+            : [path.resolve(path.dirname(fromPath), source), path.resolve(this.rootPath, source)];
+
+        return candidates.find(candidate => this.files.has(candidate)) || null;
+    }
+
+    /**
+     * Load a tsconfig file, following `extends`
+     * @param {string} configPath - Path to tsconfig.json
+     * @param {number} [depth=0] - Recursion depth
+     * @returns {Promise<Object|null>} baseUrl (absolute) and paths
+     */
+    async loadTsconfig(configPath, depth = 0) {
+        const config = await this.readJson(configPath);
+        if (!config) return null;
+
+        let inherited = { baseUrl: path.dirname(configPath), hasBaseUrl: false, paths: {} };
+        if (config.extends && depth < 5) {
+            const extended = [].concat(config.extends)
+                .filter(parent => parent.startsWith('.'))
+                .map(parent => path.resolve(path.dirname(configPath), parent.endsWith('.json') ? parent : `${parent}.json`));
+
+            for (const parentPath of extended) {
+                const parent = await this.loadTsconfig(parentPath, depth + 1);
+                if (parent) inherited = parent;
+            }
+        }
+
+        const options = config.compilerOptions || {};
+        const hasBaseUrl = options.baseUrl !== undefined || inherited.hasBaseUrl;
+        const baseUrl = options.baseUrl !== undefined
+            ? path.resolve(path.dirname(configPath), options.baseUrl)
+            : inherited.baseUrl;
+
+        return {
+            baseUrl,
+            hasBaseUrl,
+            paths: options.paths || inherited.paths
+        };
+    }
+
+    /**
+     * Read a JSON file that may contain comments and trailing commas (tsconfig style)
+     * @param {string} filePath - File path
+     * @returns {Promise<Object|null>} Parsed object or null if missing or invalid
+     */
+    async readJson(filePath) {
+        try {
+            const content = await fs.readFile(filePath, 'utf8');
+            return JSON.parse(this.stripJsonComments(content));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Remove comments and trailing commas from JSON text
+     * @param {string} text - JSON with comments
+     * @returns {string} Strict JSON
+     * @private
+     */
+    stripJsonComments(text) {
+        let result = '';
+        let inString = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inString) {
+                result += char;
+                if (char === '\\') result += text[++i] || '';
+                else if (char === '"') inString = false;
+            } else if (char === '"') {
+                inString = true;
+                result += char;
+            } else if (text.startsWith('//', i)) {
+                while (i < text.length && text[i] !== '\n') i++;
+                result += '\n';
+            } else if (text.startsWith('/*', i)) {
+                const end = text.indexOf('*/', i + 2);
+                i = end === -1 ? text.length : end + 1;
+            } else {
+                result += char;
+            }
+        }
+
+        return result.replace(/,(\s*[}\]])/g, '$1');
+    }
+
+    /**
+     * Wrap a single resolution result in an array
+     * @param {string|null} resolved - Resolved path
+     * @returns {string[]} Zero or one path
+     * @private
+     */
+    toList(resolved) {
+        return resolved ? [resolved] : [];
+    }
+}
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Rendering of AI prompt templates, with project overrides
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs-extra';
+import { DEFAULT_PROMPTS, PROMPT_TEMPLATE_VERSION } from '../config/PromptTemplates.js';
+
+/**
+ * Extension of prompt template override files
+ */
+const TEMPLATE_EXTENSION = '.txt';
+
+/**
+ * Service rendering the named prompt templates.
+ *
+ * A project overrides a template by placing `<name>.txt` in its prompts directory;
+ * the other templates keep their default wording. The version of an overridden
+ * template includes a hash of its text, so editing it invalidates cached responses.
+ */
+export class PromptTemplateService {
+    constructor() {
+        this.overrides = {};
+    }
+
+    /**
+     * Load the template overrides of a directory
+     * @param {string} directory - Prompts directory, skipped when missing
+     * @returns {Promise<string[]>} Names of the overridden templates
+     */
+    async loadOverrides(directory) {
+        this.overrides = {};
+        if (!await fs.pathExists(directory)) return [];
+
+        const entries = await fs.readdir(directory);
+        for (const entry of entries.filter(entry => path.extname(entry) === TEMPLATE_EXTENSION).sort()) {
+            const name = path.basename(entry, TEMPLATE_EXTENSION);
+
+            if (!DEFAULT_PROMPTS[name]) {
+                console.warn(`Warning: Unknown prompt template ${entry} in ${directory}. Valid names: ${Object.keys(DEFAULT_PROMPTS).join(', ')}`);
+                continue;
+            }
+
+            this.overrides[name] = await fs.readFile(path.join(directory, entry), 'utf8');
+        }
+
+        return Object.keys(this.overrides);
+    }
+
+    /**
+     * Get the text of a template
+     * @param {string} name - Template name
+     * @returns {string} Override text, or the default template
+     */
+    getTemplate(name) {
+        const template = this.overrides[name] || DEFAULT_PROMPTS[name];
+        if (!template) {
+            throw new Error(`Unknown prompt template: ${name}`);
+        }
+
+        return template;
+    }
+
+    /**
+     * Get the version of a template, part of the AI cache key
+     * @param {string} name - Template name
+     * @returns {number|string} Default template version, followed by a hash of the override text when overridden
+     */
+    getVersion(name) {
+        if (!this.overrides[name]) return PROMPT_TEMPLATE_VERSION;
+
+        const hash = crypto.createHash('sha256').update(this.overrides[name]).digest('hex').slice(0, 12);
+        return `${PROMPT_TEMPLATE_VERSION}:${hash}`;
+    }
+
+    /**
+     * Render a template
+     * @param {string} name - Template name
+     * @param {Object} variables - Template variables; arrays are rendered one item per line
+     * @returns {string} Prompt
+     */
+    render(name, variables) {
+        const isSet = value => value !== null && value !== undefined && value !== '' &&
+            !(Array.isArray(value) && value.length === 0);
+        const format = value => Array.isArray(value) ? value.join('\n') : String(value);
+
+        // Sections first, variable values are inserted once and never parsed
+        return this.getTemplate(name)
+            .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, key, body) => isSet(variables[key]) ? body : '')
+            .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => isSet(variables[key]) ? format(variables[key]) : '');
+    }
+}
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Redaction of secrets and personal data before content leaves the machine
+ */
+
+import crypto from 'crypto';
+import { REDACTION_RULES, EMAIL_RULE } from '../config/RedactionRules.js';
+
+/**
+ * Service replacing secrets, email addresses and custom patterns with placeholders.
+ *
+ * File content is redacted when it is read for analysis, prompts and answers, so
+ * documentation, symbols, AI requests and exports never see the original values.
+ * Placeholders keep the line breaks of what they replace, line numbers stay valid.
+ * Every redaction is recorded by file and rule, never with the redacted value.
+ */
+export class RedactionService {
+    /**
+     * Create a redaction service
+     * @param {Object} [options] - The `redaction` configuration section
+     * @param {boolean} [options.enabled=true] - Redact content, false to send it unchanged
+     * @param {boolean} [options.emails=true] - Also redact email addresses
+     * @param {Array<{name: string, pattern: string, flags?: string}>} [options.patterns] - Custom rules, `pattern` being a regular expression source
+     */
+    constructor(options = {}) {
+        this.enabled = options.enabled !== false;
+        this.rules = [
+            ...REDACTION_RULES,
+            ...(options.emails !== false ? [EMAIL_RULE] : []),
+            ...(options.patterns || []).map(rule => RedactionService.compileRule(rule))
+        ];
+        this.findings = new Map();
+    }
+
+    /**
+     * Compile a custom rule of the configuration
+     * @param {{name: string, pattern: string, flags?: string}} rule - Custom rule
+     * @returns {{name: string, pattern: RegExp}} Rule with a global regular expression
+     * @throws {Error} If the pattern is not a valid regular expression
+     */
+    static compileRule(rule) {
+        const flags = rule.flags || '';
+
+        try {
+            return {
+                name: rule.name || 'custom',
+                pattern: new RegExp(rule.pattern, flags.includes('g') ? flags : `${flags}g`)
+            };
+        } catch (error) {
+            throw new Error(`Invalid redaction pattern ${rule.name || rule.pattern}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replace the secrets of a text with placeholders
+     * @param {string} text - Text to redact
+     * @param {string} [targetPath] - Absolute path of the file the text comes from, for the report
+     * @returns {string} Redacted text
+     */
+    redact(text, targetPath = null) {
+        if (!this.enabled || !text) return text;
+
+        const counts = new Map();
+        let redacted = text;
+
+        this.rules.forEach(({ name, pattern }) => {
+            pattern.lastIndex = 0;
+            redacted = redacted.replace(pattern, (...args) => {
+                const match = args[0];
+                const groups = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : null;
+                const secret = groups && groups.secret !== undefined ? groups.secret : match;
+
+                // Already replaced by an earlier rule, e.g. a GitHub token assigned to `token`
+                if (secret.startsWith('[REDACTED:')) return match;
+
+                const newlines = (secret.match(/\n/g) || []).length;
+
+                counts.set(name, (counts.get(name) || 0) + 1);
+                return `${groups && groups.prefix ? groups.prefix : ''}[REDACTED:${name}]${'\n'.repeat(newlines)}`;
+            });
+        });
+
+        if (targetPath) {
+            this.record(targetPath, counts);
+        }
+
+        return redacted;
+    }
+
+    /**
+     * Record the redactions made in a file. The same file is redacted at every read,
+     * so the highest count seen per rule is kept.
+     * @param {string} targetPath - Absolute file path
+     * @param {Map<string, number>} counts - Redactions by rule name
+     * @private
+     */
+    record(targetPath, counts) {
+        counts.forEach((count, rule) => {
+            const key = `${targetPath}\0${rule}`;
+            const previous = this.findings.get(key);
+
+            if (!previous || previous.count < count) {
+                this.findings.set(key, { path: targetPath, rule, count });
+            }
+        });
+    }
+
+    /**
+     * Get the redactions made so far
+     * @returns {Array<{path: string, rule: string, count: number}>} Redactions by file and rule
+     */
+    getReport() {
+        return [...this.findings.values()];
+    }
+
+    /**
+     * Identify the active rules. Cached data derived from content redacted with other
+     * rules must not be reused.
+     * @returns {string|null} Hash of the rules, null when redaction is disabled
+     */
+    getFingerprint() {
+        if (!this.enabled) return null;
+
+        return crypto
+            .createHash('sha256')
+            .update(JSON.stringify(this.rules.map(({ name, pattern }) => [name, pattern.source, pattern.flags])))
+            .digest('hex')
+            .slice(0, 16);
+    }
+}
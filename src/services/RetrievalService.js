@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Retrieval of the project context answering a question
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+
+/**
+ * Most source lines quoted for one symbol
+ */
+const MAX_EXCERPT_LINES = 60;
+
+/**
+ * Service turning the closest embedded files, symbols and folders into sources for a prompt.
+ *
+ * Every source has a `label` the answer cites: `path` for files, `path/` for folders
+ * and `path:start-end` for symbols, whose source lines are quoted.
+ */
+export class RetrievalService {
+    /**
+     * Create a retrieval service
+     * @param {import('./EmbeddingService.js').EmbeddingService} embeddingService - Embedding service
+     * @param {import('./VectorStoreService.js').VectorStoreService} store - Vector store updated from the project index
+     * @param {Object} projectIndex - Project index the vectors were computed from
+     * @param {import('./RedactionService.js').RedactionService|null} [redaction=null] - Redacts the quoted source lines
+     */
+    constructor(embeddingService, store, projectIndex, redaction = null) {
+        this.embeddingService = embeddingService;
+        this.store = store;
+        this.redaction = redaction;
+        this.rootPath = projectIndex.project.rootPath;
+        this.files = new Map(projectIndex.files.map(file => [path.relative(this.rootPath, file.path), file]));
+        this.folders = new Map(projectIndex.folders.map(folder => [path.relative(this.rootPath, folder.path) || '.', folder]));
+    }
+
+    /**
+     * Find the sources closest to a query
+     * @param {string} query - Question, possibly with the previous question of the conversation
+     * @param {Object} [options] - Retrieval options
+     * @param {number} [options.limit=8] - Maximum number of sources
+     * @returns {Promise<Object[]>} Sources, most relevant first: kind, path, name, symbolKind, startLine,
+     *     endLine, score, label and text
+     */
+    async retrieve(query, options = {}) {
+        const results = await this.embeddingService.search(query, this.store, { limit: options.limit || 8 });
+        const sources = [];
+
+        for (const result of results) {
+            sources.push(await this.createSource(result));
+        }
+
+        return sources;
+    }
+
+    /**
+     * Build the source of a search result
+     * @param {Object} result - Vector store search result
+     * @returns {Promise<Object>} Source
+     * @private
+     */
+    async createSource(result) {
+        const source = {
+            kind: result.kind,
+            path: result.path,
+            name: result.name,
+            score: result.score
+        };
+
+        if (result.kind === 'symbol') {
+            const endLine = Math.min(result.endLine || result.line, result.line + MAX_EXCERPT_LINES - 1);
+            const excerpt = await this.readLines(result.path, result.line, endLine);
+            const file = this.files.get(result.path);
+
+            Object.assign(source, { symbolKind: result.symbolKind, startLine: result.line, endLine });
+            source.label = `${result.path}:${result.line}-${endLine}`;
+            source.text = this.formatSource(source.label, `${result.symbolKind} ${result.name}`, [
+                result.description,
+                file && file.description ? `In file: ${file.description}` : null,
+                excerpt ? `\`\`\`\n${excerpt}\n\`\`\`` : null
+            ]);
+        } else if (result.kind === 'folder') {
+            const details = (this.folders.get(result.path) || {}).aiDetails || {};
+
+            source.label = `${result.path}/`;
+            source.text = this.formatSource(source.label, 'folder', [
+                result.description,
+                this.formatList('Responsibilities', details.responsibilities)
+            ]);
+        } else {
+            const file = this.files.get(result.path) || {};
+            const details = file.aiDetails || {};
+            const symbols = ((file.metadata && file.metadata.symbols) || [])
+                .filter(symbol => !['package', 'namespace'].includes(symbol.kind))
+                .map(symbol => `${symbol.parent ? `${symbol.parent}.` : ''}${symbol.name} (line ${symbol.startLine})`);
+
+            source.label = result.path;
+            source.text = this.formatSource(source.label, `${file.language || 'file'}, ${file.lineCount || 0} lines`, [
+                result.description,
+                this.formatList('Responsibilities', details.responsibilities),
+                this.formatList('Side effects', details.sideEffects),
+                this.formatList('Symbols', symbols.slice(0, 30))
+            ]);
+        }
+
+        return source;
+    }
+
+    /**
+     * Format a source for the prompt
+     * @param {string} label - Source label
+     * @param {string} heading - What the source is
+     * @param {Array<string|null|undefined>} lines - Content lines, empty ones are skipped
+     * @returns {string} Source text
+     * @private
+     */
+    formatSource(label, heading, lines) {
+        return [`[${label}] ${heading}`, ...lines.filter(Boolean)].join('\n');
+    }
+
+    /**
+     * Format a labelled list on one line
+     * @param {string} label - List label
+     * @param {string[]} [items] - Items
+     * @returns {string|null} Formatted list, null when empty
+     * @private
+     */
+    formatList(label, items) {
+        return items && items.length > 0 ? `${label}: ${items.join('; ')}` : null;
+    }
+
+    /**
+     * Read a line range of a project file
+     * @param {string} relativePath - Path relative to the project root
+     * @param {number} startLine - First line, 1-based
+     * @param {number} endLine - Last line, included
+     * @returns {Promise<string|null>} Lines, redacted when a redaction service is set, null when the file cannot be read
+     * @private
+     */
+    async readLines(relativePath, startLine, endLine) {
+        try {
+            const filePath = path.join(this.rootPath, relativePath);
+            let content = await fs.readFile(filePath, 'utf8');
+            if (this.redaction) {
+                content = this.redaction.redact(content, filePath);
+            }
+
+            return content.split('\n').slice(startLine - 1, endLine).join('\n');
+        } catch (error) {
+            return null;
+        }
+    }
+}
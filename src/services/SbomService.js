@@ -0,0 +1,381 @@
+/**
+ * @fileoverview Software bill of materials export as CycloneDX JSON and SPDX tag-value
+ */
+
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Supported SBOM formats and their file names
+ */
+export const SBOM_FORMATS = {
+    cyclonedx: 'sbom.cdx.json',
+    spdx: 'sbom.spdx'
+};
+
+/**
+ * Tool recorded as the creator of the documents
+ */
+const TOOL = { name: 'svc-indexer', version: '1.0.0' };
+
+/**
+ * Package URL types by manifest ecosystem
+ */
+const PURL_TYPES = {
+    npm: 'npm',
+    composer: 'composer',
+    pypi: 'pypi',
+    go: 'golang',
+    cargo: 'cargo',
+    maven: 'maven'
+};
+
+/**
+ * Hash algorithms found in lockfiles, with their CycloneDX and SPDX names and hex length
+ */
+const HASH_ALGORITHMS = {
+    sha1: { cyclonedx: 'SHA-1', spdx: 'SHA1', length: 40 },
+    sha256: { cyclonedx: 'SHA-256', spdx: 'SHA256', length: 64 },
+    sha384: { cyclonedx: 'SHA-384', spdx: 'SHA384', length: 96 },
+    sha512: { cyclonedx: 'SHA-512', spdx: 'SHA512', length: 128 }
+};
+
+/**
+ * Service building SBOM documents from the package inventory of a project index
+ */
+export class SbomService {
+    /**
+     * Generate an SBOM document
+     * @param {Object} projectIndex - Project index with its dependency inventory
+     * @param {string} [format='cyclonedx'] - Document format: cyclonedx or spdx
+     * @returns {string} Document content
+     */
+    generateSbom(projectIndex, format = 'cyclonedx') {
+        switch (format) {
+            case 'cyclonedx':
+                return this.generateCycloneDX(projectIndex);
+            case 'spdx':
+                return this.generateSpdx(projectIndex);
+            default:
+                throw new Error(`Unsupported SBOM format: ${format}. Use one of: ${Object.keys(SBOM_FORMATS).join(', ')}`);
+        }
+    }
+
+    /**
+     * Generate a CycloneDX 1.5 JSON document.
+     * Runtime packages are required, optional and peer packages optional, dev packages excluded.
+     * @param {Object} projectIndex - Project index with its dependency inventory
+     * @returns {string} JSON content
+     */
+    generateCycloneDX(projectIndex) {
+        const components = this.getComponents(projectIndex);
+        const license = this.getProjectLicense(projectIndex);
+        const rootRef = 'root';
+
+        const bom = {
+            bomFormat: 'CycloneDX',
+            specVersion: '1.5',
+            serialNumber: `urn:uuid:${crypto.randomUUID()}`,
+            version: 1,
+            metadata: {
+                timestamp: new Date().toISOString(),
+                tools: {
+                    components: [{ type: 'application', name: TOOL.name, version: TOOL.version }]
+                },
+                component: {
+                    type: 'application',
+                    'bom-ref': rootRef,
+                    name: this.getProjectName(projectIndex),
+                    ...(projectIndex.project.description ? { description: projectIndex.project.description } : {}),
+                    ...(license ? { licenses: [this.getCycloneDXLicense(license)] } : {})
+                }
+            },
+            components: components.map(component => {
+                const { pkg } = component;
+                const properties = [
+                    { name: `${TOOL.name}:ecosystem`, value: pkg.ecosystem },
+                    { name: `${TOOL.name}:scope`, value: pkg.scope },
+                    { name: `${TOOL.name}:direct`, value: String(pkg.direct) },
+                    pkg.declaredVersion && { name: `${TOOL.name}:declaredVersion`, value: pkg.declaredVersion },
+                    pkg.manifest && { name: `${TOOL.name}:manifest`, value: pkg.manifest },
+                    pkg.lockfile && { name: `${TOOL.name}:lockfile`, value: pkg.lockfile }
+                ].filter(Boolean);
+
+                return {
+                    type: 'library',
+                    'bom-ref': component.ref,
+                    ...(component.group ? { group: component.group } : {}),
+                    name: component.name,
+                    ...(pkg.resolvedVersion ? { version: pkg.resolvedVersion } : {}),
+                    scope: pkg.scope === 'runtime' ? 'required' : pkg.scope === 'dev' ? 'excluded' : 'optional',
+                    purl: component.purl,
+                    ...(component.hashes.length > 0
+                        ? { hashes: component.hashes.map(hash => ({ alg: HASH_ALGORITHMS[hash.algorithm].cyclonedx, content: hash.content })) }
+                        : {}),
+                    ...(pkg.license ? { licenses: [this.getCycloneDXLicense(pkg.license)] } : {}),
+                    properties
+                };
+            }),
+            dependencies: [{
+                ref: rootRef,
+                dependsOn: components.filter(component => component.pkg.direct).map(component => component.ref)
+            }]
+        };
+
+        return JSON.stringify(bom, null, 2);
+    }
+
+    /**
+     * Generate an SPDX 2.3 tag-value document.
+     * Direct packages are related to the project package; transitive ones are only listed.
+     * @param {Object} projectIndex - Project index with its dependency inventory
+     * @returns {string} Tag-value content
+     */
+    generateSpdx(projectIndex) {
+        const components = this.getComponents(projectIndex);
+        const projectName = this.getProjectName(projectIndex);
+        const projectLicense = this.getProjectLicense(projectIndex);
+        const rootId = 'SPDXRef-Package-root';
+        const usedIds = new Set([rootId]);
+
+        const lines = [
+            'SPDXVersion: SPDX-2.3',
+            'DataLicense: CC0-1.0',
+            'SPDXID: SPDXRef-DOCUMENT',
+            `DocumentName: ${projectName}`,
+            `DocumentNamespace: https://spdx.org/spdxdocs/${this.toSpdxId(projectName)}-${crypto.randomUUID()}`,
+            `Creator: Tool: ${TOOL.name}-${TOOL.version}`,
+            `Created: ${new Date().toISOString().replace(/\.\d{3}Z$/, 'Z')}`,
+            '',
+            `PackageName: ${projectName}`,
+            `SPDXID: ${rootId}`,
+            'PackageDownloadLocation: NOASSERTION',
+            'FilesAnalyzed: false',
+            'PackageLicenseConcluded: NOASSERTION',
+            ...this.getSpdxLicenseLines(projectLicense),
+            'PackageCopyrightText: NOASSERTION',
+            'PrimaryPackagePurpose: APPLICATION',
+            ...(projectIndex.project.description ? [`PackageSummary: <text>${projectIndex.project.description}</text>`] : [])
+        ];
+        const relationships = [`Relationship: SPDXRef-DOCUMENT DESCRIBES ${rootId}`];
+
+        components.forEach(component => {
+            const { pkg } = component;
+            const baseId = `SPDXRef-Package-${this.toSpdxId(`${pkg.ecosystem}-${pkg.name}-${pkg.resolvedVersion || 'unresolved'}`)}`;
+            let spdxId = baseId;
+            for (let index = 2; usedIds.has(spdxId); index++) spdxId = `${baseId}-${index}`;
+            usedIds.add(spdxId);
+
+            lines.push(
+                '',
+                `PackageName: ${pkg.name}`,
+                `SPDXID: ${spdxId}`,
+                ...(pkg.resolvedVersion ? [`PackageVersion: ${pkg.resolvedVersion}`] : []),
+                'PackageDownloadLocation: NOASSERTION',
+                'FilesAnalyzed: false',
+                ...component.hashes.map(hash => `PackageChecksum: ${HASH_ALGORITHMS[hash.algorithm].spdx}: ${hash.content}`),
+                'PackageLicenseConcluded: NOASSERTION',
+                ...this.getSpdxLicenseLines(pkg.license),
+                'PackageCopyrightText: NOASSERTION',
+                `PackageComment: <text>${this.getSpdxComment(pkg)}</text>`,
+                `ExternalRef: PACKAGE-MANAGER purl ${component.purl}`,
+                'PrimaryPackagePurpose: LIBRARY'
+            );
+
+            if (pkg.direct) {
+                relationships.push(pkg.scope === 'dev'
+                    ? `Relationship: ${spdxId} DEV_DEPENDENCY_OF ${rootId}`
+                    : pkg.scope === 'optional'
+                        ? `Relationship: ${spdxId} OPTIONAL_DEPENDENCY_OF ${rootId}`
+                        : `Relationship: ${rootId} DEPENDS_ON ${spdxId}`);
+            }
+        });
+
+        return [...lines, '', ...relationships, ''].join('\n');
+    }
+
+    /**
+     * Describe where an SPDX package comes from: its scope and the manifest declaring or the lockfile locking it
+     * @param {Object} pkg - Inventory package
+     * @returns {string} Comment text
+     * @private
+     */
+    getSpdxComment(pkg) {
+        if (pkg.direct) return `Scope: ${pkg.scope}, declared as ${pkg.declaredVersion || '*'} in ${pkg.manifest}`;
+
+        // Indirect Go requirements without a go.sum entry are only listed by go.mod
+        const source = pkg.lockfile ? `locked in ${pkg.lockfile}` : pkg.manifest ? `listed in ${pkg.manifest}` : null;
+        return source ? `Scope: ${pkg.scope}, ${source}` : `Scope: ${pkg.scope}`;
+    }
+
+    /**
+     * Collect the inventory packages with their package URL and hashes, sorted by ecosystem and name
+     * @param {Object} projectIndex - Project index with its dependency inventory
+     * @returns {Object[]} Components: { pkg, ref, group, name, purl, hashes }
+     * @private
+     */
+    getComponents(projectIndex) {
+        const packages = projectIndex.analysis.dependencies.packages || [];
+        const refs = new Set();
+
+        return [...packages]
+            .sort((a, b) => a.ecosystem.localeCompare(b.ecosystem)
+                || a.name.localeCompare(b.name)
+                || (a.resolvedVersion || '').localeCompare(b.resolvedVersion || ''))
+            .map(pkg => {
+                const { group, name } = this.splitName(pkg);
+                const purl = this.createPurl(pkg);
+
+                let ref = purl;
+                for (let index = 2; refs.has(ref); index++) ref = `${purl}#${index}`;
+                refs.add(ref);
+
+                return { pkg, ref, group, name, purl, hashes: this.parseIntegrity(pkg.integrity) };
+            });
+    }
+
+    /**
+     * Split a package name into its namespace and name, as package URLs and CycloneDX groups expect
+     * @param {Object} pkg - Inventory package
+     * @returns {{group: string|null, name: string}} Namespace and name
+     * @private
+     */
+    splitName(pkg) {
+        const split = (name, separator) => {
+            const index = name.lastIndexOf(separator);
+            return index > 0
+                ? { group: name.slice(0, index), name: name.slice(index + 1) }
+                : { group: null, name };
+        };
+
+        switch (pkg.ecosystem) {
+            case 'npm':
+                return pkg.name.startsWith('@') ? split(pkg.name, '/') : { group: null, name: pkg.name };
+            case 'composer':
+            case 'go':
+                return split(pkg.name, '/');
+            case 'maven':
+                return split(pkg.name, ':');
+            default:
+                return { group: null, name: pkg.name };
+        }
+    }
+
+    /**
+     * Create the package URL of a package, with its resolved version when known
+     * @param {Object} pkg - Inventory package
+     * @returns {string} Package URL such as `pkg:npm/%40scope/name@1.0.0`
+     */
+    createPurl(pkg) {
+        let { group, name } = this.splitName(pkg);
+
+        // Names these package managers treat case-insensitively are lowercased
+        if (pkg.ecosystem === 'pypi') name = name.toLowerCase().replace(/[-_.]+/g, '-');
+        if (pkg.ecosystem === 'composer') {
+            group = group && group.toLowerCase();
+            name = name.toLowerCase();
+        }
+
+        const namespace = group ? `${group.split('/').map(encodeURIComponent).join('/')}/` : '';
+        const version = pkg.resolvedVersion ? `@${encodeURIComponent(pkg.resolvedVersion)}` : '';
+
+        return `pkg:${PURL_TYPES[pkg.ecosystem] || 'generic'}/${namespace}${encodeURIComponent(name)}${version}`;
+    }
+
+    /**
+     * Read lockfile hashes: subresource integrity strings (sha512-base64), algorithm-prefixed hex
+     * digests (sha256:hex, sha1-hex) and Go module hashes (h1:base64, a SHA-256)
+     * @param {string|null} integrity - Integrity field of a package
+     * @returns {Object[]} Hashes: { algorithm, content } with hex content
+     */
+    parseIntegrity(integrity) {
+        if (!integrity) return [];
+
+        return String(integrity).split(/\s+/).map(value => {
+            const match = value.match(/^(sha1|sha256|sha384|sha512|h1)[-:](.+)$/i);
+            if (!match) return null;
+
+            const algorithm = match[1].toLowerCase() === 'h1' ? 'sha256' : match[1].toLowerCase();
+            const { length } = HASH_ALGORITHMS[algorithm];
+            const content = new RegExp(`^[0-9a-f]{${length}}$`, 'i').test(match[2])
+                ? match[2].toLowerCase()
+                : Buffer.from(match[2], 'base64').toString('hex');
+
+            return content.length === length ? { algorithm, content } : null;
+        }).filter(Boolean);
+    }
+
+    /**
+     * Get the CycloneDX license entry of a license field
+     * @param {string} license - License field
+     * @returns {Object} License identifier, expression or name
+     * @private
+     */
+    getCycloneDXLicense(license) {
+        if (/^[A-Za-z0-9.+-]+$/.test(license)) return { license: { id: license } };
+        if (/\s(OR|AND|WITH)\s/.test(license)) return { expression: license };
+        return { license: { name: license } };
+    }
+
+    /**
+     * Get the declared license lines of an SPDX package, with the raw field as a comment when it is no SPDX expression
+     * @param {string|null} license - License field
+     * @returns {string[]} Tag-value lines
+     * @private
+     */
+    getSpdxLicenseLines(license) {
+        const expression = this.getSpdxLicense(license);
+
+        return [
+            `PackageLicenseDeclared: ${expression}`,
+            ...(license && expression === 'NOASSERTION' ? [`PackageLicenseComments: <text>Declared license: ${license}</text>`] : [])
+        ];
+    }
+
+    /**
+     * Get the SPDX license expression of a license field
+     * @param {string|null} license - License field
+     * @returns {string} License expression, NOASSERTION when missing or not an SPDX expression
+     * @private
+     */
+    getSpdxLicense(license) {
+        if (!license) return 'NOASSERTION';
+
+        // Identifiers joined by operators: `MIT OR (Apache-2.0 WITH LLVM-exception)`, never `BSD style`
+        const tokens = license.replace(/[()]/g, ' ').split(/\s+/).filter(Boolean);
+        const valid = tokens.length % 2 === 1 && tokens.every((token, index) => index % 2 === 1
+            ? ['OR', 'AND', 'WITH'].includes(token)
+            : /^(LicenseRef-)?[A-Za-z0-9.+-]+$/.test(token));
+        return valid ? license : 'NOASSERTION';
+    }
+
+    /**
+     * Get the license the root manifests of the project declare
+     * @param {Object} projectIndex - Project index with its dependency inventory
+     * @returns {string|null} License field, null when none is declared
+     * @private
+     */
+    getProjectLicense(projectIndex) {
+        return projectIndex.analysis.dependencies.license || null;
+    }
+
+    /**
+     * Get the name of the project package
+     * @param {Object} projectIndex - Project index
+     * @returns {string} Base name of the project root
+     * @private
+     */
+    getProjectName(projectIndex) {
+        return path.basename(path.resolve(projectIndex.project.rootPath));
+    }
+
+    /**
+     * Make a string usable in an SPDX identifier (letters, numbers, dots and dashes)
+     * @param {string} value - Raw value
+     * @returns {string} Identifier part
+     * @private
+     */
+    toSpdxId(value) {
+        return value.replace(/[^A-Za-z0-9.-]+/g, '-').replace(/^-+|-+$/g, '');
+    }
+}
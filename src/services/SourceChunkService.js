@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Splitting of source files too large for one AI prompt
+ */
+
+/**
+ * Lines kept with the declaration that follows them: comments, doc blocks,
+ * decorators and annotations
+ */
+const LEADING_LINE = /^\s*(\/\/|\/\*|\*|#|@|--)/;
+
+/**
+ * Service splitting source code into chunks of limited size.
+ *
+ * Chunks end on top-level symbol boundaries (classes, functions) where possible,
+ * so each one holds whole declarations with their doc comments. A declaration
+ * larger than a chunk is split on line boundaries.
+ */
+export class SourceChunkService {
+    /**
+     * Split source code into chunks
+     * @param {string} content - File content
+     * @param {Object[]} symbols - Symbols from the file's language analyzer: { name, startLine, parent }
+     * @param {number} maxChars - Maximum chunk length in characters
+     * @returns {{startLine: number, endLine: number, text: string}[]} Chunks in file order, line numbers 1-based
+     */
+    splitSource(content, symbols, maxChars) {
+        const lines = content.split('\n');
+        if (content.length <= maxChars) {
+            return [{ startLine: 1, endLine: lines.length, text: content }];
+        }
+
+        const chunks = [];
+        let current = null;
+
+        const flush = () => {
+            if (current) chunks.push(current);
+            current = null;
+        };
+
+        this.getSegments(lines, symbols).forEach(segment => {
+            const text = lines.slice(segment.startLine - 1, segment.endLine).join('\n');
+
+            if (text.length > maxChars) {
+                flush();
+                chunks.push(...this.splitLines(lines, segment, maxChars));
+                return;
+            }
+
+            if (current && current.text.length + 1 + text.length > maxChars) {
+                flush();
+            }
+
+            current = current
+                ? { startLine: current.startLine, endLine: segment.endLine, text: `${current.text}\n${text}` }
+                : { startLine: segment.startLine, endLine: segment.endLine, text };
+        });
+
+        flush();
+        return chunks;
+    }
+
+    /**
+     * Cut the file into consecutive segments, each starting at a top-level symbol
+     * together with the comments and annotations right above it
+     * @param {string[]} lines - File lines
+     * @param {Object[]} symbols - Analyzer symbols
+     * @returns {{startLine: number, endLine: number}[]} Segments covering every line
+     * @private
+     */
+    getSegments(lines, symbols) {
+        const starts = [...new Set((symbols || [])
+            .filter(symbol => !symbol.parent && symbol.startLine > 1 && symbol.startLine <= lines.length)
+            .map(symbol => this.findLeadingStart(lines, symbol.startLine)))]
+            .filter(start => start > 1)
+            .sort((a, b) => a - b);
+
+        const boundaries = [1, ...starts, lines.length + 1];
+        const segments = [];
+
+        for (let index = 0; index < boundaries.length - 1; index++) {
+            if (boundaries[index] < boundaries[index + 1]) {
+                segments.push({ startLine: boundaries[index], endLine: boundaries[index + 1] - 1 });
+            }
+        }
+
+        return segments;
+    }
+
+    /**
+     * Move a declaration start up over the comment and annotation lines preceding it
+     * @param {string[]} lines - File lines
+     * @param {number} startLine - Declaration line, 1-based
+     * @returns {number} First line of the declaration block, 1-based
+     * @private
+     */
+    findLeadingStart(lines, startLine) {
+        let start = startLine;
+
+        while (start > 1 && LEADING_LINE.test(lines[start - 2])) {
+            start--;
+        }
+
+        return start;
+    }
+
+    /**
+     * Split a segment larger than a chunk on line boundaries
+     * @param {string[]} lines - File lines
+     * @param {{startLine: number, endLine: number}} segment - Segment to split
+     * @param {number} maxChars - Maximum chunk length in characters
+     * @returns {{startLine: number, endLine: number, text: string}[]} Chunks
+     * @private
+     */
+    splitLines(lines, segment, maxChars) {
+        const chunks = [];
+        let current = null;
+
+        for (let lineNumber = segment.startLine; lineNumber <= segment.endLine; lineNumber++) {
+            // Minified files can have single lines longer than a chunk
+            const line = lines[lineNumber - 1].substring(0, maxChars);
+
+            if (current && current.text.length + 1 + line.length > maxChars) {
+                chunks.push(current);
+                current = null;
+            }
+
+            current = current
+                ? { ...current, endLine: lineNumber, text: `${current.text}\n${line}` }
+                : { startLine: lineNumber, endLine: lineNumber, text: line };
+        }
+
+        if (current) chunks.push(current);
+        return chunks;
+    }
+}
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Parsing and validation of JSON responses from the model
+ */
+
+/**
+ * Service turning model output into objects matching a response schema
+ */
+export class StructuredResponseService {
+    /**
+     * Parse a JSON response and check it against a schema.
+     * Code fences and text around the JSON object are ignored, properties missing
+     * from the schema are dropped, missing optional properties get their `default`,
+     * strings are trimmed and arrays truncated to their `maxItems`.
+     * @param {string} response - Raw model output
+     * @param {Object} schema - Response schema, see config/ResponseSchemas.js
+     * @returns {Object} Validated response
+     * @throws {Error} With code INVALID_RESPONSE when the output is not valid JSON or does not match the schema
+     */
+    parse(response, schema) {
+        let value;
+        try {
+            value = JSON.parse(this.extractJson(response));
+        } catch (error) {
+            throw this.invalid(`not valid JSON (${error.message})`);
+        }
+
+        const errors = [];
+        const result = this.validate(value, schema, 'response', errors);
+
+        if (errors.length > 0) {
+            throw this.invalid(errors.join('; '));
+        }
+
+        return result;
+    }
+
+    /**
+     * Get the JSON object of a response, without code fences or surrounding text
+     * @param {string} response - Raw model output
+     * @returns {string} JSON text
+     * @private
+     */
+    extractJson(response) {
+        const text = String(response).trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+
+        return start !== -1 && end > start ? text.substring(start, end + 1) : text;
+    }
+
+    /**
+     * Validate a value and build its normalized copy
+     * @param {*} value - Parsed value
+     * @param {Object} schema - Schema of the value
+     * @param {string} at - Location of the value, for error messages
+     * @param {string[]} errors - Collected error messages
+     * @returns {*} Normalized value
+     * @private
+     */
+    validate(value, schema, at, errors) {
+        switch (schema.type) {
+            case 'object': {
+                if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+                    errors.push(`${at} must be an object`);
+                    return null;
+                }
+
+                const result = {};
+                (schema.required || []).forEach(name => {
+                    if (value[name] === undefined || value[name] === null) {
+                        errors.push(`${at}.${name} is required`);
+                    }
+                });
+                Object.entries(schema.properties || {}).forEach(([name, propertySchema]) => {
+                    if (value[name] !== undefined && value[name] !== null) {
+                        result[name] = this.validate(value[name], propertySchema, `${at}.${name}`, errors);
+                    } else if (propertySchema.default !== undefined) {
+                        result[name] = structuredClone(propertySchema.default);
+                    }
+                });
+                return result;
+            }
+
+            case 'array': {
+                if (!Array.isArray(value)) {
+                    errors.push(`${at} must be an array`);
+                    return [];
+                }
+
+                const items = value.map((item, index) => this.validate(item, schema.items || {}, `${at}[${index}]`, errors));
+                return schema.maxItems !== undefined ? items.slice(0, schema.maxItems) : items;
+            }
+
+            case 'string': {
+                if (typeof value !== 'string') {
+                    errors.push(`${at} must be a string`);
+                    return '';
+                }
+
+                const text = value.trim();
+                if (schema.minLength && text.length < schema.minLength) {
+                    errors.push(`${at} must not be empty`);
+                }
+                return text;
+            }
+
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Build an invalid response error
+     * @param {string} reason - What is wrong with the response
+     * @returns {Error} Error with code INVALID_RESPONSE
+     * @private
+     */
+    invalid(reason) {
+        return Object.assign(new Error(`Invalid AI response: ${reason}`), { code: 'INVALID_RESPONSE' });
+    }
+}
@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Local store of file and symbol embeddings used by semantic search
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { DEFAULT_CACHE_DIR } from './IndexCacheService.js';
+
+/**
+ * Version of the on-disk vector store format. Bump when the stored shape changes.
+ */
+export const VECTOR_STORE_VERSION = 1;
+
+/**
+ * Service persisting embedding vectors next to the persistent index.
+ *
+ * Entries are keyed by project-relative path for files, `path/` for folders and
+ * `path#name:line` for symbols. Each keeps the hash of the embedded text, so unchanged entries are not
+ * embedded again, and vectors of one model are never compared with another's.
+ */
+export class VectorStoreService {
+    /**
+     * Create a new vector store
+     * @param {string} rootPath - Project root path
+     * @param {Object} [options] - Store options
+     * @param {string} [options.cacheDir='.svc-indexer'] - Cache directory, relative to the project root
+     */
+    constructor(rootPath, options = {}) {
+        this.rootPath = path.resolve(rootPath);
+        this.cacheDir = path.resolve(this.rootPath, options.cacheDir || DEFAULT_CACHE_DIR);
+        this.storePath = path.join(this.cacheDir, 'vectors.json');
+        this.model = null;
+        this.entries = new Map();
+        this.dirty = false;
+    }
+
+    /**
+     * Load stored vectors from disk
+     * @returns {Promise<VectorStoreService>} This instance
+     */
+    async load() {
+        try {
+            if (!await fs.pathExists(this.storePath)) {
+                return this;
+            }
+
+            const stored = await fs.readJson(this.storePath);
+            if (stored.version === VECTOR_STORE_VERSION) {
+                this.model = stored.model || null;
+                this.entries = new Map(Object.entries(stored.entries || {}));
+            }
+        } catch (error) {
+            console.warn(`Warning: Could not load vector store, rebuilding: ${error.message}`);
+            this.entries = new Map();
+        }
+
+        return this;
+    }
+
+    /**
+     * Write the vectors to disk, if anything changed
+     * @returns {Promise<void>}
+     */
+    async save() {
+        if (!this.dirty) return;
+
+        await fs.ensureDir(this.cacheDir);
+
+        const tempPath = `${this.storePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify({
+            version: VECTOR_STORE_VERSION,
+            model: this.model,
+            savedAt: new Date().toISOString(),
+            entries: Object.fromEntries(this.entries)
+        }), 'utf8');
+        await fs.move(tempPath, this.storePath, { overwrite: true });
+
+        this.dirty = false;
+    }
+
+    /**
+     * Select the embedding model, dropping the vectors computed by another one
+     * @param {string} model - Model identifier, see LLMProvider.getCacheModel()
+     */
+    setModel(model) {
+        if (this.model === model) return;
+
+        this.model = model;
+        this.entries.clear();
+        this.dirty = true;
+    }
+
+    /**
+     * Get a stored entry
+     * @param {string} key - Entry key
+     * @returns {Object|null} Entry or null
+     */
+    get(key) {
+        return this.entries.get(key) || null;
+    }
+
+    /**
+     * Store an entry
+     * @param {string} key - Entry key
+     * @param {Object} entry - Entry: kind (file, folder or symbol), path, name, symbolKind, line, description, hash and vector
+     */
+    set(key, entry) {
+        this.entries.set(key, entry);
+        this.dirty = true;
+    }
+
+    /**
+     * Drop the entries whose key is not in a list
+     * @param {Iterable<string>} keys - Keys to keep
+     * @returns {number} Number of removed entries
+     */
+    retain(keys) {
+        const live = new Set(keys);
+        let removed = 0;
+
+        for (const key of [...this.entries.keys()]) {
+            if (!live.has(key)) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+
+        if (removed > 0) this.dirty = true;
+        return removed;
+    }
+
+    /**
+     * Rank the stored entries by cosine similarity with a query vector
+     * @param {number[]} vector - Query vector
+     * @param {Object} [options] - Search options
+     * @param {number} [options.limit=10] - Maximum number of results
+     * @param {string} [options.kind] - Only return `file`, `folder` or `symbol` entries
+     * @returns {Object[]} Entries with their `key` and `score`, best first
+     */
+    search(vector, options = {}) {
+        const limit = options.limit || 10;
+        const results = [];
+
+        this.entries.forEach((entry, key) => {
+            if (options.kind && entry.kind !== options.kind) return;
+
+            const { vector: entryVector, ...fields } = entry;
+            results.push({ key, ...fields, score: this.cosine(vector, entryVector) });
+        });
+
+        return results.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+
+    /**
+     * Cosine similarity of two vectors
+     * @param {number[]} a - First vector
+     * @param {number[]} b - Second vector
+     * @returns {number} Similarity between -1 and 1, 0 when the vectors cannot be compared
+     * @private
+     */
+    cosine(a, b) {
+        if (!Array.isArray(b) || a.length !== b.length) return 0;
+
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+
+        return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+    }
+
+    /**
+     * Get the number of stored entries by kind
+     * @returns {{files: number, folders: number, symbols: number}} Entry counts
+     */
+    getStats() {
+        const entries = [...this.entries.values()];
+        const count = kind => entries.filter(entry => entry.kind === kind).length;
+
+        return { files: count('file'), folders: count('folder'), symbols: count('symbol') };
+    }
+
+    /**
+     * Delete the stored vectors
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.entries.clear();
+        this.dirty = false;
+        await fs.remove(this.storePath);
+    }
+}
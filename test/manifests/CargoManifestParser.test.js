@@ -0,0 +1,88 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { CargoManifestParser } from '../../src/manifests/CargoManifestParser.js';
+
+describe('CargoManifestParser', () => {
+    const parser = new CargoManifestParser();
+    let directory;
+
+    beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'svc-indexer-cargo-'));
+        await fs.writeFile(path.join(directory, 'Cargo.toml'), [
+            '[package]',
+            'name = "shop"',
+            'license = "MIT OR Apache-2.0"',
+            '',
+            '[dependencies]',
+            'serde = { version = "1.0", features = ["derive"] }',
+            'http-types = "2.12"',
+            'json = { package = "serde_json", version = "1.0" }',
+            'shared = { path = "../shared" }',
+            'tracing = { version = "0.1", optional = true }',
+            '',
+            '[dev-dependencies]',
+            'proptest = "1.4"',
+            '',
+            '[target.\'cfg(unix)\'.dependencies]',
+            'libc = "0.2"'
+        ].join('\n'));
+    });
+
+    afterEach(async () => {
+        await fs.remove(directory);
+    });
+
+    it('reads dependency tables, renamed crates, the crate name and license', async () => {
+        const result = await parser.parse(directory, ['Cargo.toml']);
+
+        assert.deepEqual(result.packages.map(pkg => [pkg.name, pkg.scope]), [
+            ['serde', 'runtime'],
+            ['http-types', 'runtime'],
+            ['serde_json', 'runtime'],
+            ['tracing', 'optional'],
+            ['libc', 'runtime'],
+            ['proptest', 'dev']
+        ]);
+        assert.deepEqual(result.internal, ['shop', 'shared']);
+        assert.equal(result.license, 'MIT OR Apache-2.0');
+    });
+
+    it('resolves versions from Cargo.lock, skipping workspace members', async () => {
+        await fs.writeFile(path.join(directory, 'Cargo.lock'), [
+            '[[package]]',
+            'name = "shop"',
+            'version = "0.1.0"',
+            '',
+            '[[package]]',
+            'name = "serde"',
+            'version = "1.0.197"',
+            'source = "registry+https://github.com/rust-lang/crates.io-index"',
+            `checksum = "${'a'.repeat(64)}"`,
+            '',
+            '[[package]]',
+            'name = "itoa"',
+            'version = "1.0.10"',
+            'source = "registry+https://github.com/rust-lang/crates.io-index"'
+        ].join('\n'));
+
+        const result = await parser.parse(directory, ['Cargo.lock', 'Cargo.toml']);
+        const serde = result.packages.find(pkg => pkg.name === 'serde');
+
+        assert.equal(serde.resolvedVersion, '1.0.197');
+        assert.equal(serde.integrity, `sha256-${'a'.repeat(64)}`);
+        assert.equal(result.packages.find(pkg => pkg.name === 'itoa').direct, false);
+        assert.equal(result.packages.some(pkg => pkg.name === 'shop'), false);
+    });
+
+    it('matches use paths by crate and import name', async () => {
+        const { packages } = await parser.parse(directory, ['Cargo.toml']);
+        const byName = new Map(packages.map(pkg => [parser.normalizeName(pkg.name), pkg]));
+
+        assert.equal(parser.findPackage('http_types::Request', byName).name, 'http-types');
+        assert.equal(parser.findPackage('json::Value', byName).name, 'serde_json');
+        assert.equal(parser.isBuiltin('std::collections::HashMap'), true);
+    });
+});
@@ -0,0 +1,65 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { ComposerManifestParser } from '../../src/manifests/ComposerManifestParser.js';
+
+describe('ComposerManifestParser', () => {
+    const parser = new ComposerManifestParser();
+    let directory;
+
+    beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'svc-indexer-composer-'));
+        await fs.writeJson(path.join(directory, 'composer.json'), {
+            name: 'acme/shop',
+            license: ['MIT', 'GPL-3.0-only'],
+            require: { php: '^8.2', 'ext-json': '*', 'monolog/monolog': '^3.0' },
+            'require-dev': { 'phpunit/phpunit': '^11.0' },
+            autoload: { 'psr-4': { 'Acme\\Shop\\': 'src/' } }
+        });
+        await fs.writeJson(path.join(directory, 'composer.lock'), {
+            packages: [
+                { name: 'monolog/monolog', version: '3.5.0', license: ['MIT'], dist: { shasum: 'b'.repeat(40) }, autoload: { 'psr-4': { 'Monolog\\': 'src/Monolog' } } },
+                { name: 'psr/log', version: '3.0.0', autoload: { 'psr-4': { 'Psr\\Log\\': 'src' } } }
+            ],
+            'packages-dev': [
+                { name: 'phpunit/phpunit', version: '11.0.3' }
+            ]
+        });
+    });
+
+    afterEach(async () => {
+        await fs.remove(directory);
+    });
+
+    it('reads packages without platform requirements, and the project license', async () => {
+        const result = await parser.parse(directory, ['composer.json', 'composer.lock']);
+
+        assert.deepEqual(result.packages.map(pkg => [pkg.name, pkg.resolvedVersion, pkg.scope, pkg.direct]), [
+            ['monolog/monolog', '3.5.0', 'runtime', true],
+            ['phpunit/phpunit', '11.0.3', 'dev', true],
+            ['psr/log', '3.0.0', 'runtime', false]
+        ]);
+        assert.deepEqual(result.internal, ['Acme\\Shop']);
+        assert.equal(result.license, 'MIT OR GPL-3.0-only');
+    });
+
+    it('records lockfile hashes and licenses', async () => {
+        const { packages } = await parser.parse(directory, ['composer.json', 'composer.lock']);
+        const monolog = packages.find(pkg => pkg.name === 'monolog/monolog');
+
+        assert.equal(monolog.integrity, `sha1-${'b'.repeat(40)}`);
+        assert.equal(monolog.license, 'MIT');
+    });
+
+    it('matches imports by autoload namespace, then by vendor name', async () => {
+        const { packages } = await parser.parse(directory, ['composer.json', 'composer.lock']);
+        const byName = new Map(packages.map(pkg => [pkg.name, pkg]));
+
+        assert.equal(parser.findPackage('Psr\\Log\\LoggerInterface', byName).name, 'psr/log');
+        assert.equal(parser.findPackage('\\Monolog\\Logger', byName).name, 'monolog/monolog');
+        assert.equal(parser.isInternal('Acme\\Shop\\Cart', ['Acme\\Shop']), true);
+        assert.equal(parser.isBuiltin('DateTimeImmutable'), true);
+    });
+});
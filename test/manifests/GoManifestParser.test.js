@@ -0,0 +1,69 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { GoManifestParser } from '../../src/manifests/GoManifestParser.js';
+
+describe('GoManifestParser', () => {
+    const parser = new GoManifestParser();
+    let directory;
+
+    beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'svc-indexer-go-'));
+        await fs.writeFile(path.join(directory, 'go.mod'), [
+            'module example.com/shop',
+            '',
+            'go 1.21',
+            '',
+            'require (',
+            '\tgithub.com/pkg/errors v0.9.1',
+            '\tgolang.org/x/sys v0.10.0 // indirect',
+            '\texample.com/shared v0.0.0',
+            ')',
+            '',
+            'require github.com/google/uuid v1.6.0',
+            '',
+            'replace example.com/shared => ../shared'
+        ].join('\n'));
+    });
+
+    afterEach(async () => {
+        await fs.remove(directory);
+    });
+
+    it('reads direct and indirect requirements, skipping local replacements', async () => {
+        const result = await parser.parse(directory, ['go.mod']);
+
+        assert.deepEqual(result.packages.map(pkg => [pkg.name, pkg.resolvedVersion, pkg.direct]), [
+            ['github.com/pkg/errors', 'v0.9.1', true],
+            ['golang.org/x/sys', 'v0.10.0', false],
+            ['github.com/google/uuid', 'v1.6.0', true]
+        ]);
+        assert.deepEqual(result.internal, ['example.com/shop', 'example.com/shared']);
+        assert.ok(result.packages.every(pkg => pkg.lockfile === null));
+    });
+
+    it('takes module hashes from go.sum, not the go.mod hashes', async () => {
+        await fs.writeFile(path.join(directory, 'go.sum'), [
+            'github.com/pkg/errors v0.9.1 h1:module=',
+            'github.com/pkg/errors v0.9.1/go.mod h1:gomod='
+        ].join('\n'));
+
+        const result = await parser.parse(directory, ['go.mod', 'go.sum']);
+        const errors = result.packages.find(pkg => pkg.name === 'github.com/pkg/errors');
+
+        assert.equal(errors.integrity, 'h1:module=');
+        assert.equal(errors.lockfile, path.join(directory, 'go.sum'));
+        assert.equal(result.packages.find(pkg => pkg.name === 'golang.org/x/sys').lockfile, null);
+    });
+
+    it('tells standard library, project and module imports apart', () => {
+        const packages = new Map([['github.com/aws/aws-sdk-go-v2', { name: 'github.com/aws/aws-sdk-go-v2' }], ['github.com/aws/aws-sdk-go-v2/service/s3', { name: 'github.com/aws/aws-sdk-go-v2/service/s3' }]]);
+
+        assert.equal(parser.isBuiltin('net/http'), true);
+        assert.equal(parser.isBuiltin('github.com/pkg/errors'), false);
+        assert.equal(parser.isInternal('example.com/shop/internal/store', ['example.com/shop']), true);
+        assert.equal(parser.findPackage('github.com/aws/aws-sdk-go-v2/service/s3/types', packages).name, 'github.com/aws/aws-sdk-go-v2/service/s3');
+    });
+});
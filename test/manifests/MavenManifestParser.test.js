@@ -0,0 +1,74 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { MavenManifestParser } from '../../src/manifests/MavenManifestParser.js';
+
+describe('MavenManifestParser', () => {
+    const parser = new MavenManifestParser();
+    let directory;
+
+    beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'svc-indexer-maven-'));
+    });
+
+    afterEach(async () => {
+        await fs.remove(directory);
+    });
+
+    it('reads pom.xml dependencies with properties, managed versions and the licenses', async () => {
+        await fs.writeFile(path.join(directory, 'pom.xml'), `
+<project>
+  <groupId>com.acme</groupId>
+  <artifactId>shop</artifactId>
+  <licenses>
+    <license><name>Apache-2.0</name></license>
+  </licenses>
+  <properties><slf4j.version>2.0.9</slf4j.version></properties>
+  <dependencyManagement>
+    <dependencies>
+      <dependency><groupId>com.fasterxml.jackson.core</groupId><artifactId>jackson-databind</artifactId><version>2.17.0</version></dependency>
+    </dependencies>
+  </dependencyManagement>
+  <dependencies>
+    <dependency><groupId>org.slf4j</groupId><artifactId>slf4j-api</artifactId><version>\${slf4j.version}</version></dependency>
+    <dependency><groupId>com.fasterxml.jackson.core</groupId><artifactId>jackson-databind</artifactId></dependency>
+    <dependency><groupId>org.junit.jupiter</groupId><artifactId>junit-jupiter</artifactId><version>[5.10,6)</version><scope>test</scope></dependency>
+    <!-- <dependency><groupId>commented</groupId><artifactId>out</artifactId></dependency> -->
+  </dependencies>
+  <build><plugins><plugin><groupId>org.apache.maven.plugins</groupId><artifactId>maven-compiler-plugin</artifactId></plugin></plugins></build>
+</project>`);
+
+        const result = await parser.parse(directory, ['pom.xml']);
+
+        assert.deepEqual(result.packages.map(pkg => [pkg.name, pkg.resolvedVersion, pkg.scope]), [
+            ['org.slf4j:slf4j-api', '2.0.9', 'runtime'],
+            ['com.fasterxml.jackson.core:jackson-databind', '2.17.0', 'runtime'],
+            ['org.junit.jupiter:junit-jupiter', null, 'dev']
+        ]);
+        assert.deepEqual(result.internal, ['com.acme']);
+        assert.equal(result.license, 'Apache-2.0');
+    });
+
+    it('reads Gradle string and map notations', async () => {
+        await fs.writeFile(path.join(directory, 'build.gradle.kts'), [
+            'group = "com.acme"',
+            'dependencies {',
+            '    implementation("com.squareup.okhttp3:okhttp:4.12.0")',
+            '    compileOnly("org.projectlombok:lombok:1.18.+")',
+            '    testImplementation(group = "org.mockito", name = "mockito-core", version = "5.11.0")',
+            '    // implementation("commented:out:1.0")',
+            '}'
+        ].join('\n'));
+
+        const result = await parser.parse(directory, ['build.gradle.kts']);
+
+        assert.deepEqual(result.packages.map(pkg => [pkg.name, pkg.resolvedVersion, pkg.scope]), [
+            ['com.squareup.okhttp3:okhttp', '4.12.0', 'runtime'],
+            ['org.projectlombok:lombok', null, 'optional'],
+            ['org.mockito:mockito-core', '5.11.0', 'dev']
+        ]);
+        assert.deepEqual(result.internal, ['com.acme']);
+    });
+});
@@ -0,0 +1,112 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { NpmManifestParser } from '../../src/manifests/NpmManifestParser.js';
+
+describe('NpmManifestParser', () => {
+    const parser = new NpmManifestParser();
+    let directory;
+
+    const byName = packages => Object.fromEntries(packages.map(pkg => [`${pkg.name}@${pkg.resolvedVersion}`, pkg]));
+
+    beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'svc-indexer-npm-'));
+        await fs.writeJson(path.join(directory, 'package.json'), {
+            name: 'shop',
+            license: 'MIT',
+            dependencies: { chalk: '^5.0.0', '@acme/ui': 'workspace:*' },
+            devDependencies: { chalk: '^5.0.0', eslint: '^8.0.0' },
+            peerDependencies: { react: '>=18' }
+        });
+    });
+
+    afterEach(async () => {
+        await fs.remove(directory);
+    });
+
+    it('reads declared packages with their scope, the project name and license', async () => {
+        const result = await parser.parse(directory, ['package.json']);
+
+        assert.deepEqual(result.packages.map(pkg => [pkg.name, pkg.scope]), [['chalk', 'runtime'], ['eslint', 'dev'], ['react', 'peer']]);
+        assert.deepEqual(result.internal, ['shop', '@acme/ui']);
+        assert.equal(result.license, 'MIT');
+    });
+
+    it('resolves declared packages from package-lock.json and adds transitive ones', async () => {
+        await fs.writeJson(path.join(directory, 'package-lock.json'), {
+            lockfileVersion: 3,
+            packages: {
+                '': { name: 'shop' },
+                'node_modules/chalk': { version: '5.3.0', integrity: 'sha512-abc', license: 'MIT' },
+                'node_modules/eslint': { version: '8.57.0', dev: true },
+                'node_modules/eslint/node_modules/chalk': { version: '4.1.2', dev: true },
+                'node_modules/@acme/ui': { link: true }
+            }
+        });
+
+        const result = await parser.parse(directory, ['package.json', 'package-lock.json']);
+        const packages = byName(result.packages);
+
+        assert.equal(packages['chalk@5.3.0'].direct, true);
+        assert.equal(packages['chalk@5.3.0'].license, 'MIT');
+        assert.equal(packages['chalk@5.3.0'].lockfile, path.join(directory, 'package-lock.json'));
+        assert.equal(packages['chalk@4.1.2'].direct, false);
+        assert.equal(packages['chalk@4.1.2'].scope, 'dev');
+        assert.equal(packages['react@null'].resolvedVersion, null);
+        assert.equal(result.manifests.length, 2);
+    });
+
+    it('reads classic yarn.lock entries', async () => {
+        await fs.writeFile(path.join(directory, 'yarn.lock'), [
+            '# yarn lockfile v1',
+            '',
+            '"chalk@^5.0.0":',
+            '  version "5.3.0"',
+            '  integrity sha512-abc',
+            '',
+            '"@babel/core@^7.0.0", "@babel/core@^7.1.0":',
+            '  version "7.24.0"',
+            ''
+        ].join('\n'));
+
+        const result = await parser.parse(directory, ['package.json', 'yarn.lock']);
+        const packages = byName(result.packages);
+
+        assert.equal(packages['chalk@5.3.0'].integrity, 'sha512-abc');
+        assert.equal(packages['@babel/core@7.24.0'].direct, false);
+    });
+
+    it('reads pnpm-lock.yaml package keys', async () => {
+        await fs.writeFile(path.join(directory, 'pnpm-lock.yaml'), [
+            "lockfileVersion: '9.0'",
+            'importers:',
+            '  .:',
+            '    dependencies:',
+            '      chalk:',
+            '        specifier: ^5.0.0',
+            '        version: 5.3.0',
+            'packages:',
+            '  chalk@5.3.0:',
+            '    resolution: {integrity: sha512-abc}',
+            "  '@types/node@20.1.0':",
+            '    resolution: {integrity: sha512-def}',
+            ''
+        ].join('\n'));
+
+        const result = await parser.parse(directory, ['package.json', 'pnpm-lock.yaml']);
+        const packages = byName(result.packages);
+
+        assert.equal(packages['chalk@5.3.0'].direct, true);
+        assert.equal(packages['@types/node@20.1.0'].integrity, 'sha512-def');
+    });
+
+    it('maps imports to package names and skips built-in modules', () => {
+        assert.equal(parser.getImportedName('@babel/parser/lib/index.js'), '@babel/parser');
+        assert.equal(parser.getImportedName('lodash/fp'), 'lodash');
+        assert.equal(parser.isBuiltin('node:fs'), true);
+        assert.equal(parser.isBuiltin('fs/promises'), true);
+        assert.equal(parser.isBuiltin('chalk'), false);
+    });
+});
@@ -0,0 +1,91 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { PythonManifestParser } from '../../src/manifests/PythonManifestParser.js';
+
+describe('PythonManifestParser', () => {
+    const parser = new PythonManifestParser();
+    let directory;
+
+    beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'svc-indexer-pypi-'));
+    });
+
+    afterEach(async () => {
+        await fs.remove(directory);
+    });
+
+    it('reads requirements files, runtime ones first', async () => {
+        await fs.writeFile(path.join(directory, 'requirements.txt'), [
+            '# pinned',
+            'requests[socks]==2.31.0 ; python_version > "3.8"',
+            'Django>=4.2,<5',
+            '-r base.txt',
+            'https://example.com/pkg.tar.gz'
+        ].join('\n'));
+        await fs.writeFile(path.join(directory, 'requirements-dev.txt'), 'pytest\nrequests\n');
+
+        const result = await parser.parse(directory, ['requirements-dev.txt', 'requirements.txt']);
+
+        assert.deepEqual(result.packages.map(pkg => [pkg.name, pkg.scope, pkg.declaredVersion, pkg.resolvedVersion]), [
+            ['requests', 'runtime', '==2.31.0', '2.31.0'],
+            ['Django', 'runtime', '>=4.2,<5', null],
+            ['pytest', 'dev', null, null]
+        ]);
+    });
+
+    it('reads PEP 621 and Poetry dependencies, the project name and license', async () => {
+        await fs.writeFile(path.join(directory, 'pyproject.toml'), [
+            '[project]',
+            'name = "shop"',
+            'license = { text = "BSD-3-Clause" }',
+            'dependencies = ["httpx>=0.27"]',
+            '',
+            '[project.optional-dependencies]',
+            'cli = ["rich"]',
+            '',
+            '[tool.poetry.group.test.dependencies]',
+            'pytest = "^8.0"',
+            'shared = { path = "../shared" }'
+        ].join('\n'));
+
+        const result = await parser.parse(directory, ['pyproject.toml']);
+
+        assert.deepEqual(result.packages.map(pkg => [pkg.name, pkg.scope]), [['httpx', 'runtime'], ['rich', 'optional'], ['pytest', 'dev']]);
+        assert.deepEqual(result.internal, ['shop']);
+        assert.equal(result.license, 'BSD-3-Clause');
+    });
+
+    it('resolves versions from poetry.lock', async () => {
+        await fs.writeFile(path.join(directory, 'pyproject.toml'), '[tool.poetry.dependencies]\npython = "^3.11"\nHTTPX = "^0.27"\n');
+        await fs.writeFile(path.join(directory, 'poetry.lock'), [
+            '[[package]]',
+            'name = "httpx"',
+            'version = "0.27.0"',
+            'files = [{ file = "httpx-0.27.0.tar.gz", hash = "sha256:abc" }]',
+            '',
+            '[[package]]',
+            'name = "anyio"',
+            'version = "4.3.0"'
+        ].join('\n'));
+
+        const result = await parser.parse(directory, ['poetry.lock', 'pyproject.toml']);
+        const [httpx, anyio] = result.packages;
+
+        assert.equal(httpx.resolvedVersion, '0.27.0');
+        assert.equal(httpx.integrity, 'sha256:abc');
+        assert.equal(anyio.direct, false);
+    });
+
+    it('matches imports to distribution names', () => {
+        const packages = new Map(['google-cloud-storage', 'beautifulsoup4', 'pyyaml'].map(name => [name, { name }]));
+
+        assert.equal(parser.findPackage('google.cloud.storage', packages).name, 'google-cloud-storage');
+        assert.equal(parser.findPackage('bs4', packages).name, 'beautifulsoup4');
+        assert.equal(parser.findPackage('numpy', packages), null);
+        assert.equal(parser.isBuiltin('os.path'), true);
+        assert.equal(parser.normalizeName('Zope.Interface'), 'zope-interface');
+    });
+});
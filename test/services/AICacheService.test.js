@@ -0,0 +1,111 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { AICacheService } from '../../src/services/AICacheService.js';
+
+describe('AICacheService', () => {
+    let rootPath;
+
+    const params = (fields = {}) => ({
+        kind: 'file',
+        model: 'llama3',
+        promptVersion: 1,
+        temperature: 0.3,
+        contentHash: 'abc',
+        ...fields
+    });
+
+    beforeEach(async () => {
+        rootPath = await fs.mkdtemp(path.join(os.tmpdir(), 'svc-indexer-ai-cache-'));
+    });
+
+    afterEach(async () => {
+        await fs.remove(rootPath);
+    });
+
+    describe('buildKey', () => {
+        it('is stable for the same parameters', () => {
+            assert.equal(AICacheService.buildKey(params()), AICacheService.buildKey(params()));
+            assert.equal(AICacheService.buildKey(params({ promptVersion: '1' })), AICacheService.buildKey(params()));
+        });
+
+        it('changes with every parameter', () => {
+            const key = AICacheService.buildKey(params());
+
+            [
+                { kind: 'folder' },
+                { model: 'openai:gpt-4o-mini' },
+                { promptVersion: 2 },
+                { temperature: 0.7 },
+                { contentHash: 'def' }
+            ].forEach(change => assert.notEqual(AICacheService.buildKey(params(change)), key));
+        });
+    });
+
+    describe('get and set', () => {
+        it('counts hits and misses', () => {
+            const cache = new AICacheService(rootPath);
+            assert.equal(cache.get(params()), null);
+
+            cache.set(params(), { summary: 'Parses input' });
+            assert.deepEqual(cache.get(params()), { summary: 'Parses input' });
+            assert.equal(cache.peek(params({ contentHash: 'other' })), null);
+
+            const stats = cache.getStats();
+            assert.equal(stats.hits, 1);
+            assert.equal(stats.misses, 1);
+            assert.equal(stats.entries, 1);
+        });
+
+        it('persists entries and usage', async () => {
+            const cache = new AICacheService(rootPath);
+            cache.set(params({ path: path.join(rootPath, 'src/a.js') }), 'Parses input');
+            cache.addUsage('llama3', { requests: 2, promptTokens: 100, completionTokens: 20, durationMs: 500 });
+            await cache.save();
+
+            const loaded = await new AICacheService(rootPath).load();
+            assert.equal(loaded.peek(params()), 'Parses input');
+            assert.equal(loaded.getUsage('llama3').promptTokens, 100);
+            assert.equal([...loaded.entries.values()][0].path, path.join('src', 'a.js'));
+        });
+    });
+
+    describe('invalidate', () => {
+        const fill = () => {
+            const cache = new AICacheService(rootPath);
+            cache.set(params({ path: path.join(rootPath, 'src/billing/invoice.js') }), 'Invoices');
+            cache.set(params({ path: path.join(rootPath, 'src/app.js'), contentHash: 'app' }), 'App');
+            cache.set(params({ model: 'llama2', path: path.join(rootPath, 'src/app.js'), contentHash: 'app' }), 'Old app');
+            cache.set(params({ kind: 'overview', path: null, contentHash: 'project' }), 'Overview');
+            return cache;
+        };
+
+        it('removes the responses of a model', () => {
+            const cache = fill();
+            assert.equal(cache.invalidate({ model: 'llama2' }), 1);
+            assert.equal(cache.peek(params({ model: 'llama2', contentHash: 'app' })), null);
+            assert.equal(cache.getStats().entries, 3);
+        });
+
+        it('removes the responses for matching paths, never the project-wide ones', () => {
+            const cache = fill();
+            assert.equal(cache.invalidate({ paths: ['src/billing/**'] }), 1);
+            assert.equal(cache.peek(params()), null);
+            assert.equal(cache.peek(params({ kind: 'overview', contentHash: 'project' })), 'Overview');
+        });
+
+        it('combines the model and path filters', () => {
+            const cache = fill();
+            assert.equal(cache.invalidate({ model: 'llama3', paths: 'src/app.js' }), 1);
+            assert.equal(cache.peek(params({ model: 'llama2', contentHash: 'app' })), 'Old app');
+        });
+
+        it('removes everything without a filter', () => {
+            const cache = fill();
+            assert.equal(cache.invalidate(), 4);
+            assert.equal(cache.getStats().entries, 0);
+        });
+    });
+});
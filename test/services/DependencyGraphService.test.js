@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { DependencyGraphService } from '../../src/services/DependencyGraphService.js';
+
+describe('DependencyGraphService', () => {
+    const service = new DependencyGraphService();
+
+    const graph = (paths, edges) => ({
+        nodes: paths.map(nodePath => ({ path: nodePath })),
+        edges: edges.map(([from, to], index) => ({ from, to, source: `./${path.posix.basename(to)}`, line: index + 1 }))
+    });
+
+    describe('findCycles', () => {
+        it('finds each strongly connected component once, largest first', () => {
+            const cycles = service.findCycles(graph(
+                ['a/x.js', 'a/y.js', 'b/p.js', 'b/q.js', 'b/r.js', 'c/leaf.js'],
+                [
+                    ['a/x.js', 'a/y.js'], ['a/y.js', 'a/x.js'],
+                    ['b/p.js', 'b/q.js'], ['b/q.js', 'b/r.js'], ['b/r.js', 'b/p.js'],
+                    ['b/r.js', 'c/leaf.js']
+                ]
+            ));
+
+            assert.deepEqual(cycles.files.map(cycle => cycle.files), [
+                ['b/p.js', 'b/q.js', 'b/r.js'],
+                ['a/x.js', 'a/y.js']
+            ]);
+            assert.equal(cycles.totalFileCycles, 2);
+            assert.equal(cycles.totalFolderCycles, 0);
+        });
+
+        it('lists the imports closing each cycle', () => {
+            const cycles = service.findCycles(graph(
+                ['a.js', 'b.js', 'c.js'],
+                [['a.js', 'b.js'], ['b.js', 'a.js'], ['b.js', 'c.js']]
+            ));
+
+            assert.deepEqual(cycles.files[0].imports.map(({ from, to }) => [from, to]), [['a.js', 'b.js'], ['b.js', 'a.js']]);
+        });
+
+        it('finds folder cycles made of acyclic file imports', () => {
+            const cycles = service.findCycles(graph(
+                ['api/routes.js', 'api/helpers.js', 'db/models.js'],
+                [['api/routes.js', 'db/models.js'], ['db/models.js', 'api/helpers.js']]
+            ));
+
+            assert.equal(cycles.totalFileCycles, 0);
+            assert.deepEqual(cycles.folders.map(cycle => cycle.folders), [['api', 'db']]);
+            assert.equal(cycles.folders[0].imports.length, 2);
+        });
+
+        it('handles import chains deeper than the call stack', () => {
+            const paths = Array.from({ length: 20000 }, (value, index) => `f${index}.js`);
+            const edges = paths.slice(1).map((nodePath, index) => [paths[index], nodePath]);
+            edges.push([paths[paths.length - 1], paths[0]]);
+
+            const cycles = service.findCycles(graph(paths, edges));
+            assert.equal(cycles.files[0].files.length, paths.length);
+        });
+    });
+
+    describe('buildGraph', () => {
+        it('records resolved edges, unresolved relative imports and external packages', async () => {
+            const rootPath = path.join(os.tmpdir(), 'svc-indexer-graph-missing');
+            const file = (relativePath, sources) => ({
+                path: path.join(rootPath, relativePath),
+                language: 'javascript',
+                extension: 'js',
+                metadata: { importDetails: sources.map((source, index) => ({ source, line: index + 1, kind: 'static' })) }
+            });
+
+            const built = await service.buildGraph(rootPath, [
+                file('src/app.js', ['./db', './missing', 'express']),
+                file('src/db.js', [])
+            ]);
+
+            assert.deepEqual(built.edges.map(({ from, to }) => [from, to]), [['src/app.js', 'src/db.js']]);
+            assert.deepEqual(built.unresolved.map(entry => entry.source), ['./missing']);
+            assert.equal(built.stats.external, 1);
+            assert.equal(built.nodes.find(node => node.path === 'src/db.js').inDegree, 1);
+        });
+    });
+});
@@ -0,0 +1,140 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { IndexCacheService } from '../../src/services/IndexCacheService.js';
+
+describe('IndexCacheService', () => {
+    let rootPath;
+
+    const fileData = (relativePath, fields = {}) => ({
+        path: path.join(rootPath, relativePath),
+        lastModified: '2024-01-01T00:00:00.000Z',
+        size: 10,
+        hash: IndexCacheService.hashContent(relativePath),
+        description: `Describes ${relativePath}`,
+        ...fields
+    });
+
+    beforeEach(async () => {
+        rootPath = await fs.mkdtemp(path.join(os.tmpdir(), 'svc-indexer-index-'));
+    });
+
+    afterEach(async () => {
+        await fs.remove(rootPath);
+    });
+
+    describe('lookup', () => {
+        it('returns the entry when mtime and size match', () => {
+            const cache = new IndexCacheService(rootPath);
+            cache.setFile(fileData('a.js'));
+
+            const entry = cache.lookup({ path: path.join(rootPath, 'a.js'), lastModified: '2024-01-01T00:00:00.000Z', size: 10 });
+            assert.equal(entry.data.description, 'Describes a.js');
+        });
+
+        it('misses when the file was modified or resized', () => {
+            const cache = new IndexCacheService(rootPath);
+            cache.setFile(fileData('a.js'));
+
+            assert.equal(cache.lookup({ path: path.join(rootPath, 'a.js'), lastModified: '2024-02-01T00:00:00.000Z', size: 10 }), null);
+            assert.equal(cache.lookup({ path: path.join(rootPath, 'a.js'), lastModified: '2024-01-01T00:00:00.000Z', size: 11 }), null);
+        });
+
+        it('finds touched files with identical content by hash', () => {
+            const cache = new IndexCacheService(rootPath);
+            cache.setFile(fileData('a.js'));
+
+            const file = { path: path.join(rootPath, 'a.js') };
+            assert.ok(cache.lookupByHash(file, IndexCacheService.hashContent('a.js')));
+            assert.equal(cache.lookupByHash(file, IndexCacheService.hashContent('changed')), null);
+        });
+
+        it('keeps the detailed flag while the content is unchanged', () => {
+            const cache = new IndexCacheService(rootPath);
+            cache.setFile(fileData('a.js'), { detailed: true });
+            cache.setFile(fileData('a.js'));
+            assert.equal(cache.files.get('a.js').detailed, true);
+
+            cache.setFile(fileData('a.js', { hash: IndexCacheService.hashContent('changed') }));
+            assert.equal(cache.files.get('a.js').detailed, false);
+        });
+
+        it('does not store files without a content hash', () => {
+            const cache = new IndexCacheService(rootPath);
+            cache.setFile(fileData('a.js', { hash: null }));
+            assert.equal(cache.files.size, 0);
+        });
+    });
+
+    describe('prune', () => {
+        it('drops files and folders that no longer exist', () => {
+            const cache = new IndexCacheService(rootPath);
+            cache.setFile(fileData('src/a.js'));
+            cache.setFile(fileData('src/b.js'));
+            cache.setFolder({ path: path.join(rootPath, 'src'), description: 'Sources' });
+            cache.setFolder({ path: path.join(rootPath, 'old'), description: 'Removed' });
+
+            const removed = cache.prune([path.join(rootPath, 'src/a.js')], [path.join(rootPath, 'src')]);
+
+            assert.deepEqual(removed, [path.join(rootPath, 'src/b.js')]);
+            assert.deepEqual([...cache.files.keys()], ['src/a.js']);
+            assert.deepEqual([...cache.folders.keys()], ['src']);
+            assert.equal(cache.getSummary().removed, 1);
+        });
+
+        it('keeps folders when no folder list is given', () => {
+            const cache = new IndexCacheService(rootPath);
+            cache.setFolder({ path: path.join(rootPath, 'src'), description: 'Sources' });
+
+            cache.prune([]);
+            assert.ok(cache.getFolder(path.join(rootPath, 'src')));
+        });
+    });
+
+    describe('invalidate', () => {
+        it('drops the files and folders matching the globs', () => {
+            const cache = new IndexCacheService(rootPath);
+            cache.setFile(fileData('src/billing/invoice.js'));
+            cache.setFile(fileData('src/app.js'));
+            cache.setFolder({ path: path.join(rootPath, 'src/billing'), description: 'Billing' });
+            cache.setFolder({ path: rootPath, description: 'Project' });
+
+            assert.equal(cache.invalidate(['src/billing']), 2);
+            assert.deepEqual([...cache.files.keys()], ['src/app.js']);
+            assert.deepEqual([...cache.folders.keys()], ['']);
+        });
+
+        it('drops every entry without globs', () => {
+            const cache = new IndexCacheService(rootPath);
+            cache.setFile(fileData('src/app.js'));
+            cache.setFolder({ path: rootPath, description: 'Project' });
+
+            assert.equal(cache.invalidate(), 2);
+            assert.equal(cache.files.size + cache.folders.size, 0);
+        });
+    });
+
+    describe('save and load', () => {
+        it('restores the saved entries', async () => {
+            const cache = new IndexCacheService(rootPath, { fingerprint: 'rules' });
+            cache.setFile(fileData('a.js'));
+            cache.setFolder({ path: rootPath, description: 'Project', aiDetails: { tags: ['cli'] } });
+            await cache.save();
+
+            const loaded = await new IndexCacheService(rootPath, { fingerprint: 'rules' }).load();
+            assert.equal(loaded.files.get('a.js').data.description, 'Describes a.js');
+            assert.deepEqual(loaded.getFolder(rootPath), { description: 'Project', aiDetails: { tags: ['cli'] } });
+        });
+
+        it('discards an index saved with other settings', async () => {
+            const cache = new IndexCacheService(rootPath, { fingerprint: 'rules' });
+            cache.setFile(fileData('a.js'));
+            await cache.save();
+
+            const loaded = await new IndexCacheService(rootPath, { fingerprint: 'other rules' }).load();
+            assert.equal(loaded.files.size, 0);
+        });
+    });
+});
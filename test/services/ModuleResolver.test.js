@@ -0,0 +1,110 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { ModuleResolver } from '../../src/services/ModuleResolver.js';
+
+describe('ModuleResolver', () => {
+    let rootPath;
+    let resolver;
+
+    const FILES = [
+        'src/app.ts',
+        'src/user.ts',
+        'src/user.d.ts',
+        'src/types.d.ts',
+        'src/utils/index.js',
+        'src/config.json',
+        'src/lib/math.ts',
+        'packages/ui/package.json',
+        'packages/ui/src/index.tsx',
+        'packages/ui/src/button.tsx',
+        'app/models/__init__.py',
+        'app/models/user.py',
+        'app/service.py',
+        'internal/store/store.go',
+        'internal/store/store_test.go',
+        'crate/src/lib.rs',
+        'crate/src/net/mod.rs',
+        'crate/src/net/http.rs',
+        'java/src/main/java/com/example/Foo.java'
+    ];
+
+    const abs = relativePath => path.join(rootPath, relativePath);
+    const resolve = (source, from, language, names) =>
+        resolver.resolve({ source, names }, { path: abs(from), language })
+            .map(filePath => path.relative(rootPath, filePath).split(path.sep).join('/'));
+
+    before(async () => {
+        rootPath = await fs.mkdtemp(path.join(os.tmpdir(), 'svc-indexer-resolver-'));
+        await fs.writeJson(path.join(rootPath, 'tsconfig.json'), {
+            compilerOptions: { baseUrl: '.', paths: { '@lib/*': ['src/lib/*'] } }
+        });
+        await fs.outputJson(path.join(rootPath, 'packages/ui/package.json'), {
+            name: '@acme/ui',
+            exports: { '.': { types: './src/index.d.ts', import: './src/index.tsx' }, './*': './src/*.tsx' }
+        });
+        await fs.writeFile(path.join(rootPath, 'go.mod'), 'module example.com/shop\n\ngo 1.21\n');
+
+        resolver = await new ModuleResolver(rootPath, FILES.map(abs)).load();
+    });
+
+    after(async () => {
+        await fs.remove(rootPath);
+    });
+
+    describe('JavaScript and TypeScript', () => {
+        it('resolves relative imports with extensions and index files', () => {
+            assert.deepEqual(resolve('./utils', 'src/app.ts', 'typescript'), ['src/utils/index.js']);
+            assert.deepEqual(resolve('./config.json', 'src/app.ts', 'typescript'), ['src/config.json']);
+        });
+
+        it('prefers source files over declarations', () => {
+            assert.deepEqual(resolve('./user', 'src/app.ts', 'typescript'), ['src/user.ts']);
+            assert.deepEqual(resolve('./types', 'src/app.ts', 'typescript'), ['src/types.d.ts']);
+        });
+
+        it('maps emitted .js specifiers to TypeScript sources', () => {
+            assert.deepEqual(resolve('./user.js', 'src/app.ts', 'typescript'), ['src/user.ts']);
+        });
+
+        it('follows tsconfig paths and baseUrl', () => {
+            assert.deepEqual(resolve('@lib/math', 'src/app.ts', 'typescript'), ['src/lib/math.ts']);
+            assert.deepEqual(resolve('src/user', 'src/app.ts', 'typescript'), ['src/user.ts']);
+        });
+
+        it('resolves workspace packages through their exports', () => {
+            assert.deepEqual(resolve('@acme/ui', 'src/app.ts', 'typescript'), ['packages/ui/src/index.tsx']);
+            assert.deepEqual(resolve('@acme/ui/button', 'src/app.ts', 'typescript'), ['packages/ui/src/button.tsx']);
+        });
+
+        it('leaves external packages unresolved', () => {
+            assert.deepEqual(resolve('react', 'src/app.ts', 'typescript'), []);
+        });
+    });
+
+    describe('other languages', () => {
+        it('resolves Python packages, modules and submodule imports', () => {
+            assert.deepEqual(resolve('app.models', 'app/service.py', 'python'), ['app/models/__init__.py']);
+            assert.deepEqual(resolve('app.models', 'app/service.py', 'python', ['user']), ['app/models/user.py']);
+            assert.deepEqual(resolve('.models.user', 'app/service.py', 'python'), ['app/models/user.py']);
+        });
+
+        it('resolves Go packages of the module, without test files', () => {
+            assert.deepEqual(resolve('example.com/shop/internal/store', 'main.go', 'go'), ['internal/store/store.go']);
+            assert.deepEqual(resolve('github.com/pkg/errors', 'main.go', 'go'), []);
+        });
+
+        it('resolves Rust crate paths to module files', () => {
+            assert.deepEqual(resolve('crate::net::http::Client', 'crate/src/lib.rs', 'rust'), ['crate/src/net/http.rs']);
+            assert.deepEqual(resolve('super::http', 'crate/src/net/http.rs', 'rust'), ['crate/src/net/http.rs']);
+        });
+
+        it('resolves Java classes and static members by package path', () => {
+            assert.deepEqual(resolve('com.example.Foo', 'java/src/main/java/com/example/Bar.java', 'java'), ['java/src/main/java/com/example/Foo.java']);
+            assert.deepEqual(resolve('com.example.Foo.create', 'java/src/main/java/com/example/Bar.java', 'java'), ['java/src/main/java/com/example/Foo.java']);
+            assert.deepEqual(resolve('com.example.*', 'java/src/main/java/com/example/Bar.java', 'java'), []);
+        });
+    });
+});
@@ -0,0 +1,130 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { SbomService } from '../../src/services/SbomService.js';
+
+describe('SbomService', () => {
+    const service = new SbomService();
+    const sha512 = crypto.createHash('sha512').update('chalk').digest();
+
+    const pkg = fields => ({
+        declaredVersion: null,
+        resolvedVersion: null,
+        scope: 'runtime',
+        direct: true,
+        manifest: null,
+        lockfile: null,
+        integrity: null,
+        license: null,
+        ...fields
+    });
+
+    const projectIndex = (license = 'Apache-2.0') => ({
+        project: { rootPath: '/work/shop', description: 'Online shop' },
+        analysis: {
+            dependencies: {
+                license,
+                packages: [
+                    pkg({
+                        ecosystem: 'npm', name: 'chalk', declaredVersion: '^5.0.0', resolvedVersion: '5.3.0',
+                        manifest: 'package.json', lockfile: 'package-lock.json',
+                        integrity: `sha512-${sha512.toString('base64')}`, license: 'MIT'
+                    }),
+                    pkg({ ecosystem: 'npm', name: '@types/node', declaredVersion: '^20.0.0', scope: 'dev', manifest: 'package.json' }),
+                    pkg({
+                        ecosystem: 'go', name: 'golang.org/x/sys', declaredVersion: 'v0.10.0', resolvedVersion: 'v0.10.0',
+                        direct: false, manifest: 'go.mod', license: 'BSD style'
+                    })
+                ]
+            }
+        }
+    });
+
+    describe('createPurl', () => {
+        it('encodes namespaces and normalizes case-insensitive names', () => {
+            assert.equal(service.createPurl(pkg({ ecosystem: 'npm', name: '@scope/name', resolvedVersion: '1.0.0' })), 'pkg:npm/%40scope/name@1.0.0');
+            assert.equal(service.createPurl(pkg({ ecosystem: 'pypi', name: 'Django_REST.framework' })), 'pkg:pypi/django-rest-framework');
+            assert.equal(service.createPurl(pkg({ ecosystem: 'go', name: 'golang.org/x/sys', resolvedVersion: 'v0.10.0' })), 'pkg:golang/golang.org/x/sys@v0.10.0');
+            assert.equal(service.createPurl(pkg({ ecosystem: 'maven', name: 'org.slf4j:slf4j-api', resolvedVersion: '2.0.9' })), 'pkg:maven/org.slf4j/slf4j-api@2.0.9');
+        });
+    });
+
+    describe('parseIntegrity', () => {
+        it('reads SRI, prefixed hex and Go module hashes', () => {
+            const sha1 = 'a'.repeat(40);
+            const sha256 = crypto.createHash('sha256').update('mod').digest();
+
+            assert.deepEqual(service.parseIntegrity(`sha512-${sha512.toString('base64')}`), [{ algorithm: 'sha512', content: sha512.toString('hex') }]);
+            assert.deepEqual(service.parseIntegrity(`sha1-${sha1}`), [{ algorithm: 'sha1', content: sha1 }]);
+            assert.deepEqual(service.parseIntegrity(`h1:${sha256.toString('base64')}`), [{ algorithm: 'sha256', content: sha256.toString('hex') }]);
+            assert.deepEqual(service.parseIntegrity('md5-abc'), []);
+            assert.deepEqual(service.parseIntegrity(null), []);
+        });
+    });
+
+    describe('CycloneDX', () => {
+        it('lists components with scope, hashes and licenses', () => {
+            const bom = JSON.parse(service.generateSbom(projectIndex(), 'cyclonedx'));
+            const chalk = bom.components.find(component => component.name === 'chalk');
+            const types = bom.components.find(component => component.name === 'node');
+
+            assert.equal(bom.specVersion, '1.5');
+            assert.equal(chalk.scope, 'required');
+            assert.equal(chalk.version, '5.3.0');
+            assert.deepEqual(chalk.hashes, [{ alg: 'SHA-512', content: sha512.toString('hex') }]);
+            assert.deepEqual(chalk.licenses, [{ license: { id: 'MIT' } }]);
+            assert.equal(types.group, '@types');
+            assert.equal(types.scope, 'excluded');
+        });
+
+        it('describes the project as the root component with its license', () => {
+            const bom = JSON.parse(service.generateSbom(projectIndex(), 'cyclonedx'));
+
+            assert.equal(bom.metadata.component.name, 'shop');
+            assert.deepEqual(bom.metadata.component.licenses, [{ license: { id: 'Apache-2.0' } }]);
+            assert.equal(JSON.parse(service.generateSbom(projectIndex(null), 'cyclonedx')).metadata.component.licenses, undefined);
+        });
+
+        it('makes the root depend on direct packages only', () => {
+            const bom = JSON.parse(service.generateSbom(projectIndex(), 'cyclonedx'));
+            assert.deepEqual(bom.dependencies[0].dependsOn, ['pkg:npm/%40types/node', 'pkg:npm/chalk@5.3.0']);
+        });
+    });
+
+    describe('SPDX', () => {
+        it('relates direct packages to the project by scope', () => {
+            const spdx = service.generateSbom(projectIndex(), 'spdx');
+
+            assert.match(spdx, /^Relationship: SPDXRef-DOCUMENT DESCRIBES SPDXRef-Package-root$/m);
+            assert.match(spdx, /^Relationship: SPDXRef-Package-root DEPENDS_ON SPDXRef-Package-npm-chalk-5\.3\.0$/m);
+            assert.match(spdx, /^Relationship: SPDXRef-Package-npm--types-node-unresolved DEV_DEPENDENCY_OF SPDXRef-Package-root$/m);
+            assert.doesNotMatch(spdx, /golang\.org-x-sys.*(DEPENDS_ON|DEPENDENCY_OF)/);
+        });
+
+        it('declares the project license on the root package', () => {
+            const spdx = service.generateSbom(projectIndex(), 'spdx');
+            const root = spdx.split('\n\n')[1];
+
+            assert.match(root, /^PackageLicenseDeclared: Apache-2\.0$/m);
+        });
+
+        it('keeps licenses that are no SPDX expression as comments', () => {
+            const spdx = service.generateSbom(projectIndex(), 'spdx');
+            const sys = spdx.split('\n\n').find(block => block.includes('PackageName: golang.org/x/sys'));
+
+            assert.match(sys, /^PackageLicenseDeclared: NOASSERTION$/m);
+            assert.match(sys, /^PackageLicenseComments: <text>Declared license: BSD style<\/text>$/m);
+        });
+
+        it('names the manifest of transitive packages without a lockfile', () => {
+            const spdx = service.generateSbom(projectIndex(), 'spdx');
+
+            assert.match(spdx, /PackageComment: <text>Scope: runtime, listed in go\.mod<\/text>/);
+            assert.doesNotMatch(spdx, /locked in null/);
+        });
+    });
+
+    it('rejects unknown formats', () => {
+        assert.throws(() => service.generateSbom(projectIndex(), 'swid'), /Unsupported SBOM format: swid/);
+    });
+});